@@ -0,0 +1,445 @@
+const crypto = require('crypto');
+const path = require('path');
+
+// Authentication and roles for the dashboard and control routes.
+//
+//   Dashboard  - POST /auth/login with a username/password (scrypt-hashed in admin_users) sets an
+//                HttpOnly session cookie backed by admin_sessions
+//   Scripts    - Authorization: Bearer <token>, tokens created by an admin in api_tokens
+//
+// Roles are ranked - each can do everything the ones before it can:
+//   viewer          read-only dashboard and reports
+//   content_editor  drip schedules, segments, user tags, message content
+//   operator        send: injections, broadcasts, test sends; start/stop the scheduler and queues
+//   admin           accounts and API tokens
+//
+// ACCESS_RULES decide which role a request needs. Failed logins, bad tokens and role refusals
+// are written to system_logs through the log function.
+
+const ROLES = ['viewer', 'content_editor', 'operator', 'admin'];
+
+const SESSION_COOKIE = 'healthytext_session';
+const DEFAULT_SESSION_HOURS = 12;
+const MIN_PASSWORD_LENGTH = 10;
+const USERNAME_PATTERN = /^[A-Za-z0-9_.@-]{3,100}$/;
+
+// Consecutive failed logins before an account is locked, and for how long
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MINUTES = 15;
+
+const SCRYPT_KEY_LENGTH = 64;
+
+const WRITE = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const ANY = null;
+
+// [methods (null = any), path pattern, minimum role] - first match wins. Paths that match none of
+// these are public (/, /status, /auth/login, the login page, Twilio webhooks).
+const ACCESS_RULES = [
+    [ANY, /^\/admin\/(accounts|api-tokens)(\/|$)/, 'admin'],
+    [ANY, /^\/test\//, 'operator'],
+    [WRITE, /^\/scheduler\//, 'operator'],
+    [WRITE, /^\/admin\/(start|stop)-/, 'operator'],
+    // Previews only read
+    [['POST'], /^\/admin\/(injections|segments|messages|keyword-rules)\/preview$/, 'viewer'],
+    [['POST'], /^\/admin\/drip-schedules\/[^/]+\/[^/]+\/preview$/, 'viewer'],
+    [WRITE, /^\/admin\/(inject-message|injections|send-policy|crisis-alerts)(\/|$)/, 'operator'],
+    [WRITE, /^\/admin\/(drip-schedules|segments|users|messages|keyword-rules)(\/|$)/, 'content_editor'],
+    [['GET', 'HEAD'], /^\/(admin|scheduler)(\/|\.html$|$)/, 'viewer'],
+    [ANY, /^\/auth\/(me|logout)$/, 'viewer'],
+    // Anything else under a protected prefix defaults to the highest role
+    [ANY, /^\/(admin|scheduler)(\/|\.html$|$)/, 'admin']
+];
+
+// Minimum role for a request, or null when it is public. Express matches routes
+// case-insensitively (/ADMIN/accounts reaches the /admin/accounts handler) and express.static
+// decodes and resolves the path (/admin%2ehtml serves admin.html), so the rules are checked
+// against the path in that same form. A path that can't be decoded gets the strictest role.
+function requiredRole(method, requestPath) {
+    const verb = String(method || '').toUpperCase();
+    let resolved;
+    try {
+        resolved = path.posix.normalize(`/${decodeURIComponent(String(requestPath || ''))}`).toLowerCase();
+    } catch (error) {
+        return 'admin';
+    }
+    for (const [methods, pattern, role] of ACCESS_RULES) {
+        if ((!methods || methods.includes(verb)) && pattern.test(resolved)) return role;
+    }
+    return null;
+}
+
+function hasRole(role, minimumRole) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(minimumRole);
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateToken(prefix) {
+    return `${prefix}_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+// scrypt$<salt hex>$<key hex>
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const key = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH);
+    return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, saltHex, keyHex] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !saltHex || !keyHex) return false;
+
+    const expected = Buffer.from(keyHex, 'hex');
+    const actual = crypto.scryptSync(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function validateAccount(account, { requirePassword = true } = {}) {
+    const errors = [];
+    if (account.username !== undefined && !USERNAME_PATTERN.test(account.username || '')) {
+        errors.push('username must be 3-100 letters, numbers or _ . @ -');
+    }
+    if (requirePassword || account.password !== undefined) {
+        if (typeof account.password !== 'string' || account.password.length < MIN_PASSWORD_LENGTH) {
+            errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+    }
+    if (account.role !== undefined && !ROLES.includes(account.role)) {
+        errors.push(`role must be one of ${ROLES.join(', ')}`);
+    }
+    if (account.active !== undefined && typeof account.active !== 'boolean') {
+        errors.push('active must be true or false');
+    }
+    return errors;
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    for (const part of String(header || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+        }
+    }
+    return cookies;
+}
+
+function getSessionHours() {
+    const hours = parseFloat(process.env.ADMIN_SESSION_HOURS);
+    return hours > 0 ? hours : DEFAULT_SESSION_HOURS;
+}
+
+class AdminAuth {
+    constructor(options) {
+        this.db = options.db; // Shared DatabaseManager (scripts/DatabaseManager.js)
+        this.logFunction = options.logFunction || (() => {});
+    }
+
+    // ---- Accounts ----
+
+    async getAccount(username) {
+        const rows = await this.db.query('SELECT * FROM admin_users WHERE username = ?', [username]);
+        return rows[0] || null;
+    }
+
+    async listAccounts() {
+        return await this.db.query(`
+            SELECT id, username, role, active, failed_attempts, locked_until, created_by, created_at, last_login_at
+            FROM admin_users
+            ORDER BY username
+        `);
+    }
+
+    // account = { username, password, role }; returns { success, errors }
+    async createAccount(account, createdBy = null) {
+        const errors = validateAccount({ role: 'viewer', ...account });
+        if (!account.username) errors.unshift('username is required');
+        if (errors.length === 0 && await this.getAccount(account.username)) {
+            errors.push(`Account "${account.username}" already exists`);
+        }
+        if (errors.length > 0) {
+            return { success: false, errors };
+        }
+
+        await this.db.query(`
+            INSERT INTO admin_users (username, password_hash, role, active, failed_attempts, created_by, created_at)
+            VALUES (?, ?, ?, 1, 0, ?, ?)
+        `, [account.username, hashPassword(account.password), account.role || 'viewer', createdBy, new Date().toISOString()]);
+
+        return { success: true, errors: [] };
+    }
+
+    // changes = { role?, password?, active? }. Disabling an account or changing its password or
+    // role ends its sessions.
+    async updateAccount(username, changes) {
+        const errors = validateAccount(changes, { requirePassword: false });
+        if (changes.username !== undefined) errors.push('username cannot be changed');
+        if (errors.length > 0) {
+            return { success: false, errors };
+        }
+
+        const account = await this.getAccount(username);
+        if (!account) {
+            return { success: false, notFound: true, errors: [`Unknown account "${username}"`] };
+        }
+
+        // Never leave the system without an active admin
+        const demoted = (changes.role !== undefined && changes.role !== 'admin') || changes.active === false;
+        if (account.role === 'admin' && account.active && demoted) {
+            const admins = await this.db.query(
+                "SELECT COUNT(*) as count FROM admin_users WHERE role = 'admin' AND active = 1 AND id <> ?",
+                [account.id]
+            );
+            if (!(admins[0]?.count > 0)) {
+                return { success: false, errors: ['Cannot demote or disable the last active admin'] };
+            }
+        }
+
+        const sets = [];
+        const params = [];
+        if (changes.role !== undefined) {
+            sets.push('role = ?');
+            params.push(changes.role);
+        }
+        if (changes.password !== undefined) {
+            sets.push('password_hash = ?', 'failed_attempts = 0', 'locked_until = NULL');
+            params.push(hashPassword(changes.password));
+        }
+        if (changes.active !== undefined) {
+            sets.push('active = ?');
+            params.push(changes.active ? 1 : 0);
+        }
+        if (sets.length === 0) {
+            return { success: false, errors: ['Nothing to change (role, password or active)'] };
+        }
+
+        await this.db.query(`UPDATE admin_users SET ${sets.join(', ')} WHERE id = ?`, [...params, account.id]);
+        await this.db.query('DELETE FROM admin_sessions WHERE user_id = ?', [account.id]);
+        return { success: true, errors: [] };
+    }
+
+    // First start: create an admin from ADMIN_USERNAME / ADMIN_PASSWORD when there is none
+    async ensureBootstrapAdmin(username, password) {
+        if (!username || !password) return false;
+
+        const admins = await this.db.query("SELECT COUNT(*) as count FROM admin_users WHERE role = 'admin'");
+        if (admins[0]?.count > 0) return false;
+
+        const result = await this.createAccount({ username, password, role: 'admin' }, 'bootstrap');
+        if (!result.success) {
+            throw new Error(`Cannot create the bootstrap admin: ${result.errors.join('; ')}`);
+        }
+        this.logFunction('info', `Bootstrap admin account "${username}" created`);
+        return true;
+    }
+
+    // ---- Sessions ----
+
+    // Returns { success, token, expiresAt, user } or { success: false, error }. The error is the
+    // same for every failure so it doesn't reveal which usernames exist.
+    async login(username, password, context = {}) {
+        const failed = { success: false, error: 'Invalid username or password' };
+        const account = username ? await this.getAccount(username) : null;
+        const now = new Date();
+
+        if (!account || !account.active) {
+            // Spend the same time as a real check so response times don't reveal usernames
+            verifyPassword(password, DUMMY_PASSWORD_HASH);
+            await this.recordFailure(`Failed dashboard login for "${username || ''}"`, {
+                username: username || null, reason: account ? 'account disabled' : 'unknown user', ...context
+            });
+            return failed;
+        }
+
+        if (account.locked_until && new Date(account.locked_until) > now) {
+            await this.recordFailure(`Failed dashboard login for "${username}"`, { username, reason: 'account locked', ...context });
+            return { success: false, error: 'Too many failed attempts - try again later' };
+        }
+
+        if (!verifyPassword(password, account.password_hash)) {
+            const attempts = (account.failed_attempts || 0) + 1;
+            const lockedUntil = attempts >= MAX_FAILED_LOGINS
+                ? new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000).toISOString()
+                : null;
+            await this.db.query(
+                'UPDATE admin_users SET failed_attempts = ?, locked_until = ? WHERE id = ?',
+                [lockedUntil ? 0 : attempts, lockedUntil, account.id]
+            );
+            await this.recordFailure(`Failed dashboard login for "${username}"`, {
+                username, reason: lockedUntil ? 'wrong password - account locked' : 'wrong password', attempts, ...context
+            });
+            return failed;
+        }
+
+        const token = generateToken('hts');
+        const expiresAt = new Date(now.getTime() + getSessionHours() * 60 * 60 * 1000).toISOString();
+        await this.db.query(`
+            INSERT INTO admin_sessions (token_hash, user_id, ip, created_at, expires_at, last_seen_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [hashToken(token), account.id, context.ip || null, now.toISOString(), expiresAt, now.toISOString()]);
+        await this.db.query(
+            'UPDATE admin_users SET failed_attempts = 0, locked_until = NULL, last_login_at = ? WHERE id = ?',
+            [now.toISOString(), account.id]
+        );
+
+        await this.cleanupExpiredSessions();
+        this.logFunction('info', `Dashboard login: ${username}`);
+        return { success: true, token, expiresAt, user: { username: account.username, role: account.role } };
+    }
+
+    async logout(token) {
+        if (!token) return false;
+        const result = await this.db.query('DELETE FROM admin_sessions WHERE token_hash = ?', [hashToken(token)]);
+        return result.changes > 0;
+    }
+
+    async getSessionUser(token) {
+        const rows = await this.db.query(`
+            SELECT s.id as session_id, s.expires_at, u.username, u.role, u.active
+            FROM admin_sessions s
+            JOIN admin_users u ON s.user_id = u.id
+            WHERE s.token_hash = ?
+        `, [hashToken(token)]);
+
+        const session = rows[0];
+        if (!session || !session.active || new Date(session.expires_at) <= new Date()) return null;
+
+        await this.db.query('UPDATE admin_sessions SET last_seen_at = ? WHERE id = ?', [new Date().toISOString(), session.session_id]);
+        return { username: session.username, role: session.role, via: 'session' };
+    }
+
+    async cleanupExpiredSessions() {
+        const result = await this.db.query('DELETE FROM admin_sessions WHERE expires_at < ?', [new Date().toISOString()]);
+        return result.changes;
+    }
+
+    // ---- API tokens ----
+
+    // Returns { success, id, token } - the token is only ever shown here
+    async createApiToken(name, role, createdBy = null) {
+        const errors = [];
+        if (!name || !String(name).trim()) errors.push('name is required');
+        if (!ROLES.includes(role)) errors.push(`role must be one of ${ROLES.join(', ')}`);
+        if (errors.length > 0) {
+            return { success: false, errors };
+        }
+
+        const token = generateToken('htk');
+        const result = await this.db.query(`
+            INSERT INTO api_tokens (name, token_hash, role, created_by, created_at)
+            VALUES (?, ?, ?, ?, ?)
+        `, [String(name).trim(), hashToken(token), role, createdBy, new Date().toISOString()]);
+
+        this.logFunction('info', `API token "${name}" (${role}) created by ${createdBy || 'unknown'}`);
+        return { success: true, errors: [], id: result.insertId, token };
+    }
+
+    async listApiTokens() {
+        return await this.db.query(`
+            SELECT id, name, role, created_by, created_at, last_used_at, revoked_at
+            FROM api_tokens
+            ORDER BY created_at DESC
+        `);
+    }
+
+    async revokeApiToken(id) {
+        const result = await this.db.query(
+            'UPDATE api_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL',
+            [new Date().toISOString(), id]
+        );
+        return result.changes > 0;
+    }
+
+    async getTokenUser(token) {
+        const rows = await this.db.query(
+            'SELECT id, name, role FROM api_tokens WHERE token_hash = ? AND revoked_at IS NULL',
+            [hashToken(token)]
+        );
+        if (!rows[0]) return null;
+
+        await this.db.query('UPDATE api_tokens SET last_used_at = ? WHERE id = ?', [new Date().toISOString(), rows[0].id]);
+        return { username: `token:${rows[0].name}`, role: rows[0].role, via: 'token' };
+    }
+
+    // ---- Requests ----
+
+    // Who is making this request: { user } (null when no credentials were sent), or
+    // { user: null, error } when the credentials were bad
+    async authenticate(req) {
+        const authorization = req.get('Authorization') || '';
+        if (authorization.startsWith('Bearer ')) {
+            const user = await this.getTokenUser(authorization.slice(7).trim());
+            return user ? { user } : { user: null, error: 'Invalid or revoked API token' };
+        }
+
+        const sessionToken = parseCookies(req.get('Cookie'))[SESSION_COOKIE];
+        if (sessionToken) {
+            const user = await this.getSessionUser(sessionToken);
+            return user ? { user } : { user: null, error: 'Session expired - please log in again' };
+        }
+
+        return { user: null };
+    }
+
+    async recordFailure(message, details) {
+        await this.logFunction('warning', message, null, details);
+    }
+
+    // Express middleware enforcing ACCESS_RULES. Sets req.adminUser for authenticated requests.
+    middleware() {
+        return async (req, res, next) => {
+            const role = requiredRole(req.method, req.path);
+            if (!role) return next();
+
+            try {
+                const { user, error } = await this.authenticate(req);
+                const context = { method: req.method, path: req.path, ip: req.ip };
+
+                if (!user) {
+                    if (error) {
+                        await this.recordFailure(`Rejected ${req.method} ${req.path}: ${error}`, context);
+                    }
+                    if (req.method === 'GET' && req.accepts(['json', 'html']) === 'html') {
+                        return res.redirect(`/login.html?next=${encodeURIComponent(req.originalUrl)}`);
+                    }
+                    return res.status(401).json({ success: false, error: error || 'Authentication required' });
+                }
+
+                if (!hasRole(user.role, role)) {
+                    await this.recordFailure(`Forbidden ${req.method} ${req.path} for ${user.username} (${user.role}, needs ${role})`, context);
+                    return res.status(403).json({ success: false, error: `This requires the ${role} role` });
+                }
+
+                req.adminUser = user;
+                next();
+            } catch (error) {
+                res.status(500).json({ success: false, error: 'Authentication error', details: error.message });
+            }
+        };
+    }
+
+    sessionCookie(token, expiresAt) {
+        const maxAge = Math.max(0, Math.floor((new Date(expiresAt) - Date.now()) / 1000));
+        const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+        return `${SESSION_COOKIE}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}${secure}`;
+    }
+
+    clearedSessionCookie() {
+        return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`;
+    }
+
+    sessionTokenFrom(req) {
+        return parseCookies(req.get('Cookie'))[SESSION_COOKIE] || null;
+    }
+}
+
+module.exports = AdminAuth;
+module.exports.ROLES = ROLES;
+module.exports.requiredRole = requiredRole;
+module.exports.hasRole = hasRole;
+module.exports.hashPassword = hashPassword;
+module.exports.verifyPassword = verifyPassword;
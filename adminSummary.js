@@ -1,18 +1,14 @@
-const sqlite3 = require('sqlite3').verbose();
 const cron = require('node-cron');
 const moment = require('moment-timezone');
 
 class AdminSummary {
     constructor(options) {
-        this.trackingDbPath = options.trackingDbPath;
-        this.logsDbPath = options.logsDbPath;
+        this.db = options.db; // Shared DatabaseManager (scripts/DatabaseManager.js)
         this.sendMessageFunction = options.sendMessageFunction;
         this.logFunction = options.logFunction;
         this.adminPhone = '+13122858457'; // Admin phone number
         this.adminTimezone = 'America/Phoenix'; // Phoenix timezone
         
-        this.trackingDb = new sqlite3.Database(this.trackingDbPath);
-        this.logsDb = new sqlite3.Database(this.logsDbPath);
         this.cronJob = null;
         
         console.log('📊 Admin Summary initialized - daily reports at 8:30 PM Phoenix time');
@@ -20,52 +16,57 @@ class AdminSummary {
 
     // Get daily message count
     async getDailyMessageCount() {
-        return new Promise((resolve, reject) => {
-            const today = moment().tz(this.adminTimezone).format('YYYY-MM-DD');
-            
-            this.trackingDb.get(`
-                SELECT COUNT(*) as total_sent
-                FROM message_history 
-                WHERE DATE(sent_timestamp) = ?
-                AND delivery_status IN ('sent', 'delivered')
-            `, [today], (err, row) => {
-                if (err) reject(err);
-                else resolve(row ? row.total_sent : 0);
-            });
-        });
+        const today = moment().tz(this.adminTimezone).format('YYYY-MM-DD');
+        
+        const rows = await this.db.query(`
+            SELECT COUNT(*) as total_sent
+            FROM message_history 
+            WHERE DATE(sent_timestamp) = ?
+            AND delivery_status IN ('sent', 'delivered')
+        `, [today]);
+        
+        return rows[0] ? rows[0].total_sent : 0;
+    }
+
+    // Get today's messages that Twilio reported as not delivered
+    async getDailyDeliveryFailures() {
+        const today = moment().tz(this.adminTimezone).format('YYYY-MM-DD');
+        
+        const rows = await this.db.query(`
+            SELECT COUNT(*) as total_failed
+            FROM message_history 
+            WHERE DATE(sent_timestamp) = ?
+            AND delivery_status IN ('failed', 'undelivered')
+        `, [today]);
+        
+        return rows[0] ? rows[0].total_failed : 0;
     }
 
     // Get new user signups today
     async getDailySignups() {
-        return new Promise((resolve, reject) => {
-            const today = moment().tz(this.adminTimezone).format('YYYY-MM-DD');
-            
-            this.trackingDb.all(`
-                SELECT 
-                    user_type,
-                    COUNT(*) as count
-                FROM users 
-                WHERE DATE(date_joined) = ?
-                GROUP BY user_type
-            `, [today], (err, rows) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    const signups = {
-                        trial: 0,
-                        subscriber: 0,
-                        total: 0
-                    };
-                    
-                    rows.forEach(row => {
-                        signups[row.user_type] = row.count;
-                        signups.total += row.count;
-                    });
-                    
-                    resolve(signups);
-                }
-            });
+        const today = moment().tz(this.adminTimezone).format('YYYY-MM-DD');
+        
+        const rows = await this.db.query(`
+            SELECT 
+                user_type,
+                COUNT(*) as count
+            FROM users 
+            WHERE DATE(date_joined) = ?
+            GROUP BY user_type
+        `, [today]);
+        
+        const signups = {
+            trial: 0,
+            subscriber: 0,
+            total: 0
+        };
+        
+        rows.forEach(row => {
+            signups[row.user_type] = row.count;
+            signups.total += row.count;
         });
+        
+        return signups;
     }
 
     // Check system status
@@ -80,43 +81,38 @@ class AdminSummary {
 
     // Get daily error count
     async getDailyErrors() {
-        return new Promise((resolve, reject) => {
-            const today = moment().tz(this.adminTimezone).format('YYYY-MM-DD');
-            
-            this.logsDb.all(`
-                SELECT 
-                    log_type,
-                    COUNT(*) as count
-                FROM system_logs 
-                WHERE DATE(timestamp) = ?
-                AND log_type IN ('error', 'warning')
-                GROUP BY log_type
-            `, [today], (err, rows) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    const errors = {
-                        error: 0,
-                        warning: 0,
-                        total: 0
-                    };
-                    
-                    rows.forEach(row => {
-                        errors[row.log_type] = row.count;
-                        errors.total += row.count;
-                    });
-                    
-                    resolve(errors);
-                }
-            });
+        const today = moment().tz(this.adminTimezone).format('YYYY-MM-DD');
+        
+        const rows = await this.db.query(`
+            SELECT 
+                log_type,
+                COUNT(*) as count
+            FROM system_logs 
+            WHERE DATE(timestamp) = ?
+            AND log_type IN ('error', 'warning')
+            GROUP BY log_type
+        `, [today]);
+        
+        const errors = {
+            error: 0,
+            warning: 0,
+            total: 0
+        };
+        
+        rows.forEach(row => {
+            errors[row.log_type] = row.count;
+            errors.total += row.count;
         });
+        
+        return errors;
     }
 
     // Generate daily summary message
     async generateSummaryMessage() {
         try {
-            const [messageCount, signups, systemStatus, errors] = await Promise.all([
+            const [messageCount, failedCount, signups, systemStatus, errors] = await Promise.all([
                 this.getDailyMessageCount(),
+                this.getDailyDeliveryFailures(),
                 this.getDailySignups(),
                 this.getSystemStatus(),
                 this.getDailyErrors()
@@ -129,6 +125,9 @@ class AdminSummary {
             
             // Daily message count
             message += `${messageCount} messages sent\n`;
+            if (failedCount > 0) {
+                message += `${failedCount} failed to deliver\n`;
+            }
             
             // New signups
             if (signups.total > 0) {
@@ -236,17 +235,11 @@ class AdminSummary {
         return await this.sendDailySummary();
     }
 
-    // Close database connections
+    // Stop the cron job (database connections belong to the shared DatabaseManager)
     close() {
         if (this.cronJob) {
             this.cronJob.destroy();
         }
-        if (this.trackingDb) {
-            this.trackingDb.close();
-        }
-        if (this.logsDb) {
-            this.logsDb.close();
-        }
     }
 }
 
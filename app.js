@@ -1,7 +1,5 @@
 require('dotenv').config();
 const express = require('express');
-const mysql = require('mysql2/promise');
-const twilio = require('twilio');
 const cron = require('node-cron');
 const moment = require('moment-timezone');
 const path = require('path');
@@ -10,6 +8,21 @@ const ResponseHandler = require('./responseHandler');
 const MessageInjector = require('./messageInjector');
 const WordPressSync = require('./wordpressSync');
 const AdminSummary = require('./adminSummary');
+const DripScheduleStore = require('./dripSchedule');
+const SendPolicy = require('./sendPolicy');
+const SegmentStore = require('./audienceSegments');
+const MessageLibrary = require('./messageLibrary');
+const smsEncoding = require('./smsEncoding');
+const MessageTemplates = require('./messageTemplate');
+const KeywordRouter = require('./keywordRouter');
+const CrisisEscalation = require('./crisisEscalation');
+const { detectRisk } = require('./riskDetector');
+const { validateTemplate } = MessageTemplates;
+const AdminAuth = require('./adminAuth');
+const { createTransport } = require('./smsTransport');
+const { createEmailTransport } = require('./emailTransport');
+const { createSignatureValidator, signatureConfigProblem } = require('./webhookSignature');
+const DatabaseManager = require('./scripts/DatabaseManager');
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -17,56 +30,99 @@ const port = process.env.PORT || 3000;
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+// Before the static files so admin.html needs a login too
+app.use(requireAdminAuth);
 app.use(express.static('public'));
 
-// Twilio client
-const twilioClient = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+// SMS transport (twilio, outbox or http - see smsTransport.js)
+const smsTransport = createTransport();
+const emailTransport = createEmailTransport();
 
-// Database connection pool
-let dbPool;
+// Shared data-access layer (MariaDB in production, SQLite locally) used by every component
+let db;
 let scheduler, responseHandler, messageInjector, wordpressSync, adminSummary;
+let dripSchedules;
+let sendPolicy;
+let segments;
+let messageLibrary;
+let templates;
+let keywordRouter;
+let crisisEscalation;
+let adminAuth;
 
 // Processors
 let immediateQueueInterval = null;
 let wordpressSyncInterval = null;
 
-// Initialize MariaDB connection pool
+// Twilio delivery statuses in lifecycle order - a late callback never moves a message backwards
+const DELIVERY_STATUS_RANK = {
+    accepted: 1,
+    scheduled: 1,
+    queued: 2,
+    sending: 3,
+    sent: 4,
+    delivered: 5,
+    read: 6,
+    undelivered: 6,
+    failed: 6,
+    canceled: 6
+};
+
+// Common Twilio delivery error codes (https://www.twilio.com/docs/api/errors)
+const TWILIO_ERROR_MESSAGES = {
+    '21610': 'Recipient has unsubscribed (STOP)',
+    '21614': 'Not a valid mobile number',
+    '30003': 'Unreachable destination handset',
+    '30004': 'Message blocked',
+    '30005': 'Unknown destination handset',
+    '30006': 'Landline or unreachable carrier',
+    '30007': 'Carrier violation (filtered)',
+    '30008': 'Unknown error',
+    '30034': 'Unregistered A2P 10DLC number'
+};
+
+// Initialize the shared database
 async function initializeDatabase() {
-    console.log('🗄️  Initializing MariaDB database...');
-    
-    try {
-        dbPool = mysql.createPool({
-            host: process.env.MARIADB_HOST,
-            user: process.env.MARIADB_USER,
-            password: process.env.MARIADB_PASSWORD,
-            database: process.env.MARIADB_DATABASE,
-            port: process.env.MARIADB_PORT || 3306,
-            charset: 'utf8mb4',
-            connectionLimit: 10,
-            queueLimit: 0,
-            reconnect: true,
-            acquireTimeout: 60000,
-            timeout: 60000
-        });
+    console.log('🗄️  Initializing database...');
+    
+    try {
+        db = new DatabaseManager();
+        await db.initialize();
 
-        // Test connection
-        const connection = await dbPool.getConnection();
-        await connection.ping();
-        connection.release();
+        const health = await db.healthCheck();
+        if (health.status !== 'healthy') {
+            throw new Error(health.error);
+        }
 
-        console.log('✅ MariaDB connected successfully');
+        console.log(`✅ ${health.database} connected successfully`);
+        
+        // Shared with the scheduler (and send paths) so edits take effect immediately
+        sendPolicy = new SendPolicy({ db });
+        dripSchedules = new DripScheduleStore({ db, sendPolicy });
+        segments = new SegmentStore({ db });
+        messageLibrary = new MessageLibrary({ db });
+        templates = new MessageTemplates({ db });
+        keywordRouter = new KeywordRouter({ db });
+        crisisEscalation = new CrisisEscalation({ db, smsTransport, logFunction: logEvent, emailTransport });
+        adminAuth = new AdminAuth({ db, logFunction: logEvent });
+        await adminAuth.ensureBootstrapAdmin(process.env.ADMIN_USERNAME, process.env.ADMIN_PASSWORD);
         return true;
     } catch (error) {
-        console.error('❌ MariaDB connection failed:', error.message);
+        console.error('❌ Database connection failed:', error.message);
         throw error;
     }
 }
 
+// Which backend the shared database ended up on (MariaDB can fall back to SQLite)
+function databaseName() {
+    if (!db) return 'initializing';
+    return db.config.useMariaDB ? 'MariaDB' : 'SQLite';
+}
+
 // Database query helper function
 async function query(sql, params = []) {
     try {
-        const [rows] = await dbPool.execute(sql, params);
-        return rows;
+        return await db.query(sql, params);
     } catch (error) {
         console.error('Database query error:', error);
         throw error;
@@ -99,11 +155,18 @@ async function testSystem() {
         const messageCount = messages[0]?.count || 0;
         await logEvent('info', `Messages database OK - ${messageCount} messages found`);
         
-        // Test Twilio
-        if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
-            await logEvent('info', 'Twilio credentials configured');
-        } else {
-            await logEvent('warning', 'Twilio credentials missing');
+        // Test SMS transport
+        await logEvent('info', `SMS transport: ${smsTransport.name}`);
+        if (smsTransport.name === 'twilio') {
+            if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
+                await logEvent('info', 'Twilio credentials configured');
+            } else {
+                await logEvent('warning', 'Twilio credentials missing');
+            }
+        }
+        const webhookProblem = signatureConfigProblem();
+        if (webhookProblem) {
+            await logEvent('error', webhookProblem);
         }
         
         console.log('✅ System tests completed');
@@ -113,53 +176,47 @@ async function testSystem() {
     }
 }
 
+// Normalize phone number to E.164 format
+function normalizePhoneNumber(phoneNumber) {
+    let normalized = phoneNumber.replace(/[^\d]/g, '');
+    if (!normalized.startsWith('1') && normalized.length === 10) {
+        normalized = '1' + normalized;
+    }
+    return '+' + normalized;
+}
+
 // Message sending function
-async function sendMessage(phoneNumber, messageText, messageId = null, mediaUrls = null) {
+// options.messageType / options.selectionReason are recorded in message_history (scheduler sends)
+async function sendMessage(phoneNumber, messageText, messageId = null, mediaUrls = null, options = {}) {
     try {
-        // Normalize phone number to E.164 format
-        let normalizedPhone = phoneNumber.replace(/[^\d]/g, '');
-        if (!normalizedPhone.startsWith('1') && normalizedPhone.length === 10) {
-            normalizedPhone = '1' + normalizedPhone;
-        }
-        normalizedPhone = '+' + normalizedPhone;
+        const normalizedPhone = normalizePhoneNumber(phoneNumber);
         
         console.log(`📱 Sending message to ${normalizedPhone}: ${messageText.substring(0, 50)}...`);
         
-        // In development, just log the message
-        if (process.env.NODE_ENV === 'development') {
-            await logEvent('info', `[DEV MODE] Would send SMS to ${normalizedPhone}`, normalizedPhone, { messageText, messageId });
-            
-            // Record in message history
-            await query(`
-                INSERT INTO message_history 
-                (phone_number, message_id, message_type, sent_timestamp, delivery_status, twilio_message_id) 
-                VALUES (?, ?, ?, ?, ?, ?)
-            `, [normalizedPhone, messageId || 'unknown', 'standard', new Date().toISOString(), 'delivered', 'dev_mode_' + Date.now()]);
-            
-            return { success: true, sid: 'dev_mode_' + Date.now() };
-        }
-        
-        // Production Twilio sending
-        const messageData = {
+        const outgoing = {
+            to: normalizedPhone,
             body: messageText,
-            messagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID,
-            to: normalizedPhone
+            mediaUrls: mediaUrls && mediaUrls.length > 0 ? mediaUrls : null
         };
         
-        if (mediaUrls && mediaUrls.length > 0) {
-            messageData.mediaUrl = mediaUrls;
+        // Ask the provider to report delivery progress back to /webhook/sms-status
+        if (process.env.PUBLIC_BASE_URL) {
+            outgoing.statusCallback = `${process.env.PUBLIC_BASE_URL.replace(/\/$/, '')}/webhook/sms-status`;
+        }
+        
+        if (outgoing.mediaUrls) {
             console.log(`📎 Sending MMS with ${mediaUrls.length} media attachments`);
         }
         
-        const message = await twilioClient.messages.create(messageData);
-        await logEvent('info', `Message sent successfully - SID: ${message.sid}`, normalizedPhone);
+        const message = await smsTransport.send(outgoing);
+        await logEvent('info', `Message sent via ${smsTransport.name} - SID: ${message.sid}`, normalizedPhone);
         
         // Record in message history
         await query(`
             INSERT INTO message_history 
-            (phone_number, message_id, message_type, sent_timestamp, delivery_status, twilio_message_id) 
-            VALUES (?, ?, ?, ?, ?, ?)
-        `, [normalizedPhone, messageId || 'test_message', 'standard', new Date().toISOString(), 'sent', message.sid]);
+            (phone_number, message_id, message_type, message_body, sent_timestamp, delivery_status, twilio_message_id, selection_reason) 
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [normalizedPhone, messageId || 'test_message', options.messageType || 'standard', messageText, new Date().toISOString(), message.status || 'sent', message.sid, options.selectionReason || null]);
         
         // Mark user as awaiting response for interactive messages
         if (messageId && (messageText.includes('A)') || messageText.includes('Reply:'))) {
@@ -180,20 +237,112 @@ async function sendMessage(phoneNumber, messageText, messageId = null, mediaUrls
     }
 }
 
+// Merged, time-ordered two-way conversation for one phone number
+async function getConversationThread(phoneNumber, limit = 100) {
+    const outbound = await query(`
+        SELECT id, message_id, message_body, sent_timestamp, delivery_status, error_code
+        FROM message_history 
+        WHERE phone_number = ?
+        ORDER BY sent_timestamp DESC
+        LIMIT ${limit}
+    `, [phoneNumber]);
+    
+    const inbound = await query(`
+        SELECT id, message_body, twilio_message_sid, classification, action_taken, received_timestamp
+        FROM inbound_messages 
+        WHERE phone_number = ?
+        ORDER BY received_timestamp DESC
+        LIMIT ${limit}
+    `, [phoneNumber]);
+    
+    const thread = [
+        ...outbound.map(row => ({
+            direction: 'outbound',
+            timestamp: new Date(row.sent_timestamp).toISOString(),
+            body: row.message_body,
+            messageId: row.message_id,
+            deliveryStatus: row.delivery_status,
+            errorCode: row.error_code
+        })),
+        ...inbound.map(row => ({
+            direction: 'inbound',
+            timestamp: new Date(row.received_timestamp).toISOString(),
+            body: row.message_body,
+            messageSid: row.twilio_message_sid,
+            classification: row.classification,
+            action: row.action_taken
+        }))
+    ];
+    
+    // Oldest first, like a phone's message thread
+    thread.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    return thread.slice(-limit);
+}
+
+// Apply a Twilio status callback to the matching message_history row
+async function updateDeliveryStatus(twilioMessageId, messageStatus, errorCode = null) {
+    const status = (messageStatus || '').toLowerCase();
+    const now = new Date().toISOString();
+    
+    // Keep every callback, even out-of-order ones, so the full timeline can be reviewed
+    await query(`
+        INSERT INTO message_status_events 
+        (twilio_message_id, message_status, error_code, event_timestamp) 
+        VALUES (?, ?, ?, ?)
+    `, [twilioMessageId, status, errorCode, now]);
+    
+    const rows = await query(
+        'SELECT id, phone_number, delivery_status FROM message_history WHERE twilio_message_id = ? LIMIT 1',
+        [twilioMessageId]
+    );
+    const historyRow = rows[0];
+    
+    if (!historyRow) {
+        await logEvent('warning', `Status callback for unknown message SID: ${twilioMessageId} (${status})`);
+        return { updated: false, reason: 'Message not found' };
+    }
+    
+    const currentRank = DELIVERY_STATUS_RANK[historyRow.delivery_status] || 0;
+    const newRank = DELIVERY_STATUS_RANK[status] || 0;
+    
+    if (newRank < currentRank) {
+        return { updated: false, reason: `Ignoring stale status "${status}" (currently "${historyRow.delivery_status}")` };
+    }
+    
+    const errorMessage = errorCode ? (TWILIO_ERROR_MESSAGES[errorCode] || `Twilio error ${errorCode}`) : null;
+    
+    await query(`
+        UPDATE message_history SET 
+        delivery_status = ?, 
+        status_updated_at = ?,
+        delivered_timestamp = CASE WHEN ? = 'delivered' THEN ? ELSE delivered_timestamp END,
+        error_code = ?,
+        error_message = ?
+        WHERE id = ?
+    `, [status, now, status, now, errorCode, errorMessage, historyRow.id]);
+    
+    if (status === 'failed' || status === 'undelivered') {
+        await logEvent('warning', `Message ${twilioMessageId} ${status}: ${errorMessage || 'no error code'}`, historyRow.phone_number, { errorCode });
+    }
+    
+    return { updated: true, status };
+}
+
 // Add test user
 async function addTestUser(phoneNumber, firstName = 'Test User') {
     const normalizedPhone = phoneNumber.replace(/[^\d]/g, '');
     const formattedPhone = '+1' + normalizedPhone;
     
     try {
-        await query(`
-            INSERT INTO users 
-            (phone_number, protocol, user_type, first_name, date_joined, date_modified) 
-            VALUES (?, ?, ?, ?, NOW(), NOW())
-            ON DUPLICATE KEY UPDATE
-            first_name = VALUES(first_name),
-            date_modified = NOW()
-        `, [formattedPhone, 'Elevate', 'trial', firstName]);
+        const now = new Date().toISOString();
+        await db.upsert('users', {
+            phone_number: formattedPhone,
+            protocol: 'Elevate',
+            user_type: 'trial',
+            first_name: firstName,
+            date_joined: now,
+            date_modified: now
+        }, ['phone_number'], { updateColumns: ['first_name', 'date_modified'] });
         
         await logEvent('info', `Test user added: ${firstName} (${formattedPhone})`);
     } catch (error) {
@@ -237,7 +386,9 @@ async function processWordPressSync() {
                 wpPassword: process.env.WP_DB_PASSWORD,
                 wpDatabase: process.env.WP_DB_NAME,
                 wpPrefix: process.env.WP_DB_PREFIX,
-                trackingDbPath: './databases/user_tracking.db', // Still needed for WordPressSync class
+                db,
+                sendPolicy,
+                templates,
                 logFunction: logEvent
             });
         }
@@ -292,7 +443,9 @@ async function processImmediateQueue() {
                 wpPassword: process.env.WP_DB_PASSWORD,
                 wpDatabase: process.env.WP_DB_NAME,
                 wpPrefix: process.env.WP_DB_PREFIX,
-                trackingDbPath: './databases/user_tracking.db',
+                db,
+                sendPolicy,
+                templates,
                 logFunction: logEvent
             });
         }
@@ -310,12 +463,35 @@ async function processImmediateQueue() {
     }
 }
 
+// Verify that a webhook request really came from Twilio (X-Twilio-Signature - see webhookSignature.js)
+const validateTwilioSignature = createSignatureValidator({ logFunction: logEvent });
+
+// Dashboard and API authentication - adminAuth.js decides which role each route needs
+async function requireAdminAuth(req, res, next) {
+    // Local testing (curl, test-requests.http) without logging in - only allowed in development
+    if (process.env.NODE_ENV === 'development' && process.env.ADMIN_AUTH_DISABLED === 'true') {
+        return next();
+    }
+    if (!AdminAuth.requiredRole(req.method, req.path)) {
+        return next();
+    }
+    if (!adminAuth) {
+        return res.status(503).json({ success: false, error: 'Database not initialized' });
+    }
+    return adminAuth.middleware()(req, res, next);
+}
+
+// Who made a change, for updated_by / created_by columns
+function actorName(req) {
+    return req.adminUser ? req.adminUser.username : 'admin';
+}
+
 // Routes
 app.get('/', (req, res) => {
     res.json({
         status: 'HealthyText SMS System',
         version: '2.0.0',
-        database: 'MariaDB',
+        database: databaseName(),
         timestamp: new Date().toISOString()
     });
 });
@@ -324,6 +500,116 @@ app.get('/admin', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'admin.html'));
 });
 
+// Dashboard login - sets the session cookie. Failures are logged by adminAuth.
+app.post('/auth/login', async (req, res) => {
+    try {
+        if (!adminAuth) {
+            return res.status(503).json({ success: false, error: 'Database not initialized' });
+        }
+
+        const { username, password } = req.body || {};
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({ success: false, error: 'username and password are required' });
+        }
+
+        const result = await adminAuth.login(username.trim(), password, { ip: req.ip });
+        if (!result.success) {
+            return res.status(401).json(result);
+        }
+
+        res.setHeader('Set-Cookie', adminAuth.sessionCookie(result.token, result.expiresAt));
+        res.json({ success: true, user: result.user, expiresAt: result.expiresAt });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/auth/logout', async (req, res) => {
+    try {
+        await adminAuth.logout(adminAuth.sessionTokenFrom(req));
+        res.setHeader('Set-Cookie', adminAuth.clearedSessionCookie());
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/auth/me', (req, res) => {
+    res.json({ user: req.adminUser || null, roles: AdminAuth.ROLES });
+});
+
+// Dashboard accounts and API tokens (admin role)
+app.get('/admin/accounts', async (req, res) => {
+    try {
+        const accounts = await adminAuth.listAccounts();
+        res.json({ count: accounts.length, accounts });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Database error', details: error.message });
+    }
+});
+
+// Body: { username, password, role }
+app.post('/admin/accounts', async (req, res) => {
+    try {
+        const result = await adminAuth.createAccount(req.body || {}, actorName(req));
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+
+        await logEvent('info', `Dashboard account created: ${req.body.username} (${req.body.role || 'viewer'}) by ${actorName(req)}`);
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Body: any of { role, password, active }
+app.put('/admin/accounts/:username', async (req, res) => {
+    try {
+        const result = await adminAuth.updateAccount(req.params.username, req.body || {});
+        if (!result.success) {
+            return res.status(result.notFound ? 404 : 400).json(result);
+        }
+
+        await logEvent('info', `Dashboard account updated: ${req.params.username} by ${actorName(req)}`);
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/admin/api-tokens', async (req, res) => {
+    try {
+        const tokens = await adminAuth.listApiTokens();
+        res.json({ count: tokens.length, tokens });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Database error', details: error.message });
+    }
+});
+
+// Body: { name, role } - the token is returned once and cannot be shown again
+app.post('/admin/api-tokens', async (req, res) => {
+    try {
+        const { name, role } = req.body || {};
+        const result = await adminAuth.createApiToken(name, role, actorName(req));
+        res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/admin/api-tokens/:id', async (req, res) => {
+    try {
+        const revoked = await adminAuth.revokeApiToken(req.params.id);
+        if (revoked) {
+            await logEvent('info', `API token ${req.params.id} revoked by ${actorName(req)}`);
+        }
+        res.json({ success: revoked });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 app.post('/test/send-message', async (req, res) => {
     const { phoneNumber, message } = req.body;
     
@@ -335,6 +621,24 @@ app.post('/test/send-message', async (req, res) => {
     res.json(result);
 });
 
+// Outbox transport inspection (local/staging only)
+app.get('/test/outbox', (req, res) => {
+    if (smsTransport.name !== 'outbox') {
+        return res.status(404).json({ error: `Outbox not available - SMS transport is "${smsTransport.name}"` });
+    }
+    
+    res.json(smsTransport.getMessages(req.query.phone || null));
+});
+
+app.delete('/test/outbox', (req, res) => {
+    if (smsTransport.name !== 'outbox') {
+        return res.status(404).json({ error: `Outbox not available - SMS transport is "${smsTransport.name}"` });
+    }
+    
+    smsTransport.clear();
+    res.json({ success: true, message: 'Outbox cleared' });
+});
+
 app.post('/test/add-user', async (req, res) => {
     const { phoneNumber, firstName } = req.body;
     
@@ -346,20 +650,22 @@ app.post('/test/add-user', async (req, res) => {
     res.json({ success: true, message: 'Test user added' });
 });
 
-app.post('/webhook/sms', async (req, res) => {
+app.post('/webhook/sms', validateTwilioSignature, async (req, res) => {
     try {
-        const { From: phoneNumber, Body: messageBody } = req.body;
+        const { From: phoneNumber, Body: messageBody, MessageSid: messageSid } = req.body;
         
         if (!responseHandler) {
             responseHandler = new ResponseHandler({
-                trackingDbPath: './databases/user_tracking.db', // Will be updated to use MariaDB
-                messagesDbPath: './databases/messages.db',
+                db,
                 sendMessageFunction: sendMessage,
-                logFunction: logEvent
+                logFunction: logEvent,
+                templates,
+                keywordRouter,
+                escalation: crisisEscalation
             });
         }
 
-        const result = await responseHandler.processIncomingMessage(phoneNumber, messageBody);
+        const result = await responseHandler.processIncomingMessage(phoneNumber, messageBody, messageSid);
         
         res.type('text/xml');
         res.send('<?xml version="1.0" encoding="UTF-8"?><Response></Response>');
@@ -370,6 +676,28 @@ app.post('/webhook/sms', async (req, res) => {
     }
 });
 
+// Twilio delivery status callback
+app.post('/webhook/sms-status', validateTwilioSignature, async (req, res) => {
+    try {
+        const { MessageSid: messageSid, MessageStatus: messageStatus, ErrorCode: errorCode } = req.body;
+        
+        if (!messageSid || !messageStatus) {
+            return res.status(400).send('MessageSid and MessageStatus required');
+        }
+        
+        const result = await updateDeliveryStatus(messageSid, messageStatus, errorCode || null);
+        if (!result.updated) {
+            console.log(`⏭️ Status callback for ${messageSid} not applied: ${result.reason}`);
+        }
+        
+        res.sendStatus(204);
+        
+    } catch (error) {
+        await logEvent('error', 'SMS status callback error', null, error);
+        res.status(500).send('Error processing status callback');
+    }
+});
+
 app.get('/status', async (req, res) => {
     try {
         const messageRows = await query('SELECT COUNT(*) as messageCount FROM messages WHERE active = 1');
@@ -378,7 +706,7 @@ app.get('/status', async (req, res) => {
         
         res.json({
             status: 'running',
-            database: 'MariaDB',
+            database: databaseName(),
             messages: messageRows[0] ? messageRows[0].messageCount : 0,
             users: userRows[0] ? userRows[0].userCount : 0,
             activePrograms: programRows[0] ? programRows[0].programCount : 0,
@@ -396,8 +724,10 @@ app.post('/scheduler/start', (req, res) => {
     try {
         if (!scheduler) {
             scheduler = new MessageScheduler({
-                trackingDbPath: './databases/user_tracking.db', // Will be updated
-                messagesDbPath: './databases/messages.db',
+                db,
+                dripSchedules,
+                sendPolicy,
+                templates,
                 sendMessageFunction: sendMessage,
                 logFunction: logEvent
             });
@@ -426,128 +756,1029 @@ app.get('/scheduler/status', (req, res) => {
     });
 });
 
-// Immediate queue endpoints
-app.post('/admin/start-immediate-queue', (req, res) => {
+// Planned sends (users.next_send_at), soonest first
+app.get('/scheduler/upcoming', async (req, res) => {
     try {
-        startImmediateQueueProcessor();
-        res.json({ 
-            success: true, 
-            message: 'Immediate queue processor started - checking every 30 seconds for new Elevate signups' 
+        if (!scheduler) {
+            return res.status(503).json({ error: 'Scheduler not initialized' });
+        }
+        
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+        const upcoming = await scheduler.getUpcomingSends(limit);
+        res.json({ count: upcoming.length, upcoming });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to load planned sends', details: error.message });
+    }
+});
+
+// Content pool sizes per program vs. what the drip schedules need to avoid repeats
+app.get('/admin/content-rotation', async (req, res) => {
+    try {
+        if (!scheduler) {
+            return res.status(503).json({ error: 'Scheduler not initialized' });
+        }
+        
+        const report = await scheduler.getRotationReport();
+        res.json({
+            ...report,
+            thinPools: report.protocols.filter(entry => entry.algorithm.thin || entry.postTrial.thin).map(entry => entry.protocol)
         });
     } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        res.status(500).json({ error: 'Failed to build rotation report', details: error.message });
     }
 });
 
-app.post('/admin/stop-immediate-queue', (req, res) => {
+// Conversation thread for one subscriber (outbound + inbound, oldest first)
+app.get('/admin/conversation/:phoneNumber', async (req, res) => {
     try {
-        stopImmediateQueueProcessor();
-        res.json({ success: true, message: 'Immediate queue processor stopped' });
+        const phoneNumber = normalizePhoneNumber(req.params.phoneNumber);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+        
+        const thread = await getConversationThread(phoneNumber, limit);
+        res.json({ phoneNumber, count: thread.length, thread });
     } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        res.status(500).json({ error: 'Database error', details: error.message });
     }
 });
 
-app.get('/admin/immediate-queue-status', (req, res) => {
-    res.json({
-        running: immediateQueueInterval !== null,
-        program: 'Elevate',
-        formId: 4,
-        checkInterval: '30 seconds',
-        timestamp: new Date().toISOString()
-    });
+// Drip schedules - per program/user type cadence overrides (see dripSchedule.js)
+
+// Make the scheduler re-plan everyone a schedule change applies to
+async function clearPlannedSends(protocol, userType) {
+    if (protocol === 'ALL') {
+        return await query('UPDATE users SET next_send_at = NULL WHERE user_type = ?', [userType]);
+    }
+    return await query('UPDATE users SET next_send_at = NULL WHERE user_type = ? AND protocol = ?', [userType, protocol]);
+}
+
+app.get('/admin/drip-schedules', async (req, res) => {
+    try {
+        res.json(await dripSchedules.listSchedules());
+    } catch (error) {
+        res.status(500).json({ error: 'Database error', details: error.message });
+    }
 });
 
-// WordPress sync endpoints
-app.post('/admin/start-wordpress-sync', (req, res) => {
+app.get('/admin/drip-schedules/:protocol/:userType', async (req, res) => {
     try {
-        startWordPressSyncProcessor();
-        res.json({ 
-            success: true, 
-            message: 'WordPress subscriber sync processor started - running every hour' 
-        });
+        const { protocol, userType } = req.params;
+        const resolved = await dripSchedules.resolveSchedule(protocol, userType);
+        res.json({ protocol, userType, ...resolved });
     } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        res.status(500).json({ error: 'Database error', details: error.message });
     }
 });
 
-app.post('/admin/stop-wordpress-sync', (req, res) => {
+app.put('/admin/drip-schedules/:protocol/:userType', async (req, res) => {
     try {
-        stopWordPressSyncProcessor();
-        res.json({ success: true, message: 'WordPress sync processor stopped' });
+        const { protocol, userType } = req.params;
+        const result = await dripSchedules.saveSchedule(protocol, userType, req.body, actorName(req));
+        
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+        
+        await clearPlannedSends(protocol, userType);
+        await logEvent('info', `Drip schedule updated for ${protocol}/${userType}`, null, req.body);
+        res.json(result);
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-app.get('/admin/wordpress-sync-status', (req, res) => {
-    res.json({
-        running: wordpressSyncInterval !== null,
-        interval: '1 hour',
-        timestamp: new Date().toISOString()
-    });
+app.delete('/admin/drip-schedules/:protocol/:userType', async (req, res) => {
+    try {
+        const { protocol, userType } = req.params;
+        const removed = await dripSchedules.deleteSchedule(protocol, userType);
+        
+        if (removed) {
+            await clearPlannedSends(protocol, userType);
+            await logEvent('info', `Drip schedule override removed for ${protocol}/${userType}`);
+        }
+        res.json({ success: removed });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
 });
 
-// Start the application
-async function startApp() {
-    console.log('🚀 Starting HealthyText SMS System v2.0...');
-    
-    await initializeDatabase();
-    await testSystem();
-    
-    // Add admin user
-    await addTestUser('3122858457', 'Admin User');
-    
-    // Start processors
-    startImmediateQueueProcessor();
-    startWordPressSyncProcessor();
-    
-    // Start message scheduler
-    if (!scheduler) {
-        scheduler = new MessageScheduler({
-            trackingDbPath: './databases/user_tracking.db', // Will be updated
-            messagesDbPath: './databases/messages.db',
-            sendMessageFunction: sendMessage,
-            logFunction: logEvent
+// Which message a new user would get on which day - GET previews the stored schedule,
+// POST previews a draft definition (request body) before saving it
+app.get('/admin/drip-schedules/:protocol/:userType/preview', async (req, res) => {
+    try {
+        const { protocol, userType } = req.params;
+        const preview = await dripSchedules.previewSchedule(protocol, userType, {
+            days: req.query.days,
+            startDate: req.query.start,
+            timezone: req.query.timezone
         });
+        res.json(preview);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
     }
-    scheduler.start();
-    console.log('📅 Message scheduler started');
-    
-    // Start admin summary
-    if (!adminSummary) {
-        adminSummary = new AdminSummary({
-            trackingDbPath: './databases/user_tracking.db', // Will be updated
-            logsDbPath: './databases/system_logs.db',
-            sendMessageFunction: sendMessage,
-            logFunction: logEvent
+});
+
+app.post('/admin/drip-schedules/:protocol/:userType/preview', async (req, res) => {
+    try {
+        const { protocol, userType } = req.params;
+        const preview = await dripSchedules.previewSchedule(protocol, userType, {
+            days: req.query.days,
+            startDate: req.query.start,
+            timezone: req.query.timezone,
+            definition: req.body
         });
+        res.status(preview.success ? 200 : 400).json(preview);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
     }
-    adminSummary.start();
-    
-    app.listen(port, () => {
-        console.log(`\n✅ Server running on port ${port}`);
-        console.log(`📍 Database: MariaDB (Production-Ready)`);
-        console.log(`🎛️ Admin Dashboard: http://localhost:${port}/admin`);
-        console.log(`📊 Status: http://localhost:${port}/status`);
-        
-        logEvent('info', 'HealthyText SMS System v2.0 started - MariaDB only');
+});
+
+// Dashboard endpoints (public/admin.html). Errors are always { success: false, error }.
+
+const PROGRAM_NAME_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+const MESSAGE_ID_PATTERN = /^[A-Za-z0-9_.-]{1,100}$/;
+const MAX_BROADCAST_LENGTH = 1600; // Twilio's limit for one message body
+
+// Problems with a dashboard broadcast ({ messageId, message, protocol?, priority? })
+function validateBroadcastRequest(body) {
+    const errors = [];
+    if (typeof body.messageId !== 'string' || !MESSAGE_ID_PATTERN.test(body.messageId.trim())) {
+        errors.push('messageId is required (letters, numbers, _ - . up to 100 characters)');
+    }
+    if (typeof body.message !== 'string' || !body.message.trim()) {
+        errors.push('message is required');
+    } else if (body.message.length > MAX_BROADCAST_LENGTH) {
+        errors.push(`message is longer than ${MAX_BROADCAST_LENGTH} characters`);
+    } else {
+        errors.push(...validateTemplate(body.message), ...smsEncoding.validateSegments(body.message));
+    }
+    if (body.protocol !== undefined && (typeof body.protocol !== 'string' || !PROGRAM_NAME_PATTERN.test(body.protocol))) {
+        errors.push('protocol must be a program name or ALL');
+    }
+    if (body.priority !== undefined && (!Number.isInteger(body.priority) || body.priority < 1 || body.priority > 3)) {
+        errors.push('priority must be 1, 2 or 3');
+    }
+    return errors;
+}
+
+// Per-program user and message counts - every program that has active users or its own content.
+// messages counts the program's own active messages plus the shared 'ALL' ones.
+async function getProgramOverview() {
+    const userRows = await query(`
+        SELECT protocol,
+            COUNT(*) as user_count,
+            SUM(CASE WHEN user_type = 'trial' THEN 1 ELSE 0 END) as trial_users,
+            SUM(CASE WHEN user_type = 'subscriber' THEN 1 ELSE 0 END) as subscriber_users
+        FROM users
+        WHERE subscription_status NOT IN ('stopped', 'expired') AND protocol IS NOT NULL
+        GROUP BY protocol
+    `);
+    const messageRows = await query(`
+        SELECT protocol, COUNT(*) as message_count
+        FROM messages
+        WHERE active = 1 AND protocol IS NOT NULL
+        GROUP BY protocol
+    `);
+
+    const sharedMessages = Number(messageRows.find(row => row.protocol === 'ALL')?.message_count || 0);
+    const protocols = new Set([
+        ...userRows.map(row => row.protocol),
+        ...messageRows.map(row => row.protocol).filter(protocol => protocol !== 'ALL')
+    ]);
+
+    return [...protocols].sort().map(protocol => {
+        const users = userRows.find(row => row.protocol === protocol);
+        const messages = messageRows.find(row => row.protocol === protocol);
+        return {
+            protocol,
+            user_count: Number(users?.user_count || 0),
+            trial_users: Number(users?.trial_users || 0),
+            subscriber_users: Number(users?.subscriber_users || 0),
+            message_count: Number(messages?.message_count || 0) + sharedMessages
+        };
     });
 }
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
-    console.log('\n🛑 Shutting down gracefully...');
-    
-    if (scheduler) scheduler.stop();
+// Same shape as /status, limited to one program
+app.get('/admin/program-status/:program', async (req, res) => {
+    try {
+        const { program } = req.params;
+        if (!PROGRAM_NAME_PATTERN.test(program)) {
+            return res.status(400).json({ success: false, error: 'Invalid program name' });
+        }
+
+        // The dashboard lists programs before they have users or content - those are all zeros
+        const overview = (await getProgramOverview()).find(entry => entry.protocol.toLowerCase() === program.toLowerCase()) ||
+            { protocol: program, user_count: 0, trial_users: 0, subscriber_users: 0, message_count: 0 };
+
+        res.json({
+            status: 'running',
+            program: overview.protocol,
+            database: databaseName(),
+            messages: overview.message_count,
+            users: overview.user_count,
+            trialUsers: overview.trial_users,
+            subscriberUsers: overview.subscriber_users,
+            activePrograms: overview.user_count > 0 ? 1 : 0,
+            scheduler: scheduler ? scheduler.isRunning : false,
+            immediateQueue: immediateQueueInterval !== null,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Database error', details: error.message });
+    }
+});
+
+app.get('/admin/program-overview', async (req, res) => {
+    try {
+        res.json(await getProgramOverview());
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Database error', details: error.message });
+    }
+});
+
+// Dashboard broadcast - an immediate injection. Returns the injectMessage result
+// ({ success, messageId, usersFound, messagesSent, messagesSkipped, errors }).
+app.post('/admin/inject-message', async (req, res) => {
+    try {
+        if (!messageInjector) {
+            return res.status(503).json({ success: false, error: 'Message injector not initialized' });
+        }
+
+        const body = req.body || {};
+        const errors = validateBroadcastRequest(body);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: errors.join('; '), errors });
+        }
+
+        const messageId = body.messageId.trim();
+        const result = await messageInjector.injectMessage({
+            messageId,
+            message: body.message.trim(),
+            protocol: body.protocol || 'ALL',
+            priority: body.priority || 1,
+            createdBy: actorName(req)
+        });
+        await logEvent('info', `Dashboard broadcast ${messageId} (${result.protocol}): ${result.messagesSent} sent, ${result.messagesSkipped} skipped`);
+        res.json(result);
+    } catch (error) {
+        // Program content is never overwritten by an injection (see addMessageToDatabase)
+        res.status(error.code === 'message_id_taken' ? 409 : 500).json({ success: false, error: error.message });
+    }
+});
+
+// Recent injections grouped by message (?program=, ?limit=)
+app.get('/admin/injection-history', async (req, res) => {
+    try {
+        if (!messageInjector) {
+            return res.status(503).json({ success: false, error: 'Message injector not initialized' });
+        }
+
+        const program = req.query.program || 'ALL';
+        if (!PROGRAM_NAME_PATTERN.test(program)) {
+            return res.status(400).json({ success: false, error: 'Invalid program name' });
+        }
+        const limit = req.query.limit === undefined ? 10 : parseInt(req.query.limit, 10);
+        if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+            return res.status(400).json({ success: false, error: 'limit must be between 1 and 100' });
+        }
+
+        res.json(await messageInjector.getInjectionHistory(limit, program));
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Database error', details: error.message });
+    }
+});
+
+// Message injections - immediate, at a fixed instant (sendAt) or at a local time in each
+// recipient's timezone (localTime + optional sendDate)
+app.get('/admin/injections', async (req, res) => {
+    try {
+        if (!messageInjector) {
+            return res.status(503).json({ error: 'Message injector not initialized' });
+        }
+        
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 200);
+        const injections = await messageInjector.listInjections(limit);
+        res.json({ count: injections.length, injections });
+    } catch (error) {
+        res.status(500).json({ error: 'Database error', details: error.message });
+    }
+});
+
+app.post('/admin/injections', async (req, res) => {
+    try {
+        if (!messageInjector) {
+            return res.status(503).json({ success: false, error: 'Message injector not initialized' });
+        }
+        
+        const errors = [
+            ...MessageInjector.validateInjectionTiming(req.body || {}),
+            ...MessageInjector.validateRetryPolicy(req.body || {})
+        ];
+        if (!req.body?.message || !req.body?.messageId) {
+            errors.unshift('message and messageId are required');
+        } else {
+            errors.push(...validateTemplate(req.body.message), ...smsEncoding.validateSegments(req.body.message));
+        }
+        errors.push(...(await segments.resolveSegment(req.body || {})).errors);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, errors });
+        }
+        
+        res.json(await messageInjector.injectMessage({ ...req.body, createdBy: actorName(req) }));
+    } catch (error) {
+        res.status(error.code === 'message_id_taken' ? 409 : 500).json({ success: false, error: error.message });
+    }
+});
+
+// How many recipients land in each timezone bucket, and when their rows would go out
+app.post('/admin/injections/preview', async (req, res) => {
+    try {
+        if (!messageInjector) {
+            return res.status(503).json({ success: false, error: 'Message injector not initialized' });
+        }
+        
+        const preview = await messageInjector.previewInjection(req.body || {});
+        res.status(preview.success ? 200 : 400).json(preview);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/admin/injections/:id', async (req, res) => {
+    try {
+        if (!messageInjector) {
+            return res.status(503).json({ error: 'Message injector not initialized' });
+        }
+
+        const injection = await messageInjector.getInjection(req.params.id);
+        if (!injection) {
+            return res.status(404).json({ error: `Injection ${req.params.id} not found` });
+        }
+        res.json(injection);
+    } catch (error) {
+        res.status(500).json({ error: 'Database error', details: error.message });
+    }
+});
+
+// Lifecycle controls - pause, resume, cancel, and retry-skipped (re-queue recipients whose
+// skip was final). Unknown ids are 404, a move the current state doesn't allow is 409.
+const INJECTION_ACTIONS = {
+    pause: id => messageInjector.pauseInjection(id),
+    resume: id => messageInjector.resumeInjection(id),
+    cancel: id => messageInjector.cancelInjection(id),
+    'retry-skipped': id => messageInjector.retrySkippedRecipients(id)
+};
+
+app.post('/admin/injections/:id/:action', async (req, res) => {
+    try {
+        if (!messageInjector) {
+            return res.status(503).json({ success: false, error: 'Message injector not initialized' });
+        }
+
+        const action = INJECTION_ACTIONS[req.params.action];
+        if (!action) {
+            return res.status(404).json({ success: false, error: `Unknown injection action "${req.params.action}"` });
+        }
+
+        const result = await action(req.params.id);
+        if (!result.success) {
+            return res.status(result.code === 'not_found' ? 404 : 409).json(result);
+        }
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Audience segments - reusable recipient filters for injections (see audienceSegments.js)
+app.get('/admin/segments', async (req, res) => {
+    try {
+        const saved = await segments.listSegments();
+        res.json({ count: saved.length, segments: saved });
+    } catch (error) {
+        res.status(500).json({ error: 'Database error', details: error.message });
+    }
+});
+
+// Count and sample for an inline definition ({ segment, protocol? }) or a saved one ({ segmentName })
+app.post('/admin/segments/preview', async (req, res) => {
+    try {
+        const resolved = await segments.resolveSegment(req.body || {});
+        if (resolved.errors.length > 0 || !resolved.definition) {
+            const errors = resolved.errors.length > 0 ? resolved.errors : ['segment or segmentName is required'];
+            return res.status(400).json({ success: false, errors });
+        }
+
+        const preview = await segments.previewSegment(resolved.definition, {
+            protocol: req.body.protocol,
+            sampleSize: req.query.sample
+        });
+        res.status(preview.success ? 200 : 400).json({ segmentName: resolved.name, ...preview });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/admin/segments/:name', async (req, res) => {
+    try {
+        const segment = await segments.getSegment(req.params.name);
+        if (!segment) {
+            return res.status(404).json({ error: `Unknown segment "${req.params.name}"` });
+        }
+
+        const preview = await segments.previewSegment(segment.definition, { sampleSize: 0 });
+        res.json({ ...segment, total: preview.total });
+    } catch (error) {
+        res.status(500).json({ error: 'Database error', details: error.message });
+    }
+});
+
+// Body: { definition, description? }
+app.put('/admin/segments/:name', async (req, res) => {
+    try {
+        const { definition, description = null } = req.body || {};
+        const result = await segments.saveSegment(req.params.name, definition, description, actorName(req));
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+
+        await logEvent('info', `Audience segment saved: ${req.params.name}`);
+        res.json({ success: true, segment: await segments.getSegment(req.params.name) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/admin/segments/:name', async (req, res) => {
+    try {
+        const removed = await segments.deleteSegment(req.params.name);
+        res.json({ success: removed, name: req.params.name });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Replace a user's segment tags - body: { tags: ['vip', 'beta'] }
+app.put('/admin/users/:phoneNumber/tags', async (req, res) => {
+    try {
+        const phoneNumber = normalizePhoneNumber(req.params.phoneNumber);
+        const result = await segments.setUserTags(phoneNumber, req.body?.tags);
+        if (!result.success) {
+            return res.status(result.errors[0].startsWith('Unknown user') ? 404 : 400).json(result);
+        }
+        res.json({ phoneNumber, ...result });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Preferred name and custom attributes used by message templates ({name}, {custom.goal}) -
+// body: { preferredName?, attributes?: { goal: 'sleep more' } } (attributes replace the old set)
+app.put('/admin/users/:phoneNumber/profile', async (req, res) => {
+    try {
+        const phoneNumber = normalizePhoneNumber(req.params.phoneNumber);
+        const result = await templates.setUserProfile(phoneNumber, req.body || {});
+        if (!result.success) {
+            return res.status(result.errors[0].startsWith('Unknown user') ? 404 : 400).json(result);
+        }
+
+        await logEvent('info', `Template profile updated by ${actorName(req)}`, phoneNumber);
+        res.json({ phoneNumber, ...result });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Message library - browse and edit the messages table (see messageLibrary.js)
+// Query: search, protocol, pillar, category, messageType, active (true/false), sort, limit, offset
+app.get('/admin/messages', async (req, res) => {
+    try {
+        const [result, facets] = await Promise.all([
+            messageLibrary.listMessages(req.query),
+            messageLibrary.listFacets()
+        ]);
+        res.json({ ...result, facets });
+    } catch (error) {
+        res.status(500).json({ error: 'Database error', details: error.message });
+    }
+});
+
+// What a subscriber would receive - body: { message, firstName?, variables? } where variables
+// are other template values ({ "streak": 4, "custom.goal": "sleep more" })
+app.post('/admin/messages/preview', (req, res) => {
+    const { message, firstName = null, variables = {} } = req.body || {};
+    if (typeof message !== 'string') {
+        return res.status(400).json({ success: false, error: 'message text is required' });
+    }
+
+    const sample = { weekday: moment().tz('America/Phoenix').format('dddd'), ...variables };
+    const preview = messageLibrary.previewMessage(message, { ...sample, name: firstName, first_name: firstName });
+    const sms = smsEncoding.checkSegments(smsEncoding.analyzeMessage(preview));
+    res.json({
+        success: true,
+        preview,
+        withoutName: messageLibrary.previewMessage(message, { ...sample, name: null, first_name: null, preferred_name: null }),
+        errors: validateTemplate(message),
+        length: preview.length,
+        sms: { ...sms, estimatedCost: smsEncoding.estimateCost(sms.segments) }
+    });
+});
+
+// Active messages over the SMS segment warning level or limit (see smsEncoding.js)
+app.get('/admin/messages/segment-report', async (req, res) => {
+    try {
+        const messages = await messageLibrary.segmentReport();
+        res.json({ ...smsEncoding.segmentLimits(), count: messages.length, messages });
+    } catch (error) {
+        res.status(500).json({ error: 'Database error', details: error.message });
+    }
+});
+
+// Renumber a program's sequence - body: { protocol, ids: [first, second, ...] }
+app.post('/admin/messages/reorder', async (req, res) => {
+    try {
+        const { protocol, ids } = req.body || {};
+        const result = await messageLibrary.reorderMessages(protocol, ids);
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+
+        await logEvent('info', `Message order updated for ${protocol} (${result.order.length} messages) by ${actorName(req)}`);
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/admin/messages/:id', async (req, res) => {
+    try {
+        const message = await messageLibrary.getMessage(req.params.id);
+        if (!message) {
+            return res.status(404).json({ error: `Unknown message "${req.params.id}"` });
+        }
+        res.json(message);
+    } catch (error) {
+        res.status(500).json({ error: 'Database error', details: error.message });
+    }
+});
+
+app.post('/admin/messages', async (req, res) => {
+    try {
+        const result = await messageLibrary.createMessage(req.body);
+        if (!result.success) {
+            return res.status(result.errors.some(error => error.includes('already exists')) ? 409 : 400).json(result);
+        }
+
+        await logEvent('info', `Message ${result.message.id} created by ${actorName(req)}`);
+        res.status(201).json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Body: any of number, protocol, pillar, category, message_type, message, tags, link, notes, active
+app.put('/admin/messages/:id', async (req, res) => {
+    try {
+        const result = await messageLibrary.updateMessage(req.params.id, req.body);
+        if (!result.success) {
+            return res.status(result.notFound ? 404 : 400).json(result);
+        }
+
+        await logEvent('info', `Message ${req.params.id} updated by ${actorName(req)}`, null, {
+            fields: Object.keys(req.body)
+        });
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Deactivates rather than deletes - sent history still points at the message
+app.delete('/admin/messages/:id', async (req, res) => {
+    try {
+        const result = await messageLibrary.setActive(req.params.id, false);
+        if (!result.success) {
+            return res.status(result.notFound ? 404 : 400).json(result);
+        }
+
+        await logEvent('info', `Message ${req.params.id} deactivated by ${actorName(req)}`);
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Keyword rules - which canned response an inbound text gets (see keywordRouter.js)
+app.get('/admin/keyword-rules', async (req, res) => {
+    try {
+        const rules = await keywordRouter.listRules();
+        res.json({ count: rules.length, rules });
+    } catch (error) {
+        res.status(500).json({ error: 'Database error', details: error.message });
+    }
+});
+
+// Which active rule a text would fire - body: { message }. A self-harm risk phrase (riskDetector.js)
+// is checked before any rule, so `risk` wins over `rule` when both are set
+app.post('/admin/keyword-rules/preview', async (req, res) => {
+    try {
+        const message = req.body?.message;
+        if (typeof message !== 'string' || !message.trim()) {
+            return res.status(400).json({ success: false, errors: ['message is required'] });
+        }
+
+        const match = await keywordRouter.matchMessage(message);
+        res.json({
+            success: true,
+            risk: detectRisk(message),
+            matched: !!match,
+            rule: match ? match.rule : null,
+            keyword: match ? match.keyword : null
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Recent matches, newest first - query: rule, limit
+app.get('/admin/keyword-rules/matches', async (req, res) => {
+    try {
+        const matches = await keywordRouter.listMatches({ ruleName: req.query.rule || null, limit: req.query.limit });
+        res.json({ count: matches.length, matches });
+    } catch (error) {
+        res.status(500).json({ error: 'Database error', details: error.message });
+    }
+});
+
+app.get('/admin/keyword-rules/:name', async (req, res) => {
+    try {
+        const rule = await keywordRouter.getRule(req.params.name);
+        if (!rule) {
+            return res.status(404).json({ error: `Unknown keyword rule "${req.params.name}"` });
+        }
+        res.json(rule);
+    } catch (error) {
+        res.status(500).json({ error: 'Database error', details: error.message });
+    }
+});
+
+// Body: { keywords: [...], matchMode?, priority?, responseMessageId?, fallbackText?, classification?, active? }
+app.put('/admin/keyword-rules/:name', async (req, res) => {
+    try {
+        const result = await keywordRouter.saveRule(req.params.name, req.body, actorName(req));
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+
+        await logEvent('info', `Keyword rule saved by ${actorName(req)}: ${req.params.name}`, null, { rule: result.rule });
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/admin/keyword-rules/:name', async (req, res) => {
+    try {
+        const removed = await keywordRouter.deleteRule(req.params.name);
+        if (removed) {
+            await logEvent('info', `Keyword rule deleted by ${actorName(req)}: ${req.params.name}`);
+        }
+        res.json({ success: removed, name: req.params.name });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Crisis escalation - on-call policy and alerts for users who may be in crisis (see crisisEscalation.js)
+app.get('/admin/escalation-policy', async (req, res) => {
+    try {
+        res.json(await crisisEscalation.loadPolicy());
+    } catch (error) {
+        res.status(500).json({ error: 'Database error', details: error.message });
+    }
+});
+
+// Body: any of enabled, contacts: [{ name, phone?, email? }], channels, repeatMinutes, maxNotifications, conversationMessages
+app.put('/admin/escalation-policy', async (req, res) => {
+    try {
+        const result = await crisisEscalation.savePolicy(req.body, actorName(req));
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+
+        await logEvent('info', `Escalation policy updated by ${actorName(req)}`);
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Query: status (active - the default, all, open, acknowledged, unacknowledged, resolved), phone, limit
+app.get('/admin/crisis-alerts', async (req, res) => {
+    try {
+        const alerts = await crisisEscalation.listAlerts({
+            status: req.query.status || 'active',
+            phoneNumber: req.query.phone ? normalizePhoneNumber(req.query.phone) : null,
+            limit: req.query.limit
+        });
+        res.json({ count: alerts.length, alerts, outcomes: CrisisEscalation.OUTCOMES });
+    } catch (error) {
+        res.status(500).json({ error: 'Database error', details: error.message });
+    }
+});
+
+// The alert with every notification/acknowledgement event and the user's recent conversation
+app.get('/admin/crisis-alerts/:id', async (req, res) => {
+    try {
+        const alert = await crisisEscalation.getAlertDetail(req.params.id);
+        if (!alert) {
+            return res.status(404).json({ error: `Unknown crisis alert #${req.params.id}` });
+        }
+        res.json(alert);
+    } catch (error) {
+        res.status(500).json({ error: 'Database error', details: error.message });
+    }
+});
+
+app.post('/admin/crisis-alerts/:id/acknowledge', async (req, res) => {
+    try {
+        const result = await crisisEscalation.acknowledge(req.params.id, actorName(req));
+        if (!result.success) {
+            return res.status(result.notFound ? 404 : 409).json(result);
+        }
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Body: { outcome, notes? } - outcome is one of CrisisEscalation.OUTCOMES
+app.post('/admin/crisis-alerts/:id/resolve', async (req, res) => {
+    try {
+        const result = await crisisEscalation.resolve(req.params.id, req.body || {}, actorName(req));
+        if (!result.success) {
+            return res.status(result.notFound ? 404 : 400).json(result);
+        }
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Send policy - per message class hours/rest days, program overrides and blackouts (see sendPolicy.js)
+
+// Scheduled sends were planned under the old rules - let the scheduler re-plan them
+async function clearPlannedSendsForProgram(protocol) {
+    if (protocol === 'ALL') {
+        return await query('UPDATE users SET next_send_at = NULL');
+    }
+    return await query('UPDATE users SET next_send_at = NULL WHERE protocol = ?', [protocol]);
+}
+
+app.get('/admin/send-policy', async (req, res) => {
+    try {
+        res.json({
+            ...(await sendPolicy.listPolicies()),
+            blackouts: await sendPolicy.listBlackouts()
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Database error', details: error.message });
+    }
+});
+
+// Blackout calendar - { name, startDate, endDate?, protocol?, messageClasses? }
+app.post('/admin/send-policy/blackouts', async (req, res) => {
+    try {
+        const result = await sendPolicy.addBlackout(req.body, actorName(req));
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+
+        await clearPlannedSendsForProgram(req.body.protocol || 'ALL');
+        await logEvent('info', `Blackout added: ${req.body.name} (${req.body.startDate} - ${req.body.endDate || req.body.startDate})`);
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/admin/send-policy/blackouts/:id', async (req, res) => {
+    try {
+        const removed = await sendPolicy.deleteBlackout(req.params.id);
+        if (removed) {
+            await clearPlannedSendsForProgram('ALL');
+        }
+        res.json({ success: removed });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Effective policy for a program, plus when a user there could next be sent one (?timezone=)
+app.get('/admin/send-policy/:protocol/:messageClass', async (req, res) => {
+    try {
+        const { protocol, messageClass } = req.params;
+        if (!SendPolicy.MESSAGE_CLASSES.includes(messageClass)) {
+            return res.status(404).json({ error: `Unknown message class "${messageClass}"` });
+        }
+
+        const policy = await sendPolicy.loadPolicy(protocol, messageClass);
+        const check = await sendPolicy.check({ protocol, timezone: req.query.timezone || 'America/Chicago' }, messageClass);
+        res.json({ protocol, ...policy, now: check });
+    } catch (error) {
+        res.status(500).json({ error: 'Database error', details: error.message });
+    }
+});
+
+app.put('/admin/send-policy/:protocol/:messageClass', async (req, res) => {
+    try {
+        const { protocol, messageClass } = req.params;
+        const result = await sendPolicy.savePolicy(protocol, messageClass, req.body, actorName(req));
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+        
+        if (messageClass === 'scheduled') {
+            await clearPlannedSendsForProgram(protocol);
+        }
+
+        await logEvent('info', `Send policy updated for ${protocol}/${messageClass}`);
+        res.json({ success: true, protocol, messageClass, policy: await sendPolicy.loadPolicy(protocol, messageClass) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/admin/send-policy/:protocol/:messageClass', async (req, res) => {
+    try {
+        const { protocol, messageClass } = req.params;
+        const removed = await sendPolicy.deletePolicy(protocol, messageClass);
+        if (removed && messageClass === 'scheduled') {
+            await clearPlannedSendsForProgram(protocol);
+        }
+        res.json({ success: removed, protocol, messageClass });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Immediate queue endpoints
+app.post('/admin/start-immediate-queue', (req, res) => {
+    try {
+        startImmediateQueueProcessor();
+        res.json({ 
+            success: true, 
+            message: 'Immediate queue processor started - checking every 30 seconds for new Elevate signups' 
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/admin/stop-immediate-queue', (req, res) => {
+    try {
+        stopImmediateQueueProcessor();
+        res.json({ success: true, message: 'Immediate queue processor stopped' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/admin/immediate-queue-status', (req, res) => {
+    res.json({
+        running: immediateQueueInterval !== null,
+        program: 'Elevate',
+        formId: 4,
+        checkInterval: '30 seconds',
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Welcomes held back by the send policy (pending by default; ?status=sent|failed|superseded|cancelled)
+app.get('/admin/deferred-welcomes', async (req, res) => {
+    try {
+        const status = req.query.status || 'pending';
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+        const rows = await query(`
+            SELECT id, phone_number, first_name, program, deliver_at, status, reason, attempts, last_error, created_at, delivered_at
+            FROM deferred_welcomes
+            WHERE status = ?
+            ORDER BY deliver_at ASC
+            LIMIT ${limit}
+        `, [status]);
+        res.json({ status, count: rows.length, welcomes: rows });
+    } catch (error) {
+        res.status(500).json({ error: 'Database error', details: error.message });
+    }
+});
+
+// WordPress sync endpoints
+app.post('/admin/start-wordpress-sync', (req, res) => {
+    try {
+        startWordPressSyncProcessor();
+        res.json({ 
+            success: true, 
+            message: 'WordPress subscriber sync processor started - running every hour' 
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/admin/stop-wordpress-sync', (req, res) => {
+    try {
+        stopWordPressSyncProcessor();
+        res.json({ success: true, message: 'WordPress sync processor stopped' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/admin/wordpress-sync-status', (req, res) => {
+    res.json({
+        running: wordpressSyncInterval !== null,
+        interval: '1 hour',
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Start the application
+async function startApp() {
+    console.log('🚀 Starting HealthyText SMS System v2.0...');
+    
+    await initializeDatabase();
+    await testSystem();
+    
+    // Add admin user
+    await addTestUser('3122858457', 'Admin User');
+    
+    // Start processors
+    startImmediateQueueProcessor();
+    startWordPressSyncProcessor();
+    
+    // Start message scheduler
+    if (!scheduler) {
+        scheduler = new MessageScheduler({
+            db,
+            dripSchedules,
+            sendPolicy,
+            templates,
+            sendMessageFunction: sendMessage,
+            logFunction: logEvent
+        });
+    }
+    scheduler.start();
+    console.log('📅 Message scheduler started');
+    
+    // Start the injection dispatcher (scheduled and timezone-staggered injections)
+    if (!messageInjector) {
+        messageInjector = new MessageInjector({
+            db,
+            sendPolicy,
+            templates,
+            segments,
+            sendMessageFunction: sendMessage,
+            logFunction: logEvent
+        });
+    }
+    messageInjector.start();
+    
+    // Repeat crisis alerts to on-call staff until someone acknowledges
+    crisisEscalation.start();
+    
+    // Start admin summary
+    if (!adminSummary) {
+        adminSummary = new AdminSummary({
+            db,
+            sendMessageFunction: sendMessage,
+            logFunction: logEvent
+        });
+    }
+    adminSummary.start();
+    
+    app.listen(port, () => {
+        console.log(`\n✅ Server running on port ${port}`);
+        console.log(`📍 Database: ${databaseName()}`);
+        console.log(`🎛️ Admin Dashboard: http://localhost:${port}/admin`);
+        console.log(`📊 Status: http://localhost:${port}/status`);
+        
+        logEvent('info', `HealthyText SMS System v2.0 started - ${databaseName()}`);
+    });
+}
+
+// Graceful shutdown
+process.on('SIGINT', async () => {
+    console.log('\n🛑 Shutting down gracefully...');
+    
+    if (scheduler) scheduler.stop();
     if (responseHandler) responseHandler.close();
     if (messageInjector) messageInjector.close();
+    if (crisisEscalation) crisisEscalation.stop();
     if (adminSummary) adminSummary.stop();
     if (immediateQueueInterval) clearInterval(immediateQueueInterval);
     if (wordpressSyncInterval) clearInterval(wordpressSyncInterval);
-    if (dbPool) await dbPool.end();
-    
     await logEvent('info', 'System shutdown completed');
+    if (db) await db.close();
     process.exit(0);
 });
 
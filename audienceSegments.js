@@ -0,0 +1,380 @@
+const moment = require('moment-timezone');
+const { getPillarDefinitions, getEnabledPillars } = require('./contentSelection');
+
+// Audience segments - who an injection (or a preview) goes to, beyond a single program.
+// A definition is a JSON object; every field is optional and all of them must match:
+//
+// {
+//   protocol: 'Elevate' | ['Elevate', 'MindBoost'],
+//   userType: 'trial' | [...],
+//   subscriptionStatus: 'active' | [...],           stopped/expired users are never included
+//   timezone: 'Pacific' | 'America/Los_Angeles' | [...],
+//   dateJoined: { from: 'YYYY-MM-DD', to: 'YYYY-MM-DD' },   inclusive, UTC dates
+//   sequencePosition: { min: 3, max: 10 },
+//   pillars: { enabled: [1, 'Sleep'], match: 'any' | 'all' },   from the WordPress pillar toggles
+//   tags: ['vip', 'beta'],                          user must carry every tag (users.tags)
+//   responses: [{ messageId: '2', response: 'C' }]  answered C to message 2 (omit response = any answer)
+// }
+//
+// e.g. trial users in Pacific who answered C to message 2:
+//   { userType: 'trial', timezone: 'Pacific', responses: [{ messageId: '2', response: 'C' }] }
+//
+// Definitions can be saved by name (audience_segments) and reused by injections.
+
+const SEGMENT_KEYS = [
+    'protocol', 'userType', 'subscriptionStatus', 'timezone', 'dateJoined',
+    'sequencePosition', 'pillars', 'tags', 'responses'
+];
+const LIST_FIELDS = {
+    protocol: 'protocol',
+    userType: 'user_type',
+    subscriptionStatus: 'subscription_status',
+    timezone: 'timezone'
+};
+const INACTIVE_STATUSES = ['stopped', 'expired'];
+const TAG_PATTERN = /^[a-z0-9_-]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Friendly zone names admins type, mapped to the IANA names stored in users.timezone
+const TIMEZONE_ALIASES = {
+    eastern: 'America/New_York',
+    central: 'America/Chicago',
+    mountain: 'America/Denver',
+    arizona: 'America/Phoenix',
+    pacific: 'America/Los_Angeles',
+    alaska: 'America/Anchorage',
+    hawaii: 'Pacific/Honolulu'
+};
+
+const DEFAULT_SAMPLE_SIZE = 10;
+
+function toList(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+function resolveTimezone(name) {
+    return TIMEZONE_ALIASES[String(name).trim().toLowerCase()] || name;
+}
+
+// users.tags is pipe-separated like messages.tags ('vip|beta')
+function parseTags(value) {
+    if (!value) return [];
+    return String(value).split('|').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+}
+
+function formatTags(tags) {
+    return [...new Set(tags.map(tag => String(tag).trim().toLowerCase()))].join('|') || null;
+}
+
+function resolvePillar(value) {
+    const pillars = getPillarDefinitions();
+    if (Number.isInteger(value)) return pillars.find(pillar => pillar.number === value) || null;
+    return pillars.find(pillar => pillar.name.toLowerCase() === String(value).trim().toLowerCase()) || null;
+}
+
+function isValidDate(value) {
+    return DATE_PATTERN.test(value || '') && moment(value, 'YYYY-MM-DD', true).isValid();
+}
+
+// Returns a list of problems (empty when the definition is valid)
+function validateSegment(definition) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        return ['Segment must be a JSON object'];
+    }
+
+    const errors = [];
+    for (const key of Object.keys(definition)) {
+        if (!SEGMENT_KEYS.includes(key)) {
+            errors.push(`Unknown field "${key}" (expected ${SEGMENT_KEYS.join(', ')})`);
+        }
+    }
+
+    for (const field of Object.keys(LIST_FIELDS)) {
+        if (definition[field] === undefined) continue;
+        const values = toList(definition[field]);
+        if (values.length === 0 || !values.every(value => typeof value === 'string' && value.trim())) {
+            errors.push(`${field} must be a name or a list of names`);
+        }
+    }
+
+    if (definition.subscriptionStatus !== undefined &&
+        toList(definition.subscriptionStatus).some(status => INACTIVE_STATUSES.includes(status))) {
+        errors.push('stopped and expired users are never part of a segment');
+    }
+
+    if (definition.timezone !== undefined) {
+        for (const name of toList(definition.timezone)) {
+            if (typeof name === 'string' && !moment.tz.zone(resolveTimezone(name))) {
+                errors.push(`Unknown timezone "${name}"`);
+            }
+        }
+    }
+
+    if (definition.dateJoined !== undefined) {
+        const { from, to } = definition.dateJoined || {};
+        if (!from && !to) errors.push('dateJoined needs from and/or to');
+        if (from && !isValidDate(from)) errors.push('dateJoined.from must be a YYYY-MM-DD date');
+        if (to && !isValidDate(to)) errors.push('dateJoined.to must be a YYYY-MM-DD date');
+        if (isValidDate(from) && isValidDate(to) && to < from) errors.push('dateJoined.to cannot be before dateJoined.from');
+    }
+
+    if (definition.sequencePosition !== undefined) {
+        const { min, max } = definition.sequencePosition || {};
+        if (min === undefined && max === undefined) errors.push('sequencePosition needs min and/or max');
+        if (min !== undefined && !Number.isInteger(min)) errors.push('sequencePosition.min must be a whole number');
+        if (max !== undefined && !Number.isInteger(max)) errors.push('sequencePosition.max must be a whole number');
+        if (Number.isInteger(min) && Number.isInteger(max) && max < min) errors.push('sequencePosition.max cannot be below min');
+    }
+
+    if (definition.pillars !== undefined) {
+        const { enabled, match = 'any' } = definition.pillars || {};
+        if (!Array.isArray(enabled) || enabled.length === 0) {
+            errors.push('pillars.enabled must be a list of pillar numbers or names');
+        } else {
+            for (const value of enabled) {
+                if (!resolvePillar(value)) errors.push(`Unknown pillar "${value}"`);
+            }
+        }
+        if (!['any', 'all'].includes(match)) errors.push('pillars.match must be "any" or "all"');
+    }
+
+    if (definition.tags !== undefined) {
+        const valid = Array.isArray(definition.tags) && definition.tags.length > 0 &&
+            definition.tags.every(tag => typeof tag === 'string' && TAG_PATTERN.test(tag.trim().toLowerCase()));
+        if (!valid) errors.push('tags must be a list of tags (letters, numbers, _ and -)');
+    }
+
+    if (definition.responses !== undefined) {
+        const valid = Array.isArray(definition.responses) && definition.responses.length > 0 &&
+            definition.responses.every(entry => entry && entry.messageId &&
+                (entry.response === undefined || (typeof entry.response === 'string' && entry.response.trim())));
+        if (!valid) errors.push('responses must be a list of { messageId, response? }');
+    }
+
+    return errors;
+}
+
+// WHERE clauses for the column filters: { clauses, params }. Pillars and tags live in
+// JSON / delimited text and are matched in JS by matchesSegment().
+function buildSegmentFilter(definition) {
+    const clauses = [`subscription_status NOT IN (${INACTIVE_STATUSES.map(() => '?').join(', ')})`];
+    const params = [...INACTIVE_STATUSES];
+
+    for (const [field, column] of Object.entries(LIST_FIELDS)) {
+        if (definition[field] === undefined) continue;
+        const values = toList(definition[field]).map(value => field === 'timezone' ? resolveTimezone(value) : value);
+        clauses.push(`${column} IN (${values.map(() => '?').join(', ')})`);
+        params.push(...values);
+    }
+
+    if (definition.dateJoined?.from) {
+        clauses.push('date_joined >= ?');
+        params.push(definition.dateJoined.from);
+    }
+    if (definition.dateJoined?.to) {
+        // Inclusive - anything before the start of the following day
+        clauses.push('date_joined < ?');
+        params.push(moment.utc(definition.dateJoined.to, 'YYYY-MM-DD').add(1, 'day').format('YYYY-MM-DD'));
+    }
+
+    if (definition.sequencePosition?.min !== undefined) {
+        clauses.push('current_sequence_position >= ?');
+        params.push(definition.sequencePosition.min);
+    }
+    if (definition.sequencePosition?.max !== undefined) {
+        clauses.push('current_sequence_position <= ?');
+        params.push(definition.sequencePosition.max);
+    }
+
+    for (const entry of definition.responses || []) {
+        let clause = `EXISTS (
+                SELECT 1 FROM message_history mh
+                WHERE mh.phone_number = users.phone_number AND mh.message_id = ? AND mh.user_responded = 1`;
+        params.push(String(entry.messageId));
+        if (entry.response !== undefined) {
+            clause += ' AND mh.response = ?';
+            params.push(entry.response.trim().toUpperCase());
+        }
+        clauses.push(`${clause})`);
+    }
+
+    return { clauses, params };
+}
+
+// The filters buildSegmentFilter() leaves to JS
+function matchesSegment(user, definition) {
+    if (definition.pillars) {
+        const { hasPreferences, enabled } = getEnabledPillars(user.user_preferences);
+        if (!hasPreferences) return false;
+
+        const enabledNumbers = enabled.map(pillar => pillar.number);
+        const wanted = definition.pillars.enabled.map(resolvePillar).map(pillar => pillar.number);
+        const matches = definition.pillars.match === 'all'
+            ? wanted.every(number => enabledNumbers.includes(number))
+            : wanted.some(number => enabledNumbers.includes(number));
+        if (!matches) return false;
+    }
+
+    if (definition.tags) {
+        const userTags = parseTags(user.tags);
+        if (!definition.tags.every(tag => userTags.includes(tag.trim().toLowerCase()))) return false;
+    }
+
+    return true;
+}
+
+function countBy(users, column) {
+    const counts = {};
+    for (const user of users) {
+        const key = user[column] || 'unknown';
+        counts[key] = (counts[key] || 0) + 1;
+    }
+    return counts;
+}
+
+class SegmentStore {
+    constructor(options) {
+        this.db = options.db; // Shared DatabaseManager (scripts/DatabaseManager.js)
+    }
+
+    parseDefinition(value) {
+        // MariaDB returns JSON columns already parsed, SQLite hands back the text
+        return typeof value === 'string' ? JSON.parse(value) : value;
+    }
+
+    // Active users matching the definition, oldest signup first. options.protocol ('ALL' = any)
+    // narrows it further - an injection's program always applies on top of its segment.
+    async findUsers(definition = {}, options = {}) {
+        const { clauses, params } = buildSegmentFilter(definition);
+        if (options.protocol && options.protocol !== 'ALL') {
+            clauses.push('protocol = ?');
+            params.push(options.protocol);
+        }
+
+        const rows = await this.db.query(`
+            SELECT phone_number, first_name, preferred_name, attributes, user_type, protocol, timezone, subscription_status,
+                date_joined, current_sequence_position, user_preferences, tags
+            FROM users
+            WHERE ${clauses.join(' AND ')}
+            ORDER BY date_joined ASC
+        `, params);
+
+        return (rows || []).filter(user => matchesSegment(user, definition));
+    }
+
+    // How many users a definition reaches, broken down, with a few of them as a sample
+    async previewSegment(definition, options = {}) {
+        const errors = validateSegment(definition);
+        if (errors.length > 0) {
+            return { success: false, errors };
+        }
+
+        const users = await this.findUsers(definition, options);
+        const sampleSize = Math.min(Math.max(parseInt(options.sampleSize, 10) || DEFAULT_SAMPLE_SIZE, 0), 100);
+
+        return {
+            success: true,
+            total: users.length,
+            byProtocol: countBy(users, 'protocol'),
+            byUserType: countBy(users, 'user_type'),
+            byTimezone: countBy(users, 'timezone'),
+            sample: users.slice(0, sampleSize).map(user => ({
+                phone_number: user.phone_number,
+                first_name: user.first_name,
+                protocol: user.protocol,
+                user_type: user.user_type,
+                timezone: user.timezone,
+                tags: parseTags(user.tags)
+            }))
+        };
+    }
+
+    async listSegments() {
+        const rows = await this.db.query(`
+            SELECT id, name, description, definition, updated_by, updated_at
+            FROM audience_segments
+            ORDER BY name
+        `);
+        return rows.map(row => ({ ...row, definition: this.parseDefinition(row.definition) }));
+    }
+
+    async getSegment(name) {
+        const rows = await this.db.query(`
+            SELECT id, name, description, definition, updated_by, updated_at
+            FROM audience_segments
+            WHERE name = ?
+        `, [name]);
+        return rows[0] ? { ...rows[0], definition: this.parseDefinition(rows[0].definition) } : null;
+    }
+
+    // Validate and store a named segment; returns { success, errors }
+    async saveSegment(name, definition, description = null, updatedBy = null) {
+        const errors = validateSegment(definition);
+        if (!name || !String(name).trim()) {
+            errors.unshift('name is required');
+        }
+        if (errors.length > 0) {
+            return { success: false, errors };
+        }
+
+        await this.db.upsert('audience_segments', {
+            name: String(name).trim(),
+            description,
+            definition: JSON.stringify(definition),
+            updated_by: updatedBy,
+            updated_at: new Date().toISOString()
+        }, ['name']);
+
+        return { success: true, errors: [] };
+    }
+
+    async deleteSegment(name) {
+        const result = await this.db.query('DELETE FROM audience_segments WHERE name = ?', [name]);
+        return result.changes > 0;
+    }
+
+    // The definition a request targets: an inline `segment` or a saved `segmentName`.
+    // Returns { name, definition, errors } - definition is null when neither is given.
+    async resolveSegment(request) {
+        if (request.segment && request.segmentName) {
+            return { name: null, definition: null, errors: ['Use either segment or segmentName, not both'] };
+        }
+
+        if (request.segmentName) {
+            const saved = await this.getSegment(request.segmentName);
+            if (!saved) {
+                return { name: null, definition: null, errors: [`Unknown segment "${request.segmentName}"`] };
+            }
+            return { name: saved.name, definition: saved.definition, errors: [] };
+        }
+
+        if (request.segment) {
+            return { name: null, definition: request.segment, errors: validateSegment(request.segment) };
+        }
+
+        return { name: null, definition: null, errors: [] };
+    }
+
+    // Replace a user's tags; returns { success, errors, tags }
+    async setUserTags(phoneNumber, tags) {
+        if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string' && TAG_PATTERN.test(tag.trim().toLowerCase()))) {
+            return { success: false, errors: ['tags must be a list of tags (letters, numbers, _ and -)'] };
+        }
+
+        const value = formatTags(tags);
+        const result = await this.db.query(
+            'UPDATE users SET tags = ?, date_modified = ? WHERE phone_number = ?',
+            [value, new Date().toISOString(), phoneNumber]
+        );
+        if (result.changes === 0) {
+            return { success: false, errors: [`Unknown user ${phoneNumber}`] };
+        }
+        return { success: true, errors: [], tags: parseTags(value) };
+    }
+}
+
+module.exports = SegmentStore;
+module.exports.validateSegment = validateSegment;
+module.exports.buildSegmentFilter = buildSegmentFilter;
+module.exports.matchesSegment = matchesSegment;
+module.exports.parseTags = parseTags;
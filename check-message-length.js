@@ -1,26 +1,37 @@
-const sqlite3 = require('sqlite3').verbose();
+const DatabaseManager = require('./scripts/DatabaseManager');
+const MessageLibrary = require('./messageLibrary');
+const { segmentLimits } = require('./smsEncoding');
 
-const db = new sqlite3.Database('./databases/messages.db');
+// Lists active library messages over the SMS segment warning level or limit (SMS_SEGMENT_WARN /
+// SMS_SEGMENT_MAX). Exits non-zero when any message is over the limit.
 
-console.log('📏 Checking message lengths...');
+async function checkMessageLengths() {
+    const db = new DatabaseManager();
 
-db.get('SELECT id, message FROM messages WHERE id = ?', ['2a'], (err, row) => {
-    if (err) {
-        console.error('❌ Error:', err);
-    } else if (row) {
-        console.log(`Message 2a length: ${row.message.length} characters`);
-        console.log(`Message: "${row.message}"`);
-        
-        // SMS segments: 160 chars = 1 segment, 306 chars = 2 segments, etc.
-        const segments = Math.ceil(row.message.length / 160);
-        console.log(`Estimated SMS segments: ${segments}`);
-        
-        if (segments > 3) {
-            console.log('⚠️  This message is too long! Carriers often reject 4+ segment messages.');
+    try {
+        await db.initialize();
+        const limits = segmentLimits();
+        console.log(`📏 Checking message lengths (warn above ${limits.warnSegments} segments, limit ${limits.maxSegments})...`);
+
+        const report = await new MessageLibrary({ db }).segmentReport();
+        if (report.length === 0) {
+            console.log('✅ Every active message fits');
+            return;
+        }
+
+        for (const message of report) {
+            console.log(`${message.level === 'block' ? '❌' : '⚠️ '} ${message.id} (${message.protocol}): ${message.warning}`);
         }
-    } else {
-        console.log('❌ Message 2a not found');
+
+        const blocked = report.filter(message => message.level === 'block').length;
+        console.log(`\n${blocked} over the limit, ${report.length - blocked} over the warning level`);
+        if (blocked > 0) process.exitCode = 1;
+    } catch (error) {
+        console.error('❌ Error:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await db.close();
     }
-    
-    db.close();
-});
\ No newline at end of file
+}
+
+checkMessageLengths();
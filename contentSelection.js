@@ -0,0 +1,192 @@
+// Content selection for algorithm mode - which unnumbered message a subscriber gets next.
+//
+// Subscribers toggle pillars 1-5 in WordPress (synced into users.user_preferences as
+// pillar1_enabled..pillar5_enabled). A message belongs to pillar N when messages.pillar is
+// "pillar1" / "pillar-1" / "1", or the Nth name in PILLAR_NAMES
+// (e.g. PILLAR_NAMES=Mindfulness,Nutrition,Movement,Sleep,Connection), compared case-insensitively.
+//
+// Rotation: within a pool, a user gets a message they've never had, else the one they had longest
+// ago outside the lookback (MESSAGE_ROTATION_LOOKBACK_DAYS). When every message went out inside the
+// lookback the pool is exhausted and the least recently sent one repeats.
+
+const PILLAR_COUNT = 5;
+const DEFAULT_LOOKBACK_DAYS = 90;
+
+function normalizePillar(value) {
+    return String(value || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+// [{ number: 1, name: 'Mindfulness' }, ...] - names come from PILLAR_NAMES when configured
+function getPillarDefinitions() {
+    const names = (process.env.PILLAR_NAMES || '').split(',').map(name => name.trim());
+
+    return Array.from({ length: PILLAR_COUNT }, (_, index) => ({
+        number: index + 1,
+        name: names[index] || `pillar${index + 1}`
+    }));
+}
+
+function parsePreferences(value) {
+    if (!value) return {};
+    if (typeof value === 'object') return value;
+
+    try {
+        return JSON.parse(value) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+// { hasPreferences, enabled: [pillar definitions] } - hasPreferences is false when the user
+// never synced pillar toggles from WordPress (so nothing should be filtered)
+function getEnabledPillars(userPreferences) {
+    const preferences = parsePreferences(userPreferences);
+    const pillars = getPillarDefinitions();
+    const hasPreferences = pillars.some(pillar => `pillar${pillar.number}_enabled` in preferences);
+
+    return {
+        hasPreferences,
+        enabled: pillars.filter(pillar => preferences[`pillar${pillar.number}_enabled`] === true)
+    };
+}
+
+function messageMatchesPillar(messagePillar, pillar) {
+    const normalized = normalizePillar(messagePillar);
+    if (!normalized) return false;
+
+    return normalized === normalizePillar(pillar.name) ||
+        normalized === `pillar${pillar.number}` ||
+        normalized === `pillar_${pillar.number}` ||
+        normalized === String(pillar.number);
+}
+
+function pickRandom(items, random) {
+    return items[Math.floor(random() * items.length)];
+}
+
+function getRotationLookbackDays() {
+    const days = parseInt(process.env.MESSAGE_ROTATION_LOOKBACK_DAYS, 10);
+    return Number.isInteger(days) && days >= 0 ? days : DEFAULT_LOOKBACK_DAYS;
+}
+
+// daysAgo: Map of message id -> days since this user last received it.
+// Returns { neverSent, stale, recent } - stale/recent are split by the lookback, oldest first.
+function groupByFreshness(pool, daysAgo, lookbackDays) {
+    const oldestFirst = (a, b) => daysAgo.get(b.id) - daysAgo.get(a.id);
+    const sent = pool.filter(message => daysAgo.has(message.id)).sort(oldestFirst);
+
+    return {
+        neverSent: pool.filter(message => !daysAgo.has(message.id)),
+        stale: sent.filter(message => daysAgo.get(message.id) >= lookbackDays),
+        recent: sent.filter(message => daysAgo.get(message.id) < lookbackDays)
+    };
+}
+
+function countFresh(pool, daysAgo, lookbackDays) {
+    const { neverSent, stale } = groupByFreshness(pool, daysAgo, lookbackDays);
+    return neverSent.length + stale.length;
+}
+
+// Rotate within one pool. Returns { message, freshRemaining, exhausted } where freshRemaining
+// is how many more sends the pool can cover before it has to repeat inside the lookback.
+function pickFromPool(pool, options = {}) {
+    const daysAgo = options.daysAgo || new Map();
+    const lookbackDays = options.lookbackDays ?? getRotationLookbackDays();
+    const { neverSent, stale, recent } = groupByFreshness(pool, daysAgo, lookbackDays);
+    const freshCount = neverSent.length + stale.length;
+
+    if (neverSent.length > 0) {
+        return { message: pickRandom(neverSent, options.random || Math.random), freshRemaining: freshCount - 1, exhausted: false };
+    }
+    if (stale.length > 0) {
+        return { message: stale[0], freshRemaining: freshCount - 1, exhausted: false };
+    }
+    return { message: recent[0] || null, freshRemaining: 0, exhausted: true };
+}
+
+// Candidate pools for a user: one per enabled pillar that has content, or the whole pool
+// (with the reason why) when pillars can't be used
+function getPillarPools(candidates, user) {
+    const { hasPreferences, enabled } = getEnabledPillars(user.user_preferences);
+    const everything = [{ label: 'all', messages: candidates }];
+
+    if (!hasPreferences) return { pools: everything, reason: 'no_pillar_preferences' };
+    if (enabled.length === 0) return { pools: everything, reason: 'all_pillars_disabled' };
+
+    const pools = [];
+    const emptyPillars = [];
+    for (const pillar of enabled) {
+        const messages = candidates.filter(message => messageMatchesPillar(message.pillar, pillar));
+        if (messages.length > 0) {
+            pools.push({ label: pillar.name, messages });
+        } else {
+            emptyPillars.push(pillar.name);
+        }
+    }
+
+    if (pools.length === 0) {
+        return { pools: everything, reason: `pillar_fallback:no content for ${emptyPillars.join(', ')}` };
+    }
+
+    return { pools, emptyPillars };
+}
+
+// Choose an algorithm-mode message from `candidates` (active, unnumbered messages for the
+// protocol). Enabled pillars are weighted equally - a pillar is picked first, then a message
+// within it - so a large pillar doesn't crowd out a small one. Pillars without content are
+// skipped; if none of the user's pillars have content the whole pool is used. Pillars the user
+// has exhausted are passed over while another still has fresh content.
+// options: { daysAgo, lookbackDays, random }
+// Returns { message, reason, pool, freshRemaining, exhausted }; reason is recorded in
+// message_history.selection_reason.
+function selectAlgorithmMessage(candidates, user, options = {}) {
+    if (!candidates || candidates.length === 0) {
+        return { message: null, reason: 'no_algorithm_content', pool: null, freshRemaining: 0, exhausted: true };
+    }
+
+    const random = options.random || Math.random;
+    const daysAgo = options.daysAgo || new Map();
+    const lookbackDays = options.lookbackDays ?? getRotationLookbackDays();
+    const { pools, reason, emptyPillars } = getPillarPools(candidates, user);
+
+    const freshPools = pools.filter(pool => countFresh(pool.messages, daysAgo, lookbackDays) > 0);
+    const chosen = freshPools.length > 0
+        ? pickRandom(freshPools, random)
+        : { label: pools.length === 1 ? pools[0].label : 'all', messages: pools.flatMap(pool => pool.messages) };
+    const pick = pickFromPool(chosen.messages, { daysAgo, lookbackDays, random });
+
+    let selectionReason = reason;
+    if (!selectionReason) {
+        const skipped = emptyPillars.length > 0 ? ` (no content for ${emptyPillars.join(', ')})` : '';
+        selectionReason = freshPools.length > 0
+            ? `pillar_match:${chosen.label}${skipped}`
+            : `pillar_match:${pools.map(pool => pool.label).join(', ')}${skipped}`;
+    }
+    if (pick.exhausted) {
+        selectionReason += ' [repeat: pool exhausted]';
+    }
+
+    return { ...pick, reason: selectionReason, pool: chosen.label };
+}
+
+// Most messages a schedule sends inside any lookback-long stretch - the pool size needed to
+// never repeat. sendDays: ascending day numbers on which messages go out.
+function requiredPoolSize(sendDays, lookbackDays) {
+    let required = 0;
+    for (let start = 0; start < sendDays.length; start++) {
+        let end = start;
+        while (end < sendDays.length && sendDays[end] - sendDays[start] < lookbackDays) end++;
+        required = Math.max(required, end - start);
+    }
+    return required;
+}
+
+module.exports = {
+    getPillarDefinitions,
+    getEnabledPillars,
+    messageMatchesPillar,
+    selectAlgorithmMessage,
+    getRotationLookbackDays,
+    pickFromPool,
+    requiredPoolSize
+};
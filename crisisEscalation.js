@@ -0,0 +1,546 @@
+const cron = require('node-cron');
+const { createEmailTransport } = require('./emailTransport');
+const { createTransport } = require('./smsTransport');
+
+// Crisis escalation - tells on-call staff when a user may be in crisis and keeps telling them
+// until someone acknowledges. Keyword rules with `escalate` set (CRISIS, PANIC) and self-harm risk
+// phrases (riskDetector.js) call trigger().
+//
+// One alert per user: while an alert is open, acknowledged or unacknowledged, further crisis texts
+// from that user are added to it instead of starting a new one.
+//
+//   open            notifying - repeated every repeatMinutes until acknowledged
+//   acknowledged    a staff member has it (dashboard, or by texting "ACK <id>" from an on-call phone)
+//   unacknowledged  maxNotifications went out with no acknowledgement - still needs a human
+//   resolved        closed with an outcome (see OUTCOMES) and notes
+//
+// Every notification, failure, acknowledgement and resolution is written to crisis_alert_events.
+//
+// The policy is stored in escalation_policy (name 'default') on top of these defaults:
+// {
+//   enabled: true,
+//   contacts: [{ name: 'Dana', phone: '+16025550100', email: 'dana@example.com' }],
+//   channels: ['sms', 'email'],
+//   repeatMinutes: 10,            between notification rounds while nobody has acknowledged
+//   maxNotifications: 6,          rounds before the alert is marked unacknowledged
+//   conversationMessages: 10      recent messages included in each email (SMS gets the last 3)
+// }
+// With no contacts stored, ESCALATION_SMS_TO and ESCALATION_EMAIL_TO (comma-separated) are used.
+
+const DEFAULT_ESCALATION_POLICY = {
+    enabled: true,
+    contacts: [],
+    channels: ['sms', 'email'],
+    repeatMinutes: 10,
+    maxNotifications: 6,
+    conversationMessages: 10
+};
+
+const CHANNELS = ['sms', 'email'];
+const ACTIVE_STATUSES = ['open', 'acknowledged', 'unacknowledged'];
+const OUTCOMES = ['contacted_user', 'referred_988', 'emergency_services', 'no_response', 'false_alarm', 'other'];
+const POLICY_KEYS = Object.keys(DEFAULT_ESCALATION_POLICY);
+const PHONE_PATTERN = /^\+\d{10,15}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const SMS_CONVERSATION_LINES = 3;
+
+// Returns a list of problems (empty when the policy can be saved). Any subset of keys may be set.
+function validateEscalationPolicy(policy) {
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        return ['Policy must be a JSON object'];
+    }
+
+    const errors = Object.keys(policy)
+        .filter(key => !POLICY_KEYS.includes(key))
+        .map(key => `Unknown policy field "${key}"`);
+
+    if (policy.enabled !== undefined && typeof policy.enabled !== 'boolean') {
+        errors.push('enabled must be true or false');
+    }
+    if (policy.contacts !== undefined) {
+        if (!Array.isArray(policy.contacts) || policy.contacts.length > 20) {
+            errors.push('contacts must be a list of up to 20 { name, phone?, email? }');
+        } else {
+            policy.contacts.forEach((contact, index) => {
+                if (!contact || typeof contact !== 'object') {
+                    errors.push(`Contact ${index + 1} must be { name, phone?, email? }`);
+                    return;
+                }
+                if (!contact.phone && !contact.email) {
+                    errors.push(`Contact ${index + 1} needs a phone or an email`);
+                }
+                if (contact.phone && !PHONE_PATTERN.test(contact.phone)) {
+                    errors.push(`Contact ${index + 1} phone must be E.164 (e.g. +16025550100)`);
+                }
+                if (contact.email && !EMAIL_PATTERN.test(contact.email)) {
+                    errors.push(`Contact ${index + 1} email is not an email address`);
+                }
+            });
+        }
+    }
+    if (policy.channels !== undefined &&
+        (!Array.isArray(policy.channels) || policy.channels.length === 0 || policy.channels.some(channel => !CHANNELS.includes(channel)))) {
+        errors.push(`channels must be a non-empty list of ${CHANNELS.join(', ')}`);
+    }
+    if (policy.repeatMinutes !== undefined && (!Number.isInteger(policy.repeatMinutes) || policy.repeatMinutes < 1 || policy.repeatMinutes > 240)) {
+        errors.push('repeatMinutes must be a whole number from 1 to 240');
+    }
+    if (policy.maxNotifications !== undefined && (!Number.isInteger(policy.maxNotifications) || policy.maxNotifications < 1 || policy.maxNotifications > 50)) {
+        errors.push('maxNotifications must be a whole number from 1 to 50');
+    }
+    if (policy.conversationMessages !== undefined &&
+        (!Number.isInteger(policy.conversationMessages) || policy.conversationMessages < 0 || policy.conversationMessages > 50)) {
+        errors.push('conversationMessages must be a whole number from 0 to 50');
+    }
+
+    return errors;
+}
+
+function listFromEnv(value) {
+    return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// On-call contacts from ESCALATION_SMS_TO / ESCALATION_EMAIL_TO
+function contactsFromEnv() {
+    return [
+        ...listFromEnv(process.env.ESCALATION_SMS_TO).map(phone => ({ name: phone, phone })),
+        ...listFromEnv(process.env.ESCALATION_EMAIL_TO).map(email => ({ name: email, email }))
+    ];
+}
+
+function truncate(text, length) {
+    const value = String(text || '').replace(/\s+/g, ' ').trim();
+    return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
+
+class CrisisEscalation {
+    constructor(options) {
+        this.db = options.db; // Shared DatabaseManager (scripts/DatabaseManager.js)
+        // Staff texts go straight to the transport, not through sendMessage: on-call phones are not
+        // subscribers, and message_history only takes rows for users (foreign key on MariaDB)
+        this.smsTransport = options.smsTransport || null; // created on first use when not given
+        this.logFunction = options.logFunction;
+        this.emailTransport = options.emailTransport !== undefined ? options.emailTransport : createEmailTransport();
+        this.dashboardUrl = options.dashboardUrl ||
+            (process.env.PUBLIC_BASE_URL ? `${process.env.PUBLIC_BASE_URL.replace(/\/$/, '')}/admin` : null);
+
+        this.cronJob = null;
+        this.processing = false;
+    }
+
+    parseJson(value) {
+        // MariaDB returns JSON columns already parsed, SQLite hands back the text
+        return typeof value === 'string' ? JSON.parse(value) : value;
+    }
+
+    // Stored policy over the defaults (env contacts when none are stored)
+    async loadPolicy() {
+        const rows = await this.db.query("SELECT policy, updated_by, updated_at FROM escalation_policy WHERE name = 'default'");
+        const stored = rows[0] ? this.parseJson(rows[0].policy) || {} : {};
+        const policy = { ...DEFAULT_ESCALATION_POLICY, ...stored };
+
+        if (!stored.contacts || stored.contacts.length === 0) {
+            policy.contacts = contactsFromEnv();
+        }
+        return {
+            ...policy,
+            updatedBy: rows[0] ? rows[0].updated_by : null,
+            updatedAt: rows[0] ? rows[0].updated_at : null
+        };
+    }
+
+    // Replace the fields given; returns { success, errors, policy }
+    async savePolicy(changes, updatedBy = null) {
+        const errors = validateEscalationPolicy(changes);
+        if (errors.length > 0) {
+            return { success: false, errors };
+        }
+
+        const rows = await this.db.query("SELECT policy FROM escalation_policy WHERE name = 'default'");
+        const stored = rows[0] ? this.parseJson(rows[0].policy) || {} : {};
+        const contacts = changes.contacts
+            ? changes.contacts.map(contact => ({
+                name: String(contact.name || contact.phone || contact.email).trim(),
+                phone: contact.phone || null,
+                email: contact.email || null
+            }))
+            : stored.contacts;
+
+        await this.db.upsert('escalation_policy', {
+            name: 'default',
+            policy: JSON.stringify({ ...stored, ...changes, contacts }),
+            updated_by: updatedBy,
+            updated_at: new Date().toISOString()
+        }, ['name']);
+
+        return { success: true, errors: [], policy: await this.loadPolicy() };
+    }
+
+    // A user may be in crisis - open an alert and notify on-call staff, or add to their active alert.
+    // trigger = { source: 'keyword', detail: 'crisis', messageBody }
+    async trigger(phoneNumber, trigger = {}) {
+        const policy = await this.loadPolicy();
+        if (!policy.enabled) {
+            this.logFunction('warning', `Crisis escalation is disabled - no staff notified (${trigger.source}: ${trigger.detail})`, phoneNumber);
+            return { escalated: false, reason: 'disabled' };
+        }
+
+        const now = new Date().toISOString();
+        const active = await this.getActiveAlert(phoneNumber);
+
+        if (active) {
+            // Deduplicated - one alert per user; the repeat cycle carries on as it was
+            const reopen = active.status === 'unacknowledged';
+            await this.db.query(`
+                UPDATE crisis_alerts SET
+                trigger_count = trigger_count + 1, last_triggered_at = ?, message_body = ?
+                ${reopen ? ", status = 'open', notifications_sent = 0, next_notify_at = ?" : ''}
+                WHERE id = ?
+            `, reopen ? [now, trigger.messageBody || null, now, active.id] : [now, trigger.messageBody || null, active.id]);
+            await this.recordEvent(active.id, 'retriggered', { detail: `${trigger.source}: ${trigger.detail} - ${truncate(trigger.messageBody, 200)}` });
+
+            const alert = await this.getAlert(active.id);
+            if (reopen) {
+                await this.notify(alert, policy, 'alert');
+            } else if (active.status === 'acknowledged') {
+                // Whoever has it should know the user texted again
+                await this.notify(alert, policy, 'update');
+            }
+            return { escalated: true, deduplicated: true, alertId: active.id };
+        }
+
+        const result = await this.db.query(`
+            INSERT INTO crisis_alerts
+            (phone_number, status, source, trigger_detail, message_body, trigger_count, notifications_sent, next_notify_at, last_triggered_at, created_at)
+            VALUES (?, 'open', ?, ?, ?, 1, 0, ?, ?, ?)
+        `, [phoneNumber, trigger.source || null, trigger.detail || null, trigger.messageBody || null, now, now, now]);
+        const alertId = result.insertId;
+
+        await this.recordEvent(alertId, 'triggered', { detail: `${trigger.source}: ${trigger.detail} - ${truncate(trigger.messageBody, 200)}` });
+        this.logFunction('error', `Crisis alert #${alertId} opened (${trigger.source}: ${trigger.detail})`, phoneNumber, { alertId });
+
+        await this.notify(await this.getAlert(alertId), policy, 'alert');
+        return { escalated: true, deduplicated: false, alertId };
+    }
+
+    // kind: 'alert' (first round and repeats - counts toward maxNotifications) or 'update'
+    async notify(alert, policy, kind) {
+        const conversation = await this.getRecentConversation(alert.phone_number, policy.conversationMessages);
+        const user = await this.getUser(alert.phone_number);
+        const channels = policy.channels.filter(channel => CHANNELS.includes(channel));
+        let delivered = 0;
+
+        if (policy.contacts.length === 0) {
+            await this.recordEvent(alert.id, 'notify_failed', { detail: 'No on-call contacts configured' });
+            this.logFunction('error', `Crisis alert #${alert.id}: no on-call contacts configured`, alert.phone_number);
+        }
+
+        for (const contact of policy.contacts) {
+            if (channels.includes('sms') && contact.phone) {
+                delivered += await this.deliver(alert, 'sms', contact.phone, async () => {
+                    await this.sendStaffSms(contact.phone, this.formatSms(alert, user, conversation, kind));
+                });
+            }
+            if (channels.includes('email') && contact.email) {
+                delivered += await this.deliver(alert, 'email', contact.email, async () => {
+                    if (!this.emailTransport) throw new Error('No email transport configured (EMAIL_TRANSPORT)');
+                    await this.emailTransport.send({ to: contact.email, ...this.formatEmail(alert, user, conversation, kind) });
+                });
+            }
+        }
+
+        if (kind === 'alert') {
+            const now = new Date();
+            const nextNotifyAt = new Date(now.getTime() + policy.repeatMinutes * 60 * 1000);
+            await this.db.query(`
+                UPDATE crisis_alerts SET notifications_sent = notifications_sent + 1, last_notified_at = ?, next_notify_at = ?
+                WHERE id = ?
+            `, [now.toISOString(), nextNotifyAt.toISOString(), alert.id]);
+        }
+        return delivered;
+    }
+
+    // Text an on-call contact (alerts, ACK confirmations); throws when the transport fails
+    async sendStaffSms(phoneNumber, body) {
+        if (!this.smsTransport) {
+            this.smsTransport = createTransport();
+        }
+        const message = await this.smsTransport.send({ to: phoneNumber, body });
+        this.logFunction('info', `Staff SMS sent via ${this.smsTransport.name} - SID: ${message.sid}`, phoneNumber);
+        return message;
+    }
+
+    // Send one notification and record the outcome; returns 1 when it went out
+    async deliver(alert, channel, recipient, send) {
+        try {
+            await send();
+            await this.recordEvent(alert.id, 'notified', { channel, recipient });
+            return 1;
+        } catch (error) {
+            await this.recordEvent(alert.id, 'notify_failed', { channel, recipient, detail: error.message });
+            this.logFunction('error', `Crisis alert #${alert.id}: ${channel} to ${recipient} failed - ${error.message}`, alert.phone_number);
+            return 0;
+        }
+    }
+
+    describeUser(alert, user) {
+        const name = user ? (user.preferred_name || user.first_name) : null;
+        return name ? `${name} (${alert.phone_number})` : alert.phone_number;
+    }
+
+    formatSms(alert, user, conversation, kind) {
+        const heading = kind === 'update'
+            ? `🚨 Update on crisis alert #${alert.id} (acknowledged by ${alert.acknowledged_by}): ${this.describeUser(alert, user)} texted again`
+            : `🚨 ${alert.notifications_sent > 0 ? `Reminder ${alert.notifications_sent + 1} - ` : ''}HealthyText crisis alert #${alert.id}: ${this.describeUser(alert, user)} needs follow-up`;
+        // The triggering text isn't in inbound_messages yet - it is recorded after the reply
+        const lines = conversation.slice(-SMS_CONVERSATION_LINES)
+            .map(entry => `${entry.direction === 'inbound' ? 'User' : 'Us'}: ${truncate(entry.body, 70)}`);
+
+        return [
+            heading,
+            `Latest: "${truncate(alert.message_body, 120)}"`,
+            ...(lines.length > 0 ? ['Before that:', ...lines] : []),
+            kind === 'update' ? null : `Reply ACK ${alert.id} to acknowledge.`
+        ].filter(Boolean).join('\n');
+    }
+
+    formatEmail(alert, user, conversation, kind) {
+        const subject = kind === 'update'
+            ? `[HealthyText] Update on crisis alert #${alert.id} - ${this.describeUser(alert, user)}`
+            : `[HealthyText] ${alert.notifications_sent > 0 ? 'REMINDER: ' : ''}Crisis alert #${alert.id} - ${this.describeUser(alert, user)}`;
+        const lines = conversation.map(entry =>
+            `${entry.timestamp}  ${entry.direction === 'inbound' ? 'USER' : 'SENT'}  ${entry.body}`);
+
+        return {
+            subject,
+            text: [
+                `${this.describeUser(alert, user)} may be in crisis.`,
+                `Trigger: ${alert.source} "${alert.trigger_detail}" (${alert.trigger_count} time${alert.trigger_count === 1 ? '' : 's'}, first at ${alert.created_at})`,
+                `Status: ${alert.status}${alert.acknowledged_by ? ` - acknowledged by ${alert.acknowledged_by}` : ''}`,
+                '',
+                `Latest message: ${alert.message_body || '(none)'}`,
+                '',
+                'Recent conversation:',
+                ...(lines.length > 0 ? lines : ['(none)']),
+                '',
+                `Acknowledge by texting ACK ${alert.id} from an on-call phone${this.dashboardUrl ? ` or in the dashboard: ${this.dashboardUrl}` : ' or in the admin dashboard'}.`
+            ].join('\n')
+        };
+    }
+
+    // Repeat notifications for open alerts whose time has come; give up after maxNotifications
+    async processDueAlerts(now = new Date()) {
+        if (this.processing) return;
+        this.processing = true;
+
+        try {
+            const due = await this.db.query(`
+                SELECT * FROM crisis_alerts
+                WHERE status = 'open' AND next_notify_at IS NOT NULL AND next_notify_at <= ?
+                ORDER BY next_notify_at
+            `, [now.toISOString()]);
+            if (due.length === 0) return;
+
+            const policy = await this.loadPolicy();
+            for (const alert of due) {
+                if (alert.notifications_sent >= policy.maxNotifications) {
+                    await this.db.query(
+                        "UPDATE crisis_alerts SET status = 'unacknowledged', next_notify_at = NULL WHERE id = ?",
+                        [alert.id]
+                    );
+                    await this.recordEvent(alert.id, 'unacknowledged', { detail: `No acknowledgement after ${alert.notifications_sent} notification round(s)` });
+                    this.logFunction('error', `Crisis alert #${alert.id} was never acknowledged`, alert.phone_number, { alertId: alert.id });
+                    continue;
+                }
+                await this.notify(alert, policy, 'alert');
+            }
+        } catch (error) {
+            this.logFunction('error', 'Crisis escalation check failed', null, error);
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    // Returns { success, errors, alert }
+    async acknowledge(alertId, actor, channel = 'dashboard') {
+        const alert = await this.getAlert(alertId);
+        if (!alert) {
+            return { success: false, notFound: true, errors: [`Unknown crisis alert #${alertId}`] };
+        }
+        if (!['open', 'unacknowledged'].includes(alert.status)) {
+            return { success: false, errors: [`Crisis alert #${alertId} is already ${alert.status}`] };
+        }
+
+        await this.db.query(`
+            UPDATE crisis_alerts SET status = 'acknowledged', acknowledged_by = ?, acknowledged_at = ?, next_notify_at = NULL
+            WHERE id = ?
+        `, [actor, new Date().toISOString(), alertId]);
+        await this.recordEvent(alertId, 'acknowledged', { channel, actor });
+        this.logFunction('info', `Crisis alert #${alertId} acknowledged by ${actor}`, alert.phone_number);
+
+        return { success: true, errors: [], alert: await this.getAlert(alertId) };
+    }
+
+    // "ACK" / "ACK 12" texted by an on-call contact. Returns null when the sender isn't on call.
+    async acknowledgeBySms(staffPhone, alertId = null) {
+        const policy = await this.loadPolicy();
+        const contact = policy.contacts.find(entry => entry.phone === staffPhone);
+        if (!contact) return null;
+
+        let id = alertId;
+        if (!id) {
+            // Plain "ACK" takes the oldest alert still waiting for someone
+            const waiting = await this.db.query(`
+                SELECT id FROM crisis_alerts WHERE status IN ('open', 'unacknowledged')
+                ORDER BY created_at, id LIMIT 1
+            `);
+            if (waiting.length === 0) {
+                return { success: false, errors: ['No crisis alerts are waiting for acknowledgement'] };
+            }
+            id = waiting[0].id;
+        }
+        return await this.acknowledge(id, contact.name, 'sms');
+    }
+
+    // Close an alert - outcome is one of OUTCOMES
+    async resolve(alertId, { outcome, notes = null } = {}, actor = null) {
+        const errors = [];
+        if (!OUTCOMES.includes(outcome)) {
+            errors.push(`outcome must be one of ${OUTCOMES.join(', ')}`);
+        }
+        if (notes !== null && (typeof notes !== 'string' || notes.length > 5000)) {
+            errors.push('notes must be text up to 5000 characters');
+        }
+        if (errors.length > 0) {
+            return { success: false, errors };
+        }
+
+        const alert = await this.getAlert(alertId);
+        if (!alert) {
+            return { success: false, notFound: true, errors: [`Unknown crisis alert #${alertId}`] };
+        }
+        if (alert.status === 'resolved') {
+            return { success: false, errors: [`Crisis alert #${alertId} is already resolved`] };
+        }
+
+        await this.db.query(`
+            UPDATE crisis_alerts SET status = 'resolved', resolved_by = ?, resolved_at = ?, outcome = ?, notes = ?, next_notify_at = NULL
+            WHERE id = ?
+        `, [actor, new Date().toISOString(), outcome, notes, alertId]);
+        await this.recordEvent(alertId, 'resolved', { actor, detail: notes ? `${outcome}: ${notes}` : outcome });
+        this.logFunction('info', `Crisis alert #${alertId} resolved by ${actor} (${outcome})`, alert.phone_number);
+
+        return { success: true, errors: [], alert: await this.getAlert(alertId) };
+    }
+
+    async recordEvent(alertId, eventType, { channel = null, recipient = null, detail = null, actor = null } = {}) {
+        await this.db.query(`
+            INSERT INTO crisis_alert_events (alert_id, event_type, channel, recipient, detail, actor, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [alertId, eventType, channel, recipient, detail, actor, new Date().toISOString()]);
+    }
+
+    async getActiveAlert(phoneNumber) {
+        const rows = await this.db.query(`
+            SELECT * FROM crisis_alerts
+            WHERE phone_number = ? AND status IN (${ACTIVE_STATUSES.map(() => '?').join(', ')})
+            ORDER BY id DESC LIMIT 1
+        `, [phoneNumber, ...ACTIVE_STATUSES]);
+        return rows[0] || null;
+    }
+
+    async getAlert(alertId) {
+        const rows = await this.db.query('SELECT * FROM crisis_alerts WHERE id = ?', [alertId]);
+        return rows[0] || null;
+    }
+
+    // Alert with its event history and the user's recent conversation, for review
+    async getAlertDetail(alertId) {
+        const alert = await this.getAlert(alertId);
+        if (!alert) return null;
+
+        const events = await this.db.query('SELECT * FROM crisis_alert_events WHERE alert_id = ? ORDER BY id', [alertId]);
+        const policy = await this.loadPolicy();
+        const conversation = await this.getRecentConversation(alert.phone_number, Math.max(policy.conversationMessages, 20));
+        return { ...alert, events, conversation };
+    }
+
+    // status: 'active' (default), 'all' or one status
+    async listAlerts({ status = 'active', phoneNumber = null, limit = 50 } = {}) {
+        const size = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+        const conditions = [];
+        const params = [];
+
+        if (status === 'active') {
+            conditions.push(`status IN (${ACTIVE_STATUSES.map(() => '?').join(', ')})`);
+            params.push(...ACTIVE_STATUSES);
+        } else if (status && status !== 'all') {
+            conditions.push('status = ?');
+            params.push(status);
+        }
+        if (phoneNumber) {
+            conditions.push('phone_number = ?');
+            params.push(phoneNumber);
+        }
+
+        return await this.db.query(`
+            SELECT * FROM crisis_alerts
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY created_at DESC, id DESC
+            LIMIT ${size}
+        `, params);
+    }
+
+    // Last `limit` messages both ways, oldest first: [{ direction, body, timestamp }]
+    async getRecentConversation(phoneNumber, limit = 10) {
+        if (limit <= 0) return [];
+        const size = Math.min(parseInt(limit, 10), 100);
+
+        const inbound = await this.db.query(`
+            SELECT message_body, received_timestamp FROM inbound_messages
+            WHERE phone_number = ? ORDER BY received_timestamp DESC LIMIT ${size}
+        `, [phoneNumber]);
+        const outbound = await this.db.query(`
+            SELECT message_body, sent_timestamp FROM message_history
+            WHERE phone_number = ? ORDER BY sent_timestamp DESC LIMIT ${size}
+        `, [phoneNumber]);
+
+        return [
+            ...inbound.map(row => ({ direction: 'inbound', body: row.message_body, timestamp: new Date(row.received_timestamp).toISOString() })),
+            ...outbound.map(row => ({ direction: 'outbound', body: row.message_body, timestamp: new Date(row.sent_timestamp).toISOString() }))
+        ]
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+            .slice(-size);
+    }
+
+    async getUser(phoneNumber) {
+        const rows = await this.db.query('SELECT * FROM users WHERE phone_number = ?', [phoneNumber]);
+        return rows[0];
+    }
+
+    // Background check - once a minute, repeats notifications nobody has acknowledged
+    start() {
+        if (this.cronJob) return;
+
+        this.cronJob = cron.schedule('* * * * *', () => {
+            this.processDueAlerts();
+        }, {
+            scheduled: true
+        });
+
+        console.log('✅ Crisis escalation started - repeating unacknowledged alerts every minute');
+    }
+
+    stop() {
+        if (this.cronJob) {
+            this.cronJob.stop();
+            this.cronJob = null;
+            console.log('🛑 Crisis escalation stopped');
+        }
+    }
+}
+
+module.exports = CrisisEscalation;
+module.exports.DEFAULT_ESCALATION_POLICY = DEFAULT_ESCALATION_POLICY;
+module.exports.OUTCOMES = OUTCOMES;
+module.exports.validateEscalationPolicy = validateEscalationPolicy;
@@ -1,5 +1,6 @@
 const sqlite3 = require('sqlite3').verbose();
 const ResponseHandler = require('./responseHandler');
+const DatabaseManager = require('./scripts/DatabaseManager');
 
 // Mock send function that shows exactly what would be sent
 const debugSendMessage = async (phoneNumber, messageText, messageId) => {
@@ -23,16 +24,18 @@ const debugSendMessage = async (phoneNumber, messageText, messageId) => {
 
 const mockLog = (level, message) => console.log(`${level}: ${message}`);
 
-const handler = new ResponseHandler({
-    trackingDbPath: './databases/user_tracking.db',
-    messagesDbPath: './databases/messages.db',
-    sendMessageFunction: debugSendMessage,
-    logFunction: mockLog
-});
-
 async function debugMessageContent() {
     console.log('🕵️ Debugging what gets sent for "A" response...\n');
     
+    const dbManager = new DatabaseManager();
+    await dbManager.initialize();
+    
+    const handler = new ResponseHandler({
+        db: dbManager,
+        sendMessageFunction: debugSendMessage,
+        logFunction: mockLog
+    });
+    
     // First check what's in the database
     const db = new sqlite3.Database('./databases/messages.db');
     db.get('SELECT * FROM messages WHERE id = ?', ['2a'], (err, row) => {
@@ -47,7 +50,7 @@ async function debugMessageContent() {
         
         // Now process the response to see what actually gets sent
         handler.processIncomingMessage('+13122858457', 'A').then(() => {
-            handler.close();
+            dbManager.close();
         });
     });
 }
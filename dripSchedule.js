@@ -0,0 +1,358 @@
+const moment = require('moment-timezone');
+const SendPolicy = require('./sendPolicy');
+const { getDayBlock } = SendPolicy;
+
+// Drip schedule definitions - how often a user_type receives messages, stored as data so
+// marketing can change cadence per program (drip_schedules table) without a deploy.
+//
+// {
+//   sequence:  { totalMessages: 7, intervalDays: 1 },   numbered messages 1..N, one every intervalDays
+//   postTrial: { phases: [                               after the sequence, on days since joining
+//       { phase: 1, days: [8, 10, 13], messageIds: ['ptmb1', 'ptmb2', 'ptmb3'] },
+//       { phase: 4, startDay: 191, everyDays: 60 }       repeating phase
+//   ] },
+//   algorithm: { intervalDays: 2 }                       after the sequence, one every intervalDays
+// }
+//
+// Lookup order: (protocol, user_type) row -> ('ALL', user_type) row -> DEFAULT_DRIP_SCHEDULES.
+
+const DEFAULT_DRIP_SCHEDULES = {
+    trial: {
+        sequence: { totalMessages: 7, intervalDays: 1 },
+        postTrial: {
+            phases: [
+                { phase: 1, days: [8, 10, 13, 17], messageIds: ['ptmb1', 'ptmb2', 'ptmb3', 'ptmb4'] },
+                { phase: 2, days: [25, 33, 41] },
+                { phase: 3, days: [71, 101, 131] },
+                { phase: 4, startDay: 191, everyDays: 60 }
+            ]
+        }
+    },
+    subscriber: {
+        sequence: { totalMessages: 30, intervalDays: 1 },
+        algorithm: { intervalDays: 2 }
+    }
+};
+
+const SECTION_KEYS = ['sequence', 'postTrial', 'algorithm'];
+const PHASE_KEYS = ['phase', 'days', 'messageIds', 'startDay', 'everyDays'];
+
+// How long the store trusts a loaded schedule before re-reading the database
+const CACHE_TTL_MS = 60 * 1000;
+
+function isPositiveInteger(value, allowZero = false) {
+    return Number.isInteger(value) && (allowZero ? value >= 0 : value > 0);
+}
+
+// Returns a list of problems (empty when the definition is valid)
+function validateDripSchedule(definition) {
+    const errors = [];
+
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        return ['Schedule must be a JSON object'];
+    }
+
+    for (const key of Object.keys(definition)) {
+        if (!SECTION_KEYS.includes(key)) {
+            errors.push(`Unknown section "${key}" (expected ${SECTION_KEYS.join(', ')})`);
+        }
+    }
+
+    if (!definition.sequence && !definition.postTrial && !definition.algorithm) {
+        errors.push('Schedule must define at least one of sequence, postTrial or algorithm');
+    }
+
+    if (definition.sequence) {
+        const { totalMessages, intervalDays } = definition.sequence;
+        if (!isPositiveInteger(totalMessages, true)) errors.push('sequence.totalMessages must be a whole number >= 0');
+        if (!isPositiveInteger(intervalDays)) errors.push('sequence.intervalDays must be a whole number >= 1');
+    }
+
+    if (definition.algorithm && !isPositiveInteger(definition.algorithm.intervalDays)) {
+        errors.push('algorithm.intervalDays must be a whole number >= 1');
+    }
+
+    if (definition.postTrial) {
+        const phases = definition.postTrial.phases;
+        if (!Array.isArray(phases) || phases.length === 0) {
+            errors.push('postTrial.phases must be a non-empty array');
+        } else {
+            const seenDays = new Set();
+            const seenPhases = new Set();
+
+            phases.forEach((phase, index) => {
+                const label = `postTrial.phases[${index}]`;
+
+                for (const key of Object.keys(phase || {})) {
+                    if (!PHASE_KEYS.includes(key)) errors.push(`${label} has unknown field "${key}"`);
+                }
+
+                if (!isPositiveInteger(phase?.phase)) {
+                    errors.push(`${label}.phase must be a whole number >= 1`);
+                } else if (seenPhases.has(phase.phase)) {
+                    errors.push(`${label}.phase ${phase.phase} is defined twice`);
+                } else {
+                    seenPhases.add(phase.phase);
+                }
+
+                const isRepeating = phase?.startDay !== undefined || phase?.everyDays !== undefined;
+                if (isRepeating) {
+                    if (phase.days !== undefined) errors.push(`${label} cannot have both days and startDay/everyDays`);
+                    if (!isPositiveInteger(phase.startDay)) errors.push(`${label}.startDay must be a whole number >= 1`);
+                    if (!isPositiveInteger(phase.everyDays)) errors.push(`${label}.everyDays must be a whole number >= 1`);
+                    if (index !== phases.length - 1) errors.push(`${label} repeats forever, so it must be the last phase`);
+                    return;
+                }
+
+                if (!Array.isArray(phase?.days) || phase.days.length === 0 || !phase.days.every(day => isPositiveInteger(day))) {
+                    errors.push(`${label}.days must be a non-empty array of whole days since joining`);
+                    return;
+                }
+
+                for (const day of phase.days) {
+                    if (seenDays.has(day)) errors.push(`${label} repeats day ${day}`);
+                    seenDays.add(day);
+                }
+
+                if (phase.messageIds !== undefined &&
+                    (!Array.isArray(phase.messageIds) || phase.messageIds.length !== phase.days.length)) {
+                    errors.push(`${label}.messageIds must list one message id per day`);
+                }
+            });
+        }
+    }
+
+    return errors;
+}
+
+// Which message type (if any) a user is due under this schedule.
+// days = { daysSinceLastMessage, daysSinceJoined } as calendar days in the user's timezone.
+function evaluateDripSchedule(schedule, user, days) {
+    if (!schedule) {
+        return { due: false, reason: `No drip schedule for user type "${user.user_type}"` };
+    }
+
+    const isTrial = user.user_type === 'trial';
+    const sequenceSent = isTrial
+        ? (user.trial_messages_sent || 0)
+        : (user.current_sequence_position || 1) - 1;
+
+    // 1. Numbered sequence
+    if (schedule.sequence && sequenceSent < schedule.sequence.totalMessages) {
+        if (days.daysSinceLastMessage >= schedule.sequence.intervalDays) {
+            return {
+                due: true,
+                messageType: isTrial ? 'trial' : 'sequence',
+                position: sequenceSent + 1
+            };
+        }
+        return { due: false, reason: 'Not due for message yet' };
+    }
+
+    // 2. Post-trial phases, keyed on days since joining
+    if (schedule.postTrial) {
+        for (const phase of schedule.postTrial.phases) {
+            if (phase.days) {
+                const index = phase.days.indexOf(days.daysSinceJoined);
+                if (index !== -1) {
+                    const result = { due: true, messageType: `post-trial-phase${phase.phase}`, phase: phase.phase };
+                    if (phase.messageIds) result.messageId = phase.messageIds[index];
+                    return result;
+                }
+            } else if (days.daysSinceJoined >= phase.startDay &&
+                       (days.daysSinceJoined - phase.startDay) % phase.everyDays === 0) {
+                return { due: true, messageType: `post-trial-phase${phase.phase}`, phase: phase.phase };
+            }
+        }
+        return { due: false, reason: 'Not scheduled for post-trial message today' };
+    }
+
+    // 3. Open-ended algorithm mode
+    if (schedule.algorithm && days.daysSinceLastMessage >= schedule.algorithm.intervalDays) {
+        return { due: true, messageType: 'algorithm', position: null };
+    }
+
+    return { due: false, reason: 'Not due for message yet' };
+}
+
+class DripScheduleStore {
+    constructor(options) {
+        this.db = options.db; // Shared DatabaseManager (scripts/DatabaseManager.js)
+        this.sendPolicy = options.sendPolicy || new SendPolicy({ db: this.db });
+        this.cache = new Map();
+    }
+
+    cacheKey(protocol, userType) {
+        return `${protocol}::${userType}`;
+    }
+
+    // Effective schedule for a user: { definition, source: 'protocol' | 'all' | 'default' }
+    async resolveSchedule(protocol, userType) {
+        const key = this.cacheKey(protocol, userType);
+        const cached = this.cache.get(key);
+        if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+            return cached.resolved;
+        }
+
+        const rows = await this.db.query(`
+            SELECT protocol, definition FROM drip_schedules
+            WHERE user_type = ? AND protocol IN (?, 'ALL')
+        `, [userType, protocol || 'ALL']);
+
+        const programRow = rows.find(row => row.protocol === protocol);
+        const allRow = rows.find(row => row.protocol === 'ALL');
+        const row = programRow || allRow;
+
+        let resolved;
+        if (row) {
+            resolved = { definition: this.parseDefinition(row.definition), source: programRow ? 'protocol' : 'all' };
+        } else {
+            resolved = { definition: DEFAULT_DRIP_SCHEDULES[userType] || null, source: 'default' };
+        }
+
+        this.cache.set(key, { resolved, loadedAt: Date.now() });
+        return resolved;
+    }
+
+    async getSchedule(protocol, userType) {
+        return (await this.resolveSchedule(protocol, userType)).definition;
+    }
+
+    parseDefinition(value) {
+        // MariaDB returns JSON columns already parsed, SQLite hands back the text
+        return typeof value === 'string' ? JSON.parse(value) : value;
+    }
+
+    // Every stored override plus the built-in defaults they fall back to
+    async listSchedules() {
+        const rows = await this.db.query(`
+            SELECT protocol, user_type, definition, updated_by, updated_at
+            FROM drip_schedules
+            ORDER BY protocol, user_type
+        `);
+
+        return {
+            overrides: rows.map(row => ({ ...row, definition: this.parseDefinition(row.definition) })),
+            defaults: DEFAULT_DRIP_SCHEDULES
+        };
+    }
+
+    // Validate and store an override; returns { success, errors }
+    async saveSchedule(protocol, userType, definition, updatedBy = null) {
+        const errors = validateDripSchedule(definition);
+        if (!protocol || !userType) {
+            errors.unshift('protocol and user_type are required');
+        }
+        if (errors.length > 0) {
+            return { success: false, errors };
+        }
+
+        await this.db.upsert('drip_schedules', {
+            protocol,
+            user_type: userType,
+            definition: JSON.stringify(definition),
+            updated_by: updatedBy,
+            updated_at: new Date().toISOString()
+        }, ['protocol', 'user_type']);
+
+        this.cache.clear();
+        return { success: true, errors: [] };
+    }
+
+    // Remove an override so the program falls back to 'ALL' or the built-in default
+    async deleteSchedule(protocol, userType) {
+        const result = await this.db.query(
+            'DELETE FROM drip_schedules WHERE protocol = ? AND user_type = ?',
+            [protocol, userType]
+        );
+        this.cache.clear();
+        return result.changes > 0;
+    }
+
+    // Simulate a new user from their join date: which message they'd get on which day.
+    // Mirrors the scheduler's rules: calendar days, one message per due day, and no sends on days
+    // the program's 'scheduled' send policy closes (rest days, blackouts - see sendPolicy.js).
+    // options.definition previews an unsaved draft instead of the stored schedule.
+    async previewSchedule(protocol, userType, options = {}) {
+        const days = Math.min(Math.max(parseInt(options.days, 10) || 60, 1), 730);
+        const timezone = options.timezone || 'America/Chicago';
+        const startDate = options.startDate
+            ? moment.tz(options.startDate, 'YYYY-MM-DD', timezone)
+            : moment().tz(timezone).startOf('day');
+
+        let definition = options.definition;
+        let source = 'draft';
+        if (definition) {
+            const errors = validateDripSchedule(definition);
+            if (errors.length > 0) {
+                return { success: false, errors };
+            }
+        } else {
+            ({ definition, source } = await this.resolveSchedule(protocol, userType));
+        }
+
+        const policy = await this.sendPolicy.loadPolicy(protocol, 'scheduled');
+        const user = {
+            user_type: userType,
+            trial_messages_sent: 0,
+            current_sequence_position: 1
+        };
+        let lastSendDay = 0; // the join date counts as the last message, as in the scheduler
+        const sends = [];
+
+        for (let day = 1; day <= days; day++) {
+            const date = startDate.clone().add(day, 'days');
+            if (getDayBlock(policy, date)) continue;
+
+            const status = evaluateDripSchedule(definition, user, {
+                daysSinceLastMessage: day - lastSendDay,
+                daysSinceJoined: day
+            });
+            if (!status.due) continue;
+
+            sends.push({
+                day,
+                date: date.format('YYYY-MM-DD'),
+                weekday: date.format('dddd'),
+                messageType: status.messageType,
+                position: status.position ?? null,
+                messageId: status.messageId || null,
+                message: await this.describePreviewMessage(protocol, status)
+            });
+
+            lastSendDay = day;
+            if (status.messageType === 'trial') user.trial_messages_sent++;
+            if (status.messageType === 'sequence') user.current_sequence_position++;
+        }
+
+        return { success: true, protocol, userType, source, definition, startDate: startDate.format('YYYY-MM-DD'), days, sends };
+    }
+
+    // Short description of the message a preview row would send
+    async describePreviewMessage(protocol, status) {
+        let rows = [];
+
+        if (status.messageId) {
+            rows = await this.db.query('SELECT id, message FROM messages WHERE id = ?', [status.messageId]);
+        } else if (status.position) {
+            rows = await this.db.query(
+                'SELECT id, message FROM messages WHERE number = ? AND protocol = ? AND active = 1 LIMIT 1',
+                [status.position, protocol]
+            );
+        } else {
+            return status.messageType === 'algorithm'
+                ? 'Random unnumbered message from the program'
+                : 'Post-Trial message the user has not had yet';
+        }
+
+        if (!rows[0]) {
+            return 'MISSING - no active message found';
+        }
+        return `${rows[0].id}: ${rows[0].message.substring(0, 60)}${rows[0].message.length > 60 ? '...' : ''}`;
+    }
+}
+
+module.exports = DripScheduleStore;
+module.exports.DEFAULT_DRIP_SCHEDULES = DEFAULT_DRIP_SCHEDULES;
+module.exports.validateDripSchedule = validateDripSchedule;
+module.exports.evaluateDripSchedule = evaluateDripSchedule;
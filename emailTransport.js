@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+
+// Email transports for staff notifications, shaped like the SMS transports (smsTransport.js):
+//   name                 - identifier used in logs
+//   send(email)          - email = { to, subject, text }
+//                          resolves to { id, status } or throws on failure
+
+// Local fake - keeps every email in memory (and optionally a JSONL file) instead of sending it
+class OutboxEmailTransport {
+    constructor(options = {}) {
+        this.name = 'outbox';
+        this.filePath = options.filePath || null;
+        this.emails = [];
+        this.counter = 0;
+
+        if (this.filePath) {
+            const dir = path.dirname(this.filePath);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+        }
+    }
+
+    async send(email) {
+        this.counter++;
+
+        const record = {
+            id: `email_outbox_${Date.now()}_${this.counter}`,
+            to: email.to,
+            subject: email.subject,
+            text: email.text,
+            status: 'sent',
+            sentAt: new Date().toISOString()
+        };
+
+        this.emails.push(record);
+
+        if (this.filePath) {
+            fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+        }
+
+        console.log(`📥 [EMAIL OUTBOX] ${record.to}: ${record.subject}`);
+        return { id: record.id, status: record.status };
+    }
+
+    getEmails(address = null) {
+        if (!address) return [...this.emails];
+        return this.emails.filter(email => email.to === address);
+    }
+
+    clear() {
+        this.emails = [];
+        if (this.filePath && fs.existsSync(this.filePath)) {
+            fs.writeFileSync(this.filePath, '');
+        }
+    }
+}
+
+// Generic HTTP relay - POSTs { to, from, subject, text } as JSON to an email API or webhook
+class HttpEmailTransport {
+    constructor(options = {}) {
+        if (!options.url) {
+            throw new Error('HTTP email transport requires a url (EMAIL_HTTP_URL)');
+        }
+
+        this.name = 'http';
+        this.url = new URL(options.url);
+        this.apiKey = options.apiKey || null;
+        this.fromAddress = options.fromAddress || null;
+        this.timeoutMs = options.timeoutMs || 15000;
+    }
+
+    async send(email) {
+        const payload = JSON.stringify({
+            to: email.to,
+            from: this.fromAddress,
+            subject: email.subject,
+            text: email.text
+        });
+
+        const response = await this.post(payload);
+
+        if (response.statusCode < 200 || response.statusCode >= 300) {
+            throw new Error(`Email provider returned HTTP ${response.statusCode}: ${response.body.substring(0, 200)}`);
+        }
+
+        let data = {};
+        try {
+            data = response.body ? JSON.parse(response.body) : {};
+        } catch (error) {
+            // Some relays answer 202 with plain text - the status code is enough
+        }
+
+        return {
+            id: data.id || data.messageId || `http_email_${Date.now()}`,
+            status: data.status || 'sent'
+        };
+    }
+
+    post(payload) {
+        return new Promise((resolve, reject) => {
+            const client = this.url.protocol === 'https:' ? https : http;
+            const headers = {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(payload)
+            };
+
+            if (this.apiKey) {
+                headers.Authorization = `Bearer ${this.apiKey}`;
+            }
+
+            const request = client.request(this.url, { method: 'POST', headers }, (response) => {
+                let body = '';
+                response.setEncoding('utf8');
+                response.on('data', chunk => body += chunk);
+                response.on('end', () => resolve({ statusCode: response.statusCode, body }));
+            });
+
+            request.setTimeout(this.timeoutMs, () => {
+                request.destroy(new Error(`Email provider timed out after ${this.timeoutMs}ms`));
+            });
+            request.on('error', reject);
+            request.write(payload);
+            request.end();
+        });
+    }
+}
+
+// Build the transport named in config (or EMAIL_TRANSPORT). With nothing configured, development
+// gets the outbox and production gets none (null) - escalations then record email as not sent
+function createEmailTransport(config = {}) {
+    const type = (config.type || process.env.EMAIL_TRANSPORT ||
+        (process.env.EMAIL_HTTP_URL ? 'http' : (process.env.NODE_ENV === 'development' ? 'outbox' : 'none'))).toLowerCase();
+
+    switch (type) {
+        case 'outbox':
+            return new OutboxEmailTransport({
+                filePath: config.filePath || process.env.EMAIL_OUTBOX_FILE
+            });
+
+        case 'http':
+            return new HttpEmailTransport({
+                url: config.url || process.env.EMAIL_HTTP_URL,
+                apiKey: config.apiKey || process.env.EMAIL_HTTP_API_KEY,
+                fromAddress: config.fromAddress || process.env.EMAIL_FROM,
+                timeoutMs: config.timeoutMs
+            });
+
+        case 'none':
+            return null;
+
+        default:
+            throw new Error(`Unknown email transport "${type}" (expected outbox, http or none)`);
+    }
+}
+
+module.exports = {
+    createEmailTransport,
+    OutboxEmailTransport,
+    HttpEmailTransport
+};
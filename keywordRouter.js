@@ -0,0 +1,401 @@
+// Keyword router - which canned response an inbound text gets, from rules stored in
+// keyword_rules instead of code. A rule:
+//
+// {
+//   name: 'stress',                        unique, used in URLs and the match log
+//   keywords: ['STRESS', 'OVERWHELMED'],   the keyword and its aliases
+//   matchMode: 'exact' | 'contains' | 'regex' | 'fuzzy',
+//   priority: 40,                          lower runs first; the first matching rule wins
+//   responseMessageId: 'stress_response',  messages.id to send (template-rendered)
+//   fallbackText: '...',                   sent when that message is missing or inactive
+//   classification: 'crisis',              recorded on inbound_messages
+//   escalate: false,                       also alert on-call staff (see crisisEscalation.js)
+//   active: true
+// }
+//
+// Match modes, all case-insensitive:
+//   exact     the whole text is the keyword ("stress", "Stress!")
+//   contains  the keyword appears as whole words ("I'm so stressed" contains STRESSED)
+//   regex     the keyword is a regular expression tested against the raw text (first 500
+//             characters). Patterns are capped at 100 characters, and quantified groups that
+//             themselves repeat or alternate ("(a+)+", "(a|aa)*") or backreferences are refused -
+//             they can backtrack for seconds and stall the webhook.
+//   fuzzy     like contains, allowing typos: 1 edit for words of 4-7 letters, 2 for longer
+//
+// Every match is written to keyword_matches with the rule that fired.
+
+const MATCH_MODES = ['exact', 'contains', 'regex', 'fuzzy'];
+const NAME_PATTERN = /^[a-z0-9_-]{1,100}$/;
+const RESERVED_NAMES = ['preview', 'matches']; // Taken by /admin/keyword-rules/<name> routes
+const CLASSIFICATION_PATTERN = /^[a-z_]{1,50}$/;
+const MAX_KEYWORDS = 50;
+const MAX_KEYWORD_LENGTH = 200;
+const DEFAULT_PRIORITY = 100;
+const MAX_REGEX_LENGTH = 100;
+const MAX_REGEX_INPUT = 500;
+
+// Uppercase words only - punctuation and apostrophes dropped ("I'm so STRESSED!!" -> "IM SO STRESSED")
+function normalizeText(text) {
+    return String(text || '')
+        .toUpperCase()
+        .replace(/['’]/g, '')
+        .replace(/[^A-Z0-9]+/g, ' ')
+        .trim();
+}
+
+// Characters tried when deciding whether two regex atoms can match the same input
+const OVERLAP_SAMPLE = Array.from({ length: 128 }, (_, code) => String.fromCharCode(code)).concat(['é', '’']);
+
+// Can two atoms ('a', '\w', '[)]', '.'; null for a whole group) match the same character?
+function atomsOverlap(a, b) {
+    if (a === null || b === null) return true;
+    try {
+        const first = new RegExp(`^(?:${a})$`, 'i');
+        const second = new RegExp(`^(?:${b})$`, 'i');
+        return OVERLAP_SAMPLE.some(char => first.test(char) && second.test(char));
+    } catch (error) {
+        return true;
+    }
+}
+
+// Do two unbounded quantifiers compete for the same characters (\w*\w*, .*x.*)? Each one must be
+// followed by an atom it can't match - a required literal in between, or the next quantified atom itself.
+function hasOverlappingQuantifiers(pattern) {
+    let depth = 0;
+    let previous = null; // Atom of the last unbounded quantifier: { source }
+    let separated = false;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        let source;
+        if (char === '\\') {
+            i++;
+            if (/[bB]/.test(pattern[i])) continue; // Word boundaries consume nothing
+            source = `\\${pattern[i]}`;
+        } else if (char === '[') {
+            let end = i + 1;
+            if (pattern[end] === '^') end++;
+            if (pattern[end] === ']') end++;
+            while (end < pattern.length && pattern[end] !== ']') end += pattern[end] === '\\' ? 2 : 1;
+            source = pattern.slice(i, end + 1);
+            i = end;
+        } else if (char === '(') {
+            depth++;
+            const prefix = pattern.slice(i + 1).match(/^\?(?:<[=!]|<[^>]*>|[:=!])/);
+            if (prefix) i += prefix[0].length;
+            continue;
+        } else if (char === ')') {
+            depth--;
+            source = null; // The group as a whole, compared against everything
+        } else if (char === '|') {
+            // Top-level alternatives are separate patterns
+            if (depth === 0) previous = null;
+            continue;
+        } else if (char === '^' || char === '$') {
+            continue;
+        } else {
+            source = char;
+        }
+
+        const quantifier = pattern.slice(i + 1).match(/^(?:[*+?]|\{(\d*)(,?)(\d*)\})\??/);
+        if (quantifier) i += quantifier[0].length;
+        const unbounded = !!quantifier && (/^[*+]/.test(quantifier[0]) || (quantifier[2] === ',' && quantifier[3] === ''));
+        const required = !quantifier || (quantifier[0][0] === '{' && Number(quantifier[1]) > 0);
+
+        if (unbounded) {
+            if (previous && !separated && atomsOverlap(previous.source, source)) return true;
+            previous = { source };
+            separated = false;
+        } else if (previous && required && source !== null && depth === 0 && !atomsOverlap(previous.source, source)) {
+            separated = true;
+        }
+    }
+    return false;
+}
+
+// Why a regex keyword could backtrack catastrophically, or null when it is safe to run
+function unsafeRegexReason(pattern) {
+    if (pattern.length > MAX_REGEX_LENGTH) {
+        return `regular expressions are limited to ${MAX_REGEX_LENGTH} characters`;
+    }
+    if (/\\[1-9]|\\k</.test(pattern)) {
+        return 'backreferences are not allowed';
+    }
+    if (hasOverlappingQuantifiers(pattern)) {
+        return 'overlapping quantifiers like \\w*\\w* or .*x.* are not allowed';
+    }
+
+    // One entry per open group: does it contain a quantifier or an alternation?
+    const groups = [];
+    let inClass = false;
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '\\') {
+            i++;
+            continue;
+        }
+        if (inClass) {
+            if (char === ']') inClass = false;
+            continue;
+        }
+        if (char === '[') {
+            inClass = true;
+        } else if (char === '(') {
+            groups.push(false);
+            // (?: (?= (?! (?<= (?<! (?<name> - the ? here is not a quantifier
+            const prefix = pattern.slice(i + 1).match(/^\?(?:<[=!]|<[^>]*>|[:=!])/);
+            if (prefix) i += prefix[0].length;
+        } else if (char === ')') {
+            const repeats = groups.pop();
+            const quantified = /[*+{]/.test(pattern[i + 1] || '');
+            if (repeats && quantified) {
+                return 'nested quantifiers like (a+)+ or (a|b)* are not allowed';
+            }
+            if (groups.length > 0 && (repeats || quantified)) groups[groups.length - 1] = true;
+        } else if (/[*+?{|]/.test(char) && groups.length > 0) {
+            groups[groups.length - 1] = true;
+        }
+    }
+    return null;
+}
+
+function editDistance(a, b) {
+    if (a === b) return 0;
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function allowedTypos(word) {
+    if (word.length >= 8) return 2;
+    if (word.length >= 4) return 1;
+    return 0;
+}
+
+// Does one word sequence from the text match the keyword's words, allowing typos per word?
+function fuzzyWordsMatch(textWords, keywordWords) {
+    return keywordWords.every((keywordWord, index) =>
+        editDistance(textWords[index], keywordWord) <= allowedTypos(keywordWord));
+}
+
+// The keyword of this rule that matches the text, or null
+function matchRule(rule, text) {
+    const normalized = normalizeText(text);
+    const words = normalized ? normalized.split(' ') : [];
+
+    for (const keyword of rule.keywords) {
+        if (rule.matchMode === 'regex') {
+            // Saved rules are validated; an invalid or unsafe pattern simply never matches
+            if (unsafeRegexReason(keyword)) continue;
+            try {
+                if (new RegExp(keyword, 'i').test(String(text || '').slice(0, MAX_REGEX_INPUT))) return keyword;
+            } catch (error) {
+                // Invalid pattern
+            }
+            continue;
+        }
+
+        const target = normalizeText(keyword);
+        if (!target) continue;
+
+        if (rule.matchMode === 'exact') {
+            if (normalized === target) return keyword;
+        } else if (rule.matchMode === 'contains') {
+            if (` ${normalized} `.includes(` ${target} `)) return keyword;
+        } else if (rule.matchMode === 'fuzzy') {
+            const targetWords = target.split(' ');
+            for (let start = 0; start + targetWords.length <= words.length; start++) {
+                if (fuzzyWordsMatch(words.slice(start, start + targetWords.length), targetWords)) return keyword;
+            }
+        }
+    }
+    return null;
+}
+
+// Returns a list of problems (empty when the rule can be saved)
+function validateKeywordRule(rule) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        return ['Rule must be a JSON object'];
+    }
+
+    const errors = [];
+    const matchMode = rule.matchMode || 'exact';
+
+    if (!Array.isArray(rule.keywords) || rule.keywords.length === 0) {
+        errors.push('keywords must be a non-empty list');
+    } else if (rule.keywords.length > MAX_KEYWORDS) {
+        errors.push(`At most ${MAX_KEYWORDS} keywords per rule`);
+    } else {
+        for (const keyword of rule.keywords) {
+            if (typeof keyword !== 'string' || !keyword.trim() || keyword.length > MAX_KEYWORD_LENGTH) {
+                errors.push(`Keywords must be text up to ${MAX_KEYWORD_LENGTH} characters`);
+                break;
+            }
+            if (matchMode === 'regex') {
+                try {
+                    new RegExp(keyword, 'i');
+                    const unsafe = unsafeRegexReason(keyword);
+                    if (unsafe) errors.push(`Regular expression "${keyword}" refused: ${unsafe}`);
+                } catch (error) {
+                    errors.push(`Invalid regular expression "${keyword}": ${error.message}`);
+                }
+            } else if (!normalizeText(keyword)) {
+                errors.push(`Keyword "${keyword}" has no letters or numbers`);
+            }
+        }
+    }
+
+    if (!MATCH_MODES.includes(matchMode)) {
+        errors.push(`matchMode must be one of ${MATCH_MODES.join(', ')}`);
+    }
+    if (rule.priority !== undefined && (!Number.isInteger(rule.priority) || rule.priority < 0 || rule.priority > 10000)) {
+        errors.push('priority must be a whole number from 0 to 10000');
+    }
+    if (!rule.responseMessageId && !rule.fallbackText) {
+        errors.push('responseMessageId or fallbackText is required');
+    }
+    if (rule.responseMessageId !== undefined && rule.responseMessageId !== null &&
+        (typeof rule.responseMessageId !== 'string' || rule.responseMessageId.length > 255)) {
+        errors.push('responseMessageId must be a message id');
+    }
+    if (rule.fallbackText !== undefined && rule.fallbackText !== null && typeof rule.fallbackText !== 'string') {
+        errors.push('fallbackText must be text');
+    }
+    if (rule.classification !== undefined && !CLASSIFICATION_PATTERN.test(rule.classification)) {
+        errors.push('classification must be lowercase letters or _ (e.g. crisis, support)');
+    }
+    if (rule.active !== undefined && typeof rule.active !== 'boolean') {
+        errors.push('active must be true or false');
+    }
+    if (rule.escalate !== undefined && typeof rule.escalate !== 'boolean') {
+        errors.push('escalate must be true or false');
+    }
+
+    return errors;
+}
+
+function parseKeywords(value) {
+    if (Array.isArray(value)) return value;
+    try {
+        return JSON.parse(value) || [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function fromRow(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        keywords: parseKeywords(row.keywords),
+        matchMode: row.match_mode,
+        priority: row.priority,
+        responseMessageId: row.response_message_id,
+        fallbackText: row.fallback_text,
+        classification: row.classification,
+        escalate: !!row.escalate,
+        active: !!row.active,
+        updatedBy: row.updated_by,
+        updatedAt: row.updated_at
+    };
+}
+
+class KeywordRouter {
+    constructor(options) {
+        this.db = options.db; // Shared DatabaseManager (scripts/DatabaseManager.js)
+    }
+
+    async listRules() {
+        const rows = await this.db.query('SELECT * FROM keyword_rules ORDER BY priority, id');
+        return rows.map(fromRow);
+    }
+
+    async getRule(name) {
+        const rows = await this.db.query('SELECT * FROM keyword_rules WHERE name = ?', [name]);
+        return rows[0] ? fromRow(rows[0]) : null;
+    }
+
+    // Create or replace the rule with this name. Returns { success, errors, rule }
+    async saveRule(name, rule, updatedBy = null) {
+        const errors = validateKeywordRule(rule);
+        if (!NAME_PATTERN.test(String(name || ''))) {
+            errors.unshift('name must be lowercase letters, numbers, _ or - (up to 100)');
+        } else if (RESERVED_NAMES.includes(name)) {
+            errors.unshift(`"${name}" is reserved - choose another name`);
+        }
+        if (errors.length > 0) {
+            return { success: false, errors };
+        }
+
+        await this.db.upsert('keyword_rules', {
+            name,
+            keywords: JSON.stringify(rule.keywords.map(keyword => keyword.trim())),
+            match_mode: rule.matchMode || 'exact',
+            priority: rule.priority ?? DEFAULT_PRIORITY,
+            response_message_id: rule.responseMessageId || null,
+            fallback_text: rule.fallbackText || null,
+            classification: rule.classification || 'keyword',
+            escalate: rule.escalate ? 1 : 0,
+            active: rule.active === false ? 0 : 1,
+            updated_by: updatedBy,
+            updated_at: new Date().toISOString()
+        }, ['name']);
+
+        return { success: true, errors: [], rule: await this.getRule(name) };
+    }
+
+    async deleteRule(name) {
+        const result = await this.db.query('DELETE FROM keyword_rules WHERE name = ?', [name]);
+        return result.changes > 0;
+    }
+
+    // The first active rule (by priority) that matches the text: { rule, keyword } or null
+    async matchMessage(text) {
+        const rules = (await this.listRules()).filter(rule => rule.active);
+        for (const rule of rules) {
+            const keyword = matchRule(rule, text);
+            if (keyword !== null) {
+                return { rule, keyword };
+            }
+        }
+        return null;
+    }
+
+    async recordMatch(phoneNumber, text, match) {
+        await this.db.query(`
+            INSERT INTO keyword_matches
+            (phone_number, rule_id, rule_name, match_mode, matched_keyword, message_body, response_message_id, matched_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            phoneNumber, match.rule.id, match.rule.name, match.rule.matchMode, match.keyword,
+            text, match.rule.responseMessageId, new Date().toISOString()
+        ]);
+    }
+
+    // Recent matches, newest first (optionally for one rule)
+    async listMatches({ ruleName = null, limit = 50 } = {}) {
+        const size = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+        const where = ruleName ? 'WHERE rule_name = ?' : '';
+        return await this.db.query(`
+            SELECT * FROM keyword_matches ${where}
+            ORDER BY matched_at DESC, id DESC
+            LIMIT ${size}
+        `, ruleName ? [ruleName] : []);
+    }
+}
+
+module.exports = KeywordRouter;
+module.exports.MATCH_MODES = MATCH_MODES;
+module.exports.validateKeywordRule = validateKeywordRule;
+module.exports.matchRule = matchRule;
+module.exports.normalizeText = normalizeText;
@@ -1,50 +1,205 @@
-const sqlite3 = require('sqlite3').verbose();
+const cron = require('node-cron');
+const moment = require('moment-timezone');
+const SendPolicy = require('./sendPolicy');
+const SegmentStore = require('./audienceSegments');
+const MessageTemplates = require('./messageTemplate');
+const { estimateSend, validateSegments } = require('./smsEncoding');
+const { validateTemplate, renderTemplate, buildContext } = MessageTemplates;
+
+const LOCAL_TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Injection lifecycle (injections.status):
+//   scheduled -> running -> completed      rows go out as their time arrives
+//   scheduled/running -> paused -> ...     paused rows stay queued until resumed
+//   scheduled/running/paused -> cancelled  queued rows are dropped
+//
+// Retry policy: a recipient skipped for the daily limit or the 'injection' send policy is
+// re-queued for their next eligible window, up to max_attempts tries in all (retry_skipped = 0
+// turns this off). Other skips - a missing message, a failed send - are final.
+const ACTIVE_STATES = ['scheduled', 'running'];
+const DEFAULT_MAX_ATTEMPTS = 3;
+// A row still 'processing' this long after it was claimed was abandoned mid-send (crash, restart)
+const STALE_CLAIM_MINUTES = 10;
+const MAX_ATTEMPTS_LIMIT = 10;
+
+// Checks the timing fields of an injection request; returns a list of problems.
+//   (none)                     send now
+//   sendAt: ISO timestamp      the same instant for everyone
+//   localTime: 'HH:MM'         that wall-clock time in each recipient's timezone, on
+//   sendDate: 'YYYY-MM-DD'     ...this date (default: the next time it comes round)
+function validateInjectionTiming(data) {
+    const errors = [];
+
+    if (data.sendAt && data.localTime) {
+        errors.push('Use either sendAt or localTime, not both');
+    }
+    if (data.sendAt && !moment(data.sendAt, moment.ISO_8601, true).isValid()) {
+        errors.push('sendAt must be an ISO 8601 timestamp');
+    }
+    if (data.localTime !== undefined && !LOCAL_TIME_PATTERN.test(data.localTime)) {
+        errors.push('localTime must be HH:MM (24-hour)');
+    }
+    if (data.sendDate !== undefined) {
+        if (!data.localTime) errors.push('sendDate needs a localTime');
+        if (!moment(data.sendDate, 'YYYY-MM-DD', true).isValid()) errors.push('sendDate must be YYYY-MM-DD');
+    }
+
+    return errors;
+}
+
+// Checks the optional retry fields: retrySkipped (true/false) and maxAttempts (1-10)
+function validateRetryPolicy(data) {
+    const errors = [];
+
+    if (data.retrySkipped !== undefined && typeof data.retrySkipped !== 'boolean') {
+        errors.push('retrySkipped must be true or false');
+    }
+    if (data.maxAttempts !== undefined &&
+        (!Number.isInteger(data.maxAttempts) || data.maxAttempts < 1 || data.maxAttempts > MAX_ATTEMPTS_LIMIT)) {
+        errors.push(`maxAttempts must be a whole number from 1 to ${MAX_ATTEMPTS_LIMIT}`);
+    }
+
+    return errors;
+}
 
 class MessageInjector {
     constructor(options) {
-        this.trackingDbPath = options.trackingDbPath;
-        this.messagesDbPath = options.messagesDbPath;
+        this.db = options.db; // Shared DatabaseManager (scripts/DatabaseManager.js)
         this.sendMessageFunction = options.sendMessageFunction;
         this.logFunction = options.logFunction;
+        this.sendPolicy = options.sendPolicy || new SendPolicy({ db: this.db });
+        this.segments = options.segments || new SegmentStore({ db: this.db });
+        this.templates = options.templates || new MessageTemplates({ db: this.db });
         
-        this.trackingDb = new sqlite3.Database(this.trackingDbPath);
-        this.messagesDb = new sqlite3.Database(this.messagesDbPath);
+        this.cronJob = null;
+        this.isProcessing = false;
         
         console.log('💉 Message Injector initialized');
     }
 
-    // Create and send a priority message to all active users
+    // Background dispatcher - once a minute, sends every queued row whose time has come
+    start() {
+        if (this.cronJob) return;
+
+        this.cronJob = cron.schedule('* * * * *', () => {
+            this.dispatchDueInjections();
+        }, {
+            scheduled: true
+        });
+
+        console.log('✅ Injection dispatcher started - checking scheduled injections every minute');
+    }
+
+    stop() {
+        if (this.cronJob) {
+            this.cronJob.stop();
+            this.cronJob = null;
+            console.log('🛑 Injection dispatcher stopped');
+        }
+    }
+
+    async dispatchDueInjections() {
+        // A large batch must not overlap with the next minute's tick
+        if (this.isProcessing) return;
+        this.isProcessing = true;
+
+        try {
+            const results = await this.processInjectionQueue();
+            if (results.sent + results.rescheduled + results.skipped + results.errors.length > 0) {
+                this.logFunction('info', `Injection dispatch: ${results.sent} sent, ${results.rescheduled} rescheduled, ${results.skipped} skipped, ${results.errors.length} errors`);
+            }
+        } catch (error) {
+            console.error('❌ Injection dispatch failed:', error.message);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    // Create a priority message for all active users of a program - or only those in an
+    // audience segment (inline `segment` or saved `segmentName`, see audienceSegments.js).
+    // Without timing fields it goes out now; with sendAt / localTime (see validateInjectionTiming)
+    // rows are queued for the dispatcher.
     async injectMessage(messageData) {
         try {
-            const { message, messageId, priority = 1, protocol = 'ALL' } = messageData;
+            const { message, messageId, priority = 1, protocol = 'ALL', createdBy = null } = messageData;
             
             if (!message || !messageId) {
                 throw new Error('Message content and messageId are required');
             }
 
-            this.logFunction('info', `Starting message injection: ${messageId} (${protocol})`);
+            const timingErrors = [
+                ...validateInjectionTiming(messageData),
+                ...validateRetryPolicy(messageData),
+                ...validateTemplate(message),
+                ...validateSegments(message)
+            ];
+            if (timingErrors.length > 0) {
+                throw new Error(timingErrors.join('; '));
+            }
+
+            const segment = await this.segments.resolveSegment(messageData);
+            if (segment.errors.length > 0) {
+                throw new Error(segment.errors.join('; '));
+            }
+
+            const deliveryMode = messageData.localTime ? 'local_time' : (messageData.sendAt ? 'fixed' : 'immediate');
+            this.logFunction('info', `Starting message injection: ${messageId} (${protocol}, ${deliveryMode})`);
 
             // 1. Add message to messages database
             await this.addMessageToDatabase(messageId, message, protocol);
 
-            // 2. Get active users (filtered by protocol if specified)
-            const activeUsers = await this.getActiveUsers(protocol);
-            this.logFunction('info', `Found ${activeUsers.length} active users for injection (${protocol})`);
+            // 2. Get active users (filtered by protocol and segment if specified)
+            const activeUsers = await this.getActiveUsers(protocol, segment.definition);
+            this.logFunction('info', `Found ${activeUsers.length} active users for injection (${protocol}${segment.definition ? `, segment ${segment.name || 'inline'}` : ''})`);
 
-            // 3. Queue message for all users
-            const queuedCount = await this.queueMessageForUsers(activeUsers, messageId, priority);
+            // 3. Record the injection and queue a row per user at their send time
+            const injectionId = await this.createInjection({
+                messageId,
+                protocol,
+                priority,
+                deliveryMode,
+                sendDate: messageData.sendDate || null,
+                localTime: messageData.localTime || null,
+                sendAt: messageData.sendAt ? moment(messageData.sendAt).toISOString() : null,
+                totalRecipients: activeUsers.length,
+                segmentName: segment.name,
+                segment: segment.definition,
+                retrySkipped: messageData.retrySkipped ?? true,
+                maxAttempts: messageData.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+                createdBy
+            });
+            const sendTimes = activeUsers.map(user => this.getSendTime(user, messageData));
+            const queuedCount = await this.queueMessageForUsers(activeUsers, messageId, priority, { injectionId, sendTimes });
             this.logFunction('info', `Queued message for ${queuedCount} users`);
 
-            // 4. Process the queue immediately
-            const sentResults = await this.processInjectionQueue();
-
-            return {
+            const result = {
                 success: true,
+                injectionId,
                 messageId,
                 protocol,
+                segmentName: segment.name,
+                deliveryMode,
                 usersFound: activeUsers.length,
                 usersQueued: queuedCount,
+                sms: this.estimateSegments(activeUsers, message)
+            };
+
+            if (deliveryMode !== 'immediate') {
+                const sorted = sendTimes.map(time => time.valueOf()).sort((a, b) => a - b);
+                return {
+                    ...result,
+                    firstSendAt: sorted.length ? new Date(sorted[0]).toISOString() : null,
+                    lastSendAt: sorted.length ? new Date(sorted[sorted.length - 1]).toISOString() : null
+                };
+            }
+
+            // 4. Immediate injections are processed right away
+            const sentResults = await this.processInjectionQueue({ injectionId });
+
+            return {
+                ...result,
                 messagesSent: sentResults.sent,
+                messagesRescheduled: sentResults.rescheduled,
                 messagesSkipped: sentResults.skipped,
                 errors: sentResults.errors
             };
@@ -55,70 +210,257 @@ class MessageInjector {
         }
     }
 
-    // Add message to messages database
-    async addMessageToDatabase(messageId, messageText, protocol) {
-        return new Promise((resolve, reject) => {
-            const now = new Date().toISOString();
-            
-            this.messagesDb.run(`
-                INSERT OR REPLACE INTO messages 
-                (id, number, protocol, pillar, category, message_type, message, tags, link, notes, active, date_created, date_modified)
-                VALUES (?, NULL, ?, 'System', 'Manual', 'manual', ?, 'manual_injection|priority', NULL, 'Manually injected message', 1, ?, ?)
-            `, [messageId, protocol, messageText, now, now], function(err) {
-                if (err) {
-                    reject(err);
-                } else {
-                    console.log(`✓ Message added to database: ${messageId}`);
-                    resolve({ messageId, added: true });
-                }
+    // When a user's row should go out for this request (a moment)
+    getSendTime(user, timing, now = moment()) {
+        if (timing.sendAt) return moment(timing.sendAt);
+        if (!timing.localTime) return moment(now);
+
+        const timezone = user.timezone || 'America/Chicago';
+        const [hour, minute] = timing.localTime.split(':').map(Number);
+        const localNow = moment(now).tz(timezone);
+
+        let sendTime = timing.sendDate
+            ? moment.tz(timing.sendDate, 'YYYY-MM-DD', timezone)
+            : localNow.clone().startOf('day');
+        sendTime = sendTime.hour(hour).minute(minute).second(0).millisecond(0);
+
+        // No date given and today's slot has passed in this timezone - use tomorrow's
+        if (!timing.sendDate && sendTime.isBefore(localNow)) {
+            sendTime.add(1, 'day').hour(hour).minute(minute);
+        }
+        return sendTime;
+    }
+
+    // How a scheduled injection would fan out: recipients per timezone, when each bucket's rows
+    // go out, and whether the 'injection' send policy would let them through at that moment.
+    // With the message text it also estimates total SMS segments and cost.
+    async previewInjection(timing) {
+        const segment = await this.segments.resolveSegment(timing);
+        const errors = [...validateInjectionTiming(timing), ...segment.errors];
+        if (errors.length > 0) {
+            return { success: false, errors };
+        }
+
+        const users = await this.getActiveUsers(timing.protocol || 'ALL', segment.definition);
+        const buckets = new Map();
+        for (const user of users) {
+            const timezone = user.timezone || 'America/Chicago';
+            if (!buckets.has(timezone)) buckets.set(timezone, { timezone, users: 0, protocols: new Set() });
+            const bucket = buckets.get(timezone);
+            bucket.users++;
+            bucket.protocols.add(user.protocol);
+        }
+
+        const timezones = [];
+        for (const bucket of buckets.values()) {
+            const sendTime = this.getSendTime({ timezone: bucket.timezone }, timing);
+            const policyChecks = await Promise.all([...bucket.protocols].map(protocol =>
+                this.sendPolicy.check({ protocol, timezone: bucket.timezone }, 'injection', sendTime)));
+            const blocked = policyChecks.find(check => !check.allowed);
+
+            timezones.push({
+                timezone: bucket.timezone,
+                users: bucket.users,
+                localSendTime: sendTime.clone().tz(bucket.timezone).format('YYYY-MM-DD HH:mm z'),
+                sendAt: sendTime.toISOString(),
+                allowed: !blocked,
+                reason: blocked ? blocked.reason : null
             });
-        });
+        }
+        timezones.sort((a, b) => a.sendAt.localeCompare(b.sendAt) || a.timezone.localeCompare(b.timezone));
+
+        return {
+            success: true,
+            protocol: timing.protocol || 'ALL',
+            segmentName: segment.name,
+            totalUsers: users.length,
+            timezones,
+            // SMS segments and cost, when the preview includes the message text
+            sms: timing.message ? this.estimateSegments(users, timing.message) : null
+        };
     }
 
-    // Get all active users (with optional protocol filter)
-    async getActiveUsers(protocol = 'ALL') {
-        return new Promise((resolve, reject) => {
-            let query = `
-                SELECT phone_number, first_name, user_type, protocol, timezone 
-                FROM users 
-                WHERE subscription_status NOT IN ('stopped', 'expired')
-            `;
-            let params = [];
+    // Segment count and cost across recipients, each with their own variables filled in
+    estimateSegments(users, messageText) {
+        return estimateSend(users, user => renderTemplate(messageText, buildContext(user)));
+    }
 
-            if (protocol && protocol !== 'ALL') {
-                query += ` AND protocol = ?`;
-                params.push(protocol);
-            }
+    async createInjection(injection) {
+        const result = await this.db.query(`
+            INSERT INTO injections 
+            (message_id, protocol, priority, delivery_mode, send_date, local_time, send_at, status,
+             total_recipients, segment_name, segment, retry_skipped, max_attempts, created_by, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, 'scheduled', ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            injection.messageId, injection.protocol, injection.priority, injection.deliveryMode,
+            injection.sendDate, injection.localTime, injection.sendAt,
+            injection.totalRecipients, injection.segmentName || null,
+            injection.segment ? JSON.stringify(injection.segment) : null,
+            injection.retrySkipped === false ? 0 : 1,
+            injection.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+            injection.createdBy, new Date().toISOString()
+        ]);
+        return result.insertId;
+    }
+
+    // Injections with their delivery progress, newest first
+    async listInjections(limit = 20) {
+        return await this.queryInjectionSummaries(`
+            GROUP BY i.id
+            ORDER BY i.created_at DESC
+            LIMIT ${parseInt(limit, 10) || 20}
+        `);
+    }
 
-            query += ` ORDER BY date_joined ASC`;
+    async getInjection(injectionId) {
+        const rows = await this.queryInjectionSummaries('WHERE i.id = ? GROUP BY i.id', [injectionId]);
+        return rows[0] || null;
+    }
 
-            this.trackingDb.all(query, params, (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows || []);
-            });
-        });
+    async queryInjectionSummaries(clauses, params = []) {
+        const rows = await this.db.query(`
+            SELECT i.*,
+                SUM(CASE WHEN pm.status = 'pending' THEN 1 ELSE 0 END) as pending_count,
+                SUM(CASE WHEN pm.status = 'pending' AND pm.attempts > 0 THEN 1 ELSE 0 END) as retrying_count,
+                SUM(CASE WHEN pm.status = 'sent' THEN 1 ELSE 0 END) as sent_count,
+                SUM(CASE WHEN pm.status = 'skipped' THEN 1 ELSE 0 END) as skipped_count,
+                SUM(CASE WHEN pm.status = 'failed' THEN 1 ELSE 0 END) as failed_count,
+                SUM(CASE WHEN pm.status = 'cancelled' THEN 1 ELSE 0 END) as cancelled_count,
+                MIN(CASE WHEN pm.status = 'pending' THEN pm.scheduled_time END) as next_send_at
+            FROM injections i
+            LEFT JOIN pending_messages pm ON pm.injection_id = i.id
+            ${clauses}
+        `, params);
+        // MariaDB returns JSON columns already parsed, SQLite hands back the text
+        return (rows || []).map(row => ({
+            ...row,
+            segment: typeof row.segment === 'string' ? JSON.parse(row.segment) : row.segment
+        }));
     }
 
-    // Queue message for all users
-    async queueMessageForUsers(users, messageId, priority) {
+    // Move an injection between lifecycle states. Returns { success, injection } or
+    // { success: false, code: 'not_found' | 'invalid_state', error }.
+    async transitionInjection(injectionId, fromStates, toStatus, timestampColumn = null) {
+        const now = new Date().toISOString();
+        const result = await this.db.query(`
+            UPDATE injections
+            SET status = ?${timestampColumn ? `, ${timestampColumn} = ?` : ''}
+            WHERE id = ? AND status IN (${fromStates.map(() => '?').join(', ')})
+        `, [toStatus, ...(timestampColumn ? [now] : []), injectionId, ...fromStates]);
+
+        const injection = await this.getInjection(injectionId);
+        if (!injection) {
+            return { success: false, code: 'not_found', error: `Injection ${injectionId} not found` };
+        }
+        if (result.changes !== 1) {
+            return { success: false, code: 'invalid_state', error: `Injection ${injectionId} is ${injection.status}` };
+        }
+        return { success: true, injection };
+    }
+
+    // Stop sending; queued rows wait (their times keep passing) until resumed
+    async pauseInjection(injectionId) {
+        const result = await this.transitionInjection(injectionId, ACTIVE_STATES, 'paused', 'paused_at');
+        if (result.success) this.logFunction('info', `Injection ${injectionId} paused`);
+        return result;
+    }
+
+    // Rows that came due while paused go out on the next dispatch (or are re-queued by the
+    // retry policy if the recipient's window has closed)
+    async resumeInjection(injectionId) {
+        const started = await this.db.query(
+            "SELECT COUNT(*) as count FROM pending_messages WHERE injection_id = ? AND status <> 'pending'",
+            [injectionId]
+        );
+        const status = started[0]?.count > 0 ? 'running' : 'scheduled';
+
+        const result = await this.transitionInjection(injectionId, ['paused'], status);
+        if (result.success) this.logFunction('info', `Injection ${injectionId} resumed`);
+        return result;
+    }
+
+    // Drop every row that hasn't gone out yet; sent rows are untouched
+    async cancelInjection(injectionId) {
+        const result = await this.transitionInjection(injectionId, [...ACTIVE_STATES, 'paused'], 'cancelled', 'cancelled_at');
+        if (!result.success) return result;
+
+        const dropped = await this.db.query(
+            "UPDATE pending_messages SET status = 'cancelled' WHERE injection_id = ? AND status = 'pending'",
+            [injectionId]
+        );
+        this.logFunction('info', `Injection ${injectionId} cancelled - ${dropped.changes} queued recipients dropped`);
+        return { ...result, cancelledRecipients: dropped.changes, injection: await this.getInjection(injectionId) };
+    }
+
+    // Give recipients whose skip was final another full set of attempts, starting now
+    async retrySkippedRecipients(injectionId) {
+        const injection = await this.getInjection(injectionId);
+        if (!injection) {
+            return { success: false, code: 'not_found', error: `Injection ${injectionId} not found` };
+        }
+        if (injection.status === 'cancelled') {
+            return { success: false, code: 'invalid_state', error: `Injection ${injectionId} is cancelled` };
+        }
+
+        const requeued = await this.db.query(`
+            UPDATE pending_messages
+            SET status = 'pending', scheduled_time = ?, attempts = 0
+            WHERE injection_id = ? AND status = 'skipped'
+        `, [new Date().toISOString(), injectionId]);
+
+        if (requeued.changes > 0 && injection.status === 'completed') {
+            await this.db.query(
+                "UPDATE injections SET status = 'running', completed_at = NULL WHERE id = ?",
+                [injectionId]
+            );
+        }
+
+        this.logFunction('info', `Injection ${injectionId}: ${requeued.changes} skipped recipients re-queued`);
+        return { success: true, requeued: requeued.changes, injection: await this.getInjection(injectionId) };
+    }
+
+    // Add message to messages database
+    // Writes (or rewrites) the manual message row. Ids already used by program content are refused -
+    // REPLACE would overwrite that sequence message and drop its number.
+    async addMessageToDatabase(messageId, messageText, protocol) {
+        const now = new Date().toISOString();
+
+        const existing = await this.db.query('SELECT message_type FROM messages WHERE id = ?', [messageId]);
+        if (existing[0] && existing[0].message_type !== 'manual') {
+            const error = new Error(`Message ID "${messageId}" is already used by program content`);
+            error.code = 'message_id_taken';
+            throw error;
+        }
+        
+        await this.db.query(`
+            INSERT OR REPLACE INTO messages 
+            (id, number, protocol, pillar, category, message_type, message, tags, link, notes, active, date_created, date_modified)
+            VALUES (?, NULL, ?, 'System', 'Manual', 'manual', ?, 'manual_injection|priority', NULL, 'Manually injected message', 1, ?, ?)
+        `, [messageId, protocol, messageText, now, now]);
+        
+        console.log(`✓ Message added to database: ${messageId}`);
+        return { messageId, added: true };
+    }
+
+    // Get all active users (with optional protocol filter and segment definition)
+    async getActiveUsers(protocol = 'ALL', segment = null) {
+        return await this.segments.findUsers(segment || {}, { protocol });
+    }
+
+    // Queue message for all users (options.sendTimes[i] is user i's send time, default now)
+    async queueMessageForUsers(users, messageId, priority, options = {}) {
         let queuedCount = 0;
         const now = new Date().toISOString();
 
-        for (const user of users) {
+        for (const [index, user] of users.entries()) {
+            const scheduledTime = options.sendTimes ? options.sendTimes[index].toISOString() : now;
             try {
-                await new Promise((resolve, reject) => {
-                    this.trackingDb.run(`
-                        INSERT INTO pending_messages 
-                        (phone_number, message_id, priority, scheduled_time, is_manual_injection, created_timestamp, status)
-                        VALUES (?, ?, ?, ?, 1, ?, 'pending')
-                    `, [user.phone_number, messageId, priority, now, now], function(err) {
-                        if (err) reject(err);
-                        else {
-                            queuedCount++;
-                            resolve();
-                        }
-                    });
-                });
+                await this.db.query(`
+                    INSERT INTO pending_messages 
+                    (phone_number, message_id, priority, scheduled_time, is_manual_injection, created_timestamp, status, injection_id)
+                    VALUES (?, ?, ?, ?, 1, ?, 'pending', ?)
+                `, [user.phone_number, messageId, priority, scheduledTime, now, options.injectionId || null]);
+                queuedCount++;
             } catch (error) {
                 this.logFunction('error', `Failed to queue message for ${user.phone_number}`, user.phone_number, error);
             }
@@ -127,30 +469,54 @@ class MessageInjector {
         return queuedCount;
     }
 
-    // Process the injection queue immediately
-    async processInjectionQueue() {
-        const results = { sent: 0, skipped: 0, errors: [] };
+    // Send every queued injection row that is due (options.injectionId limits it to one injection)
+    async processInjectionQueue(options = {}) {
+        const results = { sent: 0, rescheduled: 0, skipped: 0, errors: [] };
 
         try {
+            await this.releaseStaleClaims();
+
             // Get all pending manual injections
-            const pendingMessages = await this.getPendingInjections();
+            const pendingMessages = await this.getPendingInjections(options.injectionId);
+            if (pendingMessages.length === 0) return results;
             console.log(`📤 Processing ${pendingMessages.length} queued injections...`);
 
             for (const pendingMessage of pendingMessages) {
+                // Claim the row first so an immediate run and the dispatcher never both send it -
+                // and so a pause or cancel that lands mid-batch stops the rest of it
+                const claim = await this.db.query(`
+                    UPDATE pending_messages SET status = 'processing', claimed_at = ?
+                    WHERE id = ? AND status = 'pending'
+                    AND (injection_id IS NULL OR injection_id IN (
+                        SELECT id FROM injections WHERE status IN ('scheduled', 'running')
+                    ))
+                `, [new Date().toISOString(), pendingMessage.id]);
+                if (claim.changes !== 1) continue;
+
                 try {
+                    if (pendingMessage.injection_id) {
+                        await this.db.query(
+                            "UPDATE injections SET status = 'running' WHERE id = ? AND status = 'scheduled'",
+                            [pendingMessage.injection_id]
+                        );
+                    }
+
                     const result = await this.processSingleInjection(pendingMessage);
                     
                     if (result.sent) {
                         results.sent++;
                         console.log(`✅ Sent to ${pendingMessage.phone_number}`);
+                        await this.markInjectionProcessed(pendingMessage.id, 'sent');
+                    } else if (result.retryAt && this.canRetry(pendingMessage)) {
+                        results.rescheduled++;
+                        console.log(`🔁 Rescheduled ${pendingMessage.phone_number} for ${result.retryAt.toISOString()}: ${result.reason}`);
+                        await this.rescheduleInjection(pendingMessage.id, result.retryAt, result.reason);
                     } else {
                         results.skipped++;
                         console.log(`⏭️ Skipped ${pendingMessage.phone_number}: ${result.reason}`);
+                        await this.markInjectionProcessed(pendingMessage.id, 'skipped', result.reason);
                     }
 
-                    // Mark as processed
-                    await this.markInjectionProcessed(pendingMessage.id, result.sent ? 'sent' : 'skipped');
-
                 } catch (error) {
                     results.errors.push({
                         phoneNumber: pendingMessage.phone_number,
@@ -166,7 +532,8 @@ class MessageInjector {
                 await this.delay(500);
             }
 
-            console.log(`📊 Injection complete: ${results.sent} sent, ${results.skipped} skipped, ${results.errors.length} errors`);
+            await this.completeFinishedInjections();
+            console.log(`📊 Injection complete: ${results.sent} sent, ${results.rescheduled} rescheduled, ${results.skipped} skipped, ${results.errors.length} errors`);
 
         } catch (error) {
             this.logFunction('error', 'Error processing injection queue', null, error);
@@ -176,34 +543,80 @@ class MessageInjector {
         return results;
     }
 
-    // Get pending manual injections
-    async getPendingInjections() {
-        return new Promise((resolve, reject) => {
-            this.trackingDb.all(`
-                SELECT pm.*, u.first_name, u.timezone, u.user_type
-                FROM pending_messages pm
-                JOIN users u ON pm.phone_number = u.phone_number
-                WHERE pm.status = 'pending' AND pm.is_manual_injection = 1
-                ORDER BY pm.priority ASC, pm.created_timestamp ASC
-            `, [], (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows || []);
-            });
-        });
+    // Put rows whose claim expired back in the queue - otherwise they (and their injection)
+    // would stay 'processing' forever. Rows claimed before claimed_at existed count as expired.
+    async releaseStaleClaims() {
+        const cutoff = moment().subtract(STALE_CLAIM_MINUTES, 'minutes').toISOString();
+        const result = await this.db.query(`
+            UPDATE pending_messages
+            SET status = 'pending', claimed_at = NULL, last_skip_reason = 'Send interrupted - claim expired'
+            WHERE status = 'processing' AND (claimed_at IS NULL OR claimed_at < ?)
+        `, [cutoff]);
+
+        if (result.changes > 0) {
+            this.logFunction('warning', `Released ${result.changes} stale injection claim(s)`);
+        }
+        return result.changes;
     }
 
-    // Process a single injection
+    // Get pending manual injections whose scheduled time has arrived (paused and cancelled
+    // injections are left alone)
+    async getPendingInjections(injectionId = null) {
+        let query = `
+            SELECT pm.*, u.first_name, u.preferred_name, u.attributes, u.date_joined, u.timezone, u.user_type,
+                u.protocol, u.preferred_send_time, i.retry_skipped, i.max_attempts
+            FROM pending_messages pm
+            JOIN users u ON pm.phone_number = u.phone_number
+            LEFT JOIN injections i ON pm.injection_id = i.id
+            WHERE pm.status = 'pending' AND pm.is_manual_injection = 1
+            AND pm.scheduled_time <= ?
+            AND (pm.injection_id IS NULL OR i.status IN ('scheduled', 'running'))
+        `;
+        const params = [new Date().toISOString()];
+
+        if (injectionId) {
+            query += ` AND pm.injection_id = ?`;
+            params.push(injectionId);
+        }
+
+        query += ` ORDER BY pm.priority ASC, pm.scheduled_time ASC, pm.created_timestamp ASC`;
+
+        const rows = await this.db.query(query, params);
+        return rows || [];
+    }
+
+    // Injections with nothing left to send are done
+    async completeFinishedInjections() {
+        await this.db.query(`
+            UPDATE injections 
+            SET status = 'completed', completed_at = ?
+            WHERE status IN ('scheduled', 'running')
+            AND id NOT IN (
+                SELECT injection_id FROM pending_messages 
+                WHERE injection_id IS NOT NULL AND status IN ('pending', 'processing')
+            )
+        `, [new Date().toISOString()]);
+    }
+
+    // Process a single injection. Skips the retry policy can fix carry retryAt (a moment).
     async processSingleInjection(pendingMessage) {
-        // Check daily limit
-        const dailyCheck = await this.checkDailyLimit(pendingMessage.phone_number);
+        // Check daily limit - daily_limits is keyed by the user's local date, so try again after their midnight
+        const timezone = pendingMessage.timezone || 'America/Chicago';
+        const dailyCheck = await this.checkDailyLimit(pendingMessage.phone_number, timezone);
         if (dailyCheck.messagesSentToday >= 4) {
-            return { sent: false, reason: 'Daily limit reached (4 messages)' };
+            const tomorrow = moment().tz(timezone).add(1, 'day').startOf('day');
+            const nextWindow = await this.sendPolicy.check(pendingMessage, 'injection', tomorrow);
+            return {
+                sent: false,
+                reason: 'Daily limit reached (4 messages)',
+                retryAt: nextWindow.allowed ? tomorrow : nextWindow.nextAllowedAt
+            };
         }
 
-        // Check time window (manual injections respect time windows but not day restrictions)
-        const timeCheck = this.isInSendingWindow(pendingMessage.timezone);
-        if (!timeCheck.canSend) {
-            return { sent: false, reason: timeCheck.reason };
+        // Check the 'injection' send policy (by default 9 AM - 6 PM any day, minus blackouts)
+        const timeCheck = await this.sendPolicy.check(pendingMessage, 'injection');
+        if (!timeCheck.allowed) {
+            return { sent: false, reason: timeCheck.reason, retryAt: timeCheck.nextAllowedAt };
         }
 
         // Get the message
@@ -213,7 +626,7 @@ class MessageInjector {
         }
 
         // Personalize and send
-        const personalizedMessage = this.personalizeMessage(message.message, pendingMessage.first_name);
+        const personalizedMessage = await this.templates.render(message.message, pendingMessage);
         const sendResult = await this.sendMessageFunction(pendingMessage.phone_number, personalizedMessage, pendingMessage.message_id);
 
         if (!sendResult.success) {
@@ -221,177 +634,141 @@ class MessageInjector {
         }
 
         // Update user progress (but don't advance sequence for manual injections)
-        await this.updateUserAfterInjection(pendingMessage.phone_number);
+        await this.updateUserAfterInjection(pendingMessage.phone_number, timezone);
 
         return { sent: true };
     }
 
-    // Check daily message limit
-    async checkDailyLimit(phoneNumber) {
-        return new Promise((resolve, reject) => {
-            const today = new Date().toISOString().split('T')[0];
-            
-            this.trackingDb.get(`
-                SELECT messages_sent FROM daily_limits 
-                WHERE phone_number = ? AND date = ?
-            `, [phoneNumber, today], (err, row) => {
-                if (err) reject(err);
-                else resolve({ messagesSentToday: row ? row.messages_sent : 0 });
-            });
-        });
-    }
-
-    // Check if within sending time window
-    isInSendingWindow(userTimezone = 'America/Chicago') {
-        const moment = require('moment-timezone');
-        const userTime = moment().tz(userTimezone);
-        const hour = userTime.hour();
+    // Check daily message limit (today in the user's timezone, like the scheduler)
+    async checkDailyLimit(phoneNumber, timezone = 'America/Chicago') {
+        const today = moment().tz(timezone).format('YYYY-MM-DD');
         
-        // Manual injections respect 9 AM - 6 PM window but ignore Sunday restriction
-        if (hour < 9 || hour >= 18) {
-            return { canSend: false, reason: 'Outside sending hours (9 AM - 6 PM)' };
-        }
+        const rows = await this.db.query(`
+            SELECT messages_sent FROM daily_limits 
+            WHERE phone_number = ? AND date = ?
+        `, [phoneNumber, today]);
         
-        return { canSend: true };
+        return { messagesSentToday: rows[0] ? rows[0].messages_sent : 0 };
     }
 
     // Get message from database
     async getMessage(messageId) {
-        return new Promise((resolve, reject) => {
-            this.messagesDb.get('SELECT * FROM messages WHERE id = ? AND active = 1', [messageId], (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-            });
-        });
+        const rows = await this.db.query('SELECT * FROM messages WHERE id = ? AND active = 1', [messageId]);
+        return rows[0];
     }
 
     // Update user after injection (increment total count, update daily limits)
-    async updateUserAfterInjection(phoneNumber) {
-        return new Promise((resolve, reject) => {
-            const now = new Date().toISOString();
-            const today = new Date().toISOString().split('T')[0];
-            
-            // Update user total count
-            this.trackingDb.run(`
-                UPDATE users 
-                SET total_messages_sent = total_messages_sent + 1,
-                    last_message_sent = ?,
-                    date_modified = ?
-                WHERE phone_number = ?
-            `, [now, now, phoneNumber], (err) => {
-                if (err) {
-                    reject(err);
-                    return;
-                }
+    async updateUserAfterInjection(phoneNumber, timezone = 'America/Chicago') {
+        const now = new Date().toISOString();
+        const today = moment().tz(timezone).format('YYYY-MM-DD');
+        
+        // Update user total count
+        await this.db.query(`
+            UPDATE users 
+            SET total_messages_sent = total_messages_sent + 1,
+                last_message_sent = ?,
+                date_modified = ?
+            WHERE phone_number = ?
+        `, [now, now, phoneNumber]);
+
+        // Update daily limits
+        await this.db.upsert('daily_limits', {
+            phone_number: phoneNumber,
+            date: today,
+            messages_sent: 1,
+            last_updated: now
+        }, ['phone_number', 'date'], { increment: ['messages_sent'] });
+    }
 
-                // Update daily limits
-                this.trackingDb.run(`
-                    INSERT OR REPLACE INTO daily_limits 
-                    (phone_number, date, messages_sent, last_updated)
-                    VALUES (?, ?, COALESCE((SELECT messages_sent FROM daily_limits WHERE phone_number = ? AND date = ?), 0) + 1, ?)
-                `, [phoneNumber, today, phoneNumber, today, now], (err) => {
-                    if (err) reject(err);
-                    else resolve();
-                });
-            });
-        });
+    // Does this row's injection allow another attempt after the one that was just skipped?
+    canRetry(pendingMessage) {
+        if (!pendingMessage.injection_id || !pendingMessage.retry_skipped) return false;
+        const maxAttempts = pendingMessage.max_attempts || DEFAULT_MAX_ATTEMPTS;
+        return (pendingMessage.attempts || 0) + 1 < maxAttempts;
+    }
+
+    // Put a skipped row back in the queue for the recipient's next eligible window
+    async rescheduleInjection(pendingId, retryAt, reason) {
+        const result = await this.db.query(`
+            UPDATE pending_messages 
+            SET status = 'pending', scheduled_time = ?, attempts = attempts + 1, last_skip_reason = ?
+            WHERE id = ?
+        `, [moment(retryAt).toISOString(), reason, pendingId]);
+        return result.changes;
     }
 
     // Mark injection as processed
-    async markInjectionProcessed(injectionId, status) {
-        return new Promise((resolve, reject) => {
-            this.trackingDb.run(`
-                UPDATE pending_messages 
-                SET status = ? 
-                WHERE id = ?
-            `, [status, injectionId], function(err) {
-                if (err) reject(err);
-                else resolve(this.changes);
-            });
-        });
+    async markInjectionProcessed(injectionId, status, reason = null) {
+        const result = await this.db.query(`
+            UPDATE pending_messages 
+            SET status = ?, attempts = attempts + 1, last_skip_reason = COALESCE(?, last_skip_reason)
+            WHERE id = ?
+        `, [status, reason, injectionId]);
+        return result.changes;
     }
 
     // Get injection history/status (with optional program filter)
     async getInjectionHistory(limit = 10, program = null) {
-        return new Promise((resolve, reject) => {
-            let query = `
-                SELECT 
-                    pm.message_id,
-                    m.protocol,
-                    COUNT(*) as total_recipients,
-                    SUM(CASE WHEN pm.status = 'sent' THEN 1 ELSE 0 END) as sent_count,
-                    SUM(CASE WHEN pm.status = 'skipped' THEN 1 ELSE 0 END) as skipped_count,
-                    SUM(CASE WHEN pm.status = 'failed' THEN 1 ELSE 0 END) as failed_count,
-                    MIN(pm.created_timestamp) as injection_time
-                FROM pending_messages pm
-                LEFT JOIN messages m ON pm.message_id = m.id
-                WHERE pm.is_manual_injection = 1
-            `;
-            
-            let params = [];
-            
-            if (program && program !== 'ALL') {
-                query += ` AND (m.protocol = ? OR m.protocol = 'ALL')`;
-                params.push(program);
-            }
-            
-            query += `
-                GROUP BY pm.message_id, m.protocol
-                ORDER BY injection_time DESC
-                LIMIT ?
-            `;
-            params.push(limit);
-
-            this.trackingDb.all(query, params, (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows || []);
-            });
-        });
+        let query = `
+            SELECT 
+                pm.message_id,
+                m.protocol,
+                COUNT(*) as total_recipients,
+                SUM(CASE WHEN pm.status = 'sent' THEN 1 ELSE 0 END) as sent_count,
+                SUM(CASE WHEN pm.status = 'skipped' THEN 1 ELSE 0 END) as skipped_count,
+                SUM(CASE WHEN pm.status = 'failed' THEN 1 ELSE 0 END) as failed_count,
+                MIN(pm.created_timestamp) as injection_time
+            FROM pending_messages pm
+            LEFT JOIN messages m ON pm.message_id = m.id
+            WHERE pm.is_manual_injection = 1
+        `;
+        
+        let params = [];
+        
+        if (program && program !== 'ALL') {
+            query += ` AND (m.protocol = ? OR m.protocol = 'ALL')`;
+            params.push(program);
+        }
+        
+        // LIMIT is inlined - mysql2 prepared statements reject a bound LIMIT
+        query += `
+            GROUP BY pm.message_id, m.protocol
+            ORDER BY injection_time DESC
+            LIMIT ${parseInt(limit, 10) || 10}
+        `;
+
+        const rows = await this.db.query(query, params);
+        return rows || [];
     }
 
     // Clean up old processed injections (older than 30 days)
     async cleanupOldInjections() {
-        return new Promise((resolve, reject) => {
-            const thirtyDaysAgo = new Date();
-            thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-            const cutoffDate = thirtyDaysAgo.toISOString();
-
-            this.trackingDb.run(`
-                DELETE FROM pending_messages 
-                WHERE is_manual_injection = 1 
-                AND status IN ('sent', 'skipped', 'failed')
-                AND created_timestamp < ?
-            `, [cutoffDate], function(err) {
-                if (err) {
-                    reject(err);
-                } else {
-                    console.log(`🧹 Cleaned up ${this.changes} old injection records`);
-                    resolve(this.changes);
-                }
-            });
-        });
-    }
-
-    // Utility functions
-    personalizeMessage(messageText, firstName) {
-        if (!messageText) return '';
+        const thirtyDaysAgo = new Date();
+        thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+        const cutoffDate = thirtyDaysAgo.toISOString();
+
+        const result = await this.db.query(`
+            DELETE FROM pending_messages 
+            WHERE is_manual_injection = 1 
+            AND status IN ('sent', 'skipped', 'failed', 'cancelled')
+            AND created_timestamp < ?
+        `, [cutoffDate]);
         
-        if (firstName) {
-            return messageText.replace(/\{name\}/g, firstName);
-        } else {
-            return messageText.replace(/\{name\}[,\s]*/g, '').replace(/\s+/g, ' ').trim();
-        }
+        console.log(`🧹 Cleaned up ${result.changes} old injection records`);
+        return result.changes;
     }
 
+    // Utility functions
     delay(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
-    // Close database connections
+    // Database connections belong to the shared DatabaseManager - only the dispatcher needs stopping
     close() {
-        if (this.trackingDb) this.trackingDb.close();
-        if (this.messagesDb) this.messagesDb.close();
+        this.stop();
     }
 }
 
-module.exports = MessageInjector;
\ No newline at end of file
+module.exports = MessageInjector;
+module.exports.validateInjectionTiming = validateInjectionTiming;
+module.exports.validateRetryPolicy = validateRetryPolicy;
@@ -0,0 +1,337 @@
+// Message library - the admin API over the messages table, so editors can find and fix content
+// without one-off insert scripts.
+//
+// A message: { id, number, protocol, pillar, category, message_type, message, tags, link, notes, active }
+//   number    position in the program's numbered sequence (null for algorithm / post-trial /
+//             follow-up content such as '2a')
+//   tags      pipe-separated in the table ('welcome|first_message'); the API accepts a list too
+//
+// Messages are never deleted - message_history and pending rows point at them - only deactivated.
+// Saving text over the SMS segment limit is refused; text over the warning level saves with a
+// warning (see smsEncoding.js). Text with unknown placeholders is refused (see messageTemplate.js).
+
+const { analyzeTemplate, checkSegments, validateSegments } = require('./smsEncoding');
+const { validateTemplate, renderTemplate } = require('./messageTemplate');
+
+const ID_PATTERN = /^[A-Za-z0-9_.-]{1,100}$/;
+const NAME_PATTERN = /^[A-Za-z0-9 _&/-]{1,100}$/;
+const MESSAGE_TYPE_PATTERN = /^[a-z_-]{1,50}$/;
+const MAX_MESSAGE_LENGTH = 1600; // Twilio's limit for one message body
+
+const EDITABLE_FIELDS = ['number', 'protocol', 'pillar', 'category', 'message_type', 'message', 'tags', 'link', 'notes', 'active'];
+const SORT_COLUMNS = {
+    number: 'protocol, number IS NULL, number, id',
+    id: 'id',
+    protocol: 'protocol, id',
+    modified: 'date_modified DESC, id'
+};
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+function normalizeTags(tags) {
+    if (tags === null || tags === undefined || tags === '') return null;
+    const list = Array.isArray(tags) ? tags : String(tags).split('|');
+    const cleaned = [...new Set(list.map(tag => String(tag).trim()).filter(Boolean))];
+    return cleaned.length > 0 ? cleaned.join('|') : null;
+}
+
+// Returns a list of problems. partial: only check the fields present (for edits).
+function validateMessage(fields, { partial = false } = {}) {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+        return ['Message must be a JSON object'];
+    }
+
+    const errors = [];
+    const present = key => fields[key] !== undefined;
+
+    if (!partial || present('id')) {
+        if (typeof fields.id !== 'string' || !ID_PATTERN.test(fields.id)) {
+            errors.push('id is required (letters, numbers, _ - . up to 100 characters)');
+        }
+    }
+    if (!partial || present('protocol')) {
+        if (typeof fields.protocol !== 'string' || !NAME_PATTERN.test(fields.protocol)) {
+            errors.push('protocol is required (a program name or ALL)');
+        }
+    }
+    if (!partial || present('message')) {
+        if (typeof fields.message !== 'string' || !fields.message.trim()) {
+            errors.push('message text is required');
+        } else if (fields.message.length > MAX_MESSAGE_LENGTH) {
+            errors.push(`message is longer than ${MAX_MESSAGE_LENGTH} characters`);
+        } else {
+            errors.push(...validateTemplate(fields.message), ...validateSegments(fields.message));
+        }
+    }
+
+    if (present('number') && fields.number !== null && (!Number.isInteger(fields.number) || fields.number < 1)) {
+        errors.push('number must be a positive whole number or null');
+    }
+    for (const key of ['pillar', 'category']) {
+        if (present(key) && fields[key] !== null && fields[key] !== '' &&
+            (typeof fields[key] !== 'string' || !NAME_PATTERN.test(fields[key]))) {
+            errors.push(`${key} must be a short name (letters, numbers, spaces, _ & / -)`);
+        }
+    }
+    if (present('message_type') && (typeof fields.message_type !== 'string' || !MESSAGE_TYPE_PATTERN.test(fields.message_type))) {
+        errors.push('message_type must be lowercase letters, _ or - (e.g. standard, interactive)');
+    }
+    if (present('tags') && fields.tags !== null && !Array.isArray(fields.tags) && typeof fields.tags !== 'string') {
+        errors.push('tags must be a list or a pipe-separated string');
+    }
+    if (present('link') && fields.link !== null && fields.link !== '' &&
+        (typeof fields.link !== 'string' || !/^https?:\/\/\S+$/.test(fields.link))) {
+        errors.push('link must be an http(s) URL');
+    }
+    if (present('notes') && fields.notes !== null && typeof fields.notes !== 'string') {
+        errors.push('notes must be text');
+    }
+    if (present('active') && typeof fields.active !== 'boolean') {
+        errors.push('active must be true or false');
+    }
+
+    const unknown = Object.keys(fields).filter(key => key !== 'id' && !EDITABLE_FIELDS.includes(key));
+    if (unknown.length > 0) {
+        errors.push(`Unknown field(s): ${unknown.join(', ')}`);
+    }
+
+    return errors;
+}
+
+// Table values for the fields that were given
+function toColumns(fields) {
+    const columns = {};
+    for (const key of EDITABLE_FIELDS) {
+        if (fields[key] === undefined) continue;
+        if (key === 'tags') columns.tags = normalizeTags(fields.tags);
+        else if (key === 'active') columns.active = fields.active ? 1 : 0;
+        else if (key === 'message') columns.message = fields.message.trim();
+        else columns[key] = fields[key] === '' ? null : fields[key];
+    }
+    return columns;
+}
+
+// Encoding and segment count for a listed message, as sent to a recipient with a typical name
+function withSegments(message) {
+    const { encoding, segments, level } = checkSegments(analyzeTemplate(message.message));
+    return { ...message, sms: { encoding, segments, level } };
+}
+
+function segmentWarnings(text) {
+    const checked = text === undefined ? null : checkSegments(analyzeTemplate(text));
+    return { warnings: checked && checked.warning ? [checked.warning] : [] };
+}
+
+class MessageLibrary {
+    constructor(options) {
+        this.db = options.db; // Shared DatabaseManager (scripts/DatabaseManager.js)
+    }
+
+    // filters: { search, protocol, pillar, category, messageType, active ('true'/'false'), sort, limit, offset }
+    // Returns { total, messages }
+    async listMessages(filters = {}) {
+        const clauses = [];
+        const params = [];
+
+        if (filters.search) {
+            const like = `%${String(filters.search).trim()}%`;
+            clauses.push('(id LIKE ? OR message LIKE ? OR tags LIKE ? OR notes LIKE ?)');
+            params.push(like, like, like, like);
+        }
+        if (filters.protocol && filters.protocol !== 'ANY') {
+            clauses.push('protocol = ?');
+            params.push(filters.protocol);
+        }
+        for (const [filter, column] of [['pillar', 'pillar'], ['category', 'category'], ['messageType', 'message_type']]) {
+            if (filters[filter]) {
+                clauses.push(`${column} = ?`);
+                params.push(filters[filter]);
+            }
+        }
+        if (filters.active === 'true' || filters.active === 'false') {
+            clauses.push('active = ?');
+            params.push(filters.active === 'true' ? 1 : 0);
+        }
+
+        const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+        const orderBy = SORT_COLUMNS[filters.sort] || SORT_COLUMNS.number;
+        const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+
+        const totals = await this.db.query(`SELECT COUNT(*) as count FROM messages ${where}`, params);
+        // LIMIT/OFFSET are inlined - mysql2 prepared statements reject bound values there
+        const messages = await this.db.query(`
+            SELECT id, number, protocol, pillar, category, message_type, message, tags, link, notes, active,
+                date_created, date_modified
+            FROM messages
+            ${where}
+            ORDER BY ${orderBy}
+            LIMIT ${limit} OFFSET ${offset}
+        `, params);
+
+        return { total: totals[0]?.count || 0, limit, offset, messages: messages.map(withSegments) };
+    }
+
+    async getMessage(id) {
+        const rows = await this.db.query('SELECT * FROM messages WHERE id = ?', [id]);
+        return rows[0] || null;
+    }
+
+    // Returns { success, errors, message }
+    async createMessage(fields) {
+        const errors = validateMessage(fields);
+        if (errors.length === 0 && await this.getMessage(fields.id)) {
+            errors.push(`A message with id "${fields.id}" already exists`);
+        }
+        if (errors.length === 0) {
+            const taken = await this.numberTaken({ active: true, ...fields });
+            if (taken) errors.push(taken);
+        }
+        if (errors.length > 0) {
+            return { success: false, errors };
+        }
+
+        const now = new Date().toISOString();
+        const columns = {
+            message_type: 'standard',
+            active: 1,
+            ...toColumns(fields),
+            id: fields.id,
+            date_created: now,
+            date_modified: now
+        };
+        const names = Object.keys(columns);
+        await this.db.query(
+            `INSERT INTO messages (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`,
+            names.map(name => columns[name])
+        );
+
+        return { success: true, errors: [], ...segmentWarnings(fields.message), message: await this.getMessage(fields.id) };
+    }
+
+    // Edit some fields (the id can't change - history points at it). Returns { success, errors, message }
+    async updateMessage(id, changes) {
+        const errors = validateMessage(changes, { partial: true });
+        if (changes && changes.id !== undefined && changes.id !== id) {
+            errors.push('id cannot be changed - create a new message and deactivate this one');
+        }
+        if (errors.length > 0) {
+            return { success: false, errors };
+        }
+
+        const existing = await this.getMessage(id);
+        if (!existing) {
+            return { success: false, notFound: true, errors: [`Unknown message "${id}"`] };
+        }
+        const taken = await this.numberTaken({ ...existing, ...changes, id });
+        if (taken) {
+            return { success: false, errors: [taken] };
+        }
+
+        const columns = toColumns(changes);
+        if (Object.keys(columns).length === 0) {
+            return { success: false, errors: ['Nothing to change'] };
+        }
+        columns.date_modified = new Date().toISOString();
+
+        const names = Object.keys(columns);
+        await this.db.query(
+            `UPDATE messages SET ${names.map(name => `${name} = ?`).join(', ')} WHERE id = ?`,
+            [...names.map(name => columns[name]), id]
+        );
+
+        return { success: true, errors: [], ...segmentWarnings(changes.message), message: await this.getMessage(id) };
+    }
+
+    // The scheduler sends one active message per program number, so two can't share one.
+    // Returns the error for a message that would collide, or null.
+    async numberTaken(message) {
+        const number = message.number;
+        if (number === null || number === undefined || !message.active) return null;
+
+        const rows = await this.db.query(
+            'SELECT id FROM messages WHERE protocol = ? AND number = ? AND active = 1 AND id != ? LIMIT 1',
+            [message.protocol, number, message.id]
+        );
+        return rows.length > 0
+            ? `${message.protocol} message ${number} is already "${rows[0].id}" - reorder or deactivate it first`
+            : null;
+    }
+
+    async setActive(id, active) {
+        return await this.updateMessage(id, { active });
+    }
+
+    // Renumber a program's sequence in the given order: orderedIds[0] becomes number 1, and so on.
+    // Every id must belong to the program. Numbered messages left out of the list keep their
+    // relative order after the listed ones, so no two messages share a number (the scheduler sends
+    // one message per number). Returns { success, errors, order } with the program's full order.
+    async reorderMessages(protocol, orderedIds) {
+        if (!protocol || !Array.isArray(orderedIds) || orderedIds.length === 0) {
+            return { success: false, errors: ['protocol and a list of message ids are required'] };
+        }
+        if (new Set(orderedIds).size !== orderedIds.length) {
+            return { success: false, errors: ['Each message id can only appear once'] };
+        }
+
+        return await this.db.transaction(async (tx) => {
+            const rows = await tx.query(
+                `SELECT id FROM messages WHERE protocol = ? AND id IN (${orderedIds.map(() => '?').join(', ')})`,
+                [protocol, ...orderedIds]
+            );
+            const found = new Set(rows.map(row => row.id));
+            const missing = orderedIds.filter(id => !found.has(id));
+            if (missing.length > 0) {
+                return { success: false, errors: [`Not ${protocol} messages: ${missing.join(', ')}`] };
+            }
+
+            const numbered = await tx.query(
+                'SELECT id, number FROM messages WHERE protocol = ? AND number IS NOT NULL ORDER BY number, id',
+                [protocol]
+            );
+            const listed = new Set(orderedIds);
+            const current = new Map(numbered.map(row => [row.id, row.number]));
+            const order = [...orderedIds, ...numbered.map(row => row.id).filter(id => !listed.has(id))];
+
+            const now = new Date().toISOString();
+            for (const [index, id] of order.entries()) {
+                if (current.get(id) !== index + 1) {
+                    await tx.query('UPDATE messages SET number = ?, date_modified = ? WHERE id = ?', [index + 1, now, id]);
+                }
+            }
+
+            return { success: true, errors: [], order: order.map((id, index) => ({ id, number: index + 1 })) };
+        });
+    }
+
+    // The text a subscriber would receive, rendered the same way as the send paths.
+    // variables: template variables by name ({ name, program, streak, 'custom.goal', ... })
+    previewMessage(text, variables = {}) {
+        return renderTemplate(text, variables);
+    }
+
+    // Active messages that are over the warning level or the limit, worst first
+    async segmentReport() {
+        const rows = await this.db.query('SELECT id, protocol, message_type, message FROM messages WHERE active = 1 ORDER BY protocol, id');
+        return rows
+            .map(row => ({ ...row, ...checkSegments(analyzeTemplate(row.message)) }))
+            .filter(row => row.level !== 'ok')
+            .sort((a, b) => b.segments - a.segments);
+    }
+
+    // Distinct values for the editor's filter and suggestion lists
+    async listFacets() {
+        const facets = {};
+        for (const column of ['protocol', 'pillar', 'category', 'message_type']) {
+            const rows = await this.db.query(
+                `SELECT DISTINCT ${column} as value FROM messages WHERE ${column} IS NOT NULL AND ${column} <> '' ORDER BY ${column}`
+            );
+            facets[column] = rows.map(row => row.value);
+        }
+        return facets;
+    }
+}
+
+module.exports = MessageLibrary;
+module.exports.validateMessage = validateMessage;
+module.exports.normalizeTags = normalizeTags;
@@ -0,0 +1,347 @@
+const moment = require('moment-timezone');
+
+// Message templates - the one place message text is personalized before it is sent.
+//
+//   {name}                     preferred name, else first name
+//   {name|friend}              fallback when the value is missing
+//   {#if streak >= 3}...{else}...{/if}
+//                              conditionals: {#if var}, {#if !var}, or var = != > >= < <= value
+//
+// Variables: name, first_name, preferred_name, program, days_in_program (1 on the join day),
+// streak (consecutive local days with a reply), weekday (user's local day) and custom.<key>
+// for the user's custom attributes (users.attributes, set with PUT /admin/users/:phone/profile).
+//
+// A placeholder with no value and no fallback is dropped along with the comma/space after it,
+// the same way {name} always was. Unknown placeholders are refused when content is saved
+// (validateTemplate) and left untouched if old content still has them.
+
+const VARIABLES = ['name', 'first_name', 'preferred_name', 'program', 'days_in_program', 'streak', 'weekday'];
+const CUSTOM_PREFIX = 'custom.';
+const ATTRIBUTE_KEY_PATTERN = /^[A-Za-z0-9_]{1,50}$/;
+const MAX_ATTRIBUTES = 50;
+const MAX_ATTRIBUTE_LENGTH = 200;
+
+const TAG_PATTERN = /\{([^{}]*)\}/g;
+const CONDITION_PATTERN = /^(!)?\s*([A-Za-z0-9_.]+)\s*(?:(=|!=|>=|<=|>|<)\s*(.+?))?\s*$/;
+
+// How far back to look when counting a reply streak
+const STREAK_LOOKBACK_DAYS = 60;
+
+// Marks a dropped placeholder until the surrounding punctuation is tidied
+const DROPPED = '\u0000';
+
+function isKnownVariable(name) {
+    if (VARIABLES.includes(name)) return true;
+    return name.startsWith(CUSTOM_PREFIX) && ATTRIBUTE_KEY_PATTERN.test(name.slice(CUSTOM_PREFIX.length));
+}
+
+// Parse text into nodes: { type: 'text' | 'var' | 'if', ... }. Errors describe anything that
+// would be refused on save; the nodes still render (bad tags as literal text).
+function parseTemplate(text) {
+    const root = { nodes: [] };
+    const stack = [root];
+    const errors = [];
+    let current = root.nodes;
+    let lastIndex = 0;
+
+    const literal = tag => current.push({ type: 'text', value: tag });
+
+    for (const match of String(text || '').matchAll(TAG_PATTERN)) {
+        if (match.index > lastIndex) {
+            current.push({ type: 'text', value: text.slice(lastIndex, match.index) });
+        }
+        lastIndex = match.index + match[0].length;
+
+        const tag = match[0];
+        const body = match[1].trim();
+
+        if (body.startsWith('#if')) {
+            const condition = CONDITION_PATTERN.exec(body.slice(3).trim());
+            if (!condition || !/^#if\s/.test(body)) {
+                errors.push(`Malformed condition ${tag} - use {#if var}, {#if !var} or {#if var >= 3}`);
+                literal(tag);
+                continue;
+            }
+            const [, negate, name, operator, value] = condition;
+            if (!isKnownVariable(name)) {
+                errors.push(`Unknown placeholder "${name}" in ${tag}`);
+            }
+            const node = { type: 'if', negate: !!negate, name, operator: operator || null, value: value ?? null, then: [], else: null, tag };
+            current.push(node);
+            stack.push(node);
+            current = node.then;
+        } else if (body === 'else') {
+            const open = stack[stack.length - 1];
+            if (open === root || open.else) {
+                errors.push('{else} without a matching {#if}');
+                literal(tag);
+                continue;
+            }
+            open.else = [];
+            current = open.else;
+        } else if (body === '/if') {
+            if (stack.length === 1) {
+                errors.push('{/if} without a matching {#if}');
+                literal(tag);
+                continue;
+            }
+            stack.pop();
+            const parent = stack[stack.length - 1];
+            current = parent === root ? root.nodes : (parent.else || parent.then);
+        } else {
+            const separator = body.indexOf('|');
+            const name = (separator === -1 ? body : body.slice(0, separator)).trim();
+            if (!name) {
+                errors.push(`Empty placeholder ${tag}`);
+                literal(tag);
+            } else if (!isKnownVariable(name)) {
+                errors.push(`Unknown placeholder ${tag} - use ${VARIABLES.map(variable => `{${variable}}`).join(', ')} or {custom.<attribute>}`);
+                literal(tag);
+            } else {
+                current.push({ type: 'var', name, fallback: separator === -1 ? undefined : body.slice(separator + 1).trim() });
+            }
+        }
+    }
+
+    if (lastIndex < String(text || '').length) {
+        current.push({ type: 'text', value: text.slice(lastIndex) });
+    }
+    if (stack.length > 1) {
+        errors.push(`${stack[stack.length - 1].tag} is missing its {/if}`);
+    }
+
+    return { nodes: root.nodes, errors };
+}
+
+// Problems that should stop content from being saved (empty when the template is fine)
+function validateTemplate(text) {
+    return parseTemplate(text).errors;
+}
+
+// Variable names a template uses (placeholders and conditions)
+function templateVariables(text) {
+    const names = new Set();
+    const visit = nodes => {
+        for (const node of nodes) {
+            if (node.type === 'var') names.add(node.name);
+            if (node.type === 'if') {
+                names.add(node.name);
+                visit(node.then);
+                if (node.else) visit(node.else);
+            }
+        }
+    };
+    visit(parseTemplate(text).nodes);
+    return [...names];
+}
+
+function hasValue(value) {
+    return value !== null && value !== undefined && value !== '';
+}
+
+function evaluateCondition(node, context) {
+    const actual = context[node.name];
+    let result;
+
+    if (!node.operator) {
+        result = hasValue(actual) && actual !== 0 && actual !== false;
+    } else {
+        const left = Number(actual);
+        const right = Number(node.value);
+        const numeric = hasValue(actual) && Number.isFinite(left) && Number.isFinite(right);
+        const text = String(actual ?? '').toLowerCase();
+        const expected = node.value.toLowerCase();
+
+        switch (node.operator) {
+            case '=': result = numeric ? left === right : text === expected; break;
+            case '!=': result = numeric ? left !== right : text !== expected; break;
+            case '>': result = numeric && left > right; break;
+            case '>=': result = numeric && left >= right; break;
+            case '<': result = numeric && left < right; break;
+            case '<=': result = numeric && left <= right; break;
+        }
+    }
+
+    return node.negate ? !result : result;
+}
+
+function renderNodes(nodes, context) {
+    return nodes.map(node => {
+        if (node.type === 'text') return node.value;
+        if (node.type === 'var') {
+            const value = context[node.name];
+            if (hasValue(value)) return String(value);
+            return node.fallback !== undefined ? node.fallback : DROPPED;
+        }
+        return renderNodes(evaluateCondition(node, context) ? node.then : (node.else || []), context);
+    }).join('');
+}
+
+// Fill a template from a context (see buildContext)
+function renderTemplate(text, context = {}) {
+    if (!text) return '';
+
+    const rendered = renderNodes(parseTemplate(text).nodes, context);
+    if (!rendered.includes(DROPPED)) {
+        return rendered;
+    }
+
+    // "Great job {name}!" -> "Great job!", "{name}, take a breath" -> "take a breath"
+    return rendered
+        .replace(new RegExp(`[^\\S\\n]*${DROPPED}[,\\s]*(?=[!?.])`, 'g'), '')
+        .replace(new RegExp(`${DROPPED}[,\\s]*`, 'g'), '')
+        .replace(/[^\S\n]{2,}/g, ' ')
+        .trim();
+}
+
+function parseAttributes(attributes) {
+    if (!attributes) return {};
+    if (typeof attributes === 'object') return attributes;
+    try {
+        return JSON.parse(attributes) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+// Template variables for a user row. extras: { now, streak }
+function buildContext(user, { now = new Date(), streak = null } = {}) {
+    const row = user || {};
+    const timezone = row.timezone || 'America/Chicago';
+    const localNow = moment(now).tz(timezone);
+
+    const context = {
+        name: row.preferred_name || row.first_name || null,
+        first_name: row.first_name || null,
+        preferred_name: row.preferred_name || null,
+        program: row.protocol || null,
+        days_in_program: row.date_joined
+            ? localNow.clone().startOf('day').diff(moment(row.date_joined).tz(timezone).startOf('day'), 'days') + 1
+            : null,
+        streak,
+        weekday: localNow.format('dddd')
+    };
+
+    for (const [key, value] of Object.entries(parseAttributes(row.attributes))) {
+        if (ATTRIBUTE_KEY_PATTERN.test(key)) context[`${CUSTOM_PREFIX}${key}`] = value;
+    }
+    return context;
+}
+
+// Stand-in values for length estimates - every variable the template uses, at a typical
+// long-ish size, so conditionals take their first branch
+function sampleContext(text, allowance = 12) {
+    const context = {};
+    for (const name of templateVariables(text)) {
+        context[name] = ['days_in_program', 'streak'].includes(name) ? 999 : 'x'.repeat(allowance);
+    }
+    context.weekday = 'Wednesday';
+    return context;
+}
+
+// Custom attributes: flat { key: string | number | boolean }. Returns a list of problems.
+function validateAttributes(attributes) {
+    if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)) {
+        return ['attributes must be an object of key: value pairs'];
+    }
+
+    const errors = [];
+    const entries = Object.entries(attributes);
+    if (entries.length > MAX_ATTRIBUTES) {
+        errors.push(`At most ${MAX_ATTRIBUTES} attributes per user`);
+    }
+    for (const [key, value] of entries) {
+        if (!ATTRIBUTE_KEY_PATTERN.test(key)) {
+            errors.push(`Attribute name "${key}" must be letters, numbers or _ (up to 50)`);
+        } else if (value !== null && !['string', 'number', 'boolean'].includes(typeof value)) {
+            errors.push(`Attribute "${key}" must be text, a number or true/false`);
+        } else if (typeof value === 'string' && value.length > MAX_ATTRIBUTE_LENGTH) {
+            errors.push(`Attribute "${key}" is longer than ${MAX_ATTRIBUTE_LENGTH} characters`);
+        }
+    }
+    return errors;
+}
+
+class MessageTemplates {
+    constructor(options) {
+        this.db = options.db; // Shared DatabaseManager (scripts/DatabaseManager.js)
+    }
+
+    // The text to send to this user. The streak is only looked up when the template uses it.
+    async render(text, user, now = new Date()) {
+        let streak = null;
+        if (user && user.phone_number && templateVariables(text).includes('streak')) {
+            streak = await this.getStreak(user.phone_number, user.timezone, now);
+        }
+        return renderTemplate(text, buildContext(user, { now, streak }));
+    }
+
+    // Consecutive local days with at least one reply, ending today (or yesterday, so a streak
+    // isn't "broken" before the user has had a chance to reply today)
+    async getStreak(phoneNumber, timezone = 'America/Chicago', now = new Date()) {
+        const since = moment(now).subtract(STREAK_LOOKBACK_DAYS, 'days').toISOString();
+        const rows = await this.db.query(
+            'SELECT received_timestamp FROM inbound_messages WHERE phone_number = ? AND received_timestamp >= ?',
+            [phoneNumber, since]
+        );
+
+        const zone = timezone || 'America/Chicago';
+        const days = new Set(rows.map(row => moment(row.received_timestamp).tz(zone).format('YYYY-MM-DD')));
+        const day = moment(now).tz(zone).startOf('day');
+        if (!days.has(day.format('YYYY-MM-DD'))) {
+            day.subtract(1, 'day');
+        }
+
+        let streak = 0;
+        while (days.has(day.format('YYYY-MM-DD'))) {
+            streak++;
+            day.subtract(1, 'day');
+        }
+        return streak;
+    }
+
+    // Set a user's preferred name and/or replace their custom attributes.
+    // Returns { success, errors, preferredName, attributes }.
+    async setUserProfile(phoneNumber, { preferredName, attributes } = {}) {
+        const errors = [];
+        if (preferredName !== undefined && preferredName !== null &&
+            (typeof preferredName !== 'string' || preferredName.trim().length > 100)) {
+            errors.push('preferredName must be text up to 100 characters');
+        }
+        if (attributes !== undefined) {
+            errors.push(...validateAttributes(attributes));
+        }
+        if (preferredName === undefined && attributes === undefined) {
+            errors.push('preferredName or attributes is required');
+        }
+        if (errors.length > 0) {
+            return { success: false, errors };
+        }
+
+        const rows = await this.db.query('SELECT phone_number, preferred_name, attributes FROM users WHERE phone_number = ?', [phoneNumber]);
+        if (!rows[0]) {
+            return { success: false, errors: [`Unknown user ${phoneNumber}`] };
+        }
+
+        const updated = {
+            preferredName: preferredName === undefined ? rows[0].preferred_name : (preferredName ? preferredName.trim() : null),
+            attributes: attributes === undefined ? parseAttributes(rows[0].attributes) : attributes
+        };
+        await this.db.query(
+            'UPDATE users SET preferred_name = ?, attributes = ?, date_modified = ? WHERE phone_number = ?',
+            [updated.preferredName, JSON.stringify(updated.attributes), new Date().toISOString(), phoneNumber]
+        );
+
+        return { success: true, errors: [], ...updated };
+    }
+}
+
+module.exports = MessageTemplates;
+module.exports.VARIABLES = VARIABLES;
+module.exports.parseTemplate = parseTemplate;
+module.exports.validateTemplate = validateTemplate;
+module.exports.templateVariables = templateVariables;
+module.exports.renderTemplate = renderTemplate;
+module.exports.buildContext = buildContext;
+module.exports.sampleContext = sampleContext;
+module.exports.validateAttributes = validateAttributes;
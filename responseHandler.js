@@ -1,57 +1,106 @@
-const sqlite3 = require('sqlite3').verbose();
+const { parseSendWindow, formatSendWindow, describeSendWindow, getUserSendWindow } = require('./sendWindow');
+const MessageTemplates = require('./messageTemplate');
+const KeywordRouter = require('./keywordRouter');
+const CrisisEscalation = require('./crisisEscalation');
+const { detectRisk, RISK_RESPONSE_MESSAGE_ID, RISK_RESPONSE_TEXT } = require('./riskDetector');
 
 class ResponseHandler {
     constructor(options) {
-        this.trackingDbPath = options.trackingDbPath;
-        this.messagesDbPath = options.messagesDbPath;
+        this.db = options.db; // Shared DatabaseManager (scripts/DatabaseManager.js)
         this.sendMessageFunction = options.sendMessageFunction;
         this.logFunction = options.logFunction;
-        
-        this.trackingDb = new sqlite3.Database(this.trackingDbPath);
-        this.messagesDb = new sqlite3.Database(this.messagesDbPath);
+        this.templates = options.templates || new MessageTemplates({ db: this.db });
+        this.keywordRouter = options.keywordRouter || new KeywordRouter({ db: this.db });
+        this.escalation = options.escalation || new CrisisEscalation({
+            db: this.db,
+            smsTransport: options.smsTransport,
+            logFunction: this.logFunction
+        });
         
         console.log('📨 Response Handler initialized');
     }
 
     // Main function to process incoming messages
-    async processIncomingMessage(phoneNumber, messageBody) {
+    async processIncomingMessage(phoneNumber, messageBody, messageSid = null) {
+        let normalizedPhone = phoneNumber;
+        let result;
+
         try {
-            const normalizedPhone = this.normalizePhoneNumber(phoneNumber);
+            normalizedPhone = this.normalizePhoneNumber(phoneNumber);
             const cleanMessage = messageBody.trim().toUpperCase();
             
             this.logFunction('info', `Received message from ${normalizedPhone}: ${messageBody}`);
 
-            // Check for system commands first
-            const commandResult = await this.handleSystemCommands(normalizedPhone, cleanMessage);
-            if (commandResult.handled) {
-                return commandResult;
-            }
+            result = await this.routeIncomingMessage(normalizedPhone, messageBody, cleanMessage);
+
+        } catch (error) {
+            this.logFunction('error', `Error processing message from ${phoneNumber}`, phoneNumber, error);
+            result = { handled: false, classification: 'error', action: 'error', error: error.message };
+        }
+
+        await this.recordInboundMessage(normalizedPhone, messageBody, messageSid, result);
+        return result;
+    }
+
+    // Try each handler in priority order and tag the result with how the message was classified
+    async routeIncomingMessage(phoneNumber, messageBody, cleanMessage) {
+        // Self-harm risk phrases come first - they outrank commands and keywords ("HELP I want to die")
+        const riskResult = await this.handleRiskPhrases(phoneNumber, messageBody);
+        if (riskResult.handled) {
+            return { ...riskResult, classification: 'risk' };
+        }
+
+        // On-call staff acknowledging a crisis alert ("ACK 12")
+        const staffResult = await this.handleStaffAcknowledgement(phoneNumber, cleanMessage);
+        if (staffResult.handled) {
+            return { ...staffResult, classification: 'staff' };
+        }
+
+        // Check for system commands
+        const commandResult = await this.handleSystemCommands(phoneNumber, cleanMessage);
+        if (commandResult.handled) {
+            return { ...commandResult, classification: 'command' };
+        }
 
-            // Check for crisis support keywords
-            const crisisResult = await this.handleCrisisKeywords(normalizedPhone, cleanMessage);
-            if (crisisResult.handled) {
-                return crisisResult;
-            }
+        // Check the keyword rules (crisis support and other canned responses)
+        const keywordResult = await this.handleKeywordRules(phoneNumber, messageBody);
+        if (keywordResult.handled) {
+            return keywordResult;
+        }
 
-            // Check for interactive message responses
-            const interactiveResult = await this.handleInteractiveResponse(normalizedPhone, cleanMessage);
-            if (interactiveResult.handled) {
-                return interactiveResult;
-            }
+        // Check for interactive message responses
+        const interactiveResult = await this.handleInteractiveResponse(phoneNumber, cleanMessage);
+        if (interactiveResult.handled) {
+            return { ...interactiveResult, classification: 'interactive' };
+        }
 
-            // Default response for unrecognized messages
-            return await this.handleUnrecognizedMessage(normalizedPhone, messageBody);
+        // Default response for unrecognized messages
+        const unrecognizedResult = await this.handleUnrecognizedMessage(phoneNumber, messageBody);
+        return { ...unrecognizedResult, classification: 'unrecognized' };
+    }
 
+    // Persist the inbound SMS for the conversation thread (never blocks the reply)
+    async recordInboundMessage(phoneNumber, messageBody, messageSid, result) {
+        try {
+            await this.db.query(`
+                INSERT INTO inbound_messages 
+                (phone_number, message_body, twilio_message_sid, classification, action_taken, received_timestamp) 
+                VALUES (?, ?, ?, ?, ?, ?)
+            `, [phoneNumber, messageBody, messageSid, result.classification, result.action || null, new Date().toISOString()]);
         } catch (error) {
-            this.logFunction('error', `Error processing message from ${phoneNumber}`, phoneNumber, error);
-            return { handled: false, error: error.message };
+            this.logFunction('error', `Failed to record inbound message from ${phoneNumber}`, phoneNumber, error);
         }
     }
 
-    // Handle system commands (STOP, START, RESET)
+    // Handle system commands (STOP, START, RESET, TIME)
     async handleSystemCommands(phoneNumber, message) {
         const user = await this.getUser(phoneNumber);
         
+        // TIME takes an argument ("TIME 7-9PM"), so it can't be a plain switch case
+        if (/^TIME\b/.test(message)) {
+            return await this.handleSendTimeCommand(phoneNumber, user, message.replace(/^TIME\b/, '').trim());
+        }
+        
         switch (message) {
             case 'STOP':
                 await this.stopUser(phoneNumber);
@@ -101,46 +150,162 @@ class ResponseHandler {
         }
     }
 
-    // Handle crisis support keywords
-    async handleCrisisKeywords(phoneNumber, message) {
-        const crisisKeywords = {
-            'HELP': 'help_response',
-            'ANXIETY': 'anxiety_response', 
-            'STRESS': 'stress_response',
-            'PANIC': 'panic_response',
-            'CRISIS': 'crisis_response',
-            'POSITIVE': 'positive_response',
-            'AFFIRM': 'positive_response',
-            'BREATHE': 'breathe_response',
-            'CALM': 'calm_response'
+    // TIME <window> - change when the user's daily messages arrive; bare TIME shows the current window
+    async handleSendTimeCommand(phoneNumber, user, requestedWindow) {
+        if (!user) {
+            return { handled: false };
+        }
+
+        if (!requestedWindow) {
+            const current = getUserSendWindow(user);
+            await this.sendMessageFunction(
+                phoneNumber,
+                `Your messages arrive between ${describeSendWindow(current)}. To change it, reply TIME followed by a window, e.g. TIME 7-9PM`,
+                'time_current'
+            );
+            return { handled: true, action: 'time_shown', message: 'Sent current send window' };
+        }
+
+        const window = parseSendWindow(requestedWindow);
+        if (window.error) {
+            await this.sendMessageFunction(
+                phoneNumber,
+                `Sorry, we couldn't update your time: ${window.error}. Try something like TIME 7-9PM or TIME 2pm-5pm`,
+                'time_invalid'
+            );
+            this.logFunction('info', `Rejected send window "${requestedWindow}" from ${phoneNumber}: ${window.error}`, phoneNumber);
+            return { handled: true, action: 'time_invalid', message: window.error };
+        }
+
+        await this.updatePreferredSendTime(phoneNumber, formatSendWindow(window));
+        await this.sendMessageFunction(
+            phoneNumber,
+            `Got it${user.first_name ? ', ' + user.first_name : ''}! Your messages will now arrive between ${describeSendWindow(window)} (${user.timezone || 'America/Chicago'} time).`,
+            'time_updated'
+        );
+        this.logFunction('info', `Send window for ${phoneNumber} set to ${formatSendWindow(window)}`, phoneNumber);
+
+        return { handled: true, action: 'time_updated', message: `Send window set to ${formatSendWindow(window)}` };
+    }
+
+    // Reply using the first keyword rule that matches (rules live in keyword_rules, see keywordRouter.js)
+    async handleKeywordRules(phoneNumber, messageBody) {
+        const match = await this.keywordRouter.matchMessage(messageBody);
+        if (!match) {
+            return { handled: false };
+        }
+
+        const { rule, keyword } = match;
+        const responseMessage = rule.responseMessageId ? await this.getMessage(rule.responseMessageId) : null;
+
+        if (responseMessage) {
+            const user = await this.getUser(phoneNumber);
+            const personalizedMessage = await this.templates.render(responseMessage.message, user);
+            await this.sendMessageFunction(phoneNumber, personalizedMessage, rule.responseMessageId);
+        } else if (rule.fallbackText) {
+            await this.sendMessageFunction(phoneNumber, rule.fallbackText, `${rule.classification}_${rule.name}`);
+        } else {
+            this.logFunction('warning', `Keyword rule "${rule.name}" matched but ${rule.responseMessageId} is missing and there is no fallback`, phoneNumber);
+        }
+
+        // Log which rule fired for monitoring (never blocks the reply)
+        try {
+            await this.keywordRouter.recordMatch(phoneNumber, messageBody, match);
+        } catch (error) {
+            this.logFunction('error', `Failed to record keyword match for ${phoneNumber}`, phoneNumber, error);
+        }
+        this.logFunction('info', `Keyword rule "${rule.name}" matched "${keyword}" (${rule.matchMode})`, phoneNumber, {
+            rule: rule.name, ruleId: rule.id, keyword, matchMode: rule.matchMode
+        });
+
+        const escalation = rule.escalate
+            ? await this.escalate(phoneNumber, { source: 'keyword', detail: rule.name, messageBody })
+            : null;
+
+        return {
+            handled: true,
+            classification: rule.classification,
+            action: rule.classification === 'crisis' ? 'crisis_support' : 'keyword_response',
+            rule: rule.name,
+            alertId: escalation ? escalation.alertId : undefined,
+            message: `Keyword rule "${rule.name}" handled`
         };
+    }
 
-        if (crisisKeywords[message]) {
-            const responseMessageId = crisisKeywords[message];
-            
-            // Try to get specific crisis response message
-            const crisisMessage = await this.getMessage(responseMessageId);
-            
-            if (crisisMessage) {
-                const user = await this.getUser(phoneNumber);
-                const personalizedMessage = this.personalizeMessage(crisisMessage.message, user?.first_name);
-                await this.sendMessageFunction(phoneNumber, personalizedMessage, responseMessageId);
-            } else {
-                // Fallback crisis responses
-                await this.sendFallbackCrisisResponse(phoneNumber, message);
-            }
-
-            // Log crisis keyword usage for monitoring
-            this.logFunction('info', `Crisis keyword used: ${message}`, phoneNumber, { keyword: message });
-            
-            return { 
-                handled: true, 
-                action: 'crisis_support',
-                message: `Crisis keyword "${message}" handled` 
-            };
+    // Free text suggesting suicide or self-harm (see riskDetector.js): 988 response and an on-call alert
+    async handleRiskPhrases(phoneNumber, messageBody) {
+        const risk = detectRisk(messageBody);
+        if (!risk) {
+            return { handled: false };
+        }
+
+        const responseMessage = await this.getMessage(RISK_RESPONSE_MESSAGE_ID);
+        if (responseMessage) {
+            const user = await this.getUser(phoneNumber);
+            await this.sendMessageFunction(phoneNumber, await this.templates.render(responseMessage.message, user), RISK_RESPONSE_MESSAGE_ID);
+        } else {
+            await this.sendMessageFunction(phoneNumber, RISK_RESPONSE_TEXT, 'crisis_risk_phrase');
+        }
+
+        this.logFunction('warning', `Risk phrase detected: ${risk.id} ("${risk.matched}")`, phoneNumber, {
+            riskId: risk.id, category: risk.category, pattern: risk.pattern, matched: risk.matched
+        });
+
+        const escalation = await this.escalate(phoneNumber, {
+            source: 'risk_phrase',
+            detail: `${risk.id}: ${risk.matched}`,
+            messageBody
+        });
+
+        return {
+            handled: true,
+            action: 'crisis_support',
+            riskId: risk.id,
+            riskPattern: risk.pattern,
+            alertId: escalation ? escalation.alertId : undefined,
+            message: `Risk phrase "${risk.id}" handled`
+        };
+    }
+
+    // Alert on-call staff (see crisisEscalation.js) - a failure is logged, never blocks the reply
+    async escalate(phoneNumber, trigger) {
+        try {
+            return await this.escalation.trigger(phoneNumber, trigger);
+        } catch (error) {
+            this.logFunction('error', `Crisis escalation failed for ${phoneNumber}`, phoneNumber, error);
+            return null;
+        }
+    }
+
+    // "ACK" or "ACK 12" from an on-call contact's phone; anyone else's ACK is routed as usual
+    async handleStaffAcknowledgement(phoneNumber, message) {
+        const match = message.match(/^ACK(?:\s+#?(\d+))?$/);
+        if (!match) {
+            return { handled: false };
+        }
+
+        const result = await this.escalation.acknowledgeBySms(phoneNumber, match[1] ? parseInt(match[1], 10) : null);
+        if (!result) {
+            return { handled: false };
+        }
+
+        try {
+            await this.escalation.sendStaffSms(
+                phoneNumber,
+                result.success
+                    ? `✅ Crisis alert #${result.alert.id} is yours. Reminders have stopped - resolve it in the dashboard with the outcome.`
+                    : `⚠️ ${result.errors[0]}`
+            );
+        } catch (error) {
+            this.logFunction('error', `Failed to confirm ACK to ${phoneNumber}: ${error.message}`, phoneNumber);
         }
 
-        return { handled: false };
+        return {
+            handled: true,
+            action: result.success ? 'crisis_acknowledged' : 'crisis_ack_failed',
+            alertId: result.alert ? result.alert.id : undefined,
+            message: result.success ? `Crisis alert #${result.alert.id} acknowledged` : result.errors[0]
+        };
     }
 
     // Handle interactive message responses (A/B/C/D)
@@ -196,7 +361,7 @@ class ResponseHandler {
         const followUpMessage = await this.getMessage(followUpId);
         
         if (followUpMessage) {
-            const personalizedFollowUp = this.personalizeMessage(followUpMessage.message, user.first_name);
+            const personalizedFollowUp = await this.templates.render(followUpMessage.message, user);
             await this.sendMessageFunction(phoneNumber, personalizedFollowUp, followUpId);
         } else {
             // Generic positive response if no specific follow-up exists
@@ -240,129 +405,102 @@ class ResponseHandler {
         };
     }
 
-    // Send fallback crisis responses
-    async sendFallbackCrisisResponse(phoneNumber, keyword) {
-        const responses = {
-            'HELP': 'We\'re here to support you. If this is an emergency, please call 911. For mental health support, call 988 (Suicide & Crisis Lifeline). Visit healthytext.com for more resources.',
-            'ANXIETY': 'Take a deep breath. You\'re safe right now. Try the 4-7-8 technique: breathe in for 4, hold for 7, out for 8. Repeat 3 times. You\'ve got this.',
-            'STRESS': 'Stress is temporary. Take 5 slow, deep breaths. Focus on what you can control right now. You\'re stronger than you think.',
-            'PANIC': 'You\'re experiencing panic, but you\'re safe. Ground yourself: name 5 things you see, 4 you hear, 3 you feel, 2 you smell, 1 you taste. This will pass.',
-            'CRISIS': 'If you\'re in crisis, please reach out immediately: 911 for emergencies, 988 for suicide prevention. You matter and help is available 24/7.',
-            'BREATHE': 'Let\'s breathe together. In for 4... hold for 4... out for 4... hold for 4. Repeat this pattern. Focus only on your breath.',
-            'CALM': 'Finding calm in the storm. Close your eyes if you can. Take 3 deep breaths. Remember: this feeling is temporary, but your strength is permanent.'
-        };
-
-        const responseText = responses[keyword] || responses['HELP'];
-        await this.sendMessageFunction(phoneNumber, responseText, `crisis_${keyword.toLowerCase()}`);
-    }
-
     // Database helper functions
     async getUser(phoneNumber) {
-        return new Promise((resolve, reject) => {
-            this.trackingDb.get('SELECT * FROM users WHERE phone_number = ?', [phoneNumber], (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-            });
-        });
+        const rows = await this.db.query('SELECT * FROM users WHERE phone_number = ?', [phoneNumber]);
+        return rows[0];
     }
 
     async getMessage(messageId) {
-        return new Promise((resolve, reject) => {
-            this.messagesDb.get('SELECT * FROM messages WHERE id = ? AND active = 1', [messageId], (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-            });
-        });
+        const rows = await this.db.query('SELECT * FROM messages WHERE id = ? AND active = 1', [messageId]);
+        return rows[0];
     }
 
     async sendSystemMessage(phoneNumber, messageId) {
         const message = await this.getMessage(messageId);
         if (message) {
             const user = await this.getUser(phoneNumber);
-            const personalizedMessage = this.personalizeMessage(message.message, user?.first_name);
+            const personalizedMessage = await this.templates.render(message.message, user);
             await this.sendMessageFunction(phoneNumber, personalizedMessage, messageId);
         }
     }
 
     async stopUser(phoneNumber) {
-        return new Promise((resolve, reject) => {
-            const now = new Date().toISOString();
-            this.trackingDb.run(`
-                UPDATE users 
-                SET subscription_status = 'stopped', 
-                    stopped_at_position = current_sequence_position,
-                    date_modified = ?
-                WHERE phone_number = ?
-            `, [now, phoneNumber], function(err) {
-                if (err) reject(err);
-                else resolve(this.changes);
-            });
-        });
+        const now = new Date().toISOString();
+        const result = await this.db.query(`
+            UPDATE users 
+            SET subscription_status = 'stopped', 
+                stopped_at_position = current_sequence_position,
+                date_modified = ?
+            WHERE phone_number = ?
+        `, [now, phoneNumber]);
+        return result.changes;
     }
 
     async startUser(phoneNumber) {
-        return new Promise((resolve, reject) => {
-            const now = new Date().toISOString();
-            this.trackingDb.run(`
-                UPDATE users 
-                SET subscription_status = CASE 
-                    WHEN user_type = 'trial' THEN 'trial'
-                    ELSE 'active'
-                END,
-                date_modified = ?
-                WHERE phone_number = ?
-            `, [now, phoneNumber], function(err) {
-                if (err) reject(err);
-                else resolve(this.changes);
-            });
-        });
+        const now = new Date().toISOString();
+        const result = await this.db.query(`
+            UPDATE users 
+            SET subscription_status = CASE 
+                WHEN user_type = 'trial' THEN 'trial'
+                ELSE 'active'
+            END,
+            next_send_at = NULL,
+            date_modified = ?
+            WHERE phone_number = ?
+        `, [now, phoneNumber]);
+        return result.changes;
     }
 
     async resetUser(phoneNumber) {
-        return new Promise((resolve, reject) => {
-            const now = new Date().toISOString();
-            this.trackingDb.run(`
-                UPDATE users 
-                SET current_sequence_position = 1,
-                    trial_messages_sent = 0,
-                    subscription_status = 'active',
-                    date_modified = ?
-                WHERE phone_number = ?
-            `, [now, phoneNumber], function(err) {
-                if (err) reject(err);
-                else resolve(this.changes);
-            });
-        });
+        const now = new Date().toISOString();
+        const result = await this.db.query(`
+            UPDATE users 
+            SET current_sequence_position = 1,
+                trial_messages_sent = 0,
+                subscription_status = 'active',
+                next_send_at = NULL,
+                date_modified = ?
+            WHERE phone_number = ?
+        `, [now, phoneNumber]);
+        return result.changes;
+    }
+
+    async updatePreferredSendTime(phoneNumber, sendWindow) {
+        const result = await this.db.query(`
+            UPDATE users 
+            SET preferred_send_time = ?, next_send_at = NULL, date_modified = ?
+            WHERE phone_number = ?
+        `, [sendWindow, new Date().toISOString(), phoneNumber]);
+        return result.changes;
     }
 
     async recordInteractiveResponse(phoneNumber, messageId, response) {
-        return new Promise((resolve, reject) => {
-            this.trackingDb.run(`
-                UPDATE message_history 
-                SET user_responded = 1, response_timestamp = ?
-                WHERE phone_number = ? AND message_id = ?
-                AND rowid = (
-                    SELECT MAX(rowid) FROM message_history 
-                    WHERE phone_number = ? AND message_id = ?
-                )
-            `, [new Date().toISOString(), phoneNumber, messageId, phoneNumber, messageId], function(err) {
-                if (err) reject(err);
-                else resolve(this.changes);
-            });
-        });
+        // Find the latest send first - MariaDB can't UPDATE a table it selects from in a subquery
+        const rows = await this.db.query(`
+            SELECT id FROM message_history 
+            WHERE phone_number = ? AND message_id = ?
+            ORDER BY id DESC
+            LIMIT 1
+        `, [phoneNumber, messageId]);
+        
+        if (!rows[0]) return 0;
+        
+        const result = await this.db.query(`
+            UPDATE message_history 
+            SET user_responded = 1, response_timestamp = ?, response = ?
+            WHERE id = ?
+        `, [new Date().toISOString(), String(response).toUpperCase(), rows[0].id]);
+        return result.changes;
     }
 
     async clearAwaitingResponse(phoneNumber) {
-        return new Promise((resolve, reject) => {
-            this.trackingDb.run(`
-                UPDATE users 
-                SET awaiting_response = NULL, awaiting_response_since = NULL
-                WHERE phone_number = ?
-            `, [phoneNumber], function(err) {
-                if (err) reject(err);
-                else resolve(this.changes);
-            });
-        });
+        const result = await this.db.query(`
+            UPDATE users 
+            SET awaiting_response = NULL, awaiting_response_since = NULL
+            WHERE phone_number = ?
+        `, [phoneNumber]);
+        return result.changes;
     }
 
     // Utility functions
@@ -384,16 +522,6 @@ class ResponseHandler {
         return [];
     }
 
-    personalizeMessage(messageText, firstName) {
-        if (!messageText) return '';
-        
-        if (firstName) {
-            return messageText.replace(/\{name\}/g, firstName);
-        } else {
-            return messageText.replace(/\{name\}[,\s]*/g, '').replace(/\s+/g, ' ').trim();
-        }
-    }
-
     normalizePhoneNumber(phoneNumber) {
         let normalized = phoneNumber.replace(/[^\d]/g, '');
         if (!normalized.startsWith('1') && normalized.length === 10) {
@@ -402,11 +530,8 @@ class ResponseHandler {
         return '+' + normalized;
     }
 
-    // Close database connections
-    close() {
-        if (this.trackingDb) this.trackingDb.close();
-        if (this.messagesDb) this.messagesDb.close();
-    }
+    // Nothing to release - database connections belong to the shared DatabaseManager
+    close() {}
 }
 
 module.exports = ResponseHandler;
\ No newline at end of file
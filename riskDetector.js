@@ -0,0 +1,69 @@
+const { normalizeText } = require('./keywordRouter');
+
+// Self-harm risk detection for free-text replies - a curated lexicon plus patterns, run locally
+// on every inbound message before keyword rules and the generic reply. A match sends the 988
+// crisis response and escalates to on-call staff (see crisisEscalation.js).
+//
+// Text is normalized first (uppercase, apostrophes dropped, punctuation to spaces - "Don't" is
+// DONT), so phrases and patterns are written against that form. Entries are first-person and
+// specific on purpose: everyday hyperbole ("this workout is killing me", "dying to try it")
+// must not page staff, but when in doubt an entry errs toward matching.
+//
+// Each entry has an id (logged and stored on the crisis alert) and a category.
+
+// Whole words/phrases - matched anywhere in the text
+const RISK_LEXICON = [
+    { id: 'suicide', category: 'suicidal_ideation', phrases: ['SUICIDE', 'SUICIDAL', 'KMS'] },
+    { id: 'end_my_life', category: 'suicidal_ideation', phrases: ['END MY LIFE', 'TAKE MY OWN LIFE', 'TAKE MY LIFE', 'END IT ALL'] },
+    { id: 'better_off_dead', category: 'suicidal_ideation', phrases: ['BETTER OFF DEAD', 'BETTER OFF WITHOUT ME', 'WISH I WAS DEAD', 'WISH I WERE DEAD'] },
+    { id: 'no_reason_to_live', category: 'hopelessness', phrases: ['NO REASON TO LIVE', 'NOTHING TO LIVE FOR', 'NOT WORTH LIVING'] },
+    { id: 'self_harm', category: 'self_harm', phrases: ['SELF HARM', 'SELF HARMING', 'SELFHARM'] }
+];
+
+// Regular expressions over the normalized text
+const RISK_PATTERNS = [
+    { id: 'kill_myself', category: 'suicidal_ideation', pattern: /\bKILL(?:ING)? MY ?SELF\b/ },
+    // Hyperbole is excluded only by what follows ("gonna die laughing", "die of boredom") - "die if nothing changes" still counts
+    { id: 'want_to_die', category: 'suicidal_ideation', pattern: /\b(?:WANT|WANNA|GOING|GONNA|PLANNING|PLAN|TRYING|READY|DECIDED) (?:TO )?(?:DIE|END IT|BE DEAD|DISAPPEAR FOREVER)\b(?! (?:LAUGHING|OF BOREDOM|OF EMBARRASSMENT|FROM (?:FACEBOOK|INSTAGRAM|SOCIAL MEDIA))\b)/ },
+    { id: 'dont_want_to_live', category: 'suicidal_ideation', pattern: /\b(?:DONT|DO NOT|NO LONGER) WANT TO (?:LIVE|BE ALIVE|WAKE UP|BE HERE ANYMORE|EXIST)\b/ },
+    { id: 'hurt_myself', category: 'self_harm', pattern: /\b(?:HURT|HURTING|CUT|CUTTING|HARM|HARMING|BURN|BURNING) MY ?SELF\b/ },
+    { id: 'overdose', category: 'plan_or_means', pattern: /\b(?:OVERDOSE|OD)(?:ING|ED)?\b|\b(?:TAKE|TAKING|TOOK|SWALLOW(?:ED)?) (?:ALL|A BUNCH OF|THE REST OF) (?:MY |THE |THOSE |THESE )?(?:PILLS|MEDS|MEDICATION)\b/ },
+    { id: 'method', category: 'plan_or_means', pattern: /\b(?:HANG|SHOOT|DROWN) MY ?SELF\b|\bJUMP OFF (?:A|THE) (?:BRIDGE|BUILDING|ROOF)\b/ },
+    { id: 'cant_go_on', category: 'hopelessness', pattern: /\bCANT (?:GO ON|DO THIS ANYMORE|TAKE IT ANYMORE|KEEP GOING)\b/ },
+    { id: 'goodbye', category: 'plan_or_means', pattern: /\b(?:THIS IS|SAYING) (?:MY )?(?:FINAL |LAST )?GOODBYE\b|\bGOODBYE FOREVER\b/ }
+];
+
+// Sent when the crisis_response library message is missing or inactive
+const RISK_RESPONSE_MESSAGE_ID = 'crisis_response';
+const RISK_RESPONSE_TEXT = 'It sounds like you\'re going through something really painful, and you don\'t have to face it alone. Please call or text 988 (Suicide & Crisis Lifeline) now - it\'s free and open 24/7. If you\'re in immediate danger, call 911.';
+
+// First lexicon entry or pattern that matches: { id, category, pattern, matched } or null
+function detectRisk(text) {
+    const normalized = normalizeText(text);
+    if (!normalized) return null;
+    const padded = ` ${normalized} `;
+
+    for (const entry of RISK_LEXICON) {
+        const phrase = entry.phrases.find(candidate => padded.includes(` ${candidate} `));
+        if (phrase) {
+            return { id: entry.id, category: entry.category, pattern: phrase, matched: phrase };
+        }
+    }
+
+    for (const entry of RISK_PATTERNS) {
+        const match = normalized.match(entry.pattern);
+        if (match) {
+            return { id: entry.id, category: entry.category, pattern: entry.pattern.source, matched: match[0] };
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    detectRisk,
+    RISK_LEXICON,
+    RISK_PATTERNS,
+    RISK_RESPONSE_MESSAGE_ID,
+    RISK_RESPONSE_TEXT
+};
@@ -1,41 +1,60 @@
 const cron = require('node-cron');
 const moment = require('moment-timezone');
-const sqlite3 = require('sqlite3').verbose();
+const { getUserSendWindow } = require('./sendWindow');
+const DripScheduleStore = require('./dripSchedule');
+const SendPolicy = require('./sendPolicy');
+const MessageTemplates = require('./messageTemplate');
+const { selectAlgorithmMessage, getRotationLookbackDays, pickFromPool, requiredPoolSize } = require('./contentSelection');
+const { evaluateDripSchedule } = DripScheduleStore;
+const { resolveWindow, getDayBlock } = SendPolicy;
+
+// How far ahead the planner looks for a day the user is due - beyond that it simply looks again
+const PLANNING_HORIZON_DAYS = 90;
+// Planned times stop this many minutes before the window closes
+const DISPATCH_MARGIN_MINUTES = 2;
+// Most users handled per dispatcher tick - the rest are picked up a minute later
+const DISPATCH_BATCH_SIZE = 50;
+// Warn when a user has this few messages left in a pool before it starts repeating
+const THIN_POOL_THRESHOLD = 3;
+// A failed send is tried again this many minutes later, while the user's window is still open
+const SEND_RETRY_MINUTES = 15;
 
 class MessageScheduler {
     constructor(options) {
-        this.trackingDbPath = options.trackingDbPath;
-        this.messagesDbPath = options.messagesDbPath;
+        this.db = options.db; // Shared DatabaseManager (scripts/DatabaseManager.js)
         this.sendMessageFunction = options.sendMessageFunction;
         this.logFunction = options.logFunction;
-        
-        this.trackingDb = new sqlite3.Database(this.trackingDbPath);
-        this.messagesDb = new sqlite3.Database(this.messagesDbPath);
+        this.sendPolicy = options.sendPolicy || new SendPolicy({ db: this.db });
+        this.dripSchedules = options.dripSchedules || new DripScheduleStore({ db: this.db, sendPolicy: this.sendPolicy });
+        this.templates = options.templates || new MessageTemplates({ db: this.db });
+        this.rotationLookbackDays = options.rotationLookbackDays ?? getRotationLookbackDays();
         
         this.isRunning = false;
         this.cronJob = null;
+        this.isProcessing = false;
+        this.invalidWindowWarnings = new Set(); // phone numbers already warned about an invalid send window
+        this.thinPoolWarnings = new Set(); // protocol/pool/date combinations already reported as running thin
         
         console.log('📅 Message Scheduler initialized (Timezone-Aware)');
     }
 
-    // Start the scheduler - checks every 30 minutes
+    // Start the scheduler - a once-a-minute dispatcher that only picks up users whose planned
+    // next_send_at has arrived (each user's time is planned inside their own send window)
     start() {
         if (this.isRunning) {
             console.log('⚠️ Scheduler already running');
             return;
         }
 
-        // Run every 30 minutes during active hours (8 AM - 7 PM Central)
-        this.cronJob = cron.schedule('*/30 8-19 * * *', () => {
+        this.cronJob = cron.schedule('* * * * *', () => {
             this.processMessageQueue();
         }, {
-            scheduled: true,
-            timezone: "America/Chicago"
+            scheduled: true
         });
 
         this.isRunning = true;
-        console.log('✅ Message Scheduler started - checking every 30 minutes during 8 AM - 7 PM (timezone-aware)');
-        this.logFunction('info', 'Message Scheduler started with timezone awareness');
+        console.log('✅ Message Scheduler started - dispatching planned sends every minute');
+        this.logFunction('info', 'Message Scheduler started with per-user send planning');
 
         // Run initial check after 10 seconds
         setTimeout(() => this.processMessageQueue(), 10000);
@@ -52,107 +71,224 @@ class MessageScheduler {
         this.logFunction('info', 'Message Scheduler stopped');
     }
 
-    // Main processing function - checks all users
+    // Main processing function - plans new users, then sends to everyone whose time has come
     async processMessageQueue() {
+        // A slow run (many due users) must not overlap with the next minute's tick
+        if (this.isProcessing) return;
+        this.isProcessing = true;
+
         try {
-            console.log('\n🔄 Checking users for scheduled messages (timezone-aware)...');
-            this.logFunction('info', 'Starting timezone-aware scheduled message check');
+            const plannedCount = await this.planUnscheduledUsers();
+            const users = await this.getDueUsers();
 
-            const users = await this.getEligibleUsers();
-            console.log(`📋 Found ${users.length} users to check`);
+            if (users.length === 0) {
+                if (plannedCount > 0) {
+                    console.log(`🗓️ Planned next send for ${plannedCount} user(s)`);
+                }
+                return;
+            }
+
+            console.log(`\n🔄 Dispatching ${users.length} planned message(s)...`);
 
             let messagesSent = 0;
-            let usersChecked = 0;
 
             for (const user of users) {
+                let result = null;
+                let failed = false;
+
                 try {
-                    const result = await this.checkUserForMessage(user);
-                    usersChecked++;
+                    result = await this.checkUserForMessage(user);
                     
                     if (result.sent) {
                         messagesSent++;
                         console.log(`✅ Sent to ${user.first_name || 'User'} (${user.phone_number}) at ${result.userTime}: ${result.message}`);
-                    } else if (result.reason !== 'Not due for message yet') {
+                    } else {
+                        failed = !!result.sendFailed;
                         console.log(`⏭️ Skipped ${user.phone_number}: ${result.reason}`);
                     }
                 } catch (error) {
+                    failed = true;
                     console.error(`❌ Error processing ${user.phone_number}:`, error.message);
                     this.logFunction('error', `Error processing user ${user.phone_number}`, user.phone_number, error);
                 }
 
+                // Normally this slot is used up and planning resumes on the user's next local day.
+                // A stale plan (server was down, timezone changed) that landed outside the window
+                // is re-planned from now so the user can still get today's message, and a failed
+                // send is retried shortly if the window is still open.
+                try {
+                    const refreshed = await this.getUser(user.phone_number);
+                    if (refreshed) {
+                        const timezone = refreshed.timezone || 'America/Chicago';
+                        if (failed) {
+                            await this.planNextSend(refreshed, moment().add(SEND_RETRY_MINUTES, 'minutes'), { retry: true });
+                        } else {
+                            const planFrom = result && result.replanFromNow
+                                ? moment()
+                                : moment().tz(timezone).add(1, 'day').startOf('day');
+                            await this.planNextSend(refreshed, planFrom);
+                        }
+                    }
+                } catch (error) {
+                    this.logFunction('error', `Failed to plan next send for ${user.phone_number}`, user.phone_number, error);
+                }
+
                 // Small delay between users
                 await this.delay(200);
             }
 
-            console.log(`✅ Check complete: ${usersChecked} users checked, ${messagesSent} messages sent`);
-            this.logFunction('info', `Timezone-aware check complete: ${usersChecked} users checked, ${messagesSent} messages sent`);
+            console.log(`✅ Dispatch complete: ${users.length} due, ${messagesSent} messages sent`);
+            this.logFunction('info', `Scheduled dispatch complete: ${users.length} due, ${messagesSent} messages sent`);
 
         } catch (error) {
             console.error('❌ Error in scheduled message check:', error);
             this.logFunction('error', 'Scheduled message check failed', null, error);
+        } finally {
+            this.isProcessing = false;
         }
     }
 
-    // Get all users who aren't stopped
-    async getEligibleUsers() {
-        return new Promise((resolve, reject) => {
-            this.trackingDb.all(`
-                SELECT * FROM users 
-                WHERE subscription_status NOT IN ('stopped', 'expired')
-                ORDER BY date_joined ASC
-            `, [], (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows || []);
-            });
-        });
+    // Active users whose planned send instant has passed
+    async getDueUsers() {
+        const rows = await this.db.query(`
+            SELECT * FROM users 
+            WHERE subscription_status NOT IN ('stopped', 'expired')
+            AND next_send_at IS NOT NULL AND next_send_at <= ?
+            ORDER BY next_send_at ASC
+            LIMIT ${DISPATCH_BATCH_SIZE}
+        `, [new Date().toISOString()]);
+        return rows || [];
+    }
+
+    // New users, restarted users and anyone whose window changed have no plan yet
+    async planUnscheduledUsers() {
+        const rows = await this.db.query(`
+            SELECT * FROM users 
+            WHERE subscription_status NOT IN ('stopped', 'expired')
+            AND next_send_at IS NULL
+        `);
+
+        for (const user of rows || []) {
+            await this.planNextSend(user);
+        }
+        return (rows || []).length;
+    }
+
+    // options.retry: the earliest allowed instant from `from` if that's still on the same local day
+    // (a retry shouldn't wait for a random slot), otherwise the usual random plan
+    async planNextSend(user, from = moment(), options = {}) {
+        const schedule = await this.dripSchedules.getSchedule(user.protocol, user.user_type);
+        const policy = await this.sendPolicy.loadPolicy(user.protocol, 'scheduled');
+        let sendAt = options.retry ? this.computeNextSendTime(user, from, schedule, policy, { earliest: true }) : null;
+        if (!sendAt || !sendAt.isSame(moment(from).tz(user.timezone || 'America/Chicago'), 'day')) {
+            sendAt = this.computeNextSendTime(user, from, schedule, policy);
+        }
+        await this.db.query(
+            'UPDATE users SET next_send_at = ? WHERE phone_number = ?',
+            [sendAt.toISOString(), user.phone_number]
+        );
+        return sendAt;
+    }
+
+    // Find the first local day (from `from` onwards) the user is due a message, and pick a
+    // random instant inside their send window on that day (options.earliest: the first allowed
+    // instant instead). Days the 'scheduled' send policy closes (rest days, blackouts) are skipped.
+    computeNextSendTime(user, from, schedule, policy, options = {}) {
+        const timezone = user.timezone || 'America/Chicago';
+        const sendWindow = resolveWindow(policy.rules, user);
+        const start = moment(from).tz(timezone);
+
+        for (let offset = 0; offset <= PLANNING_HORIZON_DAYS; offset++) {
+            const day = start.clone().startOf('day').add(offset, 'days');
+            if (getDayBlock(policy, day)) continue;
+
+            let earliest = this.atMinuteOfDay(day, sendWindow.start);
+            // Finish a little early so the once-a-minute dispatcher still lands inside the window
+            const latest = this.atMinuteOfDay(day, sendWindow.end).subtract(DISPATCH_MARGIN_MINUTES, 'minutes');
+
+            if (start.isAfter(earliest)) earliest = start.clone();
+            if (!earliest.isBefore(latest)) continue;
+
+            if (!this.getScheduleStatus(user, earliest, schedule).due) continue;
+
+            const offsetMs = options.earliest ? 0 : Math.floor(Math.random() * latest.diff(earliest));
+            return earliest.clone().add(offsetMs, 'milliseconds');
+        }
+
+        // Nothing due within the horizon - look again then
+        return start.clone().startOf('day').add(PLANNING_HORIZON_DAYS, 'days');
+    }
+
+    // Local wall-clock time on `day` (set explicitly so DST days don't shift the window)
+    atMinuteOfDay(day, minutes) {
+        return day.clone().hour(Math.floor(minutes / 60)).minute(minutes % 60).second(0).millisecond(0);
+    }
+
+    // Next planned sends, soonest first (admin visibility)
+    async getUpcomingSends(limit = 50) {
+        const rows = await this.db.query(`
+            SELECT phone_number, first_name, timezone, preferred_send_time, next_send_at 
+            FROM users 
+            WHERE subscription_status NOT IN ('stopped', 'expired') AND next_send_at IS NOT NULL
+            ORDER BY next_send_at ASC
+            LIMIT ${parseInt(limit, 10) || 50}
+        `);
+        return rows || [];
+    }
+
+    async getUser(phoneNumber) {
+        const rows = await this.db.query('SELECT * FROM users WHERE phone_number = ?', [phoneNumber]);
+        return rows[0] || null;
     }
 
     // Check if a specific user should receive a message today (TIMEZONE-AWARE)
     async checkUserForMessage(user) {
         // 1. Get user's local time using their timezone
         const userTime = moment().tz(user.timezone || 'America/Chicago');
-        const userHour = userTime.hour();
-        const userDay = userTime.day(); // 0 = Sunday
         
         console.log(`🕐 Checking ${user.first_name} (${user.phone_number}): ${userTime.format('dddd, h:mm A z')}`);
         
-        // 2. Check if it's Sunday (no messages on Sunday)
-        if (userDay === 0) {
-            return { sent: false, reason: `Sunday rest day in ${user.timezone}` };
+        // 2. Check the send policy - rest days, blackouts and the user's preferred window (in their timezone)
+        const sendWindow = getUserSendWindow(user);
+        if (sendWindow.usedDefault && user.preferred_send_time && !this.invalidWindowWarnings.has(user.phone_number)) {
+            this.invalidWindowWarnings.add(user.phone_number);
+            this.logFunction('warning', `Invalid preferred_send_time "${user.preferred_send_time}" - using default window`, user.phone_number, { error: sendWindow.error });
         }
-
-        // 3. Check if it's within sending hours (9 AM - 6 PM in user's timezone)
-        if (userHour < 9 || userHour >= 18) {
-            return { sent: false, reason: `Outside sending hours in ${user.timezone} (${userTime.format('h:mm A')})` };
+        const policyCheck = await this.sendPolicy.check(user, 'scheduled', userTime);
+        if (!policyCheck.allowed) {
+            return { sent: false, reason: policyCheck.reason, replanFromNow: true };
         }
 
-        // 4. Check daily limit (max 4 messages per day)
+        // 3. Check daily limit (max 4 messages per day)
         const dailyCheck = await this.checkDailyLimit(user.phone_number);
         if (dailyCheck.messagesSentToday >= 4) {
             return { sent: false, reason: 'Daily limit reached (4 messages)' };
         }
 
-        // 5. Check if user is due for their next message
+        // 4. Check if user is due for their next message
         const isDue = await this.isUserDueForMessage(user);
         if (!isDue.due) {
             return { sent: false, reason: isDue.reason };
         }
 
-        // 6. Get the appropriate message
-        const message = await this.getNextMessage(user, isDue.messageType, isDue.position);
+        // 5. Get the appropriate message
+        const message = await this.getNextMessage(user, isDue);
         if (!message) {
             return { sent: false, reason: 'No message found for user position' };
         }
 
-        // 7. Send the message
-        const personalizedMessage = this.personalizeMessage(message.message, user.first_name);
-        const sendResult = await this.sendMessageFunction(user.phone_number, personalizedMessage, message.id);
+        // 6. Send the message
+        const personalizedMessage = await this.templates.render(message.message, user);
+        const sendResult = await this.sendMessageFunction(user.phone_number, personalizedMessage, message.id, null, {
+            messageType: isDue.messageType,
+            selectionReason: message.selectionReason || null
+        });
         
         if (!sendResult.success) {
-            return { sent: false, reason: `Send failed: ${sendResult.error}` };
+            return { sent: false, reason: `Send failed: ${sendResult.error}`, sendFailed: true };
         }
 
-        // 8. Update user progress
+        // 7. Update user progress
         await this.updateUserProgress(user, isDue, message.id);
 
         return { 
@@ -166,214 +302,275 @@ class MessageScheduler {
 
     // Check if user is due for their next message (Enhanced with timezone-aware date calculations)
     async isUserDueForMessage(user) {
-        // Use user's timezone for all date calculations
+        const schedule = await this.dripSchedules.getSchedule(user.protocol, user.user_type);
+        const status = this.getScheduleStatus(user, moment(), schedule);
+        console.log(`📅 ${user.first_name}: Last message ${status.daysSinceLastMessage} days ago, joined ${status.daysSinceJoined} days ago (${user.timezone || 'America/Chicago'})`);
+        return status;
+    }
+
+    // Pure schedule rules evaluated at `now` against the user's drip schedule (dripSchedule.js);
+    // also used by the planner for future days. Day counts are calendar days in the user's
+    // timezone, so a randomized send time doesn't make yesterday's late message "0 days ago".
+    getScheduleStatus(user, now, schedule) {
         const userTimezone = user.timezone || 'America/Chicago';
-        const now = moment().tz(userTimezone);
+        const today = moment(now).tz(userTimezone).startOf('day');
         
         const lastMessageDate = user.last_message_sent ? 
             moment(user.last_message_sent).tz(userTimezone) : 
             moment(user.date_joined).tz(userTimezone);
         
-        const daysSinceLastMessage = now.diff(lastMessageDate, 'days');
-        const daysSinceJoined = now.diff(moment(user.date_joined).tz(userTimezone), 'days');
+        const days = {
+            daysSinceLastMessage: today.diff(lastMessageDate.clone().startOf('day'), 'days'),
+            daysSinceJoined: today.diff(moment(user.date_joined).tz(userTimezone).startOf('day'), 'days')
+        };
 
-        console.log(`📅 ${user.first_name}: Last message ${daysSinceLastMessage} days ago, joined ${daysSinceJoined} days ago (${userTimezone})`);
+        return { ...evaluateDripSchedule(schedule, user, days), ...days };
+    }
 
-        // Trial users (7 messages total)
-        if (user.user_type === 'trial') {
-            if (user.trial_messages_sent >= 7) {
-                // Check post-trial schedule
-                return this.checkPostTrialSchedule(user, daysSinceJoined);
-            }
-            
-            // Send trial messages roughly every 1-2 days
-            if (daysSinceLastMessage >= 1) {
-                return { 
-                    due: true, 
-                    messageType: 'trial', 
-                    position: user.trial_messages_sent + 1 
-                };
-            }
+    // Get the next message for a user (isDue is the schedule status from getScheduleStatus)
+    async getNextMessage(user, isDue) {
+        let query, params;
+
+        if (isDue.messageType.startsWith('post-trial-phase')) {
+            return await this.getPostTrialMessage(user, isDue);
         }
-        
-        // Subscriber users (30+ messages)
-        else if (user.user_type === 'subscriber') {
-            if (user.current_sequence_position <= 30) {
-                // Send sequence messages roughly every 1-2 days
-                if (daysSinceLastMessage >= 1) {
-                    return { 
-                        due: true, 
-                        messageType: 'sequence', 
-                        position: user.current_sequence_position 
-                    };
-                }
-            } else {
-                // Algorithm mode - send every 2-3 days
-                if (daysSinceLastMessage >= 2) {
-                    return { 
-                        due: true, 
-                        messageType: 'algorithm', 
-                        position: null 
-                    };
-                }
-            }
+
+        switch (isDue.messageType) {
+            case 'trial':
+            case 'sequence':
+                query = `SELECT * FROM messages WHERE number = ? AND protocol = ? AND active = 1 LIMIT 1`;
+                params = [isDue.position, user.protocol];
+                break;
+                
+            case 'algorithm':
+                return await this.getAlgorithmMessage(user);
+                
+            default:
+                return null;
         }
 
-        return { due: false, reason: 'Not due for message yet' };
+        const rows = await this.db.query(query, params);
+        return rows[0];
     }
 
-    // Check post-trial message schedule
-    checkPostTrialSchedule(user, daysSinceJoined) {
-        // Phase 1: Days 8, 10, 13, 17
-        const phase1Days = [8, 10, 13, 17];
-        if (phase1Days.includes(daysSinceJoined)) {
-            const messageOrder = phase1Days.indexOf(daysSinceJoined) + 1;
-            return { 
-                due: true, 
-                messageType: 'post-trial-phase1', 
-                messageId: `ptmb${messageOrder}` 
-            };
-        }
-        
-        // Phase 2: Days 25, 33, 41
-        if ([25, 33, 41].includes(daysSinceJoined)) {
-            return { due: true, messageType: 'post-trial-phase2' };
+    // Algorithm-mode message weighted by the pillars the user enabled in WordPress, skipping
+    // anything they received within the rotation lookback (contentSelection.js).
+    // The returned row carries selectionReason for message_history.
+    async getAlgorithmMessage(user) {
+        const candidates = await this.db.query(
+            `SELECT * FROM messages WHERE number IS NULL AND protocol = ? AND active = 1`,
+            [user.protocol]
+        );
+
+        const daysAgo = await this.getDaysSinceSent(user.phone_number);
+        const pick = selectAlgorithmMessage(candidates, user, { daysAgo, lookbackDays: this.rotationLookbackDays });
+        if (!pick.message) return null;
+
+        if (pick.reason.startsWith('pillar_fallback')) {
+            this.logFunction('warning', `Algorithm selection for ${user.protocol}: ${pick.reason}`, user.phone_number);
         }
-        
-        // Phase 3: Days 71, 101, 131
-        if ([71, 101, 131].includes(daysSinceJoined)) {
-            return { due: true, messageType: 'post-trial-phase3' };
+        this.reportThinPool(user, `algorithm/${pick.pool}`, pick);
+
+        return { ...pick.message, selectionReason: pick.reason };
+    }
+
+    // Post-trial message for a phase: the schedule's fixed message id when it has one (phase 1),
+    // otherwise a 'Post-Trial' message rotated like algorithm mode - never-sent first, then the
+    // oldest outside the lookback, and the least recently sent once the pool is exhausted.
+    async getPostTrialMessage(user, isDue) {
+        const history = this.parsePostTrialHistory(user.post_trial_messages_sent);
+        const sentIds = history.map(entry => entry.messageId);
+
+        if (isDue.messageId && !sentIds.includes(isDue.messageId)) {
+            const rows = await this.db.query('SELECT * FROM messages WHERE id = ? AND active = 1', [isDue.messageId]);
+            if (rows[0]) return { ...rows[0], selectionReason: `post_trial_phase${isDue.phase}:scheduled` };
+
+            this.logFunction('warning', `Post-trial message ${isDue.messageId} is missing or inactive - using the Post-Trial pool`, user.phone_number);
         }
-        
-        // Phase 4: Day 191 and every 60 days after
-        if (daysSinceJoined >= 191 && (daysSinceJoined - 191) % 60 === 0) {
-            return { due: true, messageType: 'post-trial-phase4' };
+
+        const pool = await this.db.query(`
+            SELECT * FROM messages 
+            WHERE category = 'Post-Trial' AND active = 1 AND (protocol = ? OR protocol = 'ALL')
+            ORDER BY id ASC
+        `, [user.protocol]);
+
+        if (pool.length === 0) return null;
+
+        // post_trial_messages_sent counts in days since joining, so it works even if
+        // message_history was never written (or has been pruned)
+        const daysAgo = await this.getDaysSinceSent(user.phone_number);
+        for (const entry of history) {
+            const ago = isDue.daysSinceJoined - entry.day;
+            if (!daysAgo.has(entry.messageId) || ago < daysAgo.get(entry.messageId)) {
+                daysAgo.set(entry.messageId, ago);
+            }
         }
-        
-        return { due: false, reason: 'Not scheduled for post-trial message today' };
+
+        const pick = pickFromPool(pool, { daysAgo, lookbackDays: this.rotationLookbackDays });
+        this.reportThinPool(user, 'post-trial', pick);
+
+        const rotation = pick.exhausted ? 'repeat: pool exhausted' : 'rotation';
+        return { ...pick.message, selectionReason: `post_trial_phase${isDue.phase}:${rotation}` };
     }
 
-    // Get the next message for a user
-    async getNextMessage(user, messageType, position) {
-        return new Promise((resolve, reject) => {
-            let query, params;
-
-            switch (messageType) {
-                case 'trial':
-                case 'sequence':
-                    query = `SELECT * FROM messages WHERE number = ? AND protocol = ? AND active = 1 LIMIT 1`;
-                    params = [position, user.protocol];
-                    break;
-                    
-                case 'algorithm':
-                    query = `SELECT * FROM messages WHERE number IS NULL AND protocol = ? AND active = 1 ORDER BY RANDOM() LIMIT 1`;
-                    params = [user.protocol];
-                    break;
-                    
-                case 'post-trial-phase1':
-                    query = `SELECT * FROM messages WHERE id = ? AND active = 1`;
-                    params = [position.messageId];
-                    break;
-                    
-                default:
-                    query = `SELECT * FROM messages WHERE category = 'Post-Trial' AND active = 1 ORDER BY RANDOM() LIMIT 1`;
-                    params = [];
+    // Map of message id -> days since this user last received it, from message_history
+    async getDaysSinceSent(phoneNumber, now = moment()) {
+        const rows = await this.db.query(`
+            SELECT message_id, MAX(sent_timestamp) AS last_sent
+            FROM message_history 
+            WHERE phone_number = ? AND message_id IS NOT NULL
+            GROUP BY message_id
+        `, [phoneNumber]);
+
+        return new Map((rows || [])
+            .filter(row => row.last_sent)
+            .map(row => [row.message_id, moment(now).diff(moment(row.last_sent), 'days', true)]));
+    }
+
+    // Log once per protocol, pool and day when a user is about to run out of fresh content
+    reportThinPool(user, poolName, pick) {
+        if (!pick.exhausted && pick.freshRemaining >= THIN_POOL_THRESHOLD) return;
+
+        const key = `${user.protocol}:${poolName}:${moment().format('YYYY-MM-DD')}`;
+        if (this.thinPoolWarnings.has(key)) return;
+        this.thinPoolWarnings.add(key);
+
+        const detail = pick.exhausted
+            ? `exhausted - repeating messages sent within the last ${this.rotationLookbackDays} days`
+            : `running thin - ${pick.freshRemaining} fresh message(s) left before repeats`;
+        this.logFunction('warning', `Content pool ${user.protocol} ${poolName} ${detail}`, user.phone_number);
+    }
+
+    // Per-protocol pool sizes against what each drip schedule needs to go a full lookback
+    // without repeating (GET /admin/content-rotation)
+    async getRotationReport() {
+        const lookbackDays = this.rotationLookbackDays;
+        const protocolRows = await this.db.query(`
+            SELECT DISTINCT protocol FROM users WHERE protocol IS NOT NULL ORDER BY protocol
+        `);
+
+        const protocols = [];
+        for (const { protocol } of protocolRows) {
+            const [algorithmCount] = await this.db.query(
+                `SELECT COUNT(*) AS count FROM messages WHERE number IS NULL AND protocol = ? AND active = 1`,
+                [protocol]
+            );
+            const [postTrialCount] = await this.db.query(
+                `SELECT COUNT(*) AS count FROM messages WHERE category = 'Post-Trial' AND active = 1 AND (protocol = ? OR protocol = 'ALL')`,
+                [protocol]
+            );
+
+            const subscriber = await this.dripSchedules.getSchedule(protocol, 'subscriber');
+            const trial = await this.dripSchedules.getSchedule(protocol, 'trial');
+
+            const algorithmDays = [];
+            if (subscriber?.algorithm) {
+                for (let day = 0; day < lookbackDays * 2; day += subscriber.algorithm.intervalDays) algorithmDays.push(day);
             }
 
-            this.messagesDb.get(query, params, (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-            });
-        });
+            // Post-trial days that draw from the pool (phases without fixed message ids)
+            const postTrialDays = [];
+            if (trial?.postTrial) {
+                const finishedTrial = { user_type: 'trial', trial_messages_sent: trial.sequence?.totalMessages || 0 };
+                const lastDay = Math.max(...trial.postTrial.phases.map(phase => phase.startDay || Math.max(...phase.days)));
+                for (let day = 1; day <= lastDay + lookbackDays * 2; day++) {
+                    const status = evaluateDripSchedule(trial, finishedTrial, { daysSinceJoined: day, daysSinceLastMessage: day });
+                    if (status.due && !status.messageId) postTrialDays.push(day);
+                }
+            }
+
+            const pools = {
+                algorithm: { poolSize: Number(algorithmCount?.count || 0), needed: requiredPoolSize(algorithmDays, lookbackDays) },
+                postTrial: { poolSize: Number(postTrialCount?.count || 0), needed: requiredPoolSize(postTrialDays, lookbackDays) }
+            };
+            for (const pool of Object.values(pools)) {
+                pool.thin = pool.poolSize < pool.needed;
+            }
+
+            protocols.push({ protocol, ...pools });
+        }
+
+        return { lookbackDays, protocols };
+    }
+
+    // users.post_trial_messages_sent - JSON array of { messageId, phase, day, sentAt }, oldest first
+    parsePostTrialHistory(value) {
+        if (!value) return [];
+        if (Array.isArray(value)) return value;
+
+        try {
+            const parsed = JSON.parse(value);
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (error) {
+            return [];
+        }
     }
 
     // Check daily message limit (Enhanced with timezone-aware date)
     async checkDailyLimit(phoneNumber) {
-        return new Promise((resolve, reject) => {
-            // Get user's timezone first
-            this.trackingDb.get('SELECT timezone FROM users WHERE phone_number = ?', [phoneNumber], (err, userRow) => {
-                if (err) {
-                    reject(err);
-                    return;
-                }
-                
-                const userTimezone = userRow?.timezone || 'America/Chicago';
-                const today = moment().tz(userTimezone).format('YYYY-MM-DD');
-                
-                this.trackingDb.get(`
-                    SELECT messages_sent FROM daily_limits 
-                    WHERE phone_number = ? AND date = ?
-                `, [phoneNumber, today], (err, row) => {
-                    if (err) reject(err);
-                    else resolve({ 
-                        messagesSentToday: row ? row.messages_sent : 0,
-                        userTimezone: userTimezone,
-                        localDate: today
-                    });
-                });
-            });
-        });
+        // Get user's timezone first
+        const userRows = await this.db.query('SELECT timezone FROM users WHERE phone_number = ?', [phoneNumber]);
+        
+        const userTimezone = userRows[0]?.timezone || 'America/Chicago';
+        const today = moment().tz(userTimezone).format('YYYY-MM-DD');
+        
+        const rows = await this.db.query(`
+            SELECT messages_sent FROM daily_limits 
+            WHERE phone_number = ? AND date = ?
+        `, [phoneNumber, today]);
+        
+        return { 
+            messagesSentToday: rows[0] ? rows[0].messages_sent : 0,
+            userTimezone: userTimezone,
+            localDate: today
+        };
     }
 
     // Update user progress after sending message (Enhanced with timezone-aware daily limits)
     async updateUserProgress(user, messageInfo, messageId) {
-        return new Promise((resolve, reject) => {
-            const now = new Date().toISOString();
-            
-            // Use user's timezone for daily limit tracking
-            const userTimezone = user.timezone || 'America/Chicago';
-            const today = moment().tz(userTimezone).format('YYYY-MM-DD');
-            
-            // Update user record
-            let updateQuery = `
-                UPDATE users 
-                SET total_messages_sent = total_messages_sent + 1,
-                    last_message_sent = ?,
-                    date_modified = ?
-            `;
-            let updateParams = [now, now];
-
-            // Update sequence position or trial count
-            if (messageInfo.messageType === 'trial') {
-                updateQuery += `, trial_messages_sent = trial_messages_sent + 1`;
-            } else if (messageInfo.messageType === 'sequence') {
-                updateQuery += `, current_sequence_position = current_sequence_position + 1`;
-            }
+        const now = new Date().toISOString();
+        
+        // Use user's timezone for daily limit tracking
+        const userTimezone = user.timezone || 'America/Chicago';
+        const today = moment().tz(userTimezone).format('YYYY-MM-DD');
+        
+        // Update user record
+        let updateQuery = `
+            UPDATE users 
+            SET total_messages_sent = total_messages_sent + 1,
+                last_message_sent = ?,
+                date_modified = ?
+        `;
+        let updateParams = [now, now];
+
+        // Update sequence position or trial count
+        if (messageInfo.messageType === 'trial') {
+            updateQuery += `, trial_messages_sent = trial_messages_sent + 1`;
+        } else if (messageInfo.messageType === 'sequence') {
+            updateQuery += `, current_sequence_position = current_sequence_position + 1`;
+        } else if (messageInfo.messageType.startsWith('post-trial-phase')) {
+            // Record what was sent so later phases don't repeat it
+            const history = this.parsePostTrialHistory(user.post_trial_messages_sent);
+            history.push({ messageId, phase: messageInfo.phase, day: messageInfo.daysSinceJoined, sentAt: now });
+
+            updateQuery += `, post_trial_messages_sent = ?, post_trial_phase = ?, post_trial_day = ?`;
+            updateParams.push(JSON.stringify(history), messageInfo.phase, messageInfo.daysSinceJoined);
+        }
 
-            updateQuery += ` WHERE phone_number = ?`;
-            updateParams.push(user.phone_number);
+        updateQuery += ` WHERE phone_number = ?`;
+        updateParams.push(user.phone_number);
 
-            this.trackingDb.run(updateQuery, updateParams, (err) => {
-                if (err) {
-                    reject(err);
-                    return;
-                }
+        await this.db.query(updateQuery, updateParams);
 
-                // Update daily limits using user's timezone
-                this.trackingDb.run(`
-                    INSERT OR REPLACE INTO daily_limits 
-                    (phone_number, date, messages_sent, last_updated)
-                    VALUES (?, ?, COALESCE((SELECT messages_sent FROM daily_limits WHERE phone_number = ? AND date = ?), 0) + 1, ?)
-                `, [user.phone_number, today, user.phone_number, today, now], (err) => {
-                    if (err) reject(err);
-                    else {
-                        console.log(`✅ Updated progress for ${user.first_name} (${userTimezone} - ${today})`);
-                        resolve();
-                    }
-                });
-            });
-        });
-    }
+        // Update daily limits using user's timezone
+        await this.db.upsert('daily_limits', {
+            phone_number: user.phone_number,
+            date: today,
+            messages_sent: 1,
+            last_updated: now
+        }, ['phone_number', 'date'], { increment: ['messages_sent'] });
 
-    // Personalize message with user's name
-    personalizeMessage(messageText, firstName) {
-        if (!messageText) return '';
-        
-        if (firstName) {
-            return messageText.replace(/\{name\}/g, firstName);
-        } else {
-            return messageText.replace(/\{name\}[,\s]*/g, '').replace(/\s+/g, ' ').trim();
-        }
+        console.log(`✅ Updated progress for ${user.first_name} (${userTimezone} - ${today})`);
     }
 
     // Utility delay function
@@ -381,11 +578,8 @@ class MessageScheduler {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
-    // Close database connections
-    close() {
-        if (this.trackingDb) this.trackingDb.close();
-        if (this.messagesDb) this.messagesDb.close();
-    }
+    // Nothing to release - database connections belong to the shared DatabaseManager
+    close() {}
 }
 
 module.exports = MessageScheduler;
\ No newline at end of file
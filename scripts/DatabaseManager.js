@@ -2,6 +2,13 @@ const sqlite3 = require('sqlite3').verbose();
 const mysql = require('mysql2/promise');
 const fs = require('fs');
 const path = require('path');
+const MigrationRunner = require('./MigrationRunner');
+
+// SQLite keeps messages and logs in their own files, attached to the tracking connection
+const SQLITE_ATTACHED_TABLES = {
+    messages: 'messages_db',
+    system_logs: 'logs_db'
+};
 
 class DatabaseManager {
     constructor(config = {}) {
@@ -28,11 +35,15 @@ class DatabaseManager {
                 logsDb: './databases/system_logs.db'
             },
             
+            // Apply pending schema migrations during initialize()
+            autoMigrate: true,
+            
             ...config
         };
         
         this.connections = {};
         this.isReady = false;
+        this.sqliteTransactions = Promise.resolve(); // SQLite transactions run one at a time
         
         // Log which database system we're using
         console.log(`🗄️  Database System: ${this.config.useMariaDB ? 'MariaDB' : 'SQLite'}`);
@@ -59,6 +70,29 @@ class DatabaseManager {
                 throw error;
             }
         }
+        
+        // Run outside the fallback above - a failing migration must stop startup,
+        // not silently switch production over to SQLite
+        if (this.config.autoMigrate) {
+            await this.runMigrations();
+        }
+    }
+
+    async runMigrations() {
+        const applied = await new MigrationRunner(this).migrate();
+        if (applied.length > 0) {
+            console.log(`✅ Applied ${applied.length} schema migration(s)`);
+        }
+        return applied;
+    }
+
+    // Table name as schema statements must address it - SQLite tables living in
+    // an attached file need the alias prefix, MariaDB has a single database
+    qualifiedTableName(table) {
+        if (this.config.useMariaDB || !SQLITE_ATTACHED_TABLES[table]) {
+            return table;
+        }
+        return `${SQLITE_ATTACHED_TABLES[table]}.${table}`;
     }
 
     async initializeMariaDB() {
@@ -79,19 +113,18 @@ class DatabaseManager {
             timeout: 60000
         });
         
-        // Initialize tables
-        await this.createMariaDBTables();
-        
         console.log('✅ MariaDB initialized with connection pool');
     }
 
     async initializeSQLite() {
         console.log('🔧 Initializing SQLite databases...');
         
-        // Create databases directory if it doesn't exist
-        const dbDir = './databases';
-        if (!fs.existsSync(dbDir)) {
-            fs.mkdirSync(dbDir, { recursive: true });
+        // Create the database directories if they don't exist (./databases unless configured elsewhere)
+        const { messagesDb, trackingDb, logsDb } = this.config.sqlite;
+        for (const dbDir of new Set([messagesDb, trackingDb, logsDb].map(file => path.dirname(file)))) {
+            if (!fs.existsSync(dbDir)) {
+                fs.mkdirSync(dbDir, { recursive: true });
+            }
         }
         
         // Initialize SQLite databases
@@ -99,280 +132,17 @@ class DatabaseManager {
         this.connections.tracking = new sqlite3.Database(this.config.sqlite.trackingDb);
         this.connections.logs = new sqlite3.Database(this.config.sqlite.logsDb);
         
-        // Initialize tables
-        await this.createSQLiteTables();
+        // Attach messages and logs to the tracking connection so every component can
+        // reach all tables (and join across them) through one connection, like MariaDB
+        await this.attachSQLiteDatabase(this.connections.tracking, this.config.sqlite.messagesDb, 'messages_db');
+        await this.attachSQLiteDatabase(this.connections.tracking, this.config.sqlite.logsDb, 'logs_db');
         
         console.log('✅ SQLite databases initialized');
     }
 
-    async createMariaDBTables() {
-        const connection = await this.connections.pool.getConnection();
-        
-        try {
-            // Messages table
-            await connection.execute(`
-                CREATE TABLE IF NOT EXISTS messages (
-                    id VARCHAR(255) PRIMARY KEY,
-                    number INT,
-                    protocol VARCHAR(100),
-                    pillar VARCHAR(100),
-                    category VARCHAR(100),
-                    message_type VARCHAR(50),
-                    message TEXT,
-                    tags TEXT,
-                    link TEXT,
-                    notes TEXT,
-                    active TINYINT(1) DEFAULT 1,
-                    date_created TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    date_modified TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-                    INDEX idx_number (number),
-                    INDEX idx_protocol (protocol),
-                    INDEX idx_message_type (message_type)
-                )
-            `);
-
-            // Users table
-            await connection.execute(`
-                CREATE TABLE IF NOT EXISTS users (
-                    phone_number VARCHAR(20) PRIMARY KEY,
-                    protocol VARCHAR(100) DEFAULT 'MindBoost',
-                    user_type VARCHAR(50) DEFAULT 'trial',
-                    current_sequence_position INT DEFAULT 1,
-                    total_messages_sent INT DEFAULT 0,
-                    subscription_status VARCHAR(50) DEFAULT 'trial',
-                    trial_messages_sent INT DEFAULT 0,
-                    post_trial_phase INT DEFAULT 1,
-                    post_trial_day INT DEFAULT 0,
-                    milestones_achieved TEXT DEFAULT '',
-                    date_joined TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    last_message_sent TIMESTAMP NULL,
-                    messages_sent_today INT DEFAULT 0,
-                    last_daily_reset DATE DEFAULT (CURRENT_DATE),
-                    timezone VARCHAR(100) DEFAULT 'America/Chicago',
-                    preferred_send_time VARCHAR(50) DEFAULT '14:00-17:00',
-                    user_preferences JSON,
-                    first_name VARCHAR(100),
-                    awaiting_response VARCHAR(50),
-                    awaiting_response_since TIMESTAMP NULL,
-                    stopped_at_position INT,
-                    wordpress_user_id INT,
-                    notes TEXT,
-                    post_trial_messages_sent JSON,
-                    date_modified TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-                    INDEX idx_user_type (user_type),
-                    INDEX idx_subscription_status (subscription_status),
-                    INDEX idx_awaiting_response (awaiting_response)
-                )
-            `);
-
-            // Message History table
-            await connection.execute(`
-                CREATE TABLE IF NOT EXISTS message_history (
-                    id INT AUTO_INCREMENT PRIMARY KEY,
-                    phone_number VARCHAR(20),
-                    message_id VARCHAR(255),
-                    message_type VARCHAR(50),
-                    sent_timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    delivery_status VARCHAR(50) DEFAULT 'sent',
-                    twilio_message_id VARCHAR(100),
-                    user_responded TINYINT(1) DEFAULT 0,
-                    response_timestamp TIMESTAMP NULL,
-                    sequence_position INT,
-                    is_manual_injection TINYINT(1) DEFAULT 0,
-                    protocol VARCHAR(100),
-                    auto_cleanup_date DATE NULL,
-                    INDEX idx_phone_number (phone_number),
-                    INDEX idx_message_id (message_id),
-                    INDEX idx_sent_timestamp (sent_timestamp),
-                    FOREIGN KEY (phone_number) REFERENCES users(phone_number) ON DELETE CASCADE
-                )
-            `);
-
-            // Daily Limits table
-            await connection.execute(`
-                CREATE TABLE IF NOT EXISTS daily_limits (
-                    phone_number VARCHAR(20),
-                    date DATE,
-                    messages_sent INT DEFAULT 0,
-                    last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-                    PRIMARY KEY (phone_number, date),
-                    FOREIGN KEY (phone_number) REFERENCES users(phone_number) ON DELETE CASCADE
-                )
-            `);
-
-            // Pending Messages table
-            await connection.execute(`
-                CREATE TABLE IF NOT EXISTS pending_messages (
-                    id INT AUTO_INCREMENT PRIMARY KEY,
-                    phone_number VARCHAR(20),
-                    message_id VARCHAR(255),
-                    priority INT DEFAULT 1,
-                    scheduled_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    is_manual_injection TINYINT(1) DEFAULT 0,
-                    created_timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    status VARCHAR(50) DEFAULT 'pending',
-                    INDEX idx_phone_number (phone_number),
-                    INDEX idx_scheduled_time (scheduled_time),
-                    INDEX idx_status (status)
-                )
-            `);
-
-            // Immediate Queue table
-            await connection.execute(`
-                CREATE TABLE IF NOT EXISTS immediate_queue (
-                    id INT AUTO_INCREMENT PRIMARY KEY,
-                    phone_number VARCHAR(20),
-                    first_name VARCHAR(100),
-                    action VARCHAR(100),
-                    processed TINYINT(1) DEFAULT 0,
-                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    form_submission_id INT,
-                    INDEX idx_processed (processed),
-                    INDEX idx_phone_number (phone_number)
-                )
-            `);
-
-            // System Logs table
-            await connection.execute(`
-                CREATE TABLE IF NOT EXISTS system_logs (
-                    id INT AUTO_INCREMENT PRIMARY KEY,
-                    timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    log_type VARCHAR(50),
-                    message TEXT,
-                    phone_number VARCHAR(20),
-                    additional_data JSON,
-                    INDEX idx_timestamp (timestamp),
-                    INDEX idx_log_type (log_type),
-                    INDEX idx_phone_number (phone_number)
-                )
-            `);
-
-            console.log('✅ MariaDB tables created successfully');
-            
-        } finally {
-            connection.release();
-        }
-    }
-
-    async createSQLiteTables() {
-        // Use your existing SQLite table creation logic
-        const { createSQLiteTable } = this;
-        
-        // Messages table
-        await createSQLiteTable(this.connections.messages, `
-            CREATE TABLE IF NOT EXISTS messages (
-                id TEXT PRIMARY KEY,
-                number INTEGER,
-                protocol TEXT,
-                pillar TEXT,
-                category TEXT,
-                message_type TEXT,
-                message TEXT,
-                tags TEXT,
-                link TEXT,
-                notes TEXT,
-                active INTEGER DEFAULT 1,
-                date_created TEXT DEFAULT CURRENT_TIMESTAMP,
-                date_modified TEXT DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
-
-        // Users table
-        await createSQLiteTable(this.connections.tracking, `
-            CREATE TABLE IF NOT EXISTS users (
-                phone_number TEXT PRIMARY KEY,
-                protocol TEXT DEFAULT 'MindBoost',
-                user_type TEXT DEFAULT 'trial',
-                current_sequence_position INTEGER DEFAULT 1,
-                total_messages_sent INTEGER DEFAULT 0,
-                subscription_status TEXT DEFAULT 'trial',
-                trial_messages_sent INTEGER DEFAULT 0,
-                post_trial_phase INTEGER DEFAULT 1,
-                post_trial_day INTEGER DEFAULT 0,
-                milestones_achieved TEXT DEFAULT '',
-                date_joined TEXT DEFAULT CURRENT_TIMESTAMP,
-                last_message_sent TEXT,
-                messages_sent_today INTEGER DEFAULT 0,
-                last_daily_reset TEXT DEFAULT CURRENT_DATE,
-                timezone TEXT DEFAULT 'America/Chicago',
-                preferred_send_time TEXT DEFAULT '14:00-17:00',
-                user_preferences TEXT DEFAULT '{}',
-                first_name TEXT,
-                awaiting_response TEXT,
-                awaiting_response_since TEXT,
-                stopped_at_position INTEGER,
-                wordpress_user_id INTEGER,
-                notes TEXT,
-                post_trial_messages_sent TEXT DEFAULT '',
-                date_modified TEXT DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
-
-        // Other tables (message_history, daily_limits, etc.)
-        const tables = [
-            { name: 'message_history', sql: `CREATE TABLE IF NOT EXISTS message_history (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                phone_number TEXT,
-                message_id TEXT,
-                message_type TEXT,
-                sent_timestamp TEXT DEFAULT CURRENT_TIMESTAMP,
-                delivery_status TEXT DEFAULT 'sent',
-                twilio_message_id TEXT,
-                user_responded INTEGER DEFAULT 0,
-                response_timestamp TEXT,
-                sequence_position INTEGER,
-                is_manual_injection INTEGER DEFAULT 0,
-                protocol TEXT,
-                auto_cleanup_date TEXT
-            )` },
-            { name: 'daily_limits', sql: `CREATE TABLE IF NOT EXISTS daily_limits (
-                phone_number TEXT,
-                date TEXT,
-                messages_sent INTEGER DEFAULT 0,
-                last_updated TEXT DEFAULT CURRENT_TIMESTAMP,
-                PRIMARY KEY (phone_number, date)
-            )` },
-            { name: 'pending_messages', sql: `CREATE TABLE IF NOT EXISTS pending_messages (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                phone_number TEXT,
-                message_id TEXT,
-                priority INTEGER DEFAULT 1,
-                scheduled_time TEXT DEFAULT CURRENT_TIMESTAMP,
-                is_manual_injection INTEGER DEFAULT 0,
-                created_timestamp TEXT DEFAULT CURRENT_TIMESTAMP,
-                status TEXT DEFAULT 'pending'
-            )` },
-            { name: 'immediate_queue', sql: `CREATE TABLE IF NOT EXISTS immediate_queue (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                phone_number TEXT,
-                first_name TEXT,
-                action TEXT,
-                processed INTEGER DEFAULT 0,
-                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-                form_submission_id INTEGER
-            )` }
-        ];
-
-        for (const table of tables) {
-            await createSQLiteTable(this.connections.tracking, table.sql);
-        }
-
-        // System logs table
-        await createSQLiteTable(this.connections.logs, `
-            CREATE TABLE IF NOT EXISTS system_logs (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                timestamp TEXT DEFAULT CURRENT_TIMESTAMP,
-                log_type TEXT,
-                message TEXT,
-                phone_number TEXT,
-                additional_data TEXT
-            )
-        `);
-    }
-
-    createSQLiteTable(db, sql) {
+    attachSQLiteDatabase(db, filePath, alias) {
         return new Promise((resolve, reject) => {
-            db.run(sql, (err) => {
+            db.run(`ATTACH DATABASE ? AS ${alias}`, [filePath], (err) => {
                 if (err) reject(err);
                 else resolve();
             });
@@ -392,17 +162,63 @@ class DatabaseManager {
         }
     }
 
+    // options.connection - run on this connection (a transaction's) instead of one from the pool
     async mariadbQuery(sql, params = [], options = {}) {
-        const connection = await this.connections.pool.getConnection();
+        const connection = options.connection || await this.connections.pool.getConnection();
         
         try {
-            // Convert SQLite-style queries to MariaDB
-            const mariadbSql = this.convertToMariaDBSql(sql);
-            const [rows, fields] = await connection.execute(mariadbSql, params);
+            // Convert SQLite-style queries to MariaDB (migrations pass raw, already-dialect-specific SQL)
+            const mariadbSql = options.raw ? sql : this.convertToMariaDBSql(sql);
+            // mysql2 rejects undefined bind values - SQLite treats them as NULL, so match that
+            const mariadbParams = params.map(param => param === undefined ? null : param);
+            const [rows, fields] = await connection.execute(mariadbSql, mariadbParams);
+            
+            // Give write results the same shape as SQLite ({ insertId, changes })
+            if (!Array.isArray(rows)) {
+                return { insertId: rows.insertId, changes: rows.affectedRows };
+            }
             return rows;
         } finally {
-            connection.release();
+            if (!options.connection) connection.release();
+        }
+    }
+
+    // Run fn(tx) inside one transaction - tx.query works like query(). Commits when fn resolves,
+    // rolls back and rethrows when it fails. Returns what fn returns.
+    async transaction(fn) {
+        if (!this.isReady) {
+            throw new Error('Database not initialized. Call initialize() first.');
+        }
+
+        if (this.config.useMariaDB) {
+            const connection = await this.connections.pool.getConnection();
+            try {
+                await connection.beginTransaction();
+                const result = await fn({ query: (sql, params = []) => this.mariadbQuery(sql, params, { connection }) });
+                await connection.commit();
+                return result;
+            } catch (error) {
+                await connection.rollback();
+                throw error;
+            } finally {
+                connection.release();
+            }
         }
+
+        // SQLite: the tracking connection, which has messages and logs attached
+        const run = this.sqliteTransactions.then(async () => {
+            await this.sqliteQuery('BEGIN IMMEDIATE');
+            try {
+                const result = await fn({ query: (sql, params = []) => this.sqliteQuery(sql, params) });
+                await this.sqliteQuery('COMMIT');
+                return result;
+            } catch (error) {
+                await this.sqliteQuery('ROLLBACK');
+                throw error;
+            }
+        });
+        this.sqliteTransactions = run.catch(() => {});
+        return await run;
     }
 
     async sqliteQuery(sql, params = [], options = {}) {
@@ -410,7 +226,7 @@ class DatabaseManager {
         const db = this.connections[dbType] || this.connections.tracking;
         
         return new Promise((resolve, reject) => {
-            if (sql.trim().toUpperCase().startsWith('SELECT')) {
+            if (/^(SELECT|WITH|PRAGMA)\b/.test(sql.trim().toUpperCase())) {
                 db.all(sql, params, (err, rows) => {
                     if (err) reject(err);
                     else resolve(rows);
@@ -426,13 +242,50 @@ class DatabaseManager {
 
     convertToMariaDBSql(sql) {
         // Convert common SQLite syntax to MariaDB
-        return sql
+        let converted = sql
             .replace(/CURRENT_TIMESTAMP/g, 'NOW()')
             .replace(/CURRENT_DATE/g, 'CURDATE()')
-            .replace(/INTEGER PRIMARY KEY AUTOINCREMENT/g, 'INT AUTO_INCREMENT PRIMARY KEY')
-            .replace(/INTEGER/g, 'INT')
-            .replace(/TEXT/g, 'VARCHAR(500)')
-            .replace(/TINYINT\(1\)/g, 'BOOLEAN');
+            .replace(/INSERT OR REPLACE INTO/gi, 'REPLACE INTO')
+            .replace(/INSERT OR IGNORE INTO/gi, 'INSERT IGNORE INTO')
+            .replace(/RANDOM\(\)/g, 'RAND()');
+        
+        // Column type conversions only apply to schema statements - never rewrite data queries
+        if (/^(CREATE|ALTER)\b/i.test(converted.trim())) {
+            converted = converted
+                .replace(/INTEGER PRIMARY KEY AUTOINCREMENT/g, 'INT AUTO_INCREMENT PRIMARY KEY')
+                .replace(/INTEGER/g, 'INT')
+                .replace(/TEXT/g, 'VARCHAR(500)')
+                .replace(/TINYINT\(1\)/g, 'BOOLEAN');
+        }
+        
+        return converted;
+    }
+
+    // Insert a row, or update it when the conflict columns already exist.
+    // options.updateColumns - columns to overwrite on conflict (default: every non-conflict column)
+    // options.increment     - columns to add to instead of overwrite (e.g. daily counters)
+    async upsert(table, values, conflictColumns, options = {}) {
+        const columns = Object.keys(values);
+        const increment = options.increment || [];
+        const updateColumns = options.updateColumns || columns.filter(column => !conflictColumns.includes(column));
+        const placeholders = columns.map(() => '?').join(', ');
+        
+        let sql;
+        if (this.config.useMariaDB) {
+            const updates = updateColumns.map(column => increment.includes(column)
+                ? `${column} = ${column} + VALUES(${column})`
+                : `${column} = VALUES(${column})`);
+            sql = `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders})
+                   ON DUPLICATE KEY UPDATE ${updates.join(', ')}`;
+        } else {
+            const updates = updateColumns.map(column => increment.includes(column)
+                ? `${column} = ${column} + excluded.${column}`
+                : `${column} = excluded.${column}`);
+            sql = `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders})
+                   ON CONFLICT(${conflictColumns.join(', ')}) DO UPDATE SET ${updates.join(', ')}`;
+        }
+        
+        return await this.query(sql, columns.map(column => values[column]));
     }
 
     // Helper methods for common operations
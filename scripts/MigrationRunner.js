@@ -0,0 +1,265 @@
+const fs = require('fs');
+const path = require('path');
+
+// Portable column types - the first word of a column spec is translated per backend,
+// everything after it (DEFAULT ..., PRIMARY KEY, NOT NULL) is passed through unchanged
+const COLUMN_TYPES = {
+    increments: { mariadb: 'INT AUTO_INCREMENT PRIMARY KEY', sqlite: 'INTEGER PRIMARY KEY AUTOINCREMENT' },
+    string:     { mariadb: (length) => `VARCHAR(${length || 255})`, sqlite: 'TEXT' },
+    text:       { mariadb: 'TEXT', sqlite: 'TEXT' },
+    integer:    { mariadb: 'INT', sqlite: 'INTEGER' },
+    boolean:    { mariadb: 'TINYINT(1)', sqlite: 'INTEGER' },
+    timestamp:  { mariadb: 'TIMESTAMP', sqlite: 'TEXT' },
+    date:       { mariadb: 'DATE', sqlite: 'TEXT' },
+    json:       { mariadb: 'JSON', sqlite: 'TEXT' }
+};
+
+// Dialect-aware DDL helpers handed to every migration's up()/down()
+class SchemaBuilder {
+    constructor(db) {
+        this.db = db;
+        this.isMariaDB = !!db.config.useMariaDB;
+    }
+
+    // Translate a spec such as "string(20) PRIMARY KEY" or "timestamp DEFAULT CURRENT_TIMESTAMP"
+    columnDefinition(name, spec) {
+        const match = spec.match(/^(\w+)(?:\((\d+)\))?\s*(.*)$/);
+        if (!match || !COLUMN_TYPES[match[1]]) {
+            throw new Error(`Unknown column type in "${name} ${spec}"`);
+        }
+
+        const [, type, length, rest] = match;
+        const dialectType = COLUMN_TYPES[type][this.isMariaDB ? 'mariadb' : 'sqlite'];
+        let sqlType = typeof dialectType === 'function' ? dialectType(length) : dialectType;
+        let modifiers = rest;
+
+        if (this.isMariaDB) {
+            // MariaDB TIMESTAMP columns are NOT NULL with an implicit default unless told otherwise
+            if (type === 'timestamp' && !/DEFAULT/i.test(modifiers)) {
+                sqlType += ' NULL';
+            }
+        } else {
+            // SQLite has no ON UPDATE clause - date_modified is maintained by application code
+            modifiers = modifiers.replace(/ON UPDATE CURRENT_TIMESTAMP/i, '').trim();
+        }
+
+        return `${name} ${sqlType}${modifiers ? ' ' + modifiers : ''}`;
+    }
+
+    indexName(table, name) {
+        // SQLite index names are global per database file, MariaDB's are per table
+        return this.isMariaDB ? name : `${table}_${name}`;
+    }
+
+    async createTable(table, columns, options = {}) {
+        const definitions = Object.entries(columns).map(([name, spec]) => this.columnDefinition(name, spec));
+
+        if (options.primaryKey) {
+            definitions.push(`PRIMARY KEY (${options.primaryKey.join(', ')})`);
+        }
+
+        for (const foreignKey of options.foreignKeys || []) {
+            definitions.push(`FOREIGN KEY ${foreignKey}`);
+        }
+
+        const indexes = Object.entries(options.indexes || {});
+        const uniqueIndexes = Object.entries(options.uniqueIndexes || {});
+        if (this.isMariaDB) {
+            for (const [name, indexColumns] of indexes) {
+                definitions.push(`INDEX ${name} (${indexColumns.join(', ')})`);
+            }
+            for (const [name, indexColumns] of uniqueIndexes) {
+                definitions.push(`UNIQUE INDEX ${name} (${indexColumns.join(', ')})`);
+            }
+        }
+
+        await this.execute(`CREATE TABLE IF NOT EXISTS ${this.db.qualifiedTableName(table)} (
+            ${definitions.join(',\n            ')}
+        )`);
+
+        if (!this.isMariaDB) {
+            for (const [name, indexColumns] of indexes) {
+                await this.addIndex(table, name, indexColumns);
+            }
+            for (const [name, indexColumns] of uniqueIndexes) {
+                await this.addIndex(table, name, indexColumns, { unique: true });
+            }
+        }
+    }
+
+    async dropTable(table) {
+        await this.execute(`DROP TABLE IF EXISTS ${this.db.qualifiedTableName(table)}`);
+    }
+
+    async hasColumn(table, column) {
+        if (this.isMariaDB) {
+            const rows = await this.db.query(`
+                SELECT COUNT(*) as count FROM information_schema.COLUMNS
+                WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+            `, [table, column]);
+            return rows[0].count > 0;
+        }
+
+        const schema = this.db.qualifiedTableName(table).split('.');
+        const pragma = schema.length === 2 ? `PRAGMA ${schema[0]}.table_info(${schema[1]})` : `PRAGMA table_info(${table})`;
+        const rows = await this.db.query(pragma);
+        return rows.some(row => row.name === column);
+    }
+
+    // Idempotent so databases created by the old CREATE TABLE scripts (which already
+    // have some of these columns) can run the same migrations as fresh ones
+    async addColumn(table, column, spec) {
+        if (await this.hasColumn(table, column)) return;
+        await this.execute(`ALTER TABLE ${this.db.qualifiedTableName(table)} ADD COLUMN ${this.columnDefinition(column, spec)}`);
+    }
+
+    async dropColumn(table, column) {
+        if (!(await this.hasColumn(table, column))) return;
+        await this.execute(`ALTER TABLE ${this.db.qualifiedTableName(table)} DROP COLUMN ${column}`);
+    }
+
+    async addIndex(table, name, columns, options = {}) {
+        const indexName = this.indexName(table, name);
+        const indexType = options.unique ? 'UNIQUE INDEX' : 'INDEX';
+
+        if (this.isMariaDB) {
+            await this.execute(`CREATE ${indexType} IF NOT EXISTS ${indexName} ON ${table} (${columns.join(', ')})`);
+        } else {
+            const [schema, tableName] = this.db.qualifiedTableName(table).includes('.')
+                ? this.db.qualifiedTableName(table).split('.')
+                : [null, table];
+            const qualifiedIndex = schema ? `${schema}.${indexName}` : indexName;
+            await this.execute(`CREATE ${indexType} IF NOT EXISTS ${qualifiedIndex} ON ${tableName} (${columns.join(', ')})`);
+        }
+    }
+
+    async dropIndex(table, name) {
+        const indexName = this.indexName(table, name);
+
+        if (this.isMariaDB) {
+            await this.execute(`DROP INDEX IF EXISTS ${indexName} ON ${table}`);
+        } else {
+            const qualified = this.db.qualifiedTableName(table);
+            const schema = qualified.includes('.') ? qualified.split('.')[0] + '.' : '';
+            await this.execute(`DROP INDEX IF EXISTS ${schema}${indexName}`);
+        }
+    }
+
+    // Schema SQL is already dialect-specific - skip DatabaseManager's SQLite-to-MariaDB rewriting
+    async execute(sql, params = []) {
+        return await this.db.query(sql, params, { raw: true });
+    }
+}
+
+class MigrationRunner {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.directory = options.directory || path.join(__dirname, 'migrations');
+        this.schema = new SchemaBuilder(db);
+    }
+
+    // Migration files are named NNN_description.js and export { description, up, down }
+    loadMigrations() {
+        return fs.readdirSync(this.directory)
+            .filter(file => /^\d+_.+\.js$/.test(file))
+            .sort()
+            .map(file => {
+                const migration = require(path.join(this.directory, file));
+                const version = file.split('_')[0];
+
+                if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                    throw new Error(`Migration ${file} must export up() and down()`);
+                }
+
+                return {
+                    version,
+                    name: file.replace(/\.js$/, ''),
+                    description: migration.description || '',
+                    up: migration.up,
+                    down: migration.down
+                };
+            });
+    }
+
+    async ensureMigrationsTable() {
+        await this.schema.createTable('schema_migrations', {
+            version: 'string(20) PRIMARY KEY',
+            name: 'string(255)',
+            applied_at: 'timestamp DEFAULT CURRENT_TIMESTAMP'
+        });
+    }
+
+    async getAppliedMigrations() {
+        await this.ensureMigrationsTable();
+        const rows = await this.db.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC');
+        return rows || [];
+    }
+
+    async status() {
+        const applied = await this.getAppliedMigrations();
+        const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+
+        return this.loadMigrations().map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            description: migration.description,
+            applied: appliedByVersion.has(migration.version),
+            appliedAt: appliedByVersion.get(migration.version)?.applied_at || null
+        }));
+    }
+
+    // Apply pending migrations in order, optionally stopping at targetVersion
+    async migrate(targetVersion = null) {
+        const applied = new Set((await this.getAppliedMigrations()).map(row => row.version));
+        const pending = this.loadMigrations().filter(migration =>
+            !applied.has(migration.version) && (!targetVersion || migration.version <= targetVersion));
+
+        for (const migration of pending) {
+            console.log(`⬆️  Applying migration ${migration.name}...`);
+
+            try {
+                await migration.up(this.schema, this.db);
+            } catch (error) {
+                throw new Error(`Migration ${migration.name} failed: ${error.message}`);
+            }
+
+            await this.db.query(
+                'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+                [migration.version, migration.name, new Date().toISOString()]
+            );
+        }
+
+        return pending.map(migration => migration.name);
+    }
+
+    // Undo the most recently applied migrations
+    async rollback(steps = 1) {
+        const applied = await this.getAppliedMigrations();
+        const migrations = new Map(this.loadMigrations().map(migration => [migration.version, migration]));
+        const toRollBack = applied.slice(-steps).reverse();
+        const rolledBack = [];
+
+        for (const row of toRollBack) {
+            const migration = migrations.get(row.version);
+            if (!migration) {
+                throw new Error(`Cannot roll back ${row.name}: migration file not found`);
+            }
+
+            console.log(`⬇️  Rolling back migration ${migration.name}...`);
+
+            try {
+                await migration.down(this.schema, this.db);
+            } catch (error) {
+                throw new Error(`Rollback of ${migration.name} failed: ${error.message}`);
+            }
+
+            await this.db.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+            rolledBack.push(migration.name);
+        }
+
+        return rolledBack;
+    }
+}
+
+module.exports = MigrationRunner;
+module.exports.SchemaBuilder = SchemaBuilder;
@@ -0,0 +1,66 @@
+require('dotenv').config();
+const DatabaseManager = require('./DatabaseManager');
+const MigrationRunner = require('./MigrationRunner');
+
+// Usage:
+//   node scripts/migrate.js                  apply all pending migrations
+//   node scripts/migrate.js up [version]     apply pending migrations up to and including version
+//   node scripts/migrate.js rollback [steps] undo the last N applied migrations (default 1)
+//   node scripts/migrate.js status           list every migration and whether it is applied
+
+async function main() {
+    const [command = 'up', argument] = process.argv.slice(2);
+    const dbManager = new DatabaseManager({ autoMigrate: false });
+
+    try {
+        await dbManager.initialize();
+        const runner = new MigrationRunner(dbManager);
+
+        switch (command) {
+            case 'up':
+            case 'migrate': {
+                const applied = await runner.migrate(argument || null);
+                console.log(applied.length > 0
+                    ? `✅ Applied ${applied.length} migration(s)`
+                    : '✅ Schema is up to date');
+                break;
+            }
+
+            case 'rollback':
+            case 'down': {
+                const steps = parseInt(argument || '1', 10);
+                if (!Number.isInteger(steps) || steps < 1) {
+                    throw new Error(`Invalid rollback step count: ${argument}`);
+                }
+                const rolledBack = await runner.rollback(steps);
+                console.log(rolledBack.length > 0
+                    ? `✅ Rolled back ${rolledBack.length} migration(s)`
+                    : 'ℹ️  Nothing to roll back');
+                break;
+            }
+
+            case 'status': {
+                const migrations = await runner.status();
+                console.log(`\n📋 Schema migrations (${dbManager.config.useMariaDB ? 'MariaDB' : 'SQLite'})`);
+                console.log('==============================');
+                for (const migration of migrations) {
+                    const state = migration.applied ? `✅ applied ${migration.appliedAt}` : '⏳ pending';
+                    console.log(`${migration.name.padEnd(36)} ${state}`);
+                }
+                const pending = migrations.filter(migration => !migration.applied).length;
+                console.log(`\n${migrations.length - pending} applied, ${pending} pending`);
+                break;
+            }
+
+            default:
+                throw new Error(`Unknown command "${command}" (expected up, rollback or status)`);
+        }
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await dbManager.close();
+    }
+}
+
+main();
@@ -0,0 +1,150 @@
+// Baseline schema - every table the system had before versioned migrations.
+// Uses CREATE TABLE IF NOT EXISTS so databases built by the old setup scripts adopt it as-is.
+module.exports = {
+    description: 'Initial schema (messages, users, history, limits, queues, logs)',
+
+    async up(schema) {
+        await schema.createTable('messages', {
+            id: 'string(255) PRIMARY KEY',
+            number: 'integer',
+            protocol: 'string(100)',
+            pillar: 'string(100)',
+            category: 'string(100)',
+            message_type: 'string(50)',
+            message: 'text',
+            tags: 'text',
+            link: 'text',
+            notes: 'text',
+            active: 'boolean DEFAULT 1',
+            date_created: 'timestamp DEFAULT CURRENT_TIMESTAMP',
+            date_modified: 'timestamp DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP'
+        }, {
+            indexes: {
+                idx_number: ['number'],
+                idx_protocol: ['protocol'],
+                idx_message_type: ['message_type']
+            }
+        });
+
+        await schema.createTable('users', {
+            phone_number: 'string(20) PRIMARY KEY',
+            protocol: "string(100) DEFAULT 'MindBoost'",
+            user_type: "string(50) DEFAULT 'trial'",
+            current_sequence_position: 'integer DEFAULT 1',
+            total_messages_sent: 'integer DEFAULT 0',
+            subscription_status: "string(50) DEFAULT 'trial'",
+            trial_messages_sent: 'integer DEFAULT 0',
+            post_trial_phase: 'integer DEFAULT 1',
+            post_trial_day: 'integer DEFAULT 0',
+            milestones_achieved: "text DEFAULT ''",
+            date_joined: 'timestamp DEFAULT CURRENT_TIMESTAMP',
+            last_message_sent: 'timestamp',
+            messages_sent_today: 'integer DEFAULT 0',
+            last_daily_reset: 'date DEFAULT (CURRENT_DATE)',
+            timezone: "string(100) DEFAULT 'America/Chicago'",
+            preferred_send_time: "string(50) DEFAULT '14:00-17:00'",
+            user_preferences: 'json',
+            first_name: 'string(100)',
+            awaiting_response: 'string(50)',
+            awaiting_response_since: 'timestamp',
+            stopped_at_position: 'integer',
+            wordpress_user_id: 'integer',
+            notes: 'text',
+            post_trial_messages_sent: 'json',
+            date_modified: 'timestamp DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP'
+        }, {
+            indexes: {
+                idx_user_type: ['user_type'],
+                idx_subscription_status: ['subscription_status'],
+                idx_awaiting_response: ['awaiting_response']
+            }
+        });
+
+        await schema.createTable('message_history', {
+            id: 'increments',
+            phone_number: 'string(20)',
+            message_id: 'string(255)',
+            message_type: 'string(50)',
+            sent_timestamp: 'timestamp DEFAULT CURRENT_TIMESTAMP',
+            delivery_status: "string(50) DEFAULT 'sent'",
+            twilio_message_id: 'string(100)',
+            user_responded: 'boolean DEFAULT 0',
+            response_timestamp: 'timestamp',
+            sequence_position: 'integer',
+            is_manual_injection: 'boolean DEFAULT 0',
+            protocol: 'string(100)',
+            auto_cleanup_date: 'date'
+        }, {
+            indexes: {
+                idx_phone_number: ['phone_number'],
+                idx_message_id: ['message_id'],
+                idx_sent_timestamp: ['sent_timestamp']
+            },
+            foreignKeys: ['(phone_number) REFERENCES users(phone_number) ON DELETE CASCADE']
+        });
+
+        await schema.createTable('daily_limits', {
+            phone_number: 'string(20)',
+            date: 'date',
+            messages_sent: 'integer DEFAULT 0',
+            last_updated: 'timestamp DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP'
+        }, {
+            primaryKey: ['phone_number', 'date'],
+            foreignKeys: ['(phone_number) REFERENCES users(phone_number) ON DELETE CASCADE']
+        });
+
+        await schema.createTable('pending_messages', {
+            id: 'increments',
+            phone_number: 'string(20)',
+            message_id: 'string(255)',
+            priority: 'integer DEFAULT 1',
+            scheduled_time: 'timestamp DEFAULT CURRENT_TIMESTAMP',
+            is_manual_injection: 'boolean DEFAULT 0',
+            created_timestamp: 'timestamp DEFAULT CURRENT_TIMESTAMP',
+            status: "string(50) DEFAULT 'pending'"
+        }, {
+            indexes: {
+                idx_phone_number: ['phone_number'],
+                idx_scheduled_time: ['scheduled_time'],
+                idx_status: ['status']
+            }
+        });
+
+        await schema.createTable('immediate_queue', {
+            id: 'increments',
+            phone_number: 'string(20)',
+            first_name: 'string(100)',
+            action: 'string(100)',
+            processed: 'boolean DEFAULT 0',
+            created_at: 'timestamp DEFAULT CURRENT_TIMESTAMP',
+            form_submission_id: 'integer'
+        }, {
+            indexes: {
+                idx_processed: ['processed'],
+                idx_phone_number: ['phone_number']
+            }
+        });
+
+        await schema.createTable('system_logs', {
+            id: 'increments',
+            timestamp: 'timestamp DEFAULT CURRENT_TIMESTAMP',
+            log_type: 'string(50)',
+            message: 'text',
+            phone_number: 'string(20)',
+            additional_data: 'json'
+        }, {
+            indexes: {
+                idx_timestamp: ['timestamp'],
+                idx_log_type: ['log_type'],
+                idx_phone_number: ['phone_number']
+            }
+        });
+    },
+
+    async down(schema) {
+        // Children first so MariaDB foreign keys don't block the drops
+        for (const table of ['system_logs', 'immediate_queue', 'pending_messages', 'daily_limits', 'message_history', 'users', 'messages']) {
+            await schema.dropTable(table);
+        }
+    }
+};
@@ -0,0 +1,33 @@
+// Delivery tracking from Twilio status callbacks (/webhook/sms-status)
+module.exports = {
+    description: 'Delivery status columns on message_history and the message_status_events log',
+
+    async up(schema) {
+        await schema.addColumn('message_history', 'status_updated_at', 'timestamp');
+        await schema.addColumn('message_history', 'delivered_timestamp', 'timestamp');
+        await schema.addColumn('message_history', 'error_code', 'string(20)');
+        await schema.addColumn('message_history', 'error_message', 'string(255)');
+        await schema.addIndex('message_history', 'idx_twilio_message_id', ['twilio_message_id']);
+
+        await schema.createTable('message_status_events', {
+            id: 'increments',
+            twilio_message_id: 'string(100)',
+            message_status: 'string(50)',
+            error_code: 'string(20)',
+            event_timestamp: 'timestamp DEFAULT CURRENT_TIMESTAMP'
+        }, {
+            indexes: {
+                idx_twilio_message_id: ['twilio_message_id']
+            }
+        });
+    },
+
+    async down(schema) {
+        await schema.dropTable('message_status_events');
+        await schema.dropIndex('message_history', 'idx_twilio_message_id');
+        await schema.dropColumn('message_history', 'error_message');
+        await schema.dropColumn('message_history', 'error_code');
+        await schema.dropColumn('message_history', 'delivered_timestamp');
+        await schema.dropColumn('message_history', 'status_updated_at');
+    }
+};
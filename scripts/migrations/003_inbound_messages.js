@@ -0,0 +1,29 @@
+// Two-way conversation log - outbound message text plus every inbound SMS
+module.exports = {
+    description: 'message_body on message_history and the inbound_messages table',
+
+    async up(schema) {
+        await schema.addColumn('message_history', 'message_body', 'text');
+
+        await schema.createTable('inbound_messages', {
+            id: 'increments',
+            phone_number: 'string(20)',
+            message_body: 'text',
+            twilio_message_sid: 'string(100)',
+            classification: 'string(50)',
+            action_taken: 'string(100)',
+            received_timestamp: 'timestamp DEFAULT CURRENT_TIMESTAMP'
+        }, {
+            indexes: {
+                idx_phone_number: ['phone_number'],
+                idx_received_timestamp: ['received_timestamp'],
+                idx_classification: ['classification']
+            }
+        });
+    },
+
+    async down(schema) {
+        await schema.dropTable('inbound_messages');
+        await schema.dropColumn('message_history', 'message_body');
+    }
+};
@@ -0,0 +1,14 @@
+// Planned send instant per user - the scheduler's dispatcher only loads rows that are due
+module.exports = {
+    description: 'next_send_at on users',
+
+    async up(schema) {
+        await schema.addColumn('users', 'next_send_at', 'timestamp');
+        await schema.addIndex('users', 'idx_next_send_at', ['next_send_at']);
+    },
+
+    async down(schema) {
+        await schema.dropIndex('users', 'idx_next_send_at');
+        await schema.dropColumn('users', 'next_send_at');
+    }
+};
@@ -0,0 +1,23 @@
+// Per-program drip cadence overrides (see dripSchedule.js for the definition format)
+module.exports = {
+    description: 'drip_schedules table',
+
+    async up(schema) {
+        await schema.createTable('drip_schedules', {
+            id: 'increments',
+            protocol: 'string(100) NOT NULL',
+            user_type: 'string(50) NOT NULL',
+            definition: 'json',
+            updated_by: 'string(100)',
+            updated_at: 'timestamp DEFAULT CURRENT_TIMESTAMP'
+        }, {
+            uniqueIndexes: {
+                idx_protocol_user_type: ['protocol', 'user_type']
+            }
+        });
+    },
+
+    async down(schema) {
+        await schema.dropTable('drip_schedules');
+    }
+};
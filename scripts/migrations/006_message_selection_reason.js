@@ -0,0 +1,12 @@
+// Why the scheduler picked a message (e.g. pillar_match:Mindfulness) - see contentSelection.js
+module.exports = {
+    description: 'selection_reason on message_history',
+
+    async up(schema) {
+        await schema.addColumn('message_history', 'selection_reason', 'string(255)');
+    },
+
+    async down(schema) {
+        await schema.dropColumn('message_history', 'selection_reason');
+    }
+};
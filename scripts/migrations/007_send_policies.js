@@ -0,0 +1,40 @@
+// Per-program send policy overrides and the blackout calendar (see sendPolicy.js)
+module.exports = {
+    description: 'send_policies and send_blackouts tables',
+
+    async up(schema) {
+        await schema.createTable('send_policies', {
+            id: 'increments',
+            protocol: 'string(100) NOT NULL',
+            message_class: 'string(50) NOT NULL',
+            rules: 'json',
+            updated_by: 'string(100)',
+            updated_at: 'timestamp DEFAULT CURRENT_TIMESTAMP'
+        }, {
+            uniqueIndexes: {
+                idx_protocol_message_class: ['protocol', 'message_class']
+            }
+        });
+
+        // Dates are local YYYY-MM-DD strings, compared in each user's own timezone
+        await schema.createTable('send_blackouts', {
+            id: 'increments',
+            protocol: "string(100) DEFAULT 'ALL'",
+            name: 'string(255)',
+            start_date: 'string(10)',
+            end_date: 'string(10)',
+            message_classes: 'json',
+            created_by: 'string(100)',
+            created_at: 'timestamp DEFAULT CURRENT_TIMESTAMP'
+        }, {
+            indexes: {
+                idx_dates: ['start_date', 'end_date']
+            }
+        });
+    },
+
+    async down(schema) {
+        await schema.dropTable('send_blackouts');
+        await schema.dropTable('send_policies');
+    }
+};
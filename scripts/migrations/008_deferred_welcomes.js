@@ -0,0 +1,30 @@
+// Welcome messages the send policy held back, delivered at the user's next allowed time
+module.exports = {
+    description: 'deferred_welcomes table',
+
+    async up(schema) {
+        await schema.createTable('deferred_welcomes', {
+            id: 'increments',
+            phone_number: 'string(20) NOT NULL',
+            first_name: 'string(100)',
+            program: 'string(100)',
+            queue_entry_id: 'integer',
+            deliver_at: 'timestamp',
+            status: "string(20) DEFAULT 'pending'",
+            reason: 'string(255)',
+            attempts: 'integer DEFAULT 0',
+            last_error: 'string(255)',
+            created_at: 'timestamp DEFAULT CURRENT_TIMESTAMP',
+            delivered_at: 'timestamp'
+        }, {
+            indexes: {
+                idx_status_deliver_at: ['status', 'deliver_at'],
+                idx_phone_number: ['phone_number']
+            }
+        });
+    },
+
+    async down(schema) {
+        await schema.dropTable('deferred_welcomes');
+    }
+};
@@ -0,0 +1,37 @@
+// One row per admin injection (immediate, fixed time, or a local time in each recipient's
+// timezone); pending_messages rows point back at it
+module.exports = {
+    description: 'injections table and pending_messages.injection_id',
+
+    async up(schema) {
+        await schema.createTable('injections', {
+            id: 'increments',
+            message_id: 'string(255)',
+            protocol: 'string(100)',
+            priority: 'integer DEFAULT 1',
+            delivery_mode: "string(20) DEFAULT 'immediate'",
+            send_date: 'string(10)',
+            local_time: 'string(5)',
+            send_at: 'timestamp',
+            status: "string(20) DEFAULT 'scheduled'",
+            total_recipients: 'integer DEFAULT 0',
+            created_by: 'string(100)',
+            created_at: 'timestamp DEFAULT CURRENT_TIMESTAMP',
+            completed_at: 'timestamp'
+        }, {
+            indexes: {
+                idx_status: ['status'],
+                idx_message_id: ['message_id']
+            }
+        });
+
+        await schema.addColumn('pending_messages', 'injection_id', 'integer');
+        await schema.addIndex('pending_messages', 'idx_injection_id', ['injection_id']);
+    },
+
+    async down(schema) {
+        await schema.dropIndex('pending_messages', 'idx_injection_id');
+        await schema.dropColumn('pending_messages', 'injection_id');
+        await schema.dropTable('injections');
+    }
+};
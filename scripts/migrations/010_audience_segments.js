@@ -0,0 +1,33 @@
+// Saved audience segments (see audienceSegments.js for the definition format), plus the
+// columns segments filter on: users.tags and the answer letter on message_history
+module.exports = {
+    description: 'audience_segments table, users.tags, message_history.response, injections.segment',
+
+    async up(schema) {
+        await schema.createTable('audience_segments', {
+            id: 'increments',
+            name: 'string(100) NOT NULL',
+            description: 'text',
+            definition: 'json',
+            updated_by: 'string(100)',
+            updated_at: 'timestamp DEFAULT CURRENT_TIMESTAMP'
+        }, {
+            uniqueIndexes: {
+                idx_name: ['name']
+            }
+        });
+
+        await schema.addColumn('users', 'tags', 'text');
+        await schema.addColumn('message_history', 'response', 'string(20)');
+        await schema.addColumn('injections', 'segment_name', 'string(100)');
+        await schema.addColumn('injections', 'segment', 'json');
+    },
+
+    async down(schema) {
+        await schema.dropColumn('injections', 'segment');
+        await schema.dropColumn('injections', 'segment_name');
+        await schema.dropColumn('message_history', 'response');
+        await schema.dropColumn('users', 'tags');
+        await schema.dropTable('audience_segments');
+    }
+};
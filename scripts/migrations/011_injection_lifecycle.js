@@ -0,0 +1,24 @@
+// Injection pause/resume/cancel and the retry policy for skipped recipients (see messageInjector.js)
+module.exports = {
+    description: 'injection lifecycle timestamps, retry settings and per-recipient attempts',
+
+    async up(schema) {
+        await schema.addColumn('injections', 'paused_at', 'timestamp');
+        await schema.addColumn('injections', 'cancelled_at', 'timestamp');
+        await schema.addColumn('injections', 'retry_skipped', 'boolean DEFAULT 1');
+        await schema.addColumn('injections', 'max_attempts', 'integer DEFAULT 3');
+
+        await schema.addColumn('pending_messages', 'attempts', 'integer DEFAULT 0');
+        await schema.addColumn('pending_messages', 'last_skip_reason', 'string(255)');
+    },
+
+    async down(schema) {
+        await schema.dropColumn('pending_messages', 'last_skip_reason');
+        await schema.dropColumn('pending_messages', 'attempts');
+
+        await schema.dropColumn('injections', 'max_attempts');
+        await schema.dropColumn('injections', 'retry_skipped');
+        await schema.dropColumn('injections', 'cancelled_at');
+        await schema.dropColumn('injections', 'paused_at');
+    }
+};
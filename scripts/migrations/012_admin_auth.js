@@ -0,0 +1,62 @@
+// Dashboard accounts, login sessions and API tokens (see adminAuth.js). Passwords are scrypt
+// hashes; session and API tokens are stored as SHA-256 hashes, never in the clear.
+module.exports = {
+    description: 'admin_users, admin_sessions and api_tokens tables',
+
+    async up(schema) {
+        await schema.createTable('admin_users', {
+            id: 'increments',
+            username: 'string(100) NOT NULL',
+            password_hash: 'string(255) NOT NULL',
+            role: "string(30) DEFAULT 'viewer'",
+            active: 'boolean DEFAULT 1',
+            failed_attempts: 'integer DEFAULT 0',
+            locked_until: 'timestamp',
+            created_by: 'string(100)',
+            created_at: 'timestamp DEFAULT CURRENT_TIMESTAMP',
+            last_login_at: 'timestamp'
+        }, {
+            uniqueIndexes: {
+                idx_username: ['username']
+            }
+        });
+
+        await schema.createTable('admin_sessions', {
+            id: 'increments',
+            token_hash: 'string(64) NOT NULL',
+            user_id: 'integer NOT NULL',
+            ip: 'string(64)',
+            created_at: 'timestamp DEFAULT CURRENT_TIMESTAMP',
+            expires_at: 'timestamp',
+            last_seen_at: 'timestamp'
+        }, {
+            uniqueIndexes: {
+                idx_token_hash: ['token_hash']
+            },
+            indexes: {
+                idx_user_id: ['user_id']
+            }
+        });
+
+        await schema.createTable('api_tokens', {
+            id: 'increments',
+            name: 'string(100) NOT NULL',
+            token_hash: 'string(64) NOT NULL',
+            role: "string(30) DEFAULT 'viewer'",
+            created_by: 'string(100)',
+            created_at: 'timestamp DEFAULT CURRENT_TIMESTAMP',
+            last_used_at: 'timestamp',
+            revoked_at: 'timestamp'
+        }, {
+            uniqueIndexes: {
+                idx_token_hash: ['token_hash']
+            }
+        });
+    },
+
+    async down(schema) {
+        await schema.dropTable('api_tokens');
+        await schema.dropTable('admin_sessions');
+        await schema.dropTable('admin_users');
+    }
+};
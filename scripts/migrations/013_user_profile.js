@@ -0,0 +1,14 @@
+// Preferred names and custom attributes for message templates (see messageTemplate.js)
+module.exports = {
+    description: 'users.preferred_name and users.attributes for message templates',
+
+    async up(schema) {
+        await schema.addColumn('users', 'preferred_name', 'string(100)');
+        await schema.addColumn('users', 'attributes', 'json');
+    },
+
+    async down(schema) {
+        await schema.dropColumn('users', 'attributes');
+        await schema.dropColumn('users', 'preferred_name');
+    }
+};
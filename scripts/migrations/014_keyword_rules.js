@@ -0,0 +1,77 @@
+// Keyword rules for inbound texts and a log of every rule that fired (see keywordRouter.js).
+// The rules replace the keywords hard-coded in ResponseHandler, so they are seeded here with
+// the same responses plus common aliases.
+const DEFAULT_RULES = [
+    ['crisis', ['CRISIS'], 'exact', 10, 'crisis_response',
+        'If you\'re in crisis, please reach out immediately: 911 for emergencies, 988 for suicide prevention. You matter and help is available 24/7.'],
+    ['panic', ['PANIC', 'PANICKING', 'PANIC ATTACK'], 'contains', 20, 'panic_response',
+        'You\'re experiencing panic, but you\'re safe. Ground yourself: name 5 things you see, 4 you hear, 3 you feel, 2 you smell, 1 you taste. This will pass.'],
+    ['anxiety', ['ANXIETY', 'ANXIOUS', 'NERVOUS', 'WORRIED'], 'fuzzy', 30, 'anxiety_response',
+        'Take a deep breath. You\'re safe right now. Try the 4-7-8 technique: breathe in for 4, hold for 7, out for 8. Repeat 3 times. You\'ve got this.'],
+    ['stress', ['STRESS', 'STRESSED', 'STRESSED OUT', 'OVERWHELMED'], 'fuzzy', 40, 'stress_response',
+        'Stress is temporary. Take 5 slow, deep breaths. Focus on what you can control right now. You\'re stronger than you think.'],
+    ['breathe', ['BREATHE', 'BREATHING', 'BREATH'], 'contains', 50, 'breathe_response',
+        'Let\'s breathe together. In for 4... hold for 4... out for 4... hold for 4. Repeat this pattern. Focus only on your breath.'],
+    ['calm', ['CALM', 'CALM DOWN', 'RELAX'], 'exact', 60, 'calm_response',
+        'Finding calm in the storm. Close your eyes if you can. Take 3 deep breaths. Remember: this feeling is temporary, but your strength is permanent.'],
+    ['positive', ['POSITIVE', 'AFFIRM', 'AFFIRMATION'], 'exact', 70, 'positive_response',
+        'Love that! Hold on to this feeling - every small step counts, and you\'re doing better than you think.'],
+    ['help', ['HELP', 'SUPPORT'], 'exact', 80, 'help_response',
+        'We\'re here to support you. If this is an emergency, please call 911. For mental health support, call 988 (Suicide & Crisis Lifeline). Visit healthytext.com for more resources.']
+];
+
+module.exports = {
+    description: 'keyword_rules (seeded with the built-in crisis keywords) and keyword_matches',
+
+    async up(schema) {
+        await schema.createTable('keyword_rules', {
+            id: 'increments',
+            name: 'string(100) NOT NULL',
+            keywords: 'json',
+            match_mode: "string(20) DEFAULT 'exact'",
+            priority: 'integer DEFAULT 100',
+            response_message_id: 'string(255)',
+            fallback_text: 'text',
+            classification: "string(50) DEFAULT 'keyword'",
+            active: 'boolean DEFAULT 1',
+            updated_by: 'string(100)',
+            updated_at: 'timestamp DEFAULT CURRENT_TIMESTAMP'
+        }, {
+            uniqueIndexes: {
+                idx_name: ['name']
+            }
+        });
+
+        await schema.createTable('keyword_matches', {
+            id: 'increments',
+            phone_number: 'string(20)',
+            rule_id: 'integer',
+            rule_name: 'string(100)',
+            match_mode: 'string(20)',
+            matched_keyword: 'string(255)',
+            message_body: 'text',
+            response_message_id: 'string(255)',
+            matched_at: 'timestamp DEFAULT CURRENT_TIMESTAMP'
+        }, {
+            indexes: {
+                idx_rule_id: ['rule_id'],
+                idx_phone_number: ['phone_number'],
+                idx_matched_at: ['matched_at']
+            }
+        });
+
+        const now = new Date().toISOString();
+        for (const [name, keywords, matchMode, priority, responseMessageId, fallbackText] of DEFAULT_RULES) {
+            await schema.execute(`
+                INSERT INTO keyword_rules
+                (name, keywords, match_mode, priority, response_message_id, fallback_text, classification, active, updated_by, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, 'crisis', 1, 'migration', ?)
+            `, [name, JSON.stringify(keywords), matchMode, priority, responseMessageId, fallbackText, now]);
+        }
+    },
+
+    async down(schema) {
+        await schema.dropTable('keyword_matches');
+        await schema.dropTable('keyword_rules');
+    }
+};
@@ -0,0 +1,70 @@
+// Crisis escalation to on-call staff (see crisisEscalation.js): the editable policy, one alert per
+// user in crisis with its notification/acknowledgement history, and which keyword rules escalate.
+module.exports = {
+    description: 'escalation_policy, crisis_alerts, crisis_alert_events and keyword_rules.escalate',
+
+    async up(schema) {
+        await schema.addColumn('keyword_rules', 'escalate', 'boolean DEFAULT 0');
+        await schema.execute("UPDATE keyword_rules SET escalate = 1 WHERE name IN ('crisis', 'panic')");
+
+        await schema.createTable('escalation_policy', {
+            id: 'increments',
+            name: 'string(50) NOT NULL',
+            policy: 'json',
+            updated_by: 'string(100)',
+            updated_at: 'timestamp DEFAULT CURRENT_TIMESTAMP'
+        }, {
+            uniqueIndexes: {
+                idx_name: ['name']
+            }
+        });
+
+        await schema.createTable('crisis_alerts', {
+            id: 'increments',
+            phone_number: 'string(20) NOT NULL',
+            status: "string(20) DEFAULT 'open'",
+            source: 'string(50)',
+            trigger_detail: 'string(255)',
+            message_body: 'text',
+            trigger_count: 'integer DEFAULT 1',
+            notifications_sent: 'integer DEFAULT 0',
+            next_notify_at: 'timestamp',
+            last_notified_at: 'timestamp',
+            last_triggered_at: 'timestamp',
+            acknowledged_by: 'string(100)',
+            acknowledged_at: 'timestamp',
+            resolved_by: 'string(100)',
+            resolved_at: 'timestamp',
+            outcome: 'string(50)',
+            notes: 'text',
+            created_at: 'timestamp DEFAULT CURRENT_TIMESTAMP'
+        }, {
+            indexes: {
+                idx_phone_status: ['phone_number', 'status'],
+                idx_status_next_notify: ['status', 'next_notify_at']
+            }
+        });
+
+        await schema.createTable('crisis_alert_events', {
+            id: 'increments',
+            alert_id: 'integer NOT NULL',
+            event_type: 'string(50)',
+            channel: 'string(20)',
+            recipient: 'string(255)',
+            detail: 'text',
+            actor: 'string(100)',
+            created_at: 'timestamp DEFAULT CURRENT_TIMESTAMP'
+        }, {
+            indexes: {
+                idx_alert_id: ['alert_id']
+            }
+        });
+    },
+
+    async down(schema) {
+        await schema.dropTable('crisis_alert_events');
+        await schema.dropTable('crisis_alerts');
+        await schema.dropTable('escalation_policy');
+        await schema.dropColumn('keyword_rules', 'escalate');
+    }
+};
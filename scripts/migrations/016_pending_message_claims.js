@@ -0,0 +1,13 @@
+// When an injection row was claimed for sending, so a claim left behind by a crash can expire
+// (see MessageInjector.releaseStaleClaims)
+module.exports = {
+    description: 'claimed_at on pending_messages',
+
+    async up(schema) {
+        await schema.addColumn('pending_messages', 'claimed_at', 'timestamp');
+    },
+
+    async down(schema) {
+        await schema.dropColumn('pending_messages', 'claimed_at');
+    }
+};
@@ -0,0 +1,22 @@
+// 014 seeded the 'positive' keyword rule with the HELP text as its fallback. Give it its own
+// acknowledgement, leaving the rule alone if an admin has already edited the text.
+const HELP_TEXT = 'We\'re here to support you. If this is an emergency, please call 911. For mental health support, call 988 (Suicide & Crisis Lifeline). Visit healthytext.com for more resources.';
+const POSITIVE_TEXT = 'Love that! Hold on to this feeling - every small step counts, and you\'re doing better than you think.';
+
+module.exports = {
+    description: 'own fallback text for the seeded positive keyword rule',
+
+    async up(schema) {
+        await schema.execute(
+            "UPDATE keyword_rules SET fallback_text = ? WHERE name = 'positive' AND fallback_text = ?",
+            [POSITIVE_TEXT, HELP_TEXT]
+        );
+    },
+
+    async down(schema) {
+        await schema.execute(
+            "UPDATE keyword_rules SET fallback_text = ? WHERE name = 'positive' AND fallback_text = ?",
+            [HELP_TEXT, POSITIVE_TEXT]
+        );
+    }
+};
@@ -200,4 +200,4 @@ if (require.main === module) {
     setupProduction().catch(console.error);
 }
 
-module.exports = { setupProduction };
\ No newline at end of file
+module.exports = { setupProduction, insertSampleMessages };
\ No newline at end of file
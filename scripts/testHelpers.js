@@ -0,0 +1,48 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseManager = require('./DatabaseManager');
+
+// Shared by the root test-*.js scripts: pass/fail reporting and throwaway SQLite databases
+
+let failures = 0;
+
+// Print one result and count it when it fails
+function check(description, condition) {
+    console.log(`${condition ? '✅' : '❌'} ${description}`);
+    if (!condition) failures++;
+}
+
+// Summary line for the script ("All send policy tests passed"); sets a failing exit code
+function reportResults(subject) {
+    console.log(`\n🎯 ${failures === 0 ? `All ${subject} tests passed` : `${failures} ${subject} test(s) failed`}`);
+    if (failures > 0) process.exitCode = 1;
+}
+
+// Run fn(db) against a freshly migrated SQLite database in a temp directory, removed afterwards.
+// name only labels the directory (healthytext-<name>-XXXXXX).
+async function withTempDatabase(name, fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), `healthytext-${name}-`));
+    const db = new DatabaseManager({
+        useMariaDB: false,
+        sqlite: {
+            messagesDb: path.join(dir, 'messages.db'),
+            trackingDb: path.join(dir, 'user_tracking.db'),
+            logsDb: path.join(dir, 'system_logs.db')
+        }
+    });
+
+    try {
+        await db.initialize();
+        return await fn(db);
+    } finally {
+        await db.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    check,
+    reportResults,
+    withTempDatabase
+};
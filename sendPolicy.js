@@ -0,0 +1,315 @@
+const moment = require('moment-timezone');
+const { parseSendWindow, getUserSendWindow, describeSendWindow, isWithinSendWindow } = require('./sendWindow');
+
+// Send policy - when each class of outgoing message may go out. Every send path asks
+// SendPolicy.check() instead of hard-coding its own hours:
+//
+//   scheduled  - drip messages from the scheduler (the user's preferred window, no Sundays)
+//   injection  - manual admin injections (9 AM - 6 PM, any day)
+//   welcome    - first message after signup (8 AM - 8 PM, no Sundays)
+//
+// A rule is { window: 'HH:MM-HH:MM' | 'user', restDays: [0-6, 0 = Sunday], blackouts: true|false }.
+// Per-program overrides (send_policies) replace only the fields they set. Blackouts (send_blackouts)
+// are local date ranges - holidays, outages - for one program or 'ALL', optionally limited to
+// some message classes. Replies to a user's own text never go through here.
+
+const DEFAULT_SEND_POLICIES = {
+    scheduled: { window: 'user', restDays: [0], blackouts: true },
+    injection: { window: '09:00-18:00', restDays: [], blackouts: true },
+    welcome: { window: '08:00-20:00', restDays: [0], blackouts: true }
+};
+
+const MESSAGE_CLASSES = Object.keys(DEFAULT_SEND_POLICIES);
+const RULE_KEYS = ['window', 'restDays', 'blackouts'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// How far ahead nextAllowedAt is searched - a year covers any sane blackout
+const SEARCH_HORIZON_DAYS = 370;
+
+// How long the store trusts loaded overrides and blackouts before re-reading the database
+const CACHE_TTL_MS = 60 * 1000;
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Returns a list of problems (empty when the rule is valid). Overrides may set any subset.
+function validateSendPolicy(rules) {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        return ['Policy must be a JSON object'];
+    }
+
+    const errors = [];
+    for (const key of Object.keys(rules)) {
+        if (!RULE_KEYS.includes(key)) {
+            errors.push(`Unknown field "${key}" (expected ${RULE_KEYS.join(', ')})`);
+        }
+    }
+
+    if (rules.window !== undefined && rules.window !== 'user') {
+        const parsed = parseSendWindow(rules.window);
+        if (parsed.error) errors.push(`window: ${parsed.error}`);
+    }
+
+    if (rules.restDays !== undefined) {
+        const valid = Array.isArray(rules.restDays) &&
+            rules.restDays.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+        if (!valid) errors.push('restDays must be an array of weekday numbers (0 = Sunday ... 6 = Saturday)');
+        else if (rules.restDays.length === 7) errors.push('restDays cannot block every day of the week');
+    }
+
+    if (rules.blackouts !== undefined && typeof rules.blackouts !== 'boolean') {
+        errors.push('blackouts must be true or false');
+    }
+
+    return errors;
+}
+
+function validateBlackout(blackout) {
+    const errors = [];
+    if (!blackout || typeof blackout !== 'object') {
+        return ['Blackout must be a JSON object'];
+    }
+
+    if (!blackout.name) errors.push('name is required');
+    if (!DATE_PATTERN.test(blackout.startDate || '') || !moment(blackout.startDate, 'YYYY-MM-DD', true).isValid()) {
+        errors.push('startDate must be a YYYY-MM-DD date');
+    }
+
+    const endDate = blackout.endDate || blackout.startDate;
+    if (!DATE_PATTERN.test(endDate || '') || !moment(endDate, 'YYYY-MM-DD', true).isValid()) {
+        errors.push('endDate must be a YYYY-MM-DD date');
+    } else if (endDate < blackout.startDate) {
+        errors.push('endDate cannot be before startDate');
+    }
+
+    if (blackout.messageClasses !== undefined && blackout.messageClasses !== null &&
+        (!Array.isArray(blackout.messageClasses) || !blackout.messageClasses.every(name => MESSAGE_CLASSES.includes(name)))) {
+        errors.push(`messageClasses must be a list of ${MESSAGE_CLASSES.join(', ')}`);
+    }
+
+    return errors;
+}
+
+// The window a rule allows for this user: { start, end } minutes after local midnight
+function resolveWindow(rules, user) {
+    if (rules.window === 'user') return getUserSendWindow(user);
+    return parseSendWindow(rules.window);
+}
+
+// Why a local day is closed entirely ({ code, reason }), or null when sends are allowed that day.
+// policy = { messageClass, rules, blackouts } as returned by SendPolicy.loadPolicy().
+function getDayBlock(policy, localDay) {
+    if (policy.rules.restDays.includes(localDay.day())) {
+        return { code: 'rest_day', reason: `${WEEKDAYS[localDay.day()]} rest day` };
+    }
+
+    if (policy.rules.blackouts) {
+        const date = localDay.format('YYYY-MM-DD');
+        const blackout = policy.blackouts.find(entry => entry.start_date <= date && entry.end_date >= date);
+        if (blackout) {
+            return { code: 'blackout', reason: `Blackout: ${blackout.name}` };
+        }
+    }
+
+    return null;
+}
+
+// First instant at or after `from` the policy allows for this user, or null within the horizon
+function findNextAllowed(policy, user, from) {
+    const timezone = user.timezone || 'America/Chicago';
+    const window = resolveWindow(policy.rules, user);
+    const start = moment(from).tz(timezone);
+
+    for (let offset = 0; offset <= SEARCH_HORIZON_DAYS; offset++) {
+        const day = start.clone().startOf('day').add(offset, 'days');
+        if (getDayBlock(policy, day)) continue;
+
+        const opens = day.clone().hour(Math.floor(window.start / 60)).minute(window.start % 60);
+        const closes = day.clone().hour(Math.floor(window.end / 60)).minute(window.end % 60);
+        if (start.isBefore(opens)) return opens;
+        if (start.isBefore(closes)) return start.clone();
+    }
+
+    return null;
+}
+
+// Can this user be sent a message of the policy's class at `at`?
+// Returns { allowed: true } or { allowed: false, code, reason, nextAllowedAt (moment or null) }
+function evaluateSendPolicy(policy, user, at = moment()) {
+    const timezone = user.timezone || 'America/Chicago';
+    const localTime = moment(at).tz(timezone);
+
+    let block = getDayBlock(policy, localTime);
+    if (!block) {
+        const window = resolveWindow(policy.rules, user);
+        if (isWithinSendWindow(window, localTime)) {
+            return { allowed: true };
+        }
+        block = {
+            code: 'outside_window',
+            reason: `Outside ${policy.messageClass} hours ${describeSendWindow(window)} (${localTime.format('h:mm A')})`
+        };
+    }
+
+    return {
+        allowed: false,
+        code: block.code,
+        reason: `${block.reason} in ${timezone}`,
+        nextAllowedAt: findNextAllowed(policy, user, localTime)
+    };
+}
+
+class SendPolicy {
+    constructor(options) {
+        this.db = options.db; // Shared DatabaseManager (scripts/DatabaseManager.js)
+        this.cached = null;
+    }
+
+    // Overrides and blackouts are small - load both tables at once and keep them for a minute
+    async loadTables() {
+        if (this.cached && Date.now() - this.cached.loadedAt < CACHE_TTL_MS) {
+            return this.cached;
+        }
+
+        const overrides = await this.db.query('SELECT protocol, message_class, rules FROM send_policies');
+        const blackouts = await this.db.query(`
+            SELECT id, protocol, name, start_date, end_date, message_classes
+            FROM send_blackouts
+            ORDER BY start_date
+        `);
+
+        this.cached = {
+            overrides: overrides.map(row => ({ ...row, rules: this.parseJson(row.rules) || {} })),
+            blackouts: blackouts.map(row => ({ ...row, message_classes: this.parseJson(row.message_classes) })),
+            loadedAt: Date.now()
+        };
+        return this.cached;
+    }
+
+    parseJson(value) {
+        // MariaDB returns JSON columns already parsed, SQLite hands back the text
+        return typeof value === 'string' ? JSON.parse(value) : value;
+    }
+
+    clearCache() {
+        this.cached = null;
+    }
+
+    // Effective policy for a program: built-in class rule <- 'ALL' override <- program override,
+    // plus the blackouts that apply to it
+    async loadPolicy(protocol, messageClass) {
+        if (!DEFAULT_SEND_POLICIES[messageClass]) {
+            throw new Error(`Unknown message class "${messageClass}"`);
+        }
+
+        const { overrides, blackouts } = await this.loadTables();
+        const overrideFor = name => overrides.find(row => row.protocol === name && row.message_class === messageClass);
+        const allOverride = overrideFor('ALL');
+        const programOverride = protocol && protocol !== 'ALL' ? overrideFor(protocol) : null;
+
+        return {
+            messageClass,
+            source: programOverride ? 'protocol' : (allOverride ? 'all' : 'default'),
+            rules: { ...DEFAULT_SEND_POLICIES[messageClass], ...allOverride?.rules, ...programOverride?.rules },
+            blackouts: blackouts.filter(entry =>
+                (entry.protocol === 'ALL' || entry.protocol === protocol) &&
+                (!entry.message_classes || entry.message_classes.length === 0 || entry.message_classes.includes(messageClass)))
+        };
+    }
+
+    // The one question every send path asks (see evaluateSendPolicy for the result)
+    async check(user, messageClass, at = moment()) {
+        const policy = await this.loadPolicy(user.protocol, messageClass);
+        return evaluateSendPolicy(policy, user, at);
+    }
+
+    async listPolicies() {
+        const rows = await this.db.query(`
+            SELECT protocol, message_class, rules, updated_by, updated_at
+            FROM send_policies
+            ORDER BY protocol, message_class
+        `);
+
+        return {
+            overrides: rows.map(row => ({ ...row, rules: this.parseJson(row.rules) })),
+            defaults: DEFAULT_SEND_POLICIES
+        };
+    }
+
+    // Validate and store a program override; returns { success, errors }
+    async savePolicy(protocol, messageClass, rules, updatedBy = null) {
+        const errors = validateSendPolicy(rules);
+        if (!MESSAGE_CLASSES.includes(messageClass)) {
+            errors.unshift(`message class must be one of ${MESSAGE_CLASSES.join(', ')}`);
+        }
+        if (!protocol) {
+            errors.unshift('protocol is required');
+        }
+        if (errors.length > 0) {
+            return { success: false, errors };
+        }
+
+        await this.db.upsert('send_policies', {
+            protocol,
+            message_class: messageClass,
+            rules: JSON.stringify(rules),
+            updated_by: updatedBy,
+            updated_at: new Date().toISOString()
+        }, ['protocol', 'message_class']);
+
+        this.clearCache();
+        return { success: true, errors: [] };
+    }
+
+    async deletePolicy(protocol, messageClass) {
+        const result = await this.db.query(
+            'DELETE FROM send_policies WHERE protocol = ? AND message_class = ?',
+            [protocol, messageClass]
+        );
+        this.clearCache();
+        return result.changes > 0;
+    }
+
+    async listBlackouts() {
+        return (await this.loadTables()).blackouts;
+    }
+
+    // blackout = { name, startDate, endDate?, protocol?, messageClasses? }; returns { success, errors, id }
+    async addBlackout(blackout, createdBy = null) {
+        const errors = validateBlackout(blackout);
+        if (errors.length > 0) {
+            return { success: false, errors };
+        }
+
+        const result = await this.db.query(`
+            INSERT INTO send_blackouts (protocol, name, start_date, end_date, message_classes, created_by, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [
+            blackout.protocol || 'ALL',
+            blackout.name,
+            blackout.startDate,
+            blackout.endDate || blackout.startDate,
+            blackout.messageClasses ? JSON.stringify(blackout.messageClasses) : null,
+            createdBy,
+            new Date().toISOString()
+        ]);
+
+        this.clearCache();
+        return { success: true, errors: [], id: result.insertId };
+    }
+
+    async deleteBlackout(id) {
+        const result = await this.db.query('DELETE FROM send_blackouts WHERE id = ?', [id]);
+        this.clearCache();
+        return result.changes > 0;
+    }
+}
+
+module.exports = SendPolicy;
+module.exports.DEFAULT_SEND_POLICIES = DEFAULT_SEND_POLICIES;
+module.exports.MESSAGE_CLASSES = MESSAGE_CLASSES;
+module.exports.validateSendPolicy = validateSendPolicy;
+module.exports.validateBlackout = validateBlackout;
+module.exports.resolveWindow = resolveWindow;
+module.exports.getDayBlock = getDayBlock;
+module.exports.findNextAllowed = findNextAllowed;
+module.exports.evaluateSendPolicy = evaluateSendPolicy;
@@ -0,0 +1,137 @@
+// Per-user delivery windows (users.preferred_send_time)
+//
+// Stored canonically as 24-hour "HH:MM-HH:MM" in the user's own timezone, e.g. '14:00-17:00'.
+// Input is accepted in friendlier forms too: '2pm-5pm', '7-9PM', '7:30 to 9 pm', '19-21'.
+
+// Never text anyone outside 8 AM - 9 PM local time, whatever they ask for
+const EARLIEST_SEND_MINUTES = 8 * 60;
+const LATEST_SEND_MINUTES = 21 * 60;
+
+// The planner picks a time inside the window and the dispatcher runs every minute, so a short
+// window is enough - this just keeps room to spread sends out
+const MINIMUM_WINDOW_MINUTES = 30;
+
+// Used when a user has no window or an unusable one (the scheduler's original hours)
+const DEFAULT_SEND_WINDOW = '09:00-18:00';
+
+// "7", "7:30", "7pm", "7:30 PM", "19:00"
+const TIME_PATTERN = /^(\d{1,2})(?::(\d{2}))?\s*(am|pm|a|p)?$/i;
+
+function parseTimeOfDay(text) {
+    const match = text.trim().match(TIME_PATTERN);
+    if (!match) return null;
+
+    const hour = parseInt(match[1], 10);
+    const minute = match[2] ? parseInt(match[2], 10) : 0;
+    const meridiem = match[3] ? match[3].toLowerCase().charAt(0) : null;
+
+    if (minute > 59) return null;
+    if (meridiem ? (hour < 1 || hour > 12) : hour > 24) return null;
+
+    return { hour, minute, meridiem };
+}
+
+function toMinutes(time, meridiem) {
+    let hour = time.hour;
+    if (meridiem === 'p' && hour < 12) hour += 12;
+    if (meridiem === 'a' && hour === 12) hour = 0;
+    return hour * 60 + time.minute;
+}
+
+// Parse and validate a window. Returns { start, end } in minutes after local midnight,
+// or { error } with a reason that is safe to text back to the user.
+function parseSendWindow(value) {
+    if (!value || typeof value !== 'string') {
+        return { error: 'No time window given' };
+    }
+
+    const parts = value.trim().split(/\s*(?:-|–|—|\bto\b)\s*/i);
+    if (parts.length !== 2) {
+        return { error: `Could not read "${value}" as a time window` };
+    }
+
+    const startTime = parseTimeOfDay(parts[0]);
+    const endTime = parseTimeOfDay(parts[1]);
+    if (!startTime || !endTime) {
+        return { error: `Could not read "${value}" as a time window` };
+    }
+
+    // "7-9PM" - a single am/pm applies to both ends, unless that would put the start
+    // after the end ("11-1PM" means 11 AM to 1 PM)
+    let startMeridiem = startTime.meridiem;
+    const endMeridiem = endTime.meridiem;
+    if (!startMeridiem && endMeridiem) {
+        startMeridiem = toMinutes(startTime, endMeridiem) < toMinutes(endTime, endMeridiem)
+            ? endMeridiem
+            : (endMeridiem === 'p' ? 'a' : null);
+    }
+
+    const start = toMinutes(startTime, startMeridiem);
+    let end = toMinutes(endTime, endMeridiem);
+
+    // Bare hours like "9-5" read as 9 AM to 5 PM
+    if (!startMeridiem && !endMeridiem && end <= start && endTime.hour < 12) {
+        end += 12 * 60;
+    }
+
+    if (end <= start) {
+        return { error: 'The window must end after it starts (overnight windows are not supported)' };
+    }
+
+    if (start < EARLIEST_SEND_MINUTES || end > LATEST_SEND_MINUTES) {
+        return { error: `Messages can only be scheduled between ${formatClock(EARLIEST_SEND_MINUTES)} and ${formatClock(LATEST_SEND_MINUTES)}` };
+    }
+
+    if (end - start < MINIMUM_WINDOW_MINUTES) {
+        return { error: `The window must be at least ${MINIMUM_WINDOW_MINUTES} minutes long` };
+    }
+
+    return { start, end };
+}
+
+function pad(number) {
+    return String(number).padStart(2, '0');
+}
+
+// Canonical storage form: '19:00-21:00'
+function formatSendWindow(window) {
+    const format = minutes => `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+    return `${format(window.start)}-${format(window.end)}`;
+}
+
+// Friendly form for SMS replies: '7:00 PM - 9:00 PM'
+function formatClock(minutes) {
+    const hour = Math.floor(minutes / 60);
+    const displayHour = hour % 12 === 0 ? 12 : hour % 12;
+    return `${displayHour}:${pad(minutes % 60)} ${hour < 12 ? 'AM' : 'PM'}`;
+}
+
+function describeSendWindow(window) {
+    return `${formatClock(window.start)} - ${formatClock(window.end)}`;
+}
+
+// Resolve the window the scheduler should use for a user, falling back to the default
+// when the stored value is missing or invalid (usedDefault + error explain why)
+function getUserSendWindow(user) {
+    const parsed = parseSendWindow(user?.preferred_send_time);
+    if (!parsed.error) {
+        return { ...parsed, usedDefault: false };
+    }
+
+    return { ...parseSendWindow(DEFAULT_SEND_WINDOW), usedDefault: true, error: parsed.error };
+}
+
+// userTime is a moment already converted to the user's timezone
+function isWithinSendWindow(window, userTime) {
+    const minutes = userTime.hours() * 60 + userTime.minutes();
+    return minutes >= window.start && minutes < window.end;
+}
+
+module.exports = {
+    DEFAULT_SEND_WINDOW,
+    parseSendWindow,
+    formatSendWindow,
+    describeSendWindow,
+    getUserSendWindow,
+    isWithinSendWindow
+};
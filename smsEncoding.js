@@ -0,0 +1,142 @@
+// SMS encoding and segment counts - how many billable segments a message body becomes.
+//
+// Bodies that only use the GSM-7 alphabet fit 160 characters in one segment (153 per segment
+// once split); a single character outside it (an emoji, curly quotes, most accents) switches
+// the whole message to UCS-2: 70 in one segment, 67 per segment once split. Extension
+// characters (^ { } [ ] ~ | € \) count twice in GSM-7, and emoji count twice in UCS-2.
+//
+// Limits come from the environment:
+//   SMS_SEGMENT_WARN  warn above this many segments (default 2)
+//   SMS_SEGMENT_MAX   refuse to save or inject above this many (default 3 - carriers often
+//                     drop 4+ segment messages)
+//   SMS_SEGMENT_COST  price per segment for estimates (default 0.0079, Twilio US)
+
+const { renderTemplate, sampleContext } = require('./messageTemplate');
+
+const GSM_BASIC = new Set(Array.from(
+    '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+    '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+));
+const GSM_EXTENDED = new Set(Array.from('\f^{}\\[]~|€'));
+
+const LIMITS = {
+    'GSM-7': { single: 160, multipart: 153 },
+    'UCS-2': { single: 70, multipart: 67 }
+};
+
+// Room left for each placeholder ({name}, {program}, ...) when analyzing a template - most
+// first names fit
+const NAME_ALLOWANCE = 12;
+
+const DEFAULT_WARN_SEGMENTS = 2;
+const DEFAULT_MAX_SEGMENTS = 3;
+const DEFAULT_COST_PER_SEGMENT = 0.0079;
+
+function positiveNumber(value, fallback) {
+    const number = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+function segmentLimits() {
+    return {
+        warnSegments: Math.floor(positiveNumber(process.env.SMS_SEGMENT_WARN, DEFAULT_WARN_SEGMENTS)),
+        maxSegments: Math.floor(positiveNumber(process.env.SMS_SEGMENT_MAX, DEFAULT_MAX_SEGMENTS)),
+        costPerSegment: positiveNumber(process.env.SMS_SEGMENT_COST, DEFAULT_COST_PER_SEGMENT)
+    };
+}
+
+// { encoding, characters, units, segments, perSegment, nonGsmCharacters }
+// units are septets (GSM-7) or UTF-16 code units (UCS-2). A character that takes two units is
+// never split across segments, so long messages can need one more segment than units / 153.
+function analyzeMessage(text) {
+    const characters = Array.from(text || '');
+    const nonGsmCharacters = [...new Set(characters.filter(char => !GSM_BASIC.has(char) && !GSM_EXTENDED.has(char)))];
+    const encoding = nonGsmCharacters.length > 0 ? 'UCS-2' : 'GSM-7';
+    const sizes = characters.map(char => (encoding === 'GSM-7' ? (GSM_EXTENDED.has(char) ? 2 : 1) : char.length));
+    const units = sizes.reduce((sum, size) => sum + size, 0);
+    const limits = LIMITS[encoding];
+
+    let segments = units > 0 ? 1 : 0;
+    if (units > limits.single) {
+        let used = 0;
+        for (const size of sizes) {
+            if (used + size > limits.multipart) {
+                segments++;
+                used = 0;
+            }
+            used += size;
+        }
+    }
+
+    return {
+        encoding,
+        characters: characters.length,
+        units,
+        segments,
+        perSegment: segments > 1 ? limits.multipart : limits.single,
+        nonGsmCharacters
+    };
+}
+
+// A library or injection template, with room for the recipient's name and other variables
+function analyzeTemplate(text) {
+    return analyzeMessage(renderTemplate(text, sampleContext(text, NAME_ALLOWANCE)));
+}
+
+// Adds level ('ok' | 'warn' | 'block') and a readable warning to an analysis
+function checkSegments(analysis, limits = segmentLimits()) {
+    const level = analysis.segments > limits.maxSegments ? 'block'
+        : analysis.segments > limits.warnSegments ? 'warn' : 'ok';
+    if (level === 'ok') {
+        return { ...analysis, level, warning: null };
+    }
+
+    const because = analysis.encoding === 'UCS-2'
+        ? ` (UCS-2 because of ${analysis.nonGsmCharacters.slice(0, 5).map(char => JSON.stringify(char)).join(' ')})`
+        : '';
+    const limit = level === 'block' ? `the limit is ${limits.maxSegments}` : `more than ${limits.warnSegments}`;
+    return { ...analysis, level, warning: `Message is ${analysis.segments} SMS segments${because} - ${limit}` };
+}
+
+// Errors for a template that is over the block limit (empty when it can be sent)
+function validateSegments(text, limits = segmentLimits()) {
+    const checked = checkSegments(analyzeTemplate(text), limits);
+    return checked.level === 'block' ? [checked.warning] : [];
+}
+
+function estimateCost(segments, limits = segmentLimits()) {
+    return Math.round(segments * limits.costPerSegment * 10000) / 10000;
+}
+
+// Segment totals for one text sent to many recipients - personalize(recipient) returns each body.
+// level / warning describe the longest recipient's copy.
+function estimateSend(recipients, personalize, limits = segmentLimits()) {
+    const perMessage = recipients.map(recipient => analyzeMessage(personalize(recipient)));
+    const segmentCounts = perMessage.map(analysis => analysis.segments);
+    const totalSegments = segmentCounts.reduce((sum, segments) => sum + segments, 0);
+    const worst = perMessage.reduce((longest, analysis) => (!longest || analysis.segments > longest.segments ? analysis : longest), null);
+    const checked = worst ? checkSegments(worst, limits) : { level: 'ok', warning: null };
+
+    return {
+        recipients: recipients.length,
+        encodings: [...new Set(perMessage.map(analysis => analysis.encoding))],
+        minSegments: segmentCounts.reduce((min, segments) => Math.min(min, segments), segmentCounts[0] || 0),
+        maxSegments: worst ? worst.segments : 0,
+        totalSegments,
+        costPerSegment: limits.costPerSegment,
+        estimatedCost: estimateCost(totalSegments, limits),
+        level: checked.level,
+        warning: checked.warning
+    };
+}
+
+module.exports = {
+    analyzeMessage,
+    analyzeTemplate,
+    checkSegments,
+    validateSegments,
+    estimateCost,
+    estimateSend,
+    segmentLimits,
+    NAME_ALLOWANCE
+};
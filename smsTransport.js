@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+
+// All transports expose the same shape:
+//   name                 - identifier used in logs
+//   send(outgoing)       - outgoing = { to, body, mediaUrls, statusCallback }
+//                          resolves to { sid, status } or throws on failure
+
+// Real delivery through the Twilio API
+class TwilioTransport {
+    constructor(options = {}) {
+        const twilio = require('twilio');
+
+        this.name = 'twilio';
+        this.messagingServiceSid = options.messagingServiceSid;
+        this.fromNumber = options.fromNumber;
+        this.client = twilio(options.accountSid, options.authToken);
+    }
+
+    async send(outgoing) {
+        const messageData = {
+            body: outgoing.body,
+            to: outgoing.to
+        };
+
+        // Prefer the messaging service (handles number pooling), fall back to a single sender
+        if (this.messagingServiceSid) {
+            messageData.messagingServiceSid = this.messagingServiceSid;
+        } else {
+            messageData.from = this.fromNumber;
+        }
+
+        if (outgoing.statusCallback) {
+            messageData.statusCallback = outgoing.statusCallback;
+        }
+
+        if (outgoing.mediaUrls && outgoing.mediaUrls.length > 0) {
+            messageData.mediaUrl = outgoing.mediaUrls;
+        }
+
+        const message = await this.client.messages.create(messageData);
+        return { sid: message.sid, status: message.status || 'queued' };
+    }
+}
+
+// Local fake - keeps every message in memory (and optionally a JSONL file) instead of sending it
+class OutboxTransport {
+    constructor(options = {}) {
+        this.name = 'outbox';
+        this.filePath = options.filePath || null;
+        this.deliveryStatus = options.deliveryStatus || 'delivered';
+        this.messages = [];
+        this.counter = 0;
+
+        if (this.filePath) {
+            const dir = path.dirname(this.filePath);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+        }
+    }
+
+    async send(outgoing) {
+        this.counter++;
+
+        const record = {
+            sid: `outbox_${Date.now()}_${this.counter}`,
+            to: outgoing.to,
+            body: outgoing.body,
+            mediaUrls: outgoing.mediaUrls || [],
+            status: this.deliveryStatus,
+            sentAt: new Date().toISOString()
+        };
+
+        this.messages.push(record);
+
+        if (this.filePath) {
+            fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+        }
+
+        console.log(`📥 [OUTBOX] ${record.to}: ${record.body.substring(0, 50)}...`);
+        return { sid: record.sid, status: record.status };
+    }
+
+    // Messages captured so far, optionally only those sent to one phone number
+    getMessages(phoneNumber = null) {
+        if (!phoneNumber) return [...this.messages];
+        return this.messages.filter(message => message.to === phoneNumber);
+    }
+
+    getLastMessage(phoneNumber = null) {
+        const messages = this.getMessages(phoneNumber);
+        return messages[messages.length - 1] || null;
+    }
+
+    clear() {
+        this.messages = [];
+        if (this.filePath && fs.existsSync(this.filePath)) {
+            fs.writeFileSync(this.filePath, '');
+        }
+    }
+}
+
+// Generic HTTP provider - POSTs JSON to an SMS gateway and reads back { sid | id, status }
+class HttpTransport {
+    constructor(options = {}) {
+        if (!options.url) {
+            throw new Error('HTTP transport requires a url (SMS_HTTP_URL)');
+        }
+
+        this.name = 'http';
+        this.url = new URL(options.url);
+        this.apiKey = options.apiKey || null;
+        this.fromNumber = options.fromNumber || null;
+        this.timeoutMs = options.timeoutMs || 15000;
+    }
+
+    async send(outgoing) {
+        const payload = JSON.stringify({
+            to: outgoing.to,
+            from: this.fromNumber,
+            body: outgoing.body,
+            mediaUrls: outgoing.mediaUrls || [],
+            statusCallback: outgoing.statusCallback || null
+        });
+
+        const response = await this.post(payload);
+
+        if (response.statusCode < 200 || response.statusCode >= 300) {
+            throw new Error(`SMS provider returned HTTP ${response.statusCode}: ${response.body.substring(0, 200)}`);
+        }
+
+        let data = {};
+        try {
+            data = response.body ? JSON.parse(response.body) : {};
+        } catch (error) {
+            throw new Error(`SMS provider returned invalid JSON: ${error.message}`);
+        }
+
+        return {
+            sid: data.sid || data.id || data.messageId || `http_${Date.now()}`,
+            status: data.status || 'sent'
+        };
+    }
+
+    post(payload) {
+        return new Promise((resolve, reject) => {
+            const client = this.url.protocol === 'https:' ? https : http;
+            const headers = {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(payload)
+            };
+
+            if (this.apiKey) {
+                headers.Authorization = `Bearer ${this.apiKey}`;
+            }
+
+            const request = client.request(this.url, { method: 'POST', headers }, (response) => {
+                let body = '';
+                response.setEncoding('utf8');
+                response.on('data', chunk => body += chunk);
+                response.on('end', () => resolve({ statusCode: response.statusCode, body }));
+            });
+
+            request.setTimeout(this.timeoutMs, () => {
+                request.destroy(new Error(`SMS provider timed out after ${this.timeoutMs}ms`));
+            });
+            request.on('error', reject);
+            request.write(payload);
+            request.end();
+        });
+    }
+}
+
+// Build the transport named in config (or SMS_TRANSPORT); development defaults to the outbox
+function createTransport(config = {}) {
+    const type = (config.type || process.env.SMS_TRANSPORT ||
+        (process.env.NODE_ENV === 'development' ? 'outbox' : 'twilio')).toLowerCase();
+
+    switch (type) {
+        case 'twilio':
+            return new TwilioTransport({
+                accountSid: config.accountSid || process.env.TWILIO_ACCOUNT_SID,
+                authToken: config.authToken || process.env.TWILIO_AUTH_TOKEN,
+                messagingServiceSid: config.messagingServiceSid || process.env.TWILIO_MESSAGING_SERVICE_SID,
+                fromNumber: config.fromNumber || process.env.TWILIO_PHONE_NUMBER
+            });
+
+        case 'outbox':
+            return new OutboxTransport({
+                filePath: config.filePath || process.env.SMS_OUTBOX_FILE,
+                deliveryStatus: config.deliveryStatus
+            });
+
+        case 'http':
+            return new HttpTransport({
+                url: config.url || process.env.SMS_HTTP_URL,
+                apiKey: config.apiKey || process.env.SMS_HTTP_API_KEY,
+                fromNumber: config.fromNumber || process.env.TWILIO_PHONE_NUMBER,
+                timeoutMs: config.timeoutMs
+            });
+
+        default:
+            throw new Error(`Unknown SMS transport "${type}" (expected twilio, outbox or http)`);
+    }
+}
+
+module.exports = {
+    createTransport,
+    TwilioTransport,
+    OutboxTransport,
+    HttpTransport
+};
@@ -0,0 +1,155 @@
+const express = require('express');
+const AdminAuth = require('./adminAuth');
+const { check, reportResults, withTempDatabase } = require('./scripts/testHelpers');
+const { requiredRole, hasRole, hashPassword, verifyPassword } = AdminAuth;
+
+// Dashboard logins, API tokens and route roles against a throwaway SQLite database and a
+// local express app using the same middleware as app.js
+
+const PASSWORD = 'correct horse battery';
+
+async function withAuth(fn) {
+    await withTempDatabase('auth', async (db) => {
+        const logFunction = async (type, message, phoneNumber = null, additionalData = null) => {
+            await db.query(
+                'INSERT INTO system_logs (timestamp, log_type, message, phone_number, additional_data) VALUES (?, ?, ?, ?, ?)',
+                [new Date().toISOString(), type, message, phoneNumber, additionalData ? JSON.stringify(additionalData) : null]
+            );
+        };
+        const auth = new AdminAuth({ db, logFunction });
+
+        const app = express();
+        app.use(express.json());
+        app.use(auth.middleware());
+        app.get('/admin/injections', (req, res) => res.json({ user: req.adminUser }));
+        app.post('/scheduler/stop', (req, res) => res.json({ success: true }));
+        app.post('/admin/accounts', (req, res) => res.json({ success: true }));
+        app.get('/status', (req, res) => res.json({ status: 'running' }));
+
+        const server = await new Promise(resolve => {
+            const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+        });
+        try {
+            await fn(db, auth, `http://127.0.0.1:${server.address().port}`);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+}
+
+async function countLogs(db, pattern) {
+    const rows = await db.query("SELECT COUNT(*) as count FROM system_logs WHERE log_type = 'warning' AND message LIKE ?", [pattern]);
+    return rows[0].count;
+}
+
+function testRules() {
+    console.log('🧭 Test 1: Route Roles');
+    console.log('=====================');
+
+    check('health check and webhooks are public',
+        requiredRole('GET', '/status') === null && requiredRole('POST', '/webhook/sms') === null && requiredRole('POST', '/auth/login') === null);
+    check('the dashboard page needs a viewer', requiredRole('GET', '/admin') === 'viewer' && requiredRole('GET', '/admin.html') === 'viewer');
+    check('reports are viewer, previews too',
+        requiredRole('GET', '/admin/injections') === 'viewer' && requiredRole('POST', '/admin/segments/preview') === 'viewer');
+    check('drip schedule edits need a content editor', requiredRole('PUT', '/admin/drip-schedules/Elevate/trial') === 'content_editor');
+    check('sending and scheduler control need an operator',
+        requiredRole('POST', '/admin/inject-message') === 'operator' && requiredRole('POST', '/scheduler/stop') === 'operator' &&
+        requiredRole('POST', '/test/send-message') === 'operator' && requiredRole('POST', '/admin/start-immediate-queue') === 'operator');
+    check('accounts and tokens need an admin', requiredRole('GET', '/admin/accounts') === 'admin' && requiredRole('POST', '/admin/api-tokens') === 'admin');
+    check('paths are matched regardless of case, as Express routes them',
+        requiredRole('POST', '/ADMIN/accounts') === 'admin' && requiredRole('POST', '/Admin/Accounts') === 'admin' &&
+        requiredRole('POST', '/TEST/send-message') === 'operator' && requiredRole('post', '/Scheduler/stop') === 'operator');
+    check('encoded and dotted paths are matched as express.static resolves them',
+        requiredRole('GET', '/admin%2ehtml') === 'viewer' && requiredRole('GET', '/ADMIN%2EHTML') === 'viewer' &&
+        requiredRole('GET', '/public/../admin.html') === 'viewer' && requiredRole('GET', '//admin.html') === 'viewer' &&
+        requiredRole('POST', '/admin/%61ccounts') === 'admin' && requiredRole('GET', '/admin%') === 'admin');
+    check('unlisted writes under /admin default to admin', requiredRole('POST', '/admin/something-new') === 'admin');
+    check('roles are ranked', hasRole('admin', 'operator') && hasRole('operator', 'viewer') && !hasRole('content_editor', 'operator'));
+
+    const hash = hashPassword(PASSWORD);
+    check('passwords are stored hashed', !hash.includes(PASSWORD) && verifyPassword(PASSWORD, hash) && !verifyPassword('wrong password', hash));
+}
+
+async function testLogins() {
+    console.log('\n🔐 Test 2: Dashboard Logins');
+    console.log('==========================');
+
+    await withAuth(async (db, auth, baseUrl) => {
+        check('a short password is rejected', !(await auth.createAccount({ username: 'ops', password: 'short', role: 'operator' })).success);
+        await auth.ensureBootstrapAdmin('owner', PASSWORD);
+        await auth.createAccount({ username: 'viewer1', password: PASSWORD, role: 'viewer' }, 'owner');
+
+        const bad = await auth.login('viewer1', 'not the password', { ip: '203.0.113.9' });
+        const unknown = await auth.login('nobody', PASSWORD);
+        check('wrong password and unknown user fail the same way', !bad.success && bad.error === unknown.error);
+        check('failed logins are written to system_logs', await countLogs(db, 'Failed dashboard login%') === 2);
+
+        const login = await auth.login('viewer1', PASSWORD);
+        check('a correct password opens a session', login.success && login.user.role === 'viewer' && !!login.token);
+
+        const cookie = auth.sessionCookie(login.token, login.expiresAt).split(';')[0];
+        let response = await fetch(`${baseUrl}/admin/injections`, { headers: { Cookie: cookie, Accept: 'application/json' } });
+        check('the session cookie authenticates requests', response.status === 200 && (await response.json()).user.username === 'viewer1');
+
+        response = await fetch(`${baseUrl}/scheduler/stop`, { method: 'POST', headers: { Cookie: cookie } });
+        check('a viewer cannot stop the scheduler', response.status === 403);
+        check('the refusal is logged', await countLogs(db, 'Forbidden POST /scheduler/stop%') === 1);
+
+        response = await fetch(`${baseUrl}/admin/injections`, { headers: { Accept: 'application/json' } });
+        check('no credentials is a 401 for API calls', response.status === 401);
+        response = await fetch(`${baseUrl}/ADMIN/Accounts`, { method: 'POST', headers: { Accept: 'application/json' } });
+        check('changing the case of the path does not skip authentication', response.status === 401);
+        response = await fetch(`${baseUrl}/admin/injections`, { headers: { Accept: 'text/html' }, redirect: 'manual' });
+        check('browsers are sent to the login page', response.status === 302 && response.headers.get('location').startsWith('/login.html'));
+        response = await fetch(`${baseUrl}/status`);
+        check('public routes need nothing', response.status === 200);
+
+        await auth.logout(login.token);
+        response = await fetch(`${baseUrl}/admin/injections`, { headers: { Cookie: cookie, Accept: 'application/json' } });
+        check('a logged-out session is rejected and logged',
+            response.status === 401 && await countLogs(db, 'Rejected GET /admin/injections: Session expired%') === 1);
+
+        for (let attempt = 0; attempt < 5; attempt++) {
+            await auth.login('viewer1', 'still not the password');
+        }
+        const locked = await auth.login('viewer1', PASSWORD);
+        check('five failures lock the account, even for the right password', !locked.success && locked.error.includes('Too many'));
+
+        const demote = await auth.updateAccount('owner', { role: 'viewer' });
+        check('the last admin cannot be demoted', !demote.success);
+    });
+}
+
+async function testApiTokens() {
+    console.log('\n🔑 Test 3: API Tokens');
+    console.log('====================');
+
+    await withAuth(async (db, auth, baseUrl) => {
+        const created = await auth.createApiToken('deploy script', 'operator', 'owner');
+        const [stored] = await auth.listApiTokens();
+        check('tokens are shown once and stored hashed', created.success && created.token.startsWith('htk_') && !('token_hash' in stored));
+
+        let response = await fetch(`${baseUrl}/scheduler/stop`, { method: 'POST', headers: { Authorization: `Bearer ${created.token}` } });
+        check('an operator token can stop the scheduler', response.status === 200);
+
+        await auth.revokeApiToken(created.id);
+        response = await fetch(`${baseUrl}/scheduler/stop`, { method: 'POST', headers: { Authorization: `Bearer ${created.token}` } });
+        check('a revoked token is rejected', response.status === 401);
+        check('bad tokens are logged', await countLogs(db, '%Invalid or revoked API token%') === 1);
+    });
+}
+
+async function runTests() {
+    console.log('🧪 Testing Admin Authentication\n');
+
+    testRules();
+    await testLogins();
+    await testApiTokens();
+
+    reportResults('authentication');
+}
+
+runTests().catch(error => {
+    console.error('❌ Authentication test crashed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,158 @@
+const ResponseHandler = require('./responseHandler');
+const MessageInjector = require('./messageInjector');
+const SegmentStore = require('./audienceSegments');
+const { check, reportResults, withTempDatabase } = require('./scripts/testHelpers');
+const { validateSegment } = SegmentStore;
+
+// Audience segment definitions, saved segments and segment-targeted injections against a
+// throwaway SQLite database
+
+// phone, name, user_type, status, timezone, joined, position, pillars enabled, tags
+const USERS = [
+    ['+14155550101', 'Ana', 'trial', 'trial', 'America/Los_Angeles', '2025-03-02', 3, [1, 2], 'vip'],
+    ['+14155550102', 'Ben', 'trial', 'trial', 'America/Los_Angeles', '2025-03-10', 5, [3], null],
+    ['+13125550103', 'Cal', 'trial', 'trial', 'America/Chicago', '2025-03-04', 4, [1], 'vip|beta'],
+    ['+12125550104', 'Dee', 'subscriber', 'active', 'America/New_York', '2025-01-15', 20, [1, 3], 'beta'],
+    ['+12125550105', 'Eve', 'subscriber', 'stopped', 'America/Los_Angeles', '2025-01-20', 12, [1], 'vip']
+];
+
+async function withDatabase(fn) {
+    await withTempDatabase('segments', async (db) => {
+        for (const [phone, name, userType, status, timezone, joined, position, pillars, tags] of USERS) {
+            const preferences = {};
+            for (let pillar = 1; pillar <= 5; pillar++) {
+                preferences[`pillar${pillar}_enabled`] = pillars.includes(pillar);
+            }
+
+            await db.query(`
+                INSERT INTO users (phone_number, first_name, protocol, user_type, subscription_status, timezone,
+                    date_joined, current_sequence_position, user_preferences, tags)
+                VALUES (?, ?, 'Elevate', ?, ?, ?, ?, ?, ?, ?)
+            `, [phone, name, userType, status, timezone, `${joined}T15:00:00.000Z`, position, JSON.stringify(preferences), tags]);
+        }
+
+        // Everyone received message 2; Ana answered C through the real response path, Cal answered A
+        for (const [phone] of USERS) {
+            await db.query(
+                "INSERT INTO message_history (phone_number, message_id, message_type, protocol) VALUES (?, '2', 'interactive', 'Elevate')",
+                [phone]
+            );
+        }
+        const responseHandler = new ResponseHandler({ db, sendMessageFunction: async () => ({ success: true }), logFunction: () => {} });
+        await responseHandler.recordInteractiveResponse('+14155550101', '2', 'c');
+        await responseHandler.recordInteractiveResponse('+13125550103', '2', 'A');
+
+        await fn(db, new SegmentStore({ db }));
+    });
+}
+
+function phones(users) {
+    return users.map(user => user.first_name).join(',');
+}
+
+function testValidation() {
+    console.log('🚫 Test 1: Definition Validation');
+    console.log('===============================');
+
+    check('an empty definition (everyone active) is valid', validateSegment({}).length === 0);
+    check('accepts the documented example',
+        validateSegment({ userType: 'trial', timezone: 'Pacific', responses: [{ messageId: '2', response: 'C' }] }).length === 0);
+    check('rejects unknown fields', validateSegment({ plan: 'gold' }).length > 0);
+    check('rejects an unknown timezone', validateSegment({ timezone: 'Atlantis' }).length > 0);
+    check('rejects a backwards date range', validateSegment({ dateJoined: { from: '2025-03-10', to: '2025-03-01' } }).length > 0);
+    check('rejects an unknown pillar', validateSegment({ pillars: { enabled: [9] } }).length > 0);
+    check('rejects targeting stopped users', validateSegment({ subscriptionStatus: 'stopped' }).length > 0);
+    check('rejects a response without a message id', validateSegment({ responses: [{ response: 'C' }] }).length > 0);
+}
+
+async function testFilters() {
+    console.log('\n🎯 Test 2: Filters Against The Database');
+    console.log('======================================');
+
+    await withDatabase(async (db, segments) => {
+        check('an empty definition returns every active user, never stopped ones',
+            phones(await segments.findUsers({})) === 'Dee,Ana,Cal,Ben');
+        check('trial users in Pacific who answered C to message 2',
+            phones(await segments.findUsers({ userType: 'trial', timezone: 'Pacific', responses: [{ messageId: '2', response: 'C' }] })) === 'Ana');
+        check('a response filter without a letter matches any answer',
+            phones(await segments.findUsers({ responses: [{ messageId: '2' }] })) === 'Ana,Cal');
+        check('dateJoined is inclusive of both ends',
+            phones(await segments.findUsers({ dateJoined: { from: '2025-03-02', to: '2025-03-04' } })) === 'Ana,Cal');
+        check('sequencePosition filters by range',
+            phones(await segments.findUsers({ sequencePosition: { min: 4, max: 10 } })) === 'Cal,Ben');
+        check('pillars match any by default',
+            phones(await segments.findUsers({ pillars: { enabled: [2, 3] } })) === 'Dee,Ana,Ben');
+        check('pillars can require all of them',
+            phones(await segments.findUsers({ pillars: { enabled: [1, 3], match: 'all' } })) === 'Dee');
+        check('tags must all be present',
+            phones(await segments.findUsers({ tags: ['VIP', 'beta'] })) === 'Cal');
+
+        const tagged = await segments.setUserTags('+14155550102', ['beta', 'Beta', 'vip']);
+        check('setUserTags stores de-duplicated lowercase tags', tagged.success && tagged.tags.join(',') === 'beta,vip');
+        check('setUserTags reports unknown users', !(await segments.setUserTags('+19995550100', ['vip'])).success);
+
+        const preview = await segments.previewSegment({ userType: 'trial' }, { sampleSize: 2 });
+        check('preview counts and breaks down by timezone',
+            preview.total === 3 && preview.byTimezone['America/Los_Angeles'] === 2 && preview.byTimezone['America/Chicago'] === 1);
+        check('preview sample is limited to sampleSize', preview.sample.length === 2);
+    });
+}
+
+async function testSavedSegmentInjection() {
+    console.log('\n💾 Test 3: Saved Segment Drives An Injection');
+    console.log('===========================================');
+
+    await withDatabase(async (db, segments) => {
+        const bad = await segments.saveSegment('bad', { timezone: 'Atlantis' });
+        check('invalid segments are not saved', !bad.success && bad.errors.length > 0);
+
+        await segments.saveSegment('vip-trials', { userType: 'trial', tags: ['vip'] }, 'Trial users tagged vip', 'test');
+        await segments.saveSegment('vip-trials', { userType: 'trial', tags: ['vip'], timezone: 'Pacific' }, 'Pacific only', 'test');
+        const saved = await segments.listSegments();
+        check('saving by name updates the existing segment',
+            saved.length === 1 && saved[0].definition.timezone === 'Pacific' && saved[0].description === 'Pacific only');
+
+        const sent = [];
+        const injector = new MessageInjector({
+            db,
+            segments,
+            sendPolicy: { check: async () => ({ allowed: true }) },
+            sendMessageFunction: async (phoneNumber) => {
+                sent.push(phoneNumber);
+                return { success: true };
+            },
+            logFunction: () => {}
+        });
+        injector.delay = async () => {};
+
+        const result = await injector.injectMessage({ message: 'Hi {name}', messageId: 'seg_test', segmentName: 'vip-trials' });
+        check('only the segment receives the injection', result.usersFound === 1 && sent.join(',') === '+14155550101');
+
+        const [injection] = await injector.listInjections();
+        check('the injection records which segment it targeted',
+            injection.segment_name === 'vip-trials' && injection.segment.tags[0] === 'vip');
+
+        let error = null;
+        try {
+            await injector.injectMessage({ message: 'Hi', messageId: 'seg_missing', segmentName: 'nope' });
+        } catch (caught) {
+            error = caught;
+        }
+        check('an unknown saved segment is rejected', error && error.message.includes('Unknown segment'));
+    });
+}
+
+async function runTests() {
+    console.log('🧪 Testing Audience Segments\n');
+
+    testValidation();
+    await testFilters();
+    await testSavedSegmentInjection();
+
+    reportResults('segment');
+}
+
+runTests().catch(error => {
+    console.error('❌ Segment test crashed:', error);
+    process.exitCode = 1;
+});
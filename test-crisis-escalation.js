@@ -0,0 +1,142 @@
+const CrisisEscalation = require('./crisisEscalation');
+const ResponseHandler = require('./responseHandler');
+const { OutboxEmailTransport } = require('./emailTransport');
+const { OutboxTransport } = require('./smsTransport');
+const { validateEscalationPolicy } = CrisisEscalation;
+const { requiredRole } = require('./adminAuth');
+const { check, reportResults, withTempDatabase } = require('./scripts/testHelpers');
+
+// Crisis alerts to on-call staff: notification, dedupe, repeats, acknowledgement and outcomes
+// against a throwaway SQLite database
+
+const USER = '+16025550101';
+const ON_CALL = '+16025550199';
+
+function testPolicyValidation() {
+    console.log('📋 Test 1: Policy Validation');
+    console.log('===========================');
+
+    check('a complete policy is valid', validateEscalationPolicy({
+        contacts: [{ name: 'Dana', phone: ON_CALL, email: 'dana@example.com' }], repeatMinutes: 5, channels: ['sms']
+    }).length === 0);
+    check('contacts need a valid phone or email', validateEscalationPolicy({
+        contacts: [{ name: 'Nobody' }, { name: 'Bad', phone: '555-0199', email: 'not-an-email' }]
+    }).length === 3);
+    check('unknown fields, channels and bad timings are refused',
+        validateEscalationPolicy({ pager: true, channels: ['fax'], repeatMinutes: 0 }).length === 3);
+}
+
+async function testEscalation() {
+    console.log('\n🚨 Test 2: Alerts, Repeats and Acknowledgement');
+    console.log('=============================================');
+
+    await withTempDatabase('escalation', async (db) => {
+        await db.query("INSERT INTO users (phone_number, first_name, protocol) VALUES (?, 'Sam', 'Elevate')", [USER]);
+        await db.query(
+            "INSERT INTO message_history (phone_number, message_id, message_body, sent_timestamp) VALUES (?, 'E3', 'How are you feeling today?', '2025-03-12T16:00:00.000Z')",
+            [USER]
+        );
+
+        // Replies to users, like app.js sendMessage: the SMS goes out, then the message_history insert
+        // fails for anyone who isn't a user (a foreign key on MariaDB)
+        const sent = [];
+        const sendMessageFunction = async (phone, text, messageId) => {
+            sent.push({ phone, text, messageId });
+            const users = await db.query('SELECT phone_number FROM users WHERE phone_number = ?', [phone]);
+            if (users.length === 0) {
+                return { success: false, error: 'Cannot add or update a child row: a foreign key constraint fails' };
+            }
+            return { success: true };
+        };
+        const staffTexts = new OutboxTransport();
+        const staffSms = () => staffTexts.getMessages(ON_CALL);
+        const emails = new OutboxEmailTransport();
+        const escalation = new CrisisEscalation({ db, smsTransport: staffTexts, logFunction: () => {}, emailTransport: emails });
+        const handler = new ResponseHandler({ db, escalation, sendMessageFunction, logFunction: () => {} });
+
+        const saved = await escalation.savePolicy({
+            contacts: [{ name: 'Dana', phone: ON_CALL, email: 'dana@example.com' }],
+            repeatMinutes: 10,
+            maxNotifications: 2
+        }, 'tester');
+        check('the policy is saved over the defaults', saved.success && saved.policy.channels.join(',') === 'sms,email');
+
+        const calm = await handler.processIncomingMessage(USER, 'calm');
+        check('support keywords reply without alerting staff', calm.alertId === undefined && sent.length === 1);
+
+        const crisis = await handler.processIncomingMessage(USER, 'CRISIS');
+        const [alertSms] = staffSms();
+        check('CRISIS replies to the user and alerts on-call staff by SMS and email',
+            crisis.alertId === 1 && sent.some(message => message.phone === USER && message.messageId === 'crisis_crisis') &&
+            staffSms().length === 1 && emails.getEmails('dana@example.com').length === 1);
+        check('the staff SMS includes the recent conversation and how to acknowledge',
+            alertSms.body.includes('Sam (+16025550101)') && alertSms.body.includes('Latest: "CRISIS"') && alertSms.body.includes('User: calm') && alertSms.body.includes('ACK 1'));
+        check('staff texts skip message_history, which only takes users',
+            !sent.some(message => message.phone === ON_CALL) &&
+            !(await escalation.getAlertDetail(1)).events.some(event => event.event_type === 'notify_failed'));
+        check('the email carries the longer conversation', emails.getEmails()[0].text.includes('SENT  How are you feeling today?'));
+
+        const panic = await handler.processIncomingMessage(USER, 'panic attack');
+        const [alert] = await escalation.listAlerts();
+        check('further crisis texts join the open alert instead of paging again',
+            panic.alertId === 1 && alert.trigger_count === 2 && staffSms().length === 1);
+
+        const later = new Date(Date.now() + 11 * 60 * 1000);
+        await escalation.processDueAlerts(later);
+        check('unacknowledged alerts are repeated after repeatMinutes',
+            staffSms().length === 2 && staffSms()[1].body.includes('Reminder 2'));
+
+        await escalation.processDueAlerts(new Date(later.getTime() + 11 * 60 * 1000));
+        check('after maxNotifications the alert is marked unacknowledged',
+            (await escalation.getAlert(1)).status === 'unacknowledged' && staffSms().length === 2);
+
+        const stranger = await handler.processIncomingMessage('+16025550177', 'ACK 1');
+        check('ACK from anyone but on-call staff is not an acknowledgement', stranger.classification !== 'staff');
+
+        const ack = await handler.processIncomingMessage(ON_CALL, 'ack 1');
+        const acknowledged = await escalation.getAlert(1);
+        check('on-call staff acknowledge by text',
+            ack.classification === 'staff' && acknowledged.status === 'acknowledged' && acknowledged.acknowledged_by === 'Dana' &&
+            staffSms().pop().body.includes('Crisis alert #1 is yours'));
+
+        await handler.processIncomingMessage(USER, 'crisis');
+        check('a new crisis text on an acknowledged alert sends an update',
+            staffSms().pop().body.includes('Update on crisis alert #1') &&
+            emails.getEmails().pop().subject.includes('Update on crisis alert #1'));
+
+        check('resolving needs a known outcome', !(await escalation.resolve(1, { outcome: 'fine' }, 'tester')).success);
+        const resolved = await escalation.resolve(1, { outcome: 'contacted_user', notes: 'Called Sam, safe with family' }, 'tester');
+        check('resolutions record the outcome', resolved.success && resolved.alert.outcome === 'contacted_user');
+
+        const detail = await escalation.getAlertDetail(1);
+        const eventTypes = detail.events.map(event => event.event_type);
+        check('every step is recorded for review',
+            ['triggered', 'notified', 'retriggered', 'unacknowledged', 'acknowledged', 'resolved'].every(type => eventTypes.includes(type)));
+
+        const again = await handler.processIncomingMessage(USER, 'CRISIS');
+        check('a crisis after resolution opens a new alert', again.alertId === 2);
+
+        await escalation.savePolicy({ contacts: [{ name: 'Lee', email: 'lee@example.com' }] });
+        const noEmail = new CrisisEscalation({ db, smsTransport: staffTexts, logFunction: () => {}, emailTransport: null });
+        await noEmail.trigger('+16025550102', { source: 'keyword', detail: 'crisis', messageBody: 'CRISIS' });
+        const failed = (await noEmail.getAlertDetail(3)).events.find(event => event.event_type === 'notify_failed');
+        check('notifications that cannot be sent are recorded as failed', failed && failed.recipient === 'lee@example.com');
+    });
+
+    check('operators handle alerts, only admins change the policy',
+        requiredRole('POST', '/admin/crisis-alerts/1/acknowledge') === 'operator' && requiredRole('PUT', '/admin/escalation-policy') === 'admin');
+}
+
+async function runTests() {
+    console.log('🧪 Testing Crisis Escalation\n');
+
+    testPolicyValidation();
+    await testEscalation();
+
+    reportResults('crisis escalation');
+}
+
+runTests().catch(error => {
+    console.error('❌ Crisis escalation test crashed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,115 @@
+const moment = require('moment-timezone');
+const WordPressSync = require('./wordpressSync');
+const { check, reportResults, withTempDatabase } = require('./scripts/testHelpers');
+
+// A signup on Sunday morning: the welcome is held back by the send policy, stored in
+// deferred_welcomes and sent on Monday at 8 AM local time (throwaway SQLite database)
+
+const PHONE = '+13125550177';
+const TIMEZONE = 'America/Chicago';
+
+async function withSync(name, fn) {
+    await withTempDatabase(name, async (db) => {
+        await db.query(`
+            INSERT INTO messages (id, number, protocol, message, active)
+            VALUES ('elevate_1', 1, 'Elevate', 'Welcome to Elevate, {name}!', 1)
+        `);
+        await db.query(`
+            INSERT INTO users (phone_number, first_name, protocol, user_type, subscription_status, timezone, date_joined)
+            VALUES (?, 'Sam', 'Elevate', 'trial', 'trial', ?, ?)
+        `, [PHONE, TIMEZONE, new Date().toISOString()]);
+
+        const sync = new WordPressSync({ db, logFunction: () => {} });
+        // The WordPress queue table isn't available here - record what would be written to it
+        sync.queueUpdates = [];
+        sync.markQueueEntryProcessed = async (entryId, status) => sync.queueUpdates.push({ entryId, status });
+
+        const sent = [];
+        const sendMessage = async (phoneNumber, body, messageId) => {
+            sent.push({ phoneNumber, body, messageId });
+            return { success: true };
+        };
+
+        await fn(db, sync, sendMessage, sent);
+    });
+}
+
+async function deferOnSunday(sync, sendMessage) {
+    const sunday = moment.tz('2025-03-09 10:00', TIMEZONE).toDate();
+    const result = await sync.sendWelcomeMessage(PHONE, 'Sam', 'Elevate', sendMessage, sunday);
+    if (result.deferred) {
+        await sync.deferWelcome({
+            phoneNumber: PHONE,
+            firstName: 'Sam',
+            program: 'Elevate',
+            queueEntryId: 42,
+            deliverAt: result.nextAllowedAt,
+            reason: result.error
+        });
+    }
+    return result;
+}
+
+async function testDeferredDelivery() {
+    console.log('📬 Test 1: Sunday Signup Gets Its Welcome On Monday');
+    console.log('==================================================');
+
+    await withSync('deferred-welcome', async (db, sync, sendMessage, sent) => {
+        const result = await deferOnSunday(sync, sendMessage);
+        check('the Sunday welcome is deferred, not failed', !result.success && result.deferred);
+        check('it is held until Monday 8:00 AM local time',
+            moment(result.nextAllowedAt).tz(TIMEZONE).format('dddd HH:mm') === 'Monday 08:00');
+        check('nothing is sent on Sunday', sent.length === 0);
+
+        const early = await sync.deliverDueWelcomes(sendMessage, moment.tz('2025-03-10 07:59', TIMEZONE).toDate());
+        check('nothing goes out before the allowed time', early.sent === 0 && sent.length === 0);
+
+        const due = await sync.deliverDueWelcomes(sendMessage, moment.tz('2025-03-10 08:01', TIMEZONE).toDate());
+        check('the welcome is sent once the time arrives', due.sent === 1 && sent[0]?.body === 'Welcome to Elevate, Sam!');
+
+        const [row] = await db.query('SELECT status, delivered_at FROM deferred_welcomes');
+        check('the deferred row is marked sent', row.status === 'sent' && !!row.delivered_at);
+        check('the WordPress queue entry is updated to sent', sync.queueUpdates.some(update => update.entryId === 42 && update.status === 'sent'));
+
+        const [user] = await db.query('SELECT trial_messages_sent FROM users WHERE phone_number = ?', [PHONE]);
+        check('the user is recorded as having received message 1', user.trial_messages_sent === 1);
+
+        const again = await sync.deliverDueWelcomes(sendMessage, moment.tz('2025-03-10 09:00', TIMEZONE).toDate());
+        check('a delivered welcome is never sent twice', again.sent === 0 && sent.length === 1);
+    });
+}
+
+async function testBlackoutAndSupersede() {
+    console.log('\n🎄 Test 2: Blackouts And Duplicates');
+    console.log('==================================');
+
+    await withSync('deferred-welcome-blackout', async (db, sync, sendMessage, sent) => {
+        await deferOnSunday(sync, sendMessage);
+        await sync.sendPolicy.addBlackout({ name: 'Office closed', startDate: '2025-03-10' });
+
+        const monday = await sync.deliverDueWelcomes(sendMessage, moment.tz('2025-03-10 08:01', TIMEZONE).toDate());
+        const [row] = await db.query('SELECT deliver_at FROM deferred_welcomes');
+        check('a blackout added later pushes the welcome to the next allowed day',
+            monday.rescheduled === 1 && moment(row.deliver_at).tz(TIMEZONE).format('dddd HH:mm') === 'Tuesday 08:00');
+
+        // Meanwhile the scheduler sent message 1 itself
+        await db.query('UPDATE users SET trial_messages_sent = 1, total_messages_sent = 1 WHERE phone_number = ?', [PHONE]);
+        const tuesday = await sync.deliverDueWelcomes(sendMessage, moment.tz('2025-03-11 08:01', TIMEZONE).toDate());
+        const [after] = await db.query('SELECT status FROM deferred_welcomes');
+        check('a user who already got message 1 is not welcomed twice', tuesday.skipped === 1 && after.status === 'superseded' && sent.length === 0);
+    });
+}
+
+async function runTests() {
+    console.log('🧪 Testing Deferred Welcome Messages\n');
+
+    await testDeferredDelivery();
+    await testBlackoutAndSupersede();
+
+    reportResults('deferred welcome');
+}
+
+runTests().catch(error => {
+    console.error('❌ Deferred welcome test crashed:', error);
+    process.exitCode = 1;
+});
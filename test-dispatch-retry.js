@@ -0,0 +1,73 @@
+const moment = require('moment-timezone');
+const MessageScheduler = require('./scheduler');
+const { check, reportResults, withTempDatabase } = require('./scripts/testHelpers');
+
+// What the dispatcher plans after a send: failures are retried in a few minutes while the
+// user's window is open, successes move on to a later day (throwaway SQLite database)
+
+const PHONE = '+13125550133';
+
+// A fixed-offset zone where it's currently around noon, so the window is open whenever this runs
+function noonTimezone() {
+    let offset = 12 - moment.utc().hour();
+    if (offset < -12) offset += 24;
+    if (offset > 14) offset -= 24;
+    return offset === 0 ? 'Etc/GMT' : `Etc/GMT${offset > 0 ? '-' : '+'}${Math.abs(offset)}`;
+}
+
+async function dispatchOnce(sendMessageFunction, window) {
+    return await withTempDatabase('dispatch', async (db) => {
+        const timezone = noonTimezone();
+        const scheduler = new MessageScheduler({ db, sendMessageFunction, logFunction: () => {} });
+        scheduler.delay = async () => {};
+
+        // No rest days or blackouts, whatever day of the week this runs
+        await scheduler.sendPolicy.savePolicy('ALL', 'scheduled', { window: 'user', restDays: [], blackouts: false });
+        await db.query("INSERT INTO messages (id, number, protocol, message, active) VALUES ('elevate_1', 1, 'Elevate', 'Day one, {name}', 1)");
+        await db.query(`
+            INSERT INTO users (phone_number, first_name, protocol, user_type, subscription_status, timezone, preferred_send_time, date_joined, next_send_at)
+            VALUES (?, 'Sam', 'Elevate', 'trial', 'trial', ?, ?, ?, ?)
+        `, [PHONE, timezone, window, moment().subtract(1, 'day').toISOString(), moment().subtract(1, 'minute').toISOString()]);
+
+        const started = moment();
+        await scheduler.processMessageQueue();
+        const user = await scheduler.getUser(PHONE);
+        return {
+            minutesLater: moment(user.next_send_at).diff(started, 'minutes', true),
+            laterDay: moment(user.next_send_at).tz(timezone).isAfter(started.clone().tz(timezone), 'day')
+        };
+    });
+}
+
+async function runTests() {
+    console.log('🧪 Testing Dispatch Retries\n');
+
+    const sent = [];
+    const delivered = await dispatchOnce(async (phone, body) => {
+        sent.push(body);
+        return { success: true };
+    }, '09:00-18:00');
+    check('the user is due and gets today\'s message', sent.length === 1 && sent[0] === 'Day one, Sam');
+    check('after a successful send the next one is planned for a later day', delivered.laterDay);
+
+    const failed = await dispatchOnce(async () => ({ success: false, error: 'carrier unavailable' }), '09:00-18:00');
+    check('a failed send is retried in about 15 minutes', !failed.laterDay && failed.minutesLater > 14 && failed.minutesLater < 16);
+
+    const crashed = await dispatchOnce(async () => {
+        throw new Error('network down');
+    }, '09:00-18:00');
+    check('a send that throws is retried in about 15 minutes', !crashed.laterDay && crashed.minutesLater > 14 && crashed.minutesLater < 16);
+
+    // The window closes 10 minutes from now - too soon for a retry today
+    const closing = moment().tz(noonTimezone()).add(10, 'minutes');
+    const lateWindow = `${closing.clone().subtract(1, 'hour').format('HH:mm')}-${closing.format('HH:mm')}`;
+    const late = await dispatchOnce(async () => ({ success: false, error: 'carrier unavailable' }), lateWindow);
+    check('a failure too close to the end of the window waits for a later day', late.laterDay);
+
+    reportResults('dispatch retry');
+}
+
+runTests().catch(error => {
+    console.error('❌ Dispatch retry test crashed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,74 @@
+const { DEFAULT_DRIP_SCHEDULES, validateDripSchedule, evaluateDripSchedule } = require('./dripSchedule');
+const { check, reportResults } = require('./scripts/testHelpers');
+
+function testDefaultSchedules() {
+    console.log('📋 Test 1: Built-in Schedules');
+    console.log('============================');
+
+    check('default trial schedule is valid', validateDripSchedule(DEFAULT_DRIP_SCHEDULES.trial).length === 0);
+    check('default subscriber schedule is valid', validateDripSchedule(DEFAULT_DRIP_SCHEDULES.subscriber).length === 0);
+
+    const trial = DEFAULT_DRIP_SCHEDULES.trial;
+    const finishedTrial = { user_type: 'trial', trial_messages_sent: 7 };
+    const dueDays = [];
+    for (let day = 1; day <= 260; day++) {
+        if (evaluateDripSchedule(trial, finishedTrial, { daysSinceJoined: day, daysSinceLastMessage: 1 }).due) {
+            dueDays.push(day);
+        }
+    }
+    check('post-trial days match 8,10,13,17 / 25,33,41 / 71,101,131 / 191+60n',
+        dueDays.join(',') === '8,10,13,17,25,33,41,71,101,131,191,251');
+
+    const phase1 = evaluateDripSchedule(trial, finishedTrial, { daysSinceJoined: 10, daysSinceLastMessage: 2 });
+    check('phase 1 resolves its configured message id', phase1.messageType === 'post-trial-phase1' && phase1.messageId === 'ptmb2');
+
+    const trialUser = { user_type: 'trial', trial_messages_sent: 3 };
+    check('trial message 4 is due a day after message 3',
+        evaluateDripSchedule(trial, trialUser, { daysSinceJoined: 4, daysSinceLastMessage: 1 }).position === 4);
+    check('trial messages wait for the interval',
+        !evaluateDripSchedule(trial, trialUser, { daysSinceJoined: 4, daysSinceLastMessage: 0 }).due);
+
+    const subscriber = DEFAULT_DRIP_SCHEDULES.subscriber;
+    const sequenceUser = { user_type: 'subscriber', current_sequence_position: 30 };
+    const algorithmUser = { user_type: 'subscriber', current_sequence_position: 31 };
+    check('subscriber position 30 is still in the sequence',
+        evaluateDripSchedule(subscriber, sequenceUser, { daysSinceJoined: 40, daysSinceLastMessage: 1 }).messageType === 'sequence');
+    check('after position 30 subscribers switch to algorithm mode every 2 days',
+        !evaluateDripSchedule(subscriber, algorithmUser, { daysSinceJoined: 40, daysSinceLastMessage: 1 }).due &&
+        evaluateDripSchedule(subscriber, algorithmUser, { daysSinceJoined: 40, daysSinceLastMessage: 2 }).messageType === 'algorithm');
+}
+
+function testValidation() {
+    console.log('\n🚫 Test 2: Validation');
+    console.log('====================');
+
+    const invalid = [
+        [null, 'a missing definition'],
+        [{}, 'an empty definition'],
+        [{ sequence: { totalMessages: 7, intervalDays: 0 } }, 'a zero-day interval'],
+        [{ sequnce: { totalMessages: 7, intervalDays: 1 } }, 'a misspelled section'],
+        [{ postTrial: { phases: [{ phase: 1, days: [8, 8] }] } }, 'a repeated day'],
+        [{ postTrial: { phases: [{ phase: 1, days: [8, 10], messageIds: ['a'] }] } }, 'message ids that do not line up with days'],
+        [{ postTrial: { phases: [{ phase: 1, startDay: 20, everyDays: 30 }, { phase: 2, days: [90] }] } }, 'a repeating phase that is not last'],
+        [{ algorithm: { intervalDays: '2' } }, 'a non-numeric interval']
+    ];
+
+    for (const [definition, description] of invalid) {
+        check(`rejects ${description}`, validateDripSchedule(definition).length > 0);
+    }
+
+    const custom = {
+        sequence: { totalMessages: 5, intervalDays: 2 },
+        postTrial: { phases: [{ phase: 1, days: [12, 15] }, { phase: 2, startDay: 30, everyDays: 14 }] }
+    };
+    check('accepts a custom program schedule', validateDripSchedule(custom).length === 0);
+    check('custom repeating phase fires on day 44',
+        evaluateDripSchedule(custom, { user_type: 'trial', trial_messages_sent: 5 }, { daysSinceJoined: 44, daysSinceLastMessage: 14 }).messageType === 'post-trial-phase2');
+}
+
+console.log('🧪 Testing Drip Schedules\n');
+
+testDefaultSchedules();
+testValidation();
+
+reportResults('drip schedule');
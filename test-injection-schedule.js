@@ -0,0 +1,248 @@
+const moment = require('moment-timezone');
+const MessageInjector = require('./messageInjector');
+const { check, reportResults, withTempDatabase } = require('./scripts/testHelpers');
+const { validateInjectionTiming } = MessageInjector;
+
+// Timezone-staggered injections against a throwaway SQLite database
+
+const USERS = [
+    ['+12125550101', 'Ana', 'America/New_York'],
+    ['+12125550102', 'Ben', 'America/New_York'],
+    ['+13125550103', 'Cal', 'America/Chicago'],
+    ['+14155550104', 'Dee', 'America/Los_Angeles']
+];
+
+async function withInjector(fn) {
+    await withTempDatabase('injections', async (db) => {
+        for (const [phone, name, timezone] of USERS) {
+            await db.query(`
+                INSERT INTO users (phone_number, first_name, protocol, user_type, subscription_status, timezone, date_joined)
+                VALUES (?, ?, 'Elevate', 'subscriber', 'active', ?, ?)
+            `, [phone, name, timezone, new Date().toISOString()]);
+        }
+
+        const sent = [];
+        const injector = new MessageInjector({
+            db,
+            sendMessageFunction: async (phoneNumber, body) => {
+                sent.push({ phoneNumber, body });
+                return { success: true };
+            },
+            logFunction: () => {}
+        });
+        // Dispatch timing is under test here, not the send policy's hours
+        injector.sendPolicy = { check: async () => ({ allowed: true }) };
+        injector.delay = async () => {};
+
+        await fn(db, injector, sent);
+    });
+}
+
+function testValidation() {
+    console.log('🚫 Test 1: Timing Validation');
+    console.log('===========================');
+
+    check('no timing fields means send now', validateInjectionTiming({}).length === 0);
+    check('accepts a local time with a date', validateInjectionTiming({ localTime: '10:00', sendDate: '2030-01-15' }).length === 0);
+    check('rejects a 12-hour local time', validateInjectionTiming({ localTime: '10am' }).length > 0);
+    check('rejects a date without a local time', validateInjectionTiming({ sendDate: '2030-01-15' }).length > 0);
+    check('rejects sendAt and localTime together', validateInjectionTiming({ sendAt: '2030-01-15T15:00:00Z', localTime: '10:00' }).length > 0);
+}
+
+async function testStaggeredInjection() {
+    console.log('\n🌎 Test 2: 10:00 AM In Every Recipient\'s Timezone');
+    console.log('=================================================');
+
+    await withInjector(async (db, injector, sent) => {
+        const timing = { localTime: '10:00', sendDate: '2030-01-15', protocol: 'Elevate' };
+
+        const preview = await injector.previewInjection(timing);
+        const buckets = Object.fromEntries(preview.timezones.map(bucket => [bucket.timezone, bucket]));
+        check('preview groups recipients by timezone',
+            preview.totalUsers === 4 && buckets['America/New_York'].users === 2 && buckets['America/Los_Angeles'].users === 1);
+        check('each bucket goes out at 10:00 local',
+            buckets['America/New_York'].sendAt === '2030-01-15T15:00:00.000Z' &&
+            buckets['America/Los_Angeles'].sendAt === '2030-01-15T18:00:00.000Z');
+        check('buckets are listed in send order', preview.timezones[0].timezone === 'America/New_York');
+
+        const result = await injector.injectMessage({ ...timing, messageId: 'spring_update', message: 'Hi {name}, spring update!' });
+        check('the injection is queued, not sent', result.usersQueued === 4 && result.deliveryMode === 'local_time' && sent.length === 0);
+        check('first and last send times span the timezones',
+            result.firstSendAt === '2030-01-15T15:00:00.000Z' && result.lastSendAt === '2030-01-15T18:00:00.000Z');
+
+        await injector.processInjectionQueue();
+        check('the dispatcher leaves future rows alone', sent.length === 0);
+
+        // Eastern's 10:00 arrives
+        await db.query(`
+            UPDATE pending_messages SET scheduled_time = ?
+            WHERE phone_number IN ('+12125550101', '+12125550102')
+        `, [moment().subtract(1, 'minute').toISOString()]);
+        await injector.processInjectionQueue();
+        check('due rows are sent when their local time arrives',
+            sent.length === 2 && sent.every(message => message.phoneNumber.startsWith('+1212')));
+        check('messages are personalized', sent[0].body === 'Hi Ana, spring update!');
+
+        const [injection] = await injector.listInjections();
+        check('the injection is running with rows still pending', injection.status === 'running' && injection.pending_count === 2);
+
+        await db.query('UPDATE pending_messages SET scheduled_time = ?', [moment().subtract(1, 'minute').toISOString()]);
+        await injector.processInjectionQueue();
+        const [finished] = await injector.listInjections();
+        check('every recipient gets it exactly once', sent.length === 4);
+        check('the injection completes once nothing is left', finished.status === 'completed' && !!finished.completed_at);
+    });
+}
+
+async function testImmediateInjection() {
+    console.log('\n⚡ Test 3: Immediate Injections Still Go Out Right Away');
+    console.log('=====================================================');
+
+    await withInjector(async (db, injector, sent) => {
+        const result = await injector.injectMessage({ messageId: 'urgent', message: 'Heads up {name}', protocol: 'ALL' });
+        check('an injection without timing sends immediately', result.messagesSent === 4 && sent.length === 4);
+
+        await db.query(`
+            INSERT INTO messages (id, number, protocol, message_type, message, active)
+            VALUES ('1', 1, 'Elevate', 'standard', 'Welcome to Elevate', 1)
+        `);
+        let refused = null;
+        try {
+            await injector.injectMessage({ messageId: '1', message: 'Overwritten', protocol: 'ALL' });
+        } catch (error) {
+            refused = error;
+        }
+        const [program] = await db.query("SELECT number, message_type, message FROM messages WHERE id = '1'");
+        check('program content is never overwritten by an injection',
+            refused && refused.code === 'message_id_taken' && program.number === 1 && program.message === 'Welcome to Elevate' && sent.length === 4);
+    });
+}
+
+async function testLifecycle() {
+    console.log('\n⏯️ Test 4: Pause, Resume And Cancel');
+    console.log('==================================');
+
+    await withInjector(async (db, injector, sent) => {
+        const due = moment().subtract(1, 'minute').toISOString();
+        const { injectionId } = await injector.injectMessage({ messageId: 'paused_update', message: 'Hi {name}', sendAt: due });
+
+        const paused = await injector.pauseInjection(injectionId);
+        await injector.processInjectionQueue();
+        check('a paused injection sends nothing', paused.success && paused.injection.status === 'paused' && sent.length === 0);
+        check('pausing twice is refused', (await injector.pauseInjection(injectionId)).code === 'invalid_state');
+
+        const resumed = await injector.resumeInjection(injectionId);
+        check('resuming before anything went out returns it to scheduled', resumed.injection.status === 'scheduled');
+        await injector.processInjectionQueue();
+        check('rows that came due while paused go out after resume', sent.length === 4);
+
+        const second = await injector.injectMessage({ messageId: 'cancelled_update', message: 'Hi', localTime: '10:00', sendDate: '2030-01-15' });
+        const cancelled = await injector.cancelInjection(second.injectionId);
+        check('cancel drops every queued recipient',
+            cancelled.success && cancelled.cancelledRecipients === 4 && cancelled.injection.pending_count === 0 &&
+            cancelled.injection.cancelled_count === 4);
+        check('a cancelled injection cannot be resumed', (await injector.resumeInjection(second.injectionId)).code === 'invalid_state');
+        check('unknown injections are reported', (await injector.cancelInjection(9999)).code === 'not_found');
+    });
+}
+
+async function testRetryPolicy() {
+    console.log('\n🔁 Test 5: Skipped Recipients Are Retried In Their Next Window');
+    console.log('=============================================================');
+
+    await withInjector(async (db, injector, sent) => {
+        const nextWindow = moment().add(1, 'day').startOf('hour');
+        injector.sendPolicy = {
+            check: async user => user.timezone === 'America/Los_Angeles'
+                ? { allowed: false, reason: 'Outside injection hours', nextAllowedAt: nextWindow.clone() }
+                : { allowed: true }
+        };
+
+        const result = await injector.injectMessage({ messageId: 'retry_update', message: 'Hi {name}', protocol: 'ALL' });
+        check('blocked recipients are rescheduled, not skipped',
+            result.messagesSent === 3 && result.messagesRescheduled === 1 && result.messagesSkipped === 0);
+
+        const [row] = await db.query("SELECT * FROM pending_messages WHERE phone_number = '+14155550104'");
+        check('the row waits for the recipient\'s next allowed time',
+            row.status === 'pending' && row.scheduled_time === nextWindow.toISOString() &&
+            row.attempts === 1 && row.last_skip_reason === 'Outside injection hours');
+
+        const [running] = await injector.listInjections();
+        check('the injection stays running while a retry is queued', running.status === 'running' && running.retrying_count === 1);
+
+        // Still blocked on the next two tries - the third attempt is the last
+        for (let attempt = 0; attempt < 2; attempt++) {
+            await db.query("UPDATE pending_messages SET scheduled_time = ? WHERE phone_number = '+14155550104'",
+                [moment().subtract(1, 'minute').toISOString()]);
+            await injector.processInjectionQueue();
+        }
+        const [finished] = await injector.listInjections();
+        check('after max_attempts the skip is final and the injection completes',
+            finished.status === 'completed' && finished.skipped_count === 1 && sent.length === 3);
+
+        injector.sendPolicy = { check: async () => ({ allowed: true }) };
+        const retried = await injector.retrySkippedRecipients(finished.id);
+        await injector.processInjectionQueue();
+        const [reopened] = await injector.listInjections();
+        check('retry-skipped re-queues final skips and delivers them',
+            retried.requeued === 1 && sent.length === 4 && reopened.status === 'completed' && reopened.sent_count === 4);
+
+        injector.sendPolicy = { check: async () => ({ allowed: false, reason: 'Blackout', nextAllowedAt: nextWindow.clone() }) };
+        const noRetry = await injector.injectMessage({ messageId: 'no_retry', message: 'Hi', retrySkipped: false });
+        check('skips are final when retrySkipped is false', noRetry.messagesSkipped === 4 && noRetry.messagesRescheduled === 0);
+    });
+}
+
+async function testClaimsAndDailyLimits() {
+    console.log('\n🔒 Test 6: Stale Claims and Local Daily Limits');
+    console.log('=============================================');
+
+    await withInjector(async (db, injector, sent) => {
+        // Ana is 14 hours ahead of UTC and Ben 12 behind, so their dates usually differ from UTC's
+        await db.query("UPDATE users SET timezone = 'Etc/GMT-14' WHERE phone_number = '+12125550101'");
+        await db.query("UPDATE users SET timezone = 'Etc/GMT+12' WHERE phone_number = '+12125550102'");
+        await db.query("INSERT INTO messages (id, protocol, message, active) VALUES ('claim_test', 'ALL', 'Hi {name}', 1)");
+
+        const due = moment().subtract(1, 'hour').toISOString();
+        const queue = async (phone, status, claimedAt) => db.query(`
+            INSERT INTO pending_messages (phone_number, message_id, scheduled_time, is_manual_injection, status, claimed_at)
+            VALUES (?, 'claim_test', ?, 1, ?, ?)
+        `, [phone, due, status, claimedAt]);
+        await queue('+12125550101', 'processing', due);
+        await queue('+13125550103', 'processing', new Date().toISOString());
+        await queue('+12125550102', 'pending', null);
+
+        const benToday = moment().tz('Etc/GMT+12').format('YYYY-MM-DD');
+        await db.query("INSERT INTO daily_limits (phone_number, date, messages_sent) VALUES ('+12125550102', ?, 4)", [benToday]);
+
+        await injector.processInjectionQueue();
+        const rows = await db.query('SELECT phone_number, status, last_skip_reason FROM pending_messages ORDER BY phone_number');
+        const byPhone = Object.fromEntries(rows.map(row => [row.phone_number, row]));
+
+        check('a claim abandoned mid-send is released and sent', byPhone['+12125550101'].status === 'sent' && sent.some(message => message.phoneNumber === '+12125550101'));
+        check('a fresh claim is left to the run that holds it', byPhone['+13125550103'].status === 'processing');
+
+        const [anaLimit] = await db.query("SELECT date, messages_sent FROM daily_limits WHERE phone_number = '+12125550101'");
+        check('sends count toward the recipient\'s local date', anaLimit.date === moment().tz('Etc/GMT-14').format('YYYY-MM-DD') && anaLimit.messages_sent === 1);
+        check('the daily limit is read for the recipient\'s local date',
+            byPhone['+12125550102'].status === 'skipped' && byPhone['+12125550102'].last_skip_reason.startsWith('Daily limit'));
+    });
+}
+
+async function runTests() {
+    console.log('🧪 Testing Scheduled Injections\n');
+
+    testValidation();
+    await testStaggeredInjection();
+    await testImmediateInjection();
+    await testLifecycle();
+    await testRetryPolicy();
+    await testClaimsAndDailyLimits();
+
+    reportResults('injection scheduling');
+}
+
+runTests().catch(error => {
+    console.error('❌ Injection scheduling test crashed:', error);
+    process.exitCode = 1;
+});
@@ -1,4 +1,5 @@
 const ResponseHandler = require('./responseHandler');
+const DatabaseManager = require('./scripts/DatabaseManager');
 
 // Create a mock send message function for testing
 const mockSendMessage = async (phoneNumber, message, messageId) => {
@@ -16,16 +17,18 @@ const mockLog = (level, message, phoneNumber, extra) => {
     if (extra) console.log(`   Extra:`, extra);
 };
 
-const handler = new ResponseHandler({
-    trackingDbPath: './databases/user_tracking.db',
-    messagesDbPath: './databases/messages.db',
-    sendMessageFunction: mockSendMessage,
-    logFunction: mockLog
-});
-
 async function testInteractiveResponse() {
     console.log('🧪 Testing interactive response handling...\n');
     
+    const db = new DatabaseManager();
+    await db.initialize();
+    
+    const handler = new ResponseHandler({
+        db,
+        sendMessageFunction: mockSendMessage,
+        logFunction: mockLog
+    });
+    
     // Test with "B" response (should get message 2b)
     console.log('Testing response "B":');
     const resultB = await handler.processIncomingMessage('+13122858457', 'B');
@@ -39,7 +42,7 @@ async function testInteractiveResponse() {
     console.log('User awaiting_response:', user?.awaiting_response || 'NULL');
     console.log('User awaiting_response_since:', user?.awaiting_response_since || 'NULL');
     
-    handler.close();
+    await db.close();
 }
 
 testInteractiveResponse().catch(console.error);
\ No newline at end of file
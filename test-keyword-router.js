@@ -0,0 +1,108 @@
+const KeywordRouter = require('./keywordRouter');
+const ResponseHandler = require('./responseHandler');
+const { matchRule, validateKeywordRule } = KeywordRouter;
+const { requiredRole } = require('./adminAuth');
+const { check, reportResults, withTempDatabase } = require('./scripts/testHelpers');
+
+// Keyword matching modes, the seeded rules and the match log against a throwaway SQLite database
+
+function testMatchModes() {
+    console.log('🔑 Test 1: Match Modes');
+    console.log('=====================');
+
+    const rule = (matchMode, keywords) => ({ matchMode, keywords });
+    check('exact ignores case and punctuation', matchRule(rule('exact', ['HELP']), ' help! ') === 'HELP');
+    check('exact needs the whole text', matchRule(rule('exact', ['HELP']), 'help me') === null);
+    check('contains finds whole words and phrases',
+        matchRule(rule('contains', ['PANIC ATTACK']), 'Having a panic attack right now') === 'PANIC ATTACK' &&
+        matchRule(rule('contains', ['CALM']), 'calmer today') === null);
+    check('fuzzy allows a typo', matchRule(rule('fuzzy', ['ANXIOUS']), 'so anxios today') === 'ANXIOUS');
+    check('fuzzy allows two typos in long words', matchRule(rule('fuzzy', ['OVERWHELMED']), 'feeling overwelmd') === 'OVERWHELMED');
+    check('fuzzy does not stretch short words', matchRule(rule('fuzzy', ['SAD']), 'bad day') === null);
+    check('regex tests the raw text', matchRule(rule('regex', ['can\'?t sleep']), 'I cant sleep again') === 'can\'?t sleep');
+
+    check('a complete rule is valid', validateKeywordRule({ keywords: ['HI'], matchMode: 'contains', responseMessageId: 'hi_response' }).length === 0);
+    check('bad regexes, modes and missing responses are reported',
+        validateKeywordRule({ keywords: ['(unclosed'], matchMode: 'regex' }).length === 2 &&
+        validateKeywordRule({ keywords: ['HI'], matchMode: 'sounds-like', fallbackText: 'Hi' }).length === 1);
+
+    const unsafe = ['(a+)+$', '(a|aa)*b', '((ab)*)+', '(x)\\1', 'a'.repeat(101), '\\w*\\w*\\w*\\w*!', '.*x.*x.*x'];
+    check('patterns that can backtrack for seconds are refused',
+        unsafe.every(pattern => validateKeywordRule({ keywords: [pattern], matchMode: 'regex', fallbackText: 'Hi' }).length === 1));
+    check('ordinary groups and quantifiers are still allowed',
+        validateKeywordRule({ keywords: ['(can\'?t|cannot) sleep+', '^(help|sos)[!?]*$', '[(]a+[)]+', '(?:no )+sleep', '\\w+\\s+\\w+', '\\bstop\\b.*now'], matchMode: 'regex', fallbackText: 'Hi' }).length === 0);
+    const started = Date.now();
+    check('an unsafe pattern already stored never runs',
+        matchRule(rule('regex', ['(a+)+$', '\\w*\\w*\\w*\\w*!']), `${'a'.repeat(200)}`) === null && Date.now() - started < 100);
+}
+
+async function testRouting() {
+    console.log('\n📨 Test 2: Routing and Match Log');
+    console.log('===============================');
+
+    await withTempDatabase('keywords', async (db) => {
+        await db.query("INSERT INTO users (phone_number, first_name, protocol) VALUES ('+16025550101', 'Sam', 'Elevate')");
+        await db.query("INSERT INTO messages (id, protocol, message_type, message, active) VALUES ('stress_response', 'Support', 'crisis', 'Breathe, {name}. This will pass.', 1)");
+
+        const router = new KeywordRouter({ db });
+        const seeded = await router.listRules();
+        check('the built-in keywords are seeded as rules', seeded.length === 8 && seeded[0].name === 'crisis');
+        check('aliases route to the same rule', (await router.matchMessage('Overwhelmed!!')).rule.name === 'stress');
+        const byName = Object.fromEntries(seeded.map(rule => [rule.name, rule]));
+        check('the positive rule acknowledges instead of sending the help text',
+            byName.positive.fallbackText !== byName.help.fallbackText && !byName.positive.fallbackText.includes('911'));
+
+        const sent = [];
+        const handler = new ResponseHandler({
+            db,
+            keywordRouter: router,
+            sendMessageFunction: async (phone, text, messageId) => sent.push({ phone, text, messageId }),
+            logFunction: () => {}
+        });
+
+        const stressed = await handler.processIncomingMessage('+16025550101', "I'm so stresed out");
+        check('a misspelled keyword inside a sentence sends the rule\'s message',
+            stressed.classification === 'crisis' && stressed.rule === 'stress' && sent[0].text === 'Breathe, Sam. This will pass.');
+
+        await handler.processIncomingMessage('+16025550101', 'anxious');
+        check('a missing response message falls back to the rule\'s text',
+            sent[1].messageId === 'crisis_anxiety' && sent[1].text.includes('4-7-8'));
+
+        const saved = await router.saveRule('sleep', { keywords: ['can\'?t sleep', 'insomnia'], matchMode: 'regex', priority: 5, fallbackText: 'Try a wind-down routine tonight.', classification: 'support' }, 'tester');
+        check('new rules are saved', saved.success && saved.rule.updatedBy === 'tester');
+        check('reserved and invalid names are refused',
+            !(await router.saveRule('matches', { keywords: ['X'], fallbackText: 'x' })).success &&
+            !(await router.saveRule('Bad Name', { keywords: ['X'], fallbackText: 'x' })).success);
+
+        const sleep = await handler.processIncomingMessage('+16025550101', 'So stressed I can\'t sleep');
+        check('the lower priority number wins when several rules match', sleep.rule === 'sleep' && sleep.action === 'keyword_response');
+
+        await router.saveRule('sleep', { ...saved.rule, active: false });
+        check('inactive rules are skipped', (await router.matchMessage('insomnia')) === null);
+
+        const matches = await router.listMatches();
+        check('every match is logged with the rule that fired',
+            matches.length === 3 && matches[0].rule_name === 'sleep' && matches[2].matched_keyword === 'STRESSED');
+        check('the match log filters by rule', (await router.listMatches({ ruleName: 'anxiety' })).length === 1);
+
+        const unmatched = await handler.processIncomingMessage('+16025550101', 'what is this?');
+        check('texts no rule matches fall through', unmatched.classification === 'unrecognized');
+    });
+
+    check('content editors edit rules, viewers can test them',
+        requiredRole('PUT', '/admin/keyword-rules/stress') === 'content_editor' && requiredRole('POST', '/admin/keyword-rules/preview') === 'viewer');
+}
+
+async function runTests() {
+    console.log('🧪 Testing Keyword Router\n');
+
+    testMatchModes();
+    await testRouting();
+
+    reportResults('keyword router');
+}
+
+runTests().catch(error => {
+    console.error('❌ Keyword router test crashed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,143 @@
+const MessageLibrary = require('./messageLibrary');
+const { validateMessage } = MessageLibrary;
+const { requiredRole } = require('./adminAuth');
+const { check, reportResults, withTempDatabase } = require('./scripts/testHelpers');
+
+// Message library listing, edits, deactivation and reordering against a throwaway SQLite database
+
+// id, number, protocol, pillar, message_type, message, tags
+const MESSAGES = [
+    ['E1', 1, 'Elevate', 'Mindfulness', 'standard', 'Welcome {name}! Take a breath.', 'welcome|first_message'],
+    ['E2', 2, 'Elevate', 'Movement', 'interactive', 'How did you sleep? Reply A, B or C', null],
+    ['E3', 3, 'Elevate', 'Nutrition', 'standard', 'Drink a glass of water before lunch.', 'hydration'],
+    ['F1', 1, 'FitFlow', 'Movement', 'standard', 'Ten squats before your coffee.', null]
+];
+
+async function withLibrary(fn) {
+    await withTempDatabase('library', async (db) => {
+        for (const [id, number, protocol, pillar, messageType, message, tags] of MESSAGES) {
+            await db.query(
+                'INSERT INTO messages (id, number, protocol, pillar, message_type, message, tags, active) VALUES (?, ?, ?, ?, ?, ?, ?, 1)',
+                [id, number, protocol, pillar, messageType, message, tags]
+            );
+        }
+        await fn(new MessageLibrary({ db }), db);
+    });
+}
+
+function testValidation() {
+    console.log('📝 Test 1: Validation');
+    console.log('====================');
+
+    check('a complete message is valid', validateMessage({ id: 'E4', protocol: 'Elevate', message: 'Hi {name}' }).length === 0);
+    check('id, program and text are required for new messages', validateMessage({}).length === 3);
+    check('edits only check the fields given', validateMessage({ notes: 'reworded' }, { partial: true }).length === 0);
+    check('unknown placeholders are refused', validateMessage({ id: 'E4', protocol: 'Elevate', message: 'Hi {firstname}' }).length === 1);
+    check('bad numbers, links and unknown fields are reported',
+        validateMessage({ number: 0, link: 'javascript:alert(1)', colour: 'red' }, { partial: true }).length === 3);
+}
+
+async function testEditing() {
+    console.log('\n✏️  Test 2: Listing and Editing');
+    console.log('=============================');
+
+    await withLibrary(async (library) => {
+        let list = await library.listMessages({ search: 'hydration' });
+        check('search covers tags', list.total === 1 && list.messages[0].id === 'E3');
+        list = await library.listMessages({ protocol: 'Elevate', messageType: 'interactive' });
+        check('filters combine', list.total === 1 && list.messages[0].id === 'E2');
+        list = await library.listMessages({ protocol: 'Elevate', limit: 2 });
+        check('pages report the full total', list.total === 3 && list.messages.length === 2 && list.messages[0].id === 'E1');
+
+        const facets = await library.listFacets();
+        check('facets list the programs in use', facets.protocol.join(',') === 'Elevate,FitFlow');
+
+        const duplicate = await library.createMessage({ id: 'E1', protocol: 'Elevate', message: 'Again' });
+        check('ids must be unique', !duplicate.success && duplicate.errors[0].includes('already exists'));
+
+        const created = await library.createMessage({
+            id: 'E4', number: 4, protocol: 'Elevate', message: '  Stretch for five minutes.  ', tags: ['stretch', ' morning ', 'stretch']
+        });
+        check('new messages default to active standard content',
+            created.success && created.message.active === 1 && created.message.message_type === 'standard');
+        check('tags are stored pipe-separated and trimmed', created.message.tags === 'stretch|morning' && created.message.message === 'Stretch for five minutes.');
+
+        const tooLong = await library.updateMessage('E4', { message: `Stretch! 🧘 ${'a'.repeat(200)}` });
+        check('text over the SMS segment limit is refused', !tooLong.success && tooLong.errors[0].includes('UCS-2'));
+        list = await library.listMessages({ search: 'Stretch' });
+        check('listed messages show their encoding and segments', list.messages[0].sms.encoding === 'GSM-7' && list.messages[0].sms.segments === 1);
+
+        const renamed = await library.updateMessage('E4', { id: 'E5' });
+        check('the id cannot change', !renamed.success);
+        const edited = await library.updateMessage('E4', { notes: 'Reviewed', pillar: 'Movement' });
+        check('edits change only the given fields', edited.success && edited.message.notes === 'Reviewed' && edited.message.number === 4);
+        check('editing an unknown message is not found', (await library.updateMessage('Z9', { notes: 'x' })).notFound === true);
+
+        const clash = await library.createMessage({ id: 'E6', number: 1, protocol: 'Elevate', message: 'Another welcome' });
+        const moved = await library.updateMessage('E4', { number: 2 });
+        check('two active messages in a program can\'t share a number',
+            !clash.success && clash.errors[0].includes('"E1"') && !moved.success && (await library.getMessage('E4')).number === 4);
+        check('the same number in another program or on an inactive message is fine',
+            (await library.createMessage({ id: 'F9', number: 1, protocol: 'FitFlow-Lite', message: 'Hi' })).success &&
+            (await library.createMessage({ id: 'E7', number: 1, protocol: 'Elevate', message: 'Draft', active: false })).success);
+
+        await library.setActive('E2', false);
+        list = await library.listMessages({ protocol: 'Elevate', active: 'true' });
+        check('deactivated messages stay in the table but drop out of active lists',
+            (await library.getMessage('E2')).active === 0 && list.total === 3);
+        check('a deactivated message\'s number can be reused',
+            (await library.updateMessage('E4', { number: 2 })).success);
+    });
+}
+
+async function testReorder() {
+    console.log('\n🔢 Test 3: Reordering and Preview');
+    console.log('================================');
+
+    await withLibrary(async (library, db) => {
+        const mixed = await library.reorderMessages('Elevate', ['E3', 'F1']);
+        check('other programs\' messages are refused', !mixed.success && mixed.errors[0].includes('F1'));
+
+        const result = await library.reorderMessages('Elevate', ['E3', 'E1', 'E2']);
+        const list = await library.listMessages({ protocol: 'Elevate' });
+        check('the sequence is renumbered in the given order',
+            result.success && list.messages.map(message => `${message.id}:${message.number}`).join(',') === 'E3:1,E1:2,E2:3');
+
+        const partial = await library.reorderMessages('Elevate', ['E2']);
+        const numbers = (await library.listMessages({ protocol: 'Elevate' })).messages
+            .map(message => `${message.id}:${message.number}`).sort().join(',');
+        check('messages left out of the list follow the listed ones without sharing a number',
+            partial.success && partial.order.length === 3 && numbers === 'E1:3,E2:1,E3:2');
+
+        try {
+            await db.transaction(async (tx) => {
+                await tx.query("UPDATE messages SET number = 9 WHERE id = 'E1'");
+                throw new Error('stop');
+            });
+        } catch (error) {
+            // Expected - the update above must not survive
+        }
+        check('a failed transaction leaves the numbers untouched', (await library.getMessage('E1')).number === 3);
+
+        check('preview fills in the name', library.previewMessage('Welcome {name}! Take a breath.', { name: 'Sam' }) === 'Welcome Sam! Take a breath.');
+        check('preview without a name reads naturally', library.previewMessage('{name}, take a breath.') === 'take a breath.');
+    });
+
+    check('content editors can edit messages, viewers can preview',
+        requiredRole('PUT', '/admin/messages/E1') === 'content_editor' && requiredRole('POST', '/admin/messages/preview') === 'viewer');
+}
+
+async function runTests() {
+    console.log('🧪 Testing Message Library\n');
+
+    testValidation();
+    await testEditing();
+    await testReorder();
+
+    reportResults('message library');
+}
+
+runTests().catch(error => {
+    console.error('❌ Message library test crashed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,93 @@
+const MessageTemplates = require('./messageTemplate');
+const { check, reportResults, withTempDatabase } = require('./scripts/testHelpers');
+const { renderTemplate, validateTemplate, buildContext } = MessageTemplates;
+
+// Template rendering, validation and per-user variables (the streak against a throwaway SQLite database)
+
+function testRendering() {
+    console.log('🧩 Test 1: Rendering');
+    console.log('===================');
+
+    check('{name} is filled in', renderTemplate('Hi {name}!', { name: 'Sam' }) === 'Hi Sam!');
+    check('a missing name is dropped like before', renderTemplate('{name}, take a breath.', {}) === 'take a breath.');
+    check('a dropped name before punctuation leaves no gap', renderTemplate('Great job {name}!', {}) === 'Great job!');
+    check('fallbacks fill missing values', renderTemplate('Hi {name|friend}!', {}) === 'Hi friend!' && renderTemplate('Hi {name|friend}!', { name: 'Sam' }) === 'Hi Sam!');
+    check('newlines survive rendering', renderTemplate('Line one\nLine two {name}', { name: 'Sam' }) === 'Line one\nLine two Sam');
+
+    const streak = '{#if streak >= 3}{streak} days in a row!{else}Every day counts.{/if}';
+    check('numeric conditions pick a branch',
+        renderTemplate(streak, { streak: 4 }) === '4 days in a row!' && renderTemplate(streak, { streak: 1 }) === 'Every day counts.');
+    check('presence and negated conditions',
+        renderTemplate('{#if custom.goal}Goal: {custom.goal}{/if}', { 'custom.goal': 'sleep' }) === 'Goal: sleep' &&
+        renderTemplate('{#if !name}Hello!{/if}', {}) === 'Hello!');
+    check('conditions nest', renderTemplate('{#if program = elevate}{#if weekday = Monday}New week!{/if}{/if}', { program: 'Elevate', weekday: 'Monday' }) === 'New week!');
+    check('unknown placeholders in old content are left as they are', renderTemplate('Use code {promo}', {}) === 'Use code {promo}');
+}
+
+function testValidation() {
+    console.log('\n🛑 Test 2: Validation');
+    console.log('====================');
+
+    check('known variables, fallbacks and conditionals are valid',
+        validateTemplate('Hi {name|friend}! Day {days_in_program} of {program}. {#if streak > 1}🔥{/if} {custom.goal}').length === 0);
+    check('unknown placeholders are refused', validateTemplate('Hi {firstname}').length === 1);
+    check('unknown variables in conditions are refused', validateTemplate('{#if mood}x{/if}').length === 1);
+    check('unbalanced conditionals are refused',
+        validateTemplate('{#if streak}x').length === 1 && validateTemplate('x{/if}').length === 1 && validateTemplate('{else}').length === 1);
+}
+
+async function testUserVariables() {
+    console.log('\n👤 Test 3: User Variables');
+    console.log('========================');
+
+    const now = new Date('2025-03-12T17:00:00Z'); // Wednesday, 10 AM in Phoenix
+    const user = {
+        phone_number: '+16025550101',
+        first_name: 'Samantha',
+        preferred_name: 'Sam',
+        protocol: 'Elevate',
+        timezone: 'America/Phoenix',
+        date_joined: '2025-03-10T20:00:00.000Z',
+        attributes: JSON.stringify({ goal: 'sleep by 11' })
+    };
+    const context = buildContext(user, { now });
+    check('the preferred name wins over the first name', context.name === 'Sam' && context.first_name === 'Samantha');
+    check('days in program count the join day as day 1', context.days_in_program === 3);
+    check('the weekday is the user\'s local day', context.weekday === 'Wednesday');
+    check('custom attributes are available as custom.<key>', context['custom.goal'] === 'sleep by 11');
+
+    await withTempDatabase('templates', async (db) => {
+        await db.query("INSERT INTO users (phone_number, first_name, protocol, timezone) VALUES (?, 'Samantha', 'Elevate', 'America/Phoenix')", [user.phone_number]);
+        // Replies yesterday, the day before and three days ago - but not four days ago
+        for (const received of ['2025-03-11T15:00:00Z', '2025-03-10T23:30:00Z', '2025-03-09T18:00:00Z', '2025-03-07T18:00:00Z']) {
+            await db.query(
+                "INSERT INTO inbound_messages (phone_number, message_body, classification, received_timestamp) VALUES (?, 'A', 'interactive', ?)",
+                [user.phone_number, received]
+            );
+        }
+
+        const templates = new MessageTemplates({ db });
+        check('the streak counts consecutive local reply days up to yesterday', await templates.getStreak(user.phone_number, 'America/Phoenix', now) === 3);
+
+        const profile = await templates.setUserProfile(user.phone_number, { preferredName: 'Sam', attributes: { goal: 'sleep by 11' } });
+        const [stored] = await db.query('SELECT * FROM users WHERE phone_number = ?', [user.phone_number]);
+        const rendered = await templates.render('{name}, {streak} days strong - {custom.goal}!', stored, now);
+        check('send paths render from the stored user', profile.success && rendered === 'Sam, 3 days strong - sleep by 11!');
+        check('bad attributes are refused', !(await templates.setUserProfile(user.phone_number, { attributes: { 'bad key': 1 } })).success);
+    });
+}
+
+async function runTests() {
+    console.log('🧪 Testing Message Templates\n');
+
+    testRendering();
+    testValidation();
+    await testUserVariables();
+
+    reportResults('template');
+}
+
+runTests().catch(error => {
+    console.error('❌ Template test crashed:', error);
+    process.exitCode = 1;
+});
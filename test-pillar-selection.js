@@ -0,0 +1,129 @@
+const {
+    getEnabledPillars,
+    messageMatchesPillar,
+    selectAlgorithmMessage,
+    pickFromPool,
+    requiredPoolSize
+} = require('./contentSelection');
+const { check, reportResults } = require('./scripts/testHelpers');
+
+// Pillar-aware algorithm selection and no-repeat rotation - runs against in-memory candidates,
+// no database needed
+process.env.PILLAR_NAMES = 'Mindfulness,Nutrition,Movement,Sleep,Connection';
+
+const CANDIDATES = [
+    { id: 'mind_1', pillar: 'Mindfulness' },
+    { id: 'mind_2', pillar: 'mindfulness' },
+    { id: 'mind_3', pillar: 'Mindfulness' },
+    { id: 'mind_4', pillar: 'Mindfulness' },
+    { id: 'sleep_1', pillar: 'pillar-4' },
+    { id: 'misc_1', pillar: null }
+];
+
+function userWith(pillars) {
+    const preferences = { mindboost_enabled: true };
+    for (let number = 1; number <= 5; number++) {
+        preferences[`pillar${number}_enabled`] = pillars.includes(number);
+    }
+    return { phone_number: '+13125550100', user_preferences: JSON.stringify(preferences) };
+}
+
+// Deterministic stand-in for Math.random that cycles through the given values
+function sequence(...values) {
+    let index = 0;
+    return () => values[index++ % values.length];
+}
+
+function testMatching() {
+    console.log('🏷️ Test 1: Matching Pillars');
+    console.log('==========================');
+
+    const preferences = getEnabledPillars(userWith([1, 4]).user_preferences);
+    check('enabled pillars come from pillarN_enabled', preferences.enabled.map(pillar => pillar.number).join(',') === '1,4');
+    check('pillar names come from PILLAR_NAMES', preferences.enabled[1].name === 'Sleep');
+    check('users without synced preferences are flagged', !getEnabledPillars(null).hasPreferences);
+
+    const sleep = { number: 4, name: 'Sleep' };
+    check('"pillar-4" matches pillar 4', messageMatchesPillar('pillar-4', sleep));
+    check('"SLEEP" matches by name', messageMatchesPillar('SLEEP', sleep));
+    check('"Mindfulness" does not match pillar 4', !messageMatchesPillar('Mindfulness', sleep));
+}
+
+function testSelection() {
+    console.log('\n🎯 Test 2: Selecting Messages');
+    console.log('============================');
+
+    const mindOnly = selectAlgorithmMessage(CANDIDATES, userWith([1]), { random: sequence(0.99) });
+    check('only enabled pillar content is chosen', mindOnly.message.pillar.toLowerCase() === 'mindfulness');
+    check('the reason names the matched pillar', mindOnly.reason === 'pillar_match:Mindfulness');
+
+    // Pillar is picked before the message, so a single Sleep message is as likely as four Mindfulness ones
+    const counts = { mindfulness: 0, sleep: 0 };
+    const random = sequence(0.1, 0.5, 0.6, 0.5);
+    for (let i = 0; i < 100; i++) {
+        const { message } = selectAlgorithmMessage(CANDIDATES, userWith([1, 4]), { random });
+        counts[message.id.startsWith('sleep') ? 'sleep' : 'mindfulness']++;
+    }
+    check('enabled pillars are weighted equally, not by message count', counts.sleep === 50 && counts.mindfulness === 50);
+
+    const partial = selectAlgorithmMessage(CANDIDATES, userWith([1, 2]), { random: sequence(0) });
+    check('empty enabled pillars are noted in the reason', partial.reason === 'pillar_match:Mindfulness (no content for Nutrition)');
+}
+
+function testFallbacks() {
+    console.log('\n🩹 Test 3: Falling Back');
+    console.log('======================');
+
+    const empty = selectAlgorithmMessage(CANDIDATES, userWith([2, 3]), { random: sequence(0) });
+    check('no content for any enabled pillar falls back to the whole pool',
+        !!empty.message && empty.reason === 'pillar_fallback:no content for Nutrition, Movement');
+
+    const disabled = selectAlgorithmMessage(CANDIDATES, userWith([]), { random: sequence(0) });
+    check('all pillars disabled still sends something', !!disabled.message && disabled.reason === 'all_pillars_disabled');
+
+    const unsynced = selectAlgorithmMessage(CANDIDATES, { user_preferences: null }, { random: sequence(0) });
+    check('users without preferences get the whole pool', !!unsynced.message && unsynced.reason === 'no_pillar_preferences');
+
+    check('an empty pool returns no message', selectAlgorithmMessage([], userWith([1])).message === null);
+}
+
+function testRotation() {
+    console.log('\n♻️ Test 4: No-Repeat Rotation');
+    console.log('============================');
+
+    const pool = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+    const options = daysAgo => ({ daysAgo: new Map(Object.entries(daysAgo)), lookbackDays: 30, random: sequence(0) });
+
+    const fresh = pickFromPool(pool, options({ a: 2, b: 5 }));
+    check('a never-sent message wins', fresh.message.id === 'c' && !fresh.exhausted);
+
+    const stale = pickFromPool(pool, options({ a: 45, b: 60, c: 3 }));
+    check('otherwise the oldest message outside the lookback is used', stale.message.id === 'b' && stale.freshRemaining === 1);
+
+    const exhausted = pickFromPool(pool, options({ a: 10, b: 20, c: 5 }));
+    check('an exhausted pool repeats the least recently sent message', exhausted.message.id === 'b' && exhausted.exhausted);
+
+    // Mindfulness is used up, so the user's other pillar is chosen even though the random pick favours Mindfulness
+    const daysAgo = new Map(['mind_1', 'mind_2', 'mind_3', 'mind_4'].map((id, index) => [id, index + 1]));
+    const skip = selectAlgorithmMessage(CANDIDATES, userWith([1, 4]), { daysAgo, lookbackDays: 30, random: sequence(0) });
+    check('an exhausted pillar is passed over for one with fresh content', skip.message.id === 'sleep_1');
+
+    daysAgo.set('sleep_1', 1);
+    const repeat = selectAlgorithmMessage(CANDIDATES, userWith([1, 4]), { daysAgo, lookbackDays: 30, random: sequence(0) });
+    check('when every pillar is exhausted the oldest message repeats', repeat.message.id === 'mind_4' && repeat.exhausted);
+    check('the repeat is noted in the reason', repeat.reason.endsWith('[repeat: pool exhausted]'));
+
+    check('every-2-days sends need 45 messages for a 90-day lookback',
+        requiredPoolSize(Array.from({ length: 90 }, (_, index) => index * 2), 90) === 45);
+    check('post-trial phases 2-4 need 5 messages for a 90-day lookback',
+        requiredPoolSize([25, 33, 41, 71, 101, 131, 191, 251, 311], 90) === 5);
+}
+
+console.log('🧪 Testing Pillar-Aware Selection\n');
+
+testMatching();
+testSelection();
+testFallbacks();
+testRotation();
+
+reportResults('pillar selection');
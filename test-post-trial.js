@@ -0,0 +1,154 @@
+const moment = require('moment-timezone');
+const MessageScheduler = require('./scheduler');
+const { check, reportResults, withTempDatabase } = require('./scripts/testHelpers');
+
+// Walks a finished trial user through days 8-251 of the post-trial schedule against a
+// throwaway SQLite database, checking which message each phase sends and what gets recorded
+
+const PHONE = '+13125550199';
+const EXPECTED_DAYS = [8, 10, 13, 17, 25, 33, 41, 71, 101, 131, 191, 251];
+
+async function seedMessages(db, poolSize) {
+    for (let i = 1; i <= 4; i++) {
+        await db.query(
+            `INSERT INTO messages (id, protocol, pillar, category, message_type, message, active)
+             VALUES (?, 'Elevate', 'Mindfulness', 'Post-Trial', 'standard', ?, 1)`,
+            [`ptmb${i}`, `Phase 1 message ${i} for {name}`]
+        );
+    }
+
+    for (let i = 1; i <= poolSize; i++) {
+        await db.query(
+            `INSERT INTO messages (id, protocol, pillar, category, message_type, message, active)
+             VALUES (?, ?, 'Mindfulness', 'Post-Trial', 'standard', ?, 1)`,
+            [`pt_pool_${i}`, i % 2 === 0 ? 'ALL' : 'Elevate', `Post-trial pool message ${i}`]
+        );
+    }
+
+    // Belongs to another program - must never be picked for an Elevate user
+    await db.query(
+        `INSERT INTO messages (id, protocol, category, message_type, message, active)
+         VALUES ('pt_other', 'MindBoost', 'Post-Trial', 'standard', 'Other program', 1)`
+    );
+}
+
+// Run the scheduler's own rules for every day from 8 to 251 and "send" whatever is due
+async function simulatePostTrial(db, scheduler, joined) {
+    await db.query(`
+        INSERT INTO users (phone_number, first_name, protocol, user_type, trial_messages_sent, date_joined, timezone)
+        VALUES (?, 'Pat', 'Elevate', 'trial', 7, ?, 'America/Chicago')
+    `, [PHONE, joined.toISOString()]);
+
+    const schedule = await scheduler.dripSchedules.getSchedule('Elevate', 'trial');
+    const sends = [];
+
+    for (let day = 8; day <= 251; day++) {
+        const user = await scheduler.getUser(PHONE);
+        const now = joined.clone().add(day, 'days').hour(15);
+        const isDue = scheduler.getScheduleStatus(user, now, schedule);
+        if (!isDue.due) continue;
+
+        const message = await scheduler.getNextMessage(user, isDue);
+        if (!message) {
+            sends.push({ day, messageType: isDue.messageType, messageId: null });
+            continue;
+        }
+
+        await scheduler.updateUserProgress(user, isDue, message.id);
+        sends.push({ day, messageType: isDue.messageType, messageId: message.id });
+    }
+
+    return sends;
+}
+
+async function withDatabase(name, fn) {
+    await withTempDatabase(name, async (db) => {
+        const scheduler = new MessageScheduler({
+            db,
+            sendMessageFunction: async () => ({ success: true }),
+            logFunction: () => {}
+        });
+        await fn(db, scheduler);
+    });
+}
+
+async function testFullPostTrial() {
+    console.log('\n📆 Test 1: Days 8-251 With A Full Message Pool');
+    console.log('=============================================');
+
+    await withDatabase('post-trial', async (db, scheduler) => {
+        await seedMessages(db, 8);
+        const joined = moment.tz('2025-01-06 09:00', 'America/Chicago');
+        const sends = await simulatePostTrial(db, scheduler, joined);
+
+        check(`messages go out on days ${EXPECTED_DAYS.join(', ')}`,
+            sends.map(send => send.day).join(',') === EXPECTED_DAYS.join(','));
+        check('every due day resolves to a concrete message', sends.every(send => send.messageId));
+
+        const phase1 = sends.filter(send => send.messageType === 'post-trial-phase1').map(send => send.messageId);
+        check('phase 1 sends ptmb1-ptmb4 in order', phase1.join(',') === 'ptmb1,ptmb2,ptmb3,ptmb4');
+
+        const later = sends.filter(send => send.messageType !== 'post-trial-phase1').map(send => send.messageId);
+        check('phases 2-4 never repeat a message', new Set(later).size === later.length);
+        check('phases 2-4 only use the post-trial pool', later.every(id => id.startsWith('pt_pool_')));
+
+        const user = await scheduler.getUser(PHONE);
+        const history = scheduler.parsePostTrialHistory(user.post_trial_messages_sent);
+        check('post_trial_messages_sent records all 12 sends', history.length === 12);
+        check('history entries carry message id, phase and day',
+            history[0].messageId === 'ptmb1' && history[0].phase === 1 && history[0].day === 8 &&
+            history[11].phase === 4 && history[11].day === 251);
+        check('post_trial_phase and post_trial_day track the latest send',
+            user.post_trial_phase === 4 && user.post_trial_day === 251);
+    });
+}
+
+async function testExhaustedPool() {
+    console.log('\n♻️ Test 2: Small Pool Reuses The Oldest Message');
+    console.log('==============================================');
+
+    await withDatabase('post-trial-small', async (db, scheduler) => {
+        await seedMessages(db, 3);
+        const joined = moment.tz('2025-01-06 09:00', 'America/Chicago');
+        const sends = await simulatePostTrial(db, scheduler, joined);
+
+        const later = sends.filter(send => send.messageType !== 'post-trial-phase1').map(send => send.messageId);
+        check('the first three pool sends are all different', new Set(later.slice(0, 3)).size === 3);
+        // The phase 1 messages are Post-Trial too, and they went out before anything else
+        check('once the pool is used up, the message sent longest ago (ptmb1) comes back', later[3] === 'ptmb1');
+        check('reuse keeps cycling in least-recently-sent order',
+            later.slice(4, 7).join(',') === 'ptmb2,ptmb3,ptmb4' && later[7] === later[0]);
+    });
+}
+
+async function testMissingPhaseOneMessage() {
+    console.log('\n🩹 Test 3: Missing Phase 1 Message Falls Back To The Pool');
+    console.log('=======================================================');
+
+    await withDatabase('post-trial-missing', async (db, scheduler) => {
+        await seedMessages(db, 8);
+        await db.query("UPDATE messages SET active = 0 WHERE id = 'ptmb2'");
+
+        const joined = moment.tz('2025-01-06 09:00', 'America/Chicago');
+        const sends = await simulatePostTrial(db, scheduler, joined);
+        const day10 = sends.find(send => send.day === 10);
+
+        check('day 10 still sends something', !!day10?.messageId);
+        check('the inactive ptmb2 is not sent', day10?.messageId !== 'ptmb2');
+    });
+}
+
+async function runTests() {
+    console.log('🧪 Testing Post-Trial Schedule');
+
+    await testFullPostTrial();
+    await testExhaustedPool();
+    await testMissingPhaseOneMessage();
+
+    reportResults('post-trial');
+}
+
+runTests().catch(error => {
+    console.error('❌ Post-trial test crashed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,115 @@
+const CrisisEscalation = require('./crisisEscalation');
+const ResponseHandler = require('./responseHandler');
+const { detectRisk } = require('./riskDetector');
+const { OutboxTransport } = require('./smsTransport');
+const { check, reportResults, withTempDatabase } = require('./scripts/testHelpers');
+
+// Self-harm risk phrases: what the detector catches, what it leaves alone, and how a match is
+// answered and escalated (against a throwaway SQLite database)
+
+const USER = '+16025550101';
+const ON_CALL = '+16025550199';
+
+// [text, expected id]
+const RISKY = [
+    ['I want to end it', 'want_to_die'],
+    ['honestly i just wanna die', 'want_to_die'],
+    ['I\'m thinking about killing myself', 'kill_myself'],
+    ['Everyone would be better off without me.', 'better_off_dead'],
+    ['I don\'t want to wake up tomorrow', 'dont_want_to_live'],
+    ['been cutting myself again', 'hurt_myself'],
+    ['I took all my pills', 'overdose'],
+    ['Having suicidal thoughts', 'suicide'],
+    ['I can\'t go on like this', 'cant_go_on'],
+    ['im going to end it tonight', 'want_to_die'],
+    ['I am ready to die', 'want_to_die'],
+    ['trying to die', 'want_to_die'],
+    ['going to be dead soon, bye', 'want_to_die'],
+    ['I want to die if nothing changes', 'want_to_die'],
+    ['i want to die of this pain', 'want_to_die']
+];
+
+const EVERYDAY = [
+    'This workout is killing me 😂',
+    'I\'m dying to try that recipe',
+    'My phone died, sorry for the late reply',
+    'I could die laughing at that video',
+    'Going to end the session early today, tired',
+    'Killed it at the gym!',
+    'lol im gonna die laughing',
+    'ready to die of boredom',
+    'going to disappear forever from facebook',
+    'I want to die of embarrassment',
+    'B'
+];
+
+function testDetection() {
+    console.log('🔍 Test 1: Detection');
+    console.log('===================');
+
+    for (const [text, id] of RISKY) {
+        const risk = detectRisk(text);
+        check(`"${text}" is flagged as ${id}`, risk && risk.id === id);
+    }
+
+    const flagged = EVERYDAY.filter(text => detectRisk(text));
+    check('everyday hyperbole is not flagged', flagged.length === 0);
+    if (flagged.length > 0) console.log(`   flagged: ${flagged.join(' | ')}`);
+
+    const risk = detectRisk('I want to die.');
+    check('matches report the pattern and the matched words', risk.pattern.includes('DIE') && risk.matched === 'WANT TO DIE');
+}
+
+async function testResponse() {
+    console.log('\n🚨 Test 2: Response and Escalation');
+    console.log('=================================');
+
+    await withTempDatabase('risk', async (db) => {
+        await db.query("INSERT INTO users (phone_number, first_name, protocol, awaiting_response) VALUES (?, 'Sam', 'Elevate', 'E2')", [USER]);
+
+        const sent = [];
+        const logs = [];
+        const sendMessageFunction = async (phone, text, messageId) => {
+            sent.push({ phone, text, messageId });
+            return { success: true };
+        };
+        const logFunction = (type, message, phone, data) => logs.push({ type, message, data });
+        const staffTexts = new OutboxTransport();
+        const escalation = new CrisisEscalation({ db, smsTransport: staffTexts, logFunction, emailTransport: null });
+        await escalation.savePolicy({ contacts: [{ name: 'Dana', phone: ON_CALL }], channels: ['sms'] });
+        const handler = new ResponseHandler({ db, escalation, sendMessageFunction, logFunction });
+
+        const result = await handler.processIncomingMessage(USER, 'honestly I just want to end it');
+        const reply = sent.find(message => message.phone === USER);
+        check('a risk phrase gets the 988 crisis response', result.classification === 'risk' && reply.text.includes('988'));
+        check('on-call staff are alerted with the matched pattern',
+            result.alertId === 1 && staffTexts.getMessages(ON_CALL).length === 1 &&
+            (await escalation.getAlert(1)).trigger_detail === 'want_to_die: WANT TO END IT');
+
+        const logged = logs.find(entry => entry.message.startsWith('Risk phrase detected'));
+        check('the match is logged with its pattern', logged && logged.data.riskId === 'want_to_die' && logged.data.pattern.includes('END IT'));
+
+        const [inbound] = await db.query('SELECT classification, action_taken FROM inbound_messages WHERE phone_number = ?', [USER]);
+        check('the inbound message is classified as a risk', inbound.classification === 'risk' && inbound.action_taken === 'crisis_support');
+
+        const keyword = await handler.processIncomingMessage(USER, 'HELP I want to kill myself');
+        check('risk phrases outrank keyword rules', keyword.classification === 'risk' && keyword.riskId === 'kill_myself');
+
+        const everyday = await handler.processIncomingMessage(USER, 'this workout is killing me');
+        check('ordinary free text still takes the generic path', everyday.classification === 'unrecognized');
+    });
+}
+
+async function runTests() {
+    console.log('🧪 Testing Risk Phrase Detection\n');
+
+    testDetection();
+    await testResponse();
+
+    reportResults('risk detection');
+}
+
+runTests().catch(error => {
+    console.error('❌ Risk detection test crashed:', error);
+    process.exitCode = 1;
+});
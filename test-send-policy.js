@@ -0,0 +1,121 @@
+const moment = require('moment-timezone');
+const SendPolicy = require('./sendPolicy');
+const DripScheduleStore = require('./dripSchedule');
+const { check, reportResults, withTempDatabase } = require('./scripts/testHelpers');
+const { DEFAULT_SEND_POLICIES, validateSendPolicy, validateBlackout, evaluateSendPolicy } = SendPolicy;
+
+const TIMEZONE = 'America/Los_Angeles';
+const USER = { phone_number: '+13125550123', protocol: 'Elevate', timezone: TIMEZONE, preferred_send_time: '19:00-21:00' };
+
+function policy(messageClass, blackouts = [], rules = {}) {
+    return { messageClass, rules: { ...DEFAULT_SEND_POLICIES[messageClass], ...rules }, blackouts };
+}
+
+function at(localTime) {
+    return moment.tz(localTime, TIMEZONE);
+}
+
+function testClassRules() {
+    console.log('🚦 Test 1: Message Class Rules');
+    console.log('=============================');
+
+    // 2025-03-08 is a Saturday, 2025-03-09 a Sunday
+    check('scheduled sends use the user\'s own window',
+        evaluateSendPolicy(policy('scheduled'), USER, at('2025-03-08 19:30')).allowed &&
+        !evaluateSendPolicy(policy('scheduled'), USER, at('2025-03-08 12:00')).allowed);
+
+    const sunday = evaluateSendPolicy(policy('scheduled'), USER, at('2025-03-09 19:30'));
+    check('scheduled sends rest on Sunday', !sunday.allowed && sunday.code === 'rest_day');
+    check('the next allowed instant is Monday when the window opens',
+        sunday.nextAllowedAt.format('YYYY-MM-DD HH:mm') === '2025-03-10 19:00');
+
+    check('injections ignore the Sunday rest day', evaluateSendPolicy(policy('injection'), USER, at('2025-03-09 10:00')).allowed);
+    const late = evaluateSendPolicy(policy('injection'), USER, at('2025-03-08 18:30'));
+    check('injections stop at 6 PM and resume at 9 AM the next day',
+        !late.allowed && late.code === 'outside_window' && late.nextAllowedAt.format('YYYY-MM-DD HH:mm') === '2025-03-09 09:00');
+
+    const earlyWelcome = evaluateSendPolicy(policy('welcome'), USER, at('2025-03-08 07:15'));
+    check('welcomes wait until 8 AM the same day', earlyWelcome.nextAllowedAt.format('YYYY-MM-DD HH:mm') === '2025-03-08 08:00');
+    const saturdayNight = evaluateSendPolicy(policy('welcome'), USER, at('2025-03-08 20:30'));
+    check('a Saturday night welcome waits until Monday 8 AM',
+        saturdayNight.nextAllowedAt.format('YYYY-MM-DD HH:mm') === '2025-03-10 08:00');
+}
+
+function testBlackouts() {
+    console.log('\n🎄 Test 2: Blackout Days');
+    console.log('=======================');
+
+    const holidays = [{ name: 'Christmas', start_date: '2025-12-24', end_date: '2025-12-26' }];
+    const blocked = evaluateSendPolicy(policy('injection', holidays), USER, at('2025-12-25 10:00'));
+    check('sends are blocked inside a blackout', !blocked.allowed && blocked.code === 'blackout' && blocked.reason.includes('Christmas'));
+    check('the next allowed instant is the day after the blackout ends',
+        blocked.nextAllowedAt.format('YYYY-MM-DD HH:mm') === '2025-12-27 09:00');
+
+    check('blackouts are compared in the user\'s local date',
+        evaluateSendPolicy(policy('injection', holidays), USER, at('2025-12-23 17:30')).allowed);
+    check('a class with blackouts turned off ignores them',
+        evaluateSendPolicy(policy('injection', holidays, { blackouts: false }), USER, at('2025-12-25 10:00')).allowed);
+}
+
+function testValidation() {
+    console.log('\n🚫 Test 3: Validation');
+    console.log('====================');
+
+    check('accepts a partial override', validateSendPolicy({ window: '10:00-16:00' }).length === 0);
+    check('rejects windows outside 8 AM - 9 PM', validateSendPolicy({ window: '06:00-10:00' }).length > 0);
+    check('rejects unknown fields', validateSendPolicy({ hours: '9-5' }).length > 0);
+    check('rejects a week of rest days', validateSendPolicy({ restDays: [0, 1, 2, 3, 4, 5, 6] }).length > 0);
+    check('rejects a blackout that ends before it starts',
+        validateBlackout({ name: 'Oops', startDate: '2025-07-05', endDate: '2025-07-04' }).length > 0);
+    check('accepts a one-day blackout', validateBlackout({ name: 'Independence Day', startDate: '2025-07-04' }).length === 0);
+}
+
+async function testStore() {
+    console.log('\n🗄️ Test 4: Program Overrides And Stored Blackouts');
+    console.log('================================================');
+
+    await withTempDatabase('send-policy', async (db) => {
+        const store = new SendPolicy({ db });
+
+        await store.savePolicy('ALL', 'injection', { window: '10:00-17:00' });
+        await store.savePolicy('Elevate', 'injection', { restDays: [0] });
+        await store.addBlackout({ name: 'Elevate retreat', startDate: '2025-06-02', protocol: 'Elevate', messageClasses: ['scheduled'] });
+
+        const elevate = await store.loadPolicy('Elevate', 'injection');
+        check('program overrides stack on top of the ALL override',
+            elevate.rules.window === '10:00-17:00' && elevate.rules.restDays.join(',') === '0' && elevate.source === 'protocol');
+
+        const mindBoost = await store.loadPolicy('MindBoost', 'injection');
+        check('other programs only get the ALL override', mindBoost.source === 'all' && mindBoost.rules.restDays.length === 0);
+
+        const retreat = await store.check(USER, 'scheduled', at('2025-06-02 19:30'));
+        check('a program blackout limited to scheduled sends blocks them', !retreat.allowed && retreat.code === 'blackout');
+        check('...but not injections', (await store.check(USER, 'injection', at('2025-06-02 12:00'))).allowed);
+
+        // Saturday May 31 join: Sunday is a rest day, Monday the Elevate retreat
+        const drip = new DripScheduleStore({ db, sendPolicy: store });
+        const previewDates = async protocol => (await drip.previewSchedule(protocol, 'trial', { startDate: '2025-05-31', days: 4, timezone: USER.timezone }))
+            .sends.map(send => send.date).join(',');
+        check('drip previews skip the days the scheduled policy closes',
+            await previewDates('Elevate') === '2025-06-03,2025-06-04' && await previewDates('MindBoost') === '2025-06-02,2025-06-03,2025-06-04');
+
+        const invalid = await store.savePolicy('Elevate', 'broadcast', {});
+        check('unknown message classes are rejected', !invalid.success);
+    });
+}
+
+async function runTests() {
+    console.log('🧪 Testing Send Policy\n');
+
+    testClassRules();
+    testBlackouts();
+    testValidation();
+    await testStore();
+
+    reportResults('send policy');
+}
+
+runTests().catch(error => {
+    console.error('❌ Send policy test crashed:', error);
+    process.exitCode = 1;
+});
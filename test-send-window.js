@@ -0,0 +1,80 @@
+const moment = require('moment-timezone');
+const {
+    DEFAULT_SEND_WINDOW,
+    parseSendWindow,
+    formatSendWindow,
+    getUserSendWindow,
+    isWithinSendWindow
+} = require('./sendWindow');
+const { check, reportResults } = require('./scripts/testHelpers');
+
+function testParsing() {
+    console.log('🕐 Test 1: Parsing Send Windows');
+    console.log('==============================');
+
+    const cases = [
+        ['14:00-17:00', '14:00-17:00'],
+        ['2pm-5pm', '14:00-17:00'],
+        ['7-9PM', '19:00-21:00'],
+        ['7:30 to 9 pm', '19:30-21:00'],
+        ['11-1PM', '11:00-13:00'],
+        ['9-5', '09:00-17:00'],
+        ['19-21', '19:00-21:00'],
+        ['8am – 10am', '08:00-10:00'],
+        ['3:00-3:30pm', '15:00-15:30']
+    ];
+
+    for (const [input, expected] of cases) {
+        const window = parseSendWindow(input);
+        check(`"${input}" parses to ${expected}`, !window.error && formatSendWindow(window) === expected);
+    }
+}
+
+function testValidation() {
+    console.log('\n🚫 Test 2: Rejecting Invalid Windows');
+    console.log('===================================');
+
+    const cases = [
+        ['', 'empty input'],
+        ['whenever', 'text that is not a time'],
+        ['9PM-7PM', 'a window that ends before it starts'],
+        ['6am-9am', 'a window starting before 8 AM'],
+        ['8pm-11pm', 'a window ending after 9 PM'],
+        ['3:00-3:20pm', 'a window shorter than 30 minutes'],
+        ['25-26', 'hours that do not exist']
+    ];
+
+    for (const [input, description] of cases) {
+        check(`rejects ${description} ("${input}")`, !!parseSendWindow(input).error);
+    }
+}
+
+function testUserWindows() {
+    console.log('\n👤 Test 3: Resolving User Windows');
+    console.log('================================');
+
+    const stored = getUserSendWindow({ preferred_send_time: '14:00-17:00' });
+    check('a valid stored window is used as-is', !stored.usedDefault && formatSendWindow(stored) === '14:00-17:00');
+
+    const missing = getUserSendWindow({ preferred_send_time: null });
+    check('a missing window falls back to the default', missing.usedDefault && formatSendWindow(missing) === DEFAULT_SEND_WINDOW);
+
+    const invalid = getUserSendWindow({ preferred_send_time: 'late' });
+    check('an invalid window falls back to the default with a reason', invalid.usedDefault && !!invalid.error);
+
+    const window = parseSendWindow('7-9PM');
+    const inside = moment.tz('2025-03-04 19:30', 'America/Los_Angeles');
+    const atEnd = moment.tz('2025-03-04 21:00', 'America/Los_Angeles');
+    const before = moment.tz('2025-03-04 18:59', 'America/Los_Angeles');
+    check('7:30 PM local is inside a 7-9 PM window', isWithinSendWindow(window, inside));
+    check('9:00 PM local is outside (the end is exclusive)', !isWithinSendWindow(window, atEnd));
+    check('6:59 PM local is outside', !isWithinSendWindow(window, before));
+}
+
+console.log('🧪 Testing Preferred Send Windows\n');
+
+testParsing();
+testValidation();
+testUserWindows();
+
+reportResults('send window');
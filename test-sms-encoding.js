@@ -0,0 +1,71 @@
+const {
+    analyzeMessage,
+    analyzeTemplate,
+    checkSegments,
+    validateSegments,
+    estimateSend,
+    NAME_ALLOWANCE
+} = require('./smsEncoding');
+const { check, reportResults } = require('./scripts/testHelpers');
+
+const LIMITS = { warnSegments: 2, maxSegments: 3, costPerSegment: 0.01 };
+
+function testEncoding() {
+    console.log('🔤 Test 1: Encoding and Segments');
+    console.log('===============================');
+
+    const plain = analyzeMessage('a'.repeat(160));
+    check('160 GSM-7 characters fit one segment', plain.encoding === 'GSM-7' && plain.segments === 1);
+    check('161 split into 153-character segments', analyzeMessage('a'.repeat(161)).segments === 2);
+    check('306 GSM-7 characters fit two segments, 307 need three',
+        analyzeMessage('a'.repeat(306)).segments === 2 && analyzeMessage('a'.repeat(307)).segments === 3);
+
+    const accents = analyzeMessage('Café à Malmö - señor');
+    check('accents in the GSM alphabet stay GSM-7', accents.encoding === 'GSM-7');
+    const braces = analyzeMessage('{'.repeat(80));
+    check('extension characters count twice', braces.units === 160 && braces.segments === 1);
+    check('an escape pair is never split across segments', analyzeMessage('a'.repeat(152) + '€' + 'a'.repeat(10)).segments === 2);
+
+    const emoji = analyzeMessage('Great job today! 🎉 Keep it up.');
+    check('one emoji switches to UCS-2', emoji.encoding === 'UCS-2' && emoji.nonGsmCharacters.join('') === '🎉');
+    check('70 UCS-2 units fit one segment, 71 need two',
+        analyzeMessage('ç'.repeat(70)).segments === 1 && analyzeMessage('ç'.repeat(71)).segments === 2);
+    check('an emoji flip triples a two-segment message',
+        analyzeMessage('a'.repeat(200)).segments === 2 && analyzeMessage('a'.repeat(199) + '💪').segments === 3);
+    check('curly quotes are UCS-2 too', analyzeMessage('It’s time').encoding === 'UCS-2');
+}
+
+function testLimits() {
+    console.log('\n🚦 Test 2: Warn and Block');
+    console.log('========================');
+
+    check('a short message is ok', checkSegments(analyzeMessage('Hi there'), LIMITS).level === 'ok');
+    const warned = checkSegments(analyzeMessage('a'.repeat(150) + '😀'), LIMITS);
+    check('three segments warns and names the character', warned.level === 'warn' && warned.warning.includes('😀'));
+    check('four segments is blocked', checkSegments(analyzeMessage('😀'.repeat(120)), LIMITS).level === 'block');
+    check('validation only reports blocked text',
+        validateSegments('a'.repeat(400), LIMITS).length === 0 && validateSegments('a'.repeat(500), LIMITS).length === 1);
+    check('templates leave room for the name', analyzeTemplate('Hi {name}!').characters === NAME_ALLOWANCE + 4);
+}
+
+function testEstimates() {
+    console.log('\n💵 Test 3: Send Estimates');
+    console.log('========================');
+
+    const text = `{name}, ${'a'.repeat(150)}`;
+    const personalize = recipient => (recipient.first_name ? text.replace('{name}', recipient.first_name) : text.replace('{name}, ', ''));
+    const estimate = estimateSend([{ first_name: 'Al' }, { first_name: 'Bartholomew' }, { first_name: 'Zoë' }, { first_name: null }], personalize, LIMITS);
+
+    check('each recipient is counted with their own name', estimate.minSegments === 1 && estimate.maxSegments === 3);
+    check('a non-GSM name switches that copy to UCS-2', estimate.encodings.includes('UCS-2') && estimate.encodings.includes('GSM-7'));
+    check('totals and cost add up', estimate.totalSegments === 7 && estimate.estimatedCost === 0.07);
+    check('the longest copy sets the warning', estimate.level === 'warn' && !!estimate.warning);
+}
+
+console.log('🧪 Testing SMS Encoding and Segment Counts\n');
+
+testEncoding();
+testLimits();
+testEstimates();
+
+reportResults('SMS encoding');
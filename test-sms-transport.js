@@ -0,0 +1,96 @@
+const http = require('http');
+const { createTransport, OutboxTransport, HttpTransport } = require('./smsTransport');
+const { check, reportResults } = require('./scripts/testHelpers');
+
+async function testOutboxTransport() {
+    console.log('📥 Test 1: Outbox Transport');
+    console.log('==========================');
+
+    const outbox = createTransport({ type: 'outbox' });
+    check('createTransport({ type: "outbox" }) returns an OutboxTransport', outbox instanceof OutboxTransport);
+
+    const first = await outbox.send({ to: '+13125550001', body: 'Hello Alice, welcome!' });
+    await outbox.send({ to: '+13125550002', body: 'Hello Bob, welcome!' });
+    await outbox.send({ to: '+13125550001', body: 'Second message for Alice' });
+
+    check('send() returns a sid', typeof first.sid === 'string' && first.sid.startsWith('outbox_'));
+    check('send() reports the message as delivered', first.status === 'delivered');
+    check('all messages are captured', outbox.getMessages().length === 3);
+    check('messages can be filtered by phone number', outbox.getMessages('+13125550001').length === 2);
+    check('getLastMessage() returns the latest message for a number',
+        outbox.getLastMessage('+13125550001').body === 'Second message for Alice');
+
+    outbox.clear();
+    check('clear() empties the outbox', outbox.getMessages().length === 0);
+}
+
+async function testHttpTransport() {
+    console.log('\n🌐 Test 2: HTTP Transport');
+    console.log('========================');
+
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            received.push({ headers: req.headers, body: JSON.parse(body) });
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ id: 'gw_123', status: 'queued' }));
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}/messages`;
+
+    try {
+        const transport = createTransport({ type: 'http', url, apiKey: 'secret-key', fromNumber: '+13125550000' });
+        check('createTransport({ type: "http" }) returns an HttpTransport', transport instanceof HttpTransport);
+
+        const result = await transport.send({ to: '+13125550001', body: 'Gateway test' });
+        check('gateway id is used as the sid', result.sid === 'gw_123');
+        check('gateway status is passed through', result.status === 'queued');
+        check('request carries the bearer token', received[0]?.headers.authorization === 'Bearer secret-key');
+        check('request body contains to/from/body',
+            received[0]?.body.to === '+13125550001' &&
+            received[0]?.body.from === '+13125550000' &&
+            received[0]?.body.body === 'Gateway test');
+    } finally {
+        server.close();
+    }
+}
+
+function testTransportSelection() {
+    console.log('\n⚙️ Test 3: Transport Selection');
+    console.log('=============================');
+
+    let error = null;
+    try {
+        createTransport({ type: 'carrier-pigeon' });
+    } catch (err) {
+        error = err;
+    }
+    check('unknown transport types are rejected', error && error.message.includes('Unknown SMS transport'));
+
+    error = null;
+    try {
+        createTransport({ type: 'http' });
+    } catch (err) {
+        error = err;
+    }
+    check('HTTP transport requires a url', error && error.message.includes('requires a url'));
+}
+
+async function runTests() {
+    console.log('🧪 Testing SMS Transports\n');
+
+    await testOutboxTransport();
+    await testHttpTransport();
+    testTransportSelection();
+
+    reportResults('transport');
+}
+
+runTests().catch(error => {
+    console.error('❌ Transport test crashed:', error);
+    process.exitCode = 1;
+});
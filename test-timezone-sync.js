@@ -1,18 +1,24 @@
 require('dotenv').config();
 const WordPressSync = require('./wordpressSync');
+const DatabaseManager = require('./scripts/DatabaseManager');
 const moment = require('moment-timezone');
+const { DEFAULT_SEND_WINDOW, parseSendWindow, getUserSendWindow, describeSendWindow, isWithinSendWindow } = require('./sendWindow');
 
 async function testTimezoneSync() {
     console.log('🕐 Testing Timezone Sync System...\n');
     
+    const db = new DatabaseManager();
+    
     try {
+        await db.initialize();
+        
         const wordpressSync = new WordPressSync({
             wpHost: process.env.WP_DB_HOST,
             wpUser: process.env.WP_DB_USER,
             wpPassword: process.env.WP_DB_PASSWORD,
             wpDatabase: process.env.WP_DB_NAME,
             wpPrefix: process.env.WP_DB_PREFIX,
-            trackingDbPath: './databases/user_tracking.db',
+            db,
             logFunction: (type, message, phone, data) => {
                 console.log(`[${type.toUpperCase()}] ${message}${phone ? ` (${phone})` : ''}`);
             }
@@ -35,7 +41,8 @@ async function testTimezoneSync() {
         console.log(`✅ Synced ${syncResult.syncedCount} subscribers`);
 
         // Test 3: Check current time in different timezones
-        console.log('\n3. Current time in different US timezones:');
+        console.log(`\n3. Current time in different US timezones (default window ${DEFAULT_SEND_WINDOW}):`);
+        const defaultWindow = parseSendWindow(DEFAULT_SEND_WINDOW);
         const timezones = [
             'America/New_York',
             'America/Chicago', 
@@ -46,29 +53,18 @@ async function testTimezoneSync() {
 
         timezones.forEach(tz => {
             const time = moment().tz(tz);
-            const hour = time.hour();
-            const canSend = hour >= 9 && hour < 18 && time.day() !== 0;
+            const canSend = isWithinSendWindow(defaultWindow, time) && time.day() !== 0;
             console.log(`   ${tz}: ${time.format('dddd, h:mm A z')} ${canSend ? '✅ Can send' : '❌ Cannot send'}`);
         });
 
         // Test 4: Check users in SMS system with their timezones
         console.log('\n4. Users in SMS system with timezones:');
-        const sqlite3 = require('sqlite3').verbose();
-        const trackingDb = new sqlite3.Database('./databases/user_tracking.db');
-        
-        await new Promise((resolve) => {
-            trackingDb.all('SELECT phone_number, first_name, timezone, protocol FROM users LIMIT 10', [], (err, rows) => {
-                if (err) {
-                    console.error('Error:', err);
-                } else {
-                    rows.forEach(user => {
-                        const userTime = moment().tz(user.timezone || 'America/Chicago');
-                        console.log(`   ${user.first_name || 'Unknown'} (${user.protocol}): ${user.timezone || 'Default'} - ${userTime.format('h:mm A z')}`);
-                    });
-                }
-                trackingDb.close();
-                resolve();
-            });
+        const rows = await db.query('SELECT phone_number, first_name, timezone, protocol, preferred_send_time FROM users LIMIT 10');
+        rows.forEach(user => {
+            const userTime = moment().tz(user.timezone || 'America/Chicago');
+            const sendWindow = getUserSendWindow(user);
+            const windowLabel = describeSendWindow(sendWindow) + (sendWindow.usedDefault ? ' (default)' : '');
+            console.log(`   ${user.first_name || 'Unknown'} (${user.protocol}): ${user.timezone || 'Default'} - ${userTime.format('h:mm A z')}, window ${windowLabel} ${isWithinSendWindow(sendWindow, userTime) ? '✅' : '⏸️'}`);
         });
 
         await wordpressSync.close();
@@ -78,6 +74,8 @@ async function testTimezoneSync() {
 
     } catch (error) {
         console.error('❌ Timezone test failed:', error.message);
+    } finally {
+        await db.close();
     }
 }
 
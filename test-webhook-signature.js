@@ -0,0 +1,62 @@
+const express = require('express');
+const twilio = require('twilio');
+const { createSignatureValidator, signatureConfigProblem } = require('./webhookSignature');
+const { check, reportResults } = require('./scripts/testHelpers');
+
+// Twilio webhook signature checks on a local express app using the same middleware as app.js
+
+const AUTH_TOKEN = 'test_auth_token';
+const BODY = { From: '+16025550101', Body: 'HELP', MessageSid: 'SM123' };
+
+async function post(baseUrl, signature) {
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    if (signature) headers['X-Twilio-Signature'] = signature;
+    const response = await fetch(`${baseUrl}/webhook/sms`, { method: 'POST', headers, body: new URLSearchParams(BODY).toString() });
+    return response.status;
+}
+
+async function runTests() {
+    console.log('🧪 Testing Twilio Webhook Signatures\n');
+
+    const logs = [];
+    const app = express();
+    app.use(express.urlencoded({ extended: true }));
+    app.post('/webhook/sms', createSignatureValidator({ logFunction: (type, message) => logs.push(message) }), (req, res) => res.send('ok'));
+
+    const server = await new Promise(resolve => {
+        const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const saved = { ...process.env };
+
+    try {
+        delete process.env.PUBLIC_BASE_URL;
+        process.env.NODE_ENV = 'production';
+        process.env.TWILIO_AUTH_TOKEN = AUTH_TOKEN;
+        const signature = twilio.getExpectedTwilioSignature(AUTH_TOKEN, `${baseUrl}/webhook/sms`, BODY);
+
+        check('a correctly signed webhook is accepted', await post(baseUrl, signature) === 200);
+        check('a bad signature is refused', await post(baseUrl, 'not-a-signature') === 403);
+        check('a missing signature is refused', await post(baseUrl, null) === 403);
+
+        delete process.env.TWILIO_AUTH_TOKEN;
+        check('without TWILIO_AUTH_TOKEN a signed webhook gets a 403 instead of hanging', await post(baseUrl, signature) === 403);
+        check('...and the rejection is logged', logs.some(message => message.includes('TWILIO_AUTH_TOKEN is not set')));
+        check('startup reports the missing token', signatureConfigProblem() !== null);
+
+        process.env.TWILIO_SKIP_SIGNATURE_VALIDATION = 'true';
+        check('skipping is ignored outside development', await post(baseUrl, null) === 403);
+        process.env.NODE_ENV = 'development';
+        check('development can skip the check explicitly', await post(baseUrl, null) === 200 && signatureConfigProblem() === null);
+    } finally {
+        process.env = saved;
+        await new Promise(resolve => server.close(resolve));
+    }
+
+    reportResults('webhook signature');
+}
+
+runTests().catch(error => {
+    console.error('❌ Webhook signature test crashed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,74 @@
+const twilio = require('twilio');
+
+// Twilio webhook signatures (X-Twilio-Signature) for /webhook/sms and /webhook/sms-status.
+//
+// Twilio signs the public URL it posted to plus the form body with the account's auth token.
+// Without TWILIO_AUTH_TOKEN nothing can be verified, so every webhook is refused - the only way
+// past the check is TWILIO_SKIP_SIGNATURE_VALIDATION=true, and only in development.
+
+function skipRequested() {
+    return process.env.NODE_ENV === 'development' && process.env.TWILIO_SKIP_SIGNATURE_VALIDATION === 'true';
+}
+
+// Why webhooks will be refused at startup, or null when signatures can be checked (or are skipped)
+function signatureConfigProblem() {
+    if (skipRequested() || process.env.TWILIO_AUTH_TOKEN) return null;
+    return 'TWILIO_AUTH_TOKEN is not set - every Twilio webhook will be rejected';
+}
+
+// Express middleware. logFunction(type, message, phoneNumber, data) records rejections.
+function createSignatureValidator(options = {}) {
+    const logFunction = options.logFunction || (() => {});
+
+    async function reject(req, reason, data) {
+        try {
+            await logFunction('warning', `Rejected webhook: ${reason}: ${req.originalUrl}`, req.body?.From || null, {
+                ...data,
+                ip: req.ip,
+                messageSid: req.body?.MessageSid || null
+            });
+        } catch (error) {
+            // Logging must not keep the request from being answered
+        }
+    }
+
+    return async (req, res, next) => {
+        // Local testing (curl, test-requests.http) can't produce signatures - only allowed in development
+        if (skipRequested()) {
+            return next();
+        }
+
+        const authToken = process.env.TWILIO_AUTH_TOKEN;
+        if (!authToken) {
+            await reject(req, 'TWILIO_AUTH_TOKEN is not set, signatures cannot be checked', {});
+            return res.status(403).send('Webhook signature validation is not configured');
+        }
+
+        const signature = req.get('X-Twilio-Signature');
+
+        // Twilio signs the public URL it posted to, which differs from req.url behind a proxy
+        const baseUrl = process.env.PUBLIC_BASE_URL
+            ? process.env.PUBLIC_BASE_URL.replace(/\/$/, '')
+            : `${req.protocol}://${req.get('host')}`;
+        const url = baseUrl + req.originalUrl;
+
+        let valid = false;
+        try {
+            valid = !!signature && twilio.validateRequest(authToken, signature, url, req.body || {});
+        } catch (error) {
+            valid = false;
+        }
+
+        if (!valid) {
+            await reject(req, `${signature ? 'invalid' : 'missing'} Twilio signature`, { url });
+            return res.status(403).send('Invalid Twilio signature');
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    createSignatureValidator,
+    signatureConfigProblem
+};
@@ -1,5 +1,10 @@
 const mysql = require('mysql2/promise');
-const sqlite3 = require('sqlite3').verbose();
+const SendPolicy = require('./sendPolicy');
+const MessageTemplates = require('./messageTemplate');
+
+// Deferred welcomes that fail to send are retried this many times, this far apart
+const MAX_WELCOME_ATTEMPTS = 3;
+const WELCOME_RETRY_DELAY_MS = 5 * 60 * 1000;
 
 class WordPressSync {
     constructor(options) {
@@ -11,10 +16,11 @@ class WordPressSync {
             prefix: options.wpPrefix || 'Healthtxttbl_'  // Fixed: Use correct prefix
         };
         
-        this.trackingDbPath = options.trackingDbPath;
+        this.db = options.db; // Shared DatabaseManager (scripts/DatabaseManager.js)
         this.logFunction = options.logFunction;
+        this.sendPolicy = options.sendPolicy || new SendPolicy({ db: this.db });
+        this.templates = options.templates || new MessageTemplates({ db: this.db });
         
-        this.trackingDb = new sqlite3.Database(this.trackingDbPath);
         this.wpConnection = null;
         
         console.log('🔗 WordPress Sync initialized (Timezone-Aware)');
@@ -354,6 +360,9 @@ class WordPressSync {
     // Process immediate queue entries (send welcome messages) - TIMEZONE-AWARE
     async processImmediateQueue(sendMessageFunction) {
         try {
+            // Welcomes held back earlier whose time has come go out first
+            await this.deliverDueWelcomes(sendMessageFunction);
+
             const queueEntries = await this.checkImmediateQueue();
             let processedCount = 0;
             let errorCount = 0;
@@ -404,9 +413,17 @@ class WordPressSync {
                         this.logFunction('info', `✅ Welcome message sent to ${entry.first_name} (${phoneNumber}) at ${welcomeResult.sentAt || 'current time'}`);
                         await this.markQueueEntryProcessed(entry.id, 'sent');
                         processedCount++;
-                    } else if (welcomeResult.error.includes('Sunday') || welcomeResult.error.includes('hours')) {
-                        this.logFunction('info', `⏰ Welcome message delayed for ${entry.first_name}: ${welcomeResult.error}`);
-                        await this.markQueueEntryProcessed(entry.id, 'delayed');
+                    } else if (welcomeResult.deferred) {
+                        await this.deferWelcome({
+                            phoneNumber,
+                            firstName: entry.first_name,
+                            program: entry.program || 'Elevate',
+                            queueEntryId: entry.id,
+                            deliverAt: welcomeResult.nextAllowedAt,
+                            reason: welcomeResult.error
+                        });
+                        this.logFunction('info', `⏰ Welcome message for ${entry.first_name} deferred until ${welcomeResult.nextAllowedAt}: ${welcomeResult.error}`, phoneNumber);
+                        await this.markQueueEntryProcessed(entry.id, 'deferred');
                         delayedCount++;
                     } else {
                         this.logFunction('error', `❌ Failed to send welcome message to ${phoneNumber}: ${welcomeResult.error}`, phoneNumber);
@@ -436,33 +453,128 @@ class WordPressSync {
         }
     }
 
-    // Send welcome message to new user (TIMEZONE-AWARE)
-    async sendWelcomeMessage(phoneNumber, firstName, program, sendMessageFunction) {
+    // Welcomes the send policy held back (Sunday, late night, blackout) wait in deferred_welcomes
+    // until the user's next allowed local time
+    async deferWelcome({ phoneNumber, firstName, program, queueEntryId, deliverAt, reason }) {
+        await this.db.query(`
+            INSERT INTO deferred_welcomes 
+            (phone_number, first_name, program, queue_entry_id, deliver_at, status, reason, created_at)
+            VALUES (?, ?, ?, ?, ?, 'pending', ?, ?)
+        `, [phoneNumber, firstName, program, queueEntryId || null, deliverAt, reason, new Date().toISOString()]);
+    }
+
+    // Send deferred welcomes that are due. Each one is re-checked against the send policy
+    // (a blackout may have been added since) and skipped if the user already got message 1.
+    async deliverDueWelcomes(sendMessageFunction, now = new Date()) {
+        const due = await this.db.query(`
+            SELECT * FROM deferred_welcomes 
+            WHERE status = 'pending' AND deliver_at <= ?
+            ORDER BY deliver_at ASC
+            LIMIT 10
+        `, [now.toISOString()]);
+
+        const results = { sent: 0, rescheduled: 0, skipped: 0, failed: 0 };
+
+        for (const pending of due || []) {
+            try {
+                const outcome = await this.deliverDeferredWelcome(pending, sendMessageFunction, now);
+                results[outcome]++;
+            } catch (error) {
+                this.logFunction('error', `Deferred welcome ${pending.id} failed`, pending.phone_number, error);
+                await this.recordDeferredFailure(pending, error.message);
+                results.failed++;
+            }
+        }
+
+        if (due && due.length > 0) {
+            console.log(`📬 Deferred welcomes: ${results.sent} sent, ${results.rescheduled} rescheduled, ${results.skipped} skipped, ${results.failed} failed`);
+        }
+        return results;
+    }
+
+    // Returns which bucket of deliverDueWelcomes' results the row ended up in
+    async deliverDeferredWelcome(pending, sendMessageFunction, now) {
+        const user = await this.getUserFromSMS(pending.phone_number);
+
+        if (!user || ['stopped', 'expired'].includes(user.subscription_status)) {
+            await this.updateDeferredWelcome(pending.id, { status: 'cancelled' });
+            return 'skipped';
+        }
+        if (user.trial_messages_sent > 0 || user.total_messages_sent > 0) {
+            // The scheduler already sent message 1 - a second welcome would be a duplicate
+            await this.updateDeferredWelcome(pending.id, { status: 'superseded' });
+            if (pending.queue_entry_id) await this.markQueueEntryProcessed(pending.queue_entry_id, 'sent');
+            return 'skipped';
+        }
+
+        const result = await this.sendWelcomeMessage(pending.phone_number, pending.first_name, pending.program, sendMessageFunction, now);
+
+        if (result.success) {
+            await this.updateDeferredWelcome(pending.id, { status: 'sent', delivered_at: new Date().toISOString() });
+            if (pending.queue_entry_id) await this.markQueueEntryProcessed(pending.queue_entry_id, 'sent');
+            this.logFunction('info', `✅ Deferred welcome sent to ${pending.first_name} (${pending.phone_number})`, pending.phone_number);
+            return 'sent';
+        }
+
+        if (result.deferred && result.nextAllowedAt) {
+            await this.updateDeferredWelcome(pending.id, { deliver_at: result.nextAllowedAt, reason: result.error });
+            return 'rescheduled';
+        }
+
+        await this.recordDeferredFailure(pending, result.error);
+        return 'failed';
+    }
+
+    // Transient send failures retry a few minutes later; after MAX_WELCOME_ATTEMPTS the row fails for good
+    async recordDeferredFailure(pending, error) {
+        const attempts = (pending.attempts || 0) + 1;
+
+        if (attempts >= MAX_WELCOME_ATTEMPTS) {
+            await this.updateDeferredWelcome(pending.id, { status: 'failed', attempts, last_error: String(error).substring(0, 255) });
+            if (pending.queue_entry_id) await this.markQueueEntryProcessed(pending.queue_entry_id, 'send_failed');
+            this.logFunction('error', `❌ Deferred welcome to ${pending.phone_number} failed after ${attempts} attempts: ${error}`, pending.phone_number);
+            return;
+        }
+
+        await this.updateDeferredWelcome(pending.id, {
+            attempts,
+            last_error: String(error).substring(0, 255),
+            deliver_at: new Date(Date.now() + WELCOME_RETRY_DELAY_MS).toISOString()
+        });
+    }
+
+    async updateDeferredWelcome(id, fields) {
+        const columns = Object.keys(fields);
+        await this.db.query(
+            `UPDATE deferred_welcomes SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+            [...columns.map(column => fields[column]), id]
+        );
+    }
+
+    // Send welcome message to new user (TIMEZONE-AWARE). When the send policy blocks it the
+    // result is { success: false, deferred: true, nextAllowedAt } so the caller can queue it.
+    async sendWelcomeMessage(phoneNumber, firstName, program, sendMessageFunction, now = new Date()) {
         try {
             // Get user's timezone from the tracking database
             const user = await this.getUserFromSMS(phoneNumber);
             const userTimezone = user?.timezone || 'America/Chicago';
             
-            // Check if it's a good time to send in user's timezone
+            // Check if it's a good time to send in user's timezone ('welcome' send policy -
+            // by default 8 AM - 8 PM, no Sundays, no blackout days)
             const moment = require('moment-timezone');
-            const userTime = moment().tz(userTimezone);
-            const hour = userTime.hour();
-            const day = userTime.day(); // 0 = Sunday
+            const userTime = moment(now).tz(userTimezone);
             
             console.log(`🕐 Welcome message timing check for ${firstName}: ${userTime.format('dddd, h:mm A z')}`);
             
-            // For immediate welcome messages, we're more flexible with timing
-            // But still respect basic rules: no Sunday, and reasonable hours
-            if (day === 0) {
-                console.log(`⏰ Delaying welcome message for ${firstName} - Sunday rest day in ${userTimezone}`);
-                // Could implement a delay queue here, for now we'll skip
-                return { success: false, error: 'Sunday rest day - welcome message delayed' };
-            }
-            
-            // Allow welcome messages during extended hours (8 AM - 8 PM)
-            if (hour < 8 || hour >= 20) {
-                console.log(`⏰ Delaying welcome message for ${firstName} - outside hours in ${userTimezone} (${userTime.format('h:mm A')})`);
-                return { success: false, error: `Outside welcome hours in ${userTimezone}` };
+            const timing = await this.sendPolicy.check({ ...user, protocol: program, timezone: userTimezone }, 'welcome', userTime);
+            if (!timing.allowed) {
+                console.log(`⏰ Delaying welcome message for ${firstName} - ${timing.reason}`);
+                return {
+                    success: false,
+                    deferred: !!timing.nextAllowedAt,
+                    error: `${timing.reason} - welcome message delayed`,
+                    nextAllowedAt: timing.nextAllowedAt ? timing.nextAllowedAt.toISOString() : null
+                };
             }
 
             // Get the welcome message for this program
@@ -472,13 +584,14 @@ class WordPressSync {
                 throw new Error(`Welcome message not found for program: ${program}`);
             }
 
-            // Personalize the message
-            let personalizedMessage = welcomeMessage.message;
-            if (firstName) {
-                personalizedMessage = personalizedMessage.replace(/\{name\}/g, firstName);
-            } else {
-                personalizedMessage = personalizedMessage.replace(/\{name\}[,\s]*/g, '').replace(/\s+/g, ' ').trim();
-            }
+            // Personalize the message - the signup's name and program win over anything stored
+            const personalizedMessage = await this.templates.render(welcomeMessage.message, {
+                ...user,
+                phone_number: phoneNumber,
+                first_name: firstName || user?.first_name,
+                protocol: program,
+                timezone: userTimezone
+            }, now);
 
             console.log(`📤 Sending welcome message to ${firstName} at ${userTime.format('h:mm A z')}: "${personalizedMessage.substring(0, 50)}..."`);
 
@@ -500,57 +613,39 @@ class WordPressSync {
 
     // Get welcome message for program (first message in sequence)
     async getWelcomeMessage(program = 'Elevate') {
-        return new Promise((resolve, reject) => {
-            const sqlite3 = require('sqlite3').verbose();
-            const messagesDb = new sqlite3.Database('./databases/messages.db');
-            
-            messagesDb.get(
-                'SELECT * FROM messages WHERE number = 1 AND protocol = ? AND active = 1 LIMIT 1', 
-                [program], 
-                (err, row) => {
-                    messagesDb.close();
-                    if (err) reject(err);
-                    else resolve(row);
-                }
-            );
-        });
+        const rows = await this.db.query(
+            'SELECT * FROM messages WHERE number = 1 AND protocol = ? AND active = 1 LIMIT 1', 
+            [program]
+        );
+        return rows[0];
     }
 
     // Update user after sending welcome message (TIMEZONE-AWARE)
     async updateUserAfterWelcome(phoneNumber, userTimezone = 'America/Chicago') {
-        return new Promise((resolve, reject) => {
-            const now = new Date().toISOString();
-            const moment = require('moment-timezone');
-            const today = moment().tz(userTimezone).format('YYYY-MM-DD');
-            
-            this.trackingDb.run(`
-                UPDATE users 
-                SET trial_messages_sent = 1,
-                    total_messages_sent = 1,
-                    current_sequence_position = 2,
-                    last_message_sent = ?,
-                    date_modified = ?
-                WHERE phone_number = ?
-            `, [now, now, phoneNumber], (err) => {
-                if (err) {
-                    reject(err);
-                    return;
-                }
-
-                // Update daily limits using user's timezone
-                this.trackingDb.run(`
-                    INSERT OR REPLACE INTO daily_limits 
-                    (phone_number, date, messages_sent, last_updated)
-                    VALUES (?, ?, 1, ?)
-                `, [phoneNumber, today, now], (err) => {
-                    if (err) reject(err);
-                    else {
-                        console.log(`✅ Updated user progress for ${phoneNumber} (${userTimezone} - ${today})`);
-                        resolve();
-                    }
-                });
-            });
-        });
+        const now = new Date().toISOString();
+        const moment = require('moment-timezone');
+        const today = moment().tz(userTimezone).format('YYYY-MM-DD');
+        
+        await this.db.query(`
+            UPDATE users 
+            SET trial_messages_sent = 1,
+                total_messages_sent = 1,
+                current_sequence_position = 2,
+                last_message_sent = ?,
+                date_modified = ?,
+                next_send_at = NULL
+            WHERE phone_number = ?
+        `, [now, now, phoneNumber]);
+
+        // Update daily limits using user's timezone
+        await this.db.upsert('daily_limits', {
+            phone_number: phoneNumber,
+            date: today,
+            messages_sent: 1,
+            last_updated: now
+        }, ['phone_number', 'date'], { increment: ['messages_sent'] });
+
+        console.log(`✅ Updated user progress for ${phoneNumber} (${userTimezone} - ${today})`);
     }
 
     // Mark queue entry as processed
@@ -664,72 +759,39 @@ class WordPressSync {
 
     // Sync user to SMS system (Enhanced with better timezone handling)
     async syncUserToSMS(userData) {
-        return new Promise((resolve, reject) => {
-            const now = new Date().toISOString();
-            
-            // Validate and normalize timezone
-            const userTimezone = this.validateTimezone(userData.timezone);
-            
-            this.trackingDb.run(`
-                INSERT OR REPLACE INTO users 
-                (phone_number, protocol, user_type, first_name, subscription_status, 
-                 wordpress_user_id, timezone, user_preferences, date_joined, date_modified,
-                 current_sequence_position, total_messages_sent, trial_messages_sent,
-                 post_trial_phase, post_trial_day, milestones_achieved, last_message_sent,
-                 messages_sent_today, last_daily_reset, preferred_send_time)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, 
-                    COALESCE((SELECT date_joined FROM users WHERE phone_number = ?), ?),
-                    ?,
-                    COALESCE((SELECT current_sequence_position FROM users WHERE phone_number = ?), 1),
-                    COALESCE((SELECT total_messages_sent FROM users WHERE phone_number = ?), 0),
-                    COALESCE((SELECT trial_messages_sent FROM users WHERE phone_number = ?), 0),
-                    COALESCE((SELECT post_trial_phase FROM users WHERE phone_number = ?), 1),
-                    COALESCE((SELECT post_trial_day FROM users WHERE phone_number = ?), 0),
-                    COALESCE((SELECT milestones_achieved FROM users WHERE phone_number = ?), ''),
-                    (SELECT last_message_sent FROM users WHERE phone_number = ?),
-                    COALESCE((SELECT messages_sent_today FROM users WHERE phone_number = ?), 0),
-                    COALESCE((SELECT last_daily_reset FROM users WHERE phone_number = ?), CURRENT_DATE),
-                    COALESCE((SELECT preferred_send_time FROM users WHERE phone_number = ?), '14:00-17:00'))
-            `, [
-                userData.phoneNumber,
-                userData.protocol,
-                userData.userType,
-                userData.firstName,
-                userData.subscriptionStatus,
-                userData.wordpressUserId,
-                userTimezone, // Use validated timezone
-                JSON.stringify(userData.preferences),
-                userData.phoneNumber, now,  // date_joined
-                now,  // date_modified
-                userData.phoneNumber,  // current_sequence_position
-                userData.phoneNumber,  // total_messages_sent
-                userData.phoneNumber,  // trial_messages_sent
-                userData.phoneNumber,  // post_trial_phase
-                userData.phoneNumber,  // post_trial_day
-                userData.phoneNumber,  // milestones_achieved
-                userData.phoneNumber,  // last_message_sent
-                userData.phoneNumber,  // messages_sent_today
-                userData.phoneNumber,  // last_daily_reset
-                userData.phoneNumber   // preferred_send_time
-            ], function(err) {
-                if (err) {
-                    reject(err);
-                } else {
-                    console.log(`✅ Synced user ${userData.firstName} with timezone: ${userTimezone}`);
-                    resolve({ phoneNumber: userData.phoneNumber, synced: true, timezone: userTimezone });
-                }
-            });
+        const now = new Date().toISOString();
+        
+        // Validate and normalize timezone
+        const userTimezone = this.validateTimezone(userData.timezone);
+        
+        // Only WordPress-owned fields are overwritten - progress columns (sequence position,
+        // message counts, date_joined, preferred_send_time...) keep their existing values
+        await this.db.upsert('users', {
+            phone_number: userData.phoneNumber,
+            protocol: userData.protocol,
+            user_type: userData.userType,
+            first_name: userData.firstName,
+            subscription_status: userData.subscriptionStatus,
+            wordpress_user_id: userData.wordpressUserId,
+            timezone: userTimezone, // Use validated timezone
+            user_preferences: JSON.stringify(userData.preferences),
+            date_joined: now,
+            date_modified: now
+        }, ['phone_number'], {
+            updateColumns: [
+                'protocol', 'user_type', 'first_name', 'subscription_status',
+                'wordpress_user_id', 'timezone', 'user_preferences', 'date_modified'
+            ]
         });
+        
+        console.log(`✅ Synced user ${userData.firstName} with timezone: ${userTimezone}`);
+        return { phoneNumber: userData.phoneNumber, synced: true, timezone: userTimezone };
     }
 
     // Get user from SMS system
     async getUserFromSMS(phoneNumber) {
-        return new Promise((resolve, reject) => {
-            this.trackingDb.get('SELECT * FROM users WHERE phone_number = ?', [phoneNumber], (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-            });
-        });
+        const rows = await this.db.query('SELECT * FROM users WHERE phone_number = ?', [phoneNumber]);
+        return rows[0];
     }
 
     // Utility delay function
@@ -742,9 +804,6 @@ class WordPressSync {
         if (this.wpConnection) {
             await this.wpConnection.end();
         }
-        if (this.trackingDb) {
-            this.trackingDb.close();
-        }
     }
 }
 